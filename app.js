@@ -8,6 +8,7 @@ const { readServersConfig, addServerConfig, updateServerConfig, deleteServerConf
 const { readJobQueue, addJobToQueue, getJobById } = require('./utils/jobQueueHelpers');
 const { runMigration } = require('./utils/dbMigration');
 const { globalRateLimiter } = require('./utils/apiRateLimiter');
+const { SOURCE_IMAGES_PATH } = require('./utils/img2img');
 const serversRouter = require('./routes/servers');
 const resourcesRouter = require('./routes/resources');
 const generationRouter = require('./routes/generation');
@@ -15,6 +16,9 @@ const v2GenerationRouter = require('./routes/v2Generation');
 const apiKeysRouter = require('./routes/apiKeys');
 const galleryRouter = require('./routes/gallery');
 const settingsRouter = require('./routes/settings');
+const schedulesRouter = require('./routes/schedules');
+const sweepsRouter = require('./routes/sweeps');
+const archiveRouter = require('./routes/archive');
 const civitaiRouter = require('./routes/civitai');
 const forgeJobMonitor = require('./services/forgeJobMonitor');
 const jobStatusManager = require('./services/jobStatusManager');
@@ -46,8 +50,8 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const STABLE_DIFFUSION_SAVE_PATH = process.env.STABLE_DIFFUSION_SAVE_PATH || './outputs';
 
-// Middleware to parse JSON bodies
-app.use(express.json());
+// Middleware to parse JSON bodies; img2img jobs carry their images as base64, so the limit is well above Express's default
+app.use(express.json({ limit: process.env.MAX_REQUEST_BODY_SIZE || '50mb' }));
 
 // Serve static files from the 'public' directory
 app.use(express.static(path.join(__dirname, 'public')));
@@ -55,6 +59,9 @@ app.use(express.static(path.join(__dirname, 'public')));
 // Serve generated images from the outputs directory
 app.use('/outputs', express.static(STABLE_DIFFUSION_SAVE_PATH));
 
+// Serve the source images of img2img jobs
+app.use('/source-images', express.static(SOURCE_IMAGES_PATH));
+
 // Apply global rate limiting to all API routes EXCEPT preview images
 app.use('/api', (req, res, next) => {
     // Skip rate limiting for preview image endpoints
@@ -72,6 +79,9 @@ app.use('/api/v1', generationRouter);
 app.use('/api/v1/gallery', galleryRouter);
 app.use('/api/v1/api-keys', apiKeysRouter);
 app.use('/api/v1/settings', settingsRouter);
+app.use('/api/v1/schedules', schedulesRouter);
+app.use('/api/v1/sweeps', sweepsRouter);
+app.use('/api/v1/archive', archiveRouter);
 app.use('/api/v1', civitaiRouter);
 app.use('/api/v2', v2GenerationRouter);
 app.use('/api/v1', modelsRouter);
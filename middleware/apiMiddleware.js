@@ -30,7 +30,7 @@ const corsMiddleware = (req, res, next) => {
         res.header('Access-Control-Allow-Origin', origin);
     }
     
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-API-Secret');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-API-Secret, Idempotency-Key');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     res.header('Access-Control-Allow-Credentials', 'true');
     
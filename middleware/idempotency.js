@@ -0,0 +1,125 @@
+/**
+ * Idempotency Middleware
+ *
+ * Lets clients retry a job submission safely. A request sent with an Idempotency-Key header runs once; repeating
+ * it with the same key and body replays the stored response instead of queueing the job again.
+ */
+
+const crypto = require('crypto');
+const jobQueue = require('../utils/jobQueueHelpers');
+const { ERROR_TYPES, handleApiError } = require('../utils/apiErrorHandler');
+
+// How long a key and its response are kept
+const configuredTtlHours = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS);
+const IDEMPOTENCY_KEY_TTL_MS = (Number.isFinite(configuredTtlHours) && configuredTtlHours > 0 ? configuredTtlHours : 24) * 60 * 60 * 1000;
+
+// A claim whose request has not answered after this long is treated as abandoned
+const STALE_CLAIM_MS = 60000;
+
+// Printable ASCII, as most clients send a UUID
+const IDEMPOTENCY_KEY_PATTERN = /^[\x20-\x7E]{1,255}$/;
+
+// JSON with object keys sorted, so the same body always hashes the same way
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+function fingerprintRequest(req) {
+    const request = { method: req.method, path: req.baseUrl + req.path, query: req.query, body: req.body };
+    return crypto.createHash('sha256').update(stableStringify(request)).digest('hex');
+}
+
+/**
+ * Creates the middleware for one API version
+ * @param {Function} sendError - (req, res, errorType, message) responding in the API version's error format
+ * @returns {Function} Express middleware; mount it after authentication so keys are scoped to the API key
+ */
+function createIdempotencyMiddleware(sendError) {
+    return (req, res, next) => {
+        const header = req.get('Idempotency-Key');
+        if (header === undefined) {
+            return next();
+        }
+
+        const key = header.trim();
+        if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+            return sendError(req, res, 'INVALID_FIELD_VALUE', 'Idempotency-Key must be 1 to 255 printable ASCII characters');
+        }
+
+        const scope = req.apiKeyId || '';
+        const fingerprint = fingerprintRequest(req);
+        let claim;
+        try {
+            claim = jobQueue.claimIdempotencyKey(scope, key, fingerprint, IDEMPOTENCY_KEY_TTL_MS, STALE_CLAIM_MS);
+        } catch (error) {
+            console.error('[Idempotency] Error claiming idempotency key:', error);
+            return sendError(req, res, 'DATABASE_ERROR', 'Failed to check the Idempotency-Key');
+        }
+
+        if (!claim.claimed) {
+            const { record } = claim;
+            if (record.request_fingerprint !== fingerprint) {
+                return sendError(req, res, 'IDEMPOTENCY_KEY_CONFLICT', 'This Idempotency-Key was already used for a different request');
+            }
+            if (!record.response) {
+                return sendError(req, res, 'IDEMPOTENCY_KEY_CONFLICT', 'A request with this Idempotency-Key is still being processed');
+            }
+            console.log(`[Idempotency] Replaying the response stored for Idempotency-Key '${key}'`);
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(record.status_code).json(record.response);
+        }
+
+        // Keep successful responses for replaying; anything else frees the key so the client can retry
+        let settled = false;
+        const sendJson = res.json.bind(res);
+        res.json = body => {
+            if (!settled) {
+                settled = true;
+                try {
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        jobQueue.saveIdempotentResponse(scope, key, res.statusCode, body);
+                    } else {
+                        jobQueue.releaseIdempotencyKey(scope, key);
+                    }
+                } catch (error) {
+                    console.error('[Idempotency] Error storing the response for an idempotency key:', error);
+                }
+            }
+            return sendJson(body);
+        };
+        res.on('close', () => {
+            if (!settled) {
+                settled = true;
+                jobQueue.releaseIdempotencyKey(scope, key);
+            }
+        });
+
+        next();
+    };
+}
+
+/**
+ * Idempotency-Key handling for v2 endpoints, answering errors in the standard API error format
+ */
+const idempotencyKey = createIdempotencyMiddleware((req, res, errorType, message) =>
+    handleApiError(res, errorType, req, { field: 'Idempotency-Key', customMessage: message })
+);
+
+/**
+ * Idempotency-Key handling for v1 endpoints, answering errors as { error }
+ */
+const v1IdempotencyKey = createIdempotencyMiddleware((req, res, errorType, message) =>
+    res.status(ERROR_TYPES[errorType].status).json({ error: message })
+);
+
+module.exports = {
+    idempotencyKey,
+    v1IdempotencyKey,
+    IDEMPOTENCY_KEY_TTL_MS
+};
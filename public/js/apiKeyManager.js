@@ -24,6 +24,11 @@ class ApiKeyManagerUI {
         this.apiKeyDescriptionInput = document.getElementById('api-key-description');
         this.apiKeyActiveCheckbox = document.getElementById('api-key-active');
         this.apiKeyActiveGroup = document.getElementById('api-key-active-group');
+        this.quotaInputs = {
+            max_pending_jobs: document.getElementById('api-key-max-pending-jobs'),
+            max_images_per_day: document.getElementById('api-key-max-images-per-day'),
+            max_pixel_steps_per_day: document.getElementById('api-key-max-pixel-steps-per-day')
+        };
         this.saveApiKeyBtn = document.getElementById('save-api-key-btn');
         this.cancelApiKeyBtn = document.getElementById('cancel-api-key-btn');
         
@@ -140,7 +145,7 @@ class ApiKeyManagerUI {
         } catch (error) {
             console.error('Error fetching API keys:', error);
             // Show error state (could be improved with a dedicated error message element)
-            this.apiKeysRows.innerHTML = `<tr><td colspan="5" class="error-message">Failed to load API keys: ${error.message}</td></tr>`;
+            this.apiKeysRows.innerHTML = `<tr><td colspan="6" class="error-message">Failed to load API keys: ${error.message}</td></tr>`;
             if (this.apiKeysTable) this.apiKeysTable.style.display = 'table';
         } finally {
             // Hide loading
@@ -169,6 +174,7 @@ class ApiKeyManagerUI {
             <td class="api-key-description">${key.description || '—'}</td>
             <td class="api-key-created">${formattedDate}</td>
             <td class="api-key-status">${statusBadge}</td>
+            <td class="api-key-quota-usage">${this.formatQuotaUsage(key.quota)}</td>
             <td class="api-key-actions">
                 <button class="view-key-btn small-button">Details</button>
                 <button class="edit-key-btn small-button">Edit</button>
@@ -196,6 +202,36 @@ class ApiKeyManagerUI {
         this.apiKeysRows.appendChild(row);
     }
     
+    // Quota usage next to each limit that is set, e.g. "Images (24h): 40 / 100"
+    formatQuotaUsage(quota, separator = '<br>') {
+        if (!quota) return '—';
+        
+        const quotas = [
+            { field: 'max_pending_jobs', usage: 'pending_jobs', label: 'Unfinished jobs' },
+            { field: 'max_images_per_day', usage: 'images', label: 'Images (24h)' },
+            { field: 'max_pixel_steps_per_day', usage: 'pixel_steps', label: 'Pixel-steps (24h)' }
+        ].filter(({ field }) => quota.limits[field] !== null);
+        
+        if (quotas.length === 0) {
+            return '<span class="api-key-quota">No limits</span>';
+        }
+        
+        return quotas.map(({ field, usage, label }) => {
+            const used = quota.usage[usage];
+            const limit = quota.limits[field];
+            const fullClass = used >= limit ? ' quota-full' : '';
+            return `<span class="api-key-quota${fullClass}">${label}: ${this.formatQuotaNumber(used)} / ${this.formatQuotaNumber(limit)}</span>`;
+        }).join(separator);
+    }
+    
+    // Pixel-steps run into the billions, so large numbers are shortened
+    formatQuotaNumber(value) {
+        if (value >= 1e9) return `${(value / 1e9).toFixed(1)}G`;
+        if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+        if (value >= 1e4) return `${(value / 1e3).toFixed(1)}k`;
+        return String(value);
+    }
+    
     // Show create key form
     showCreateKeyForm() {
         // Reset form
@@ -232,6 +268,10 @@ class ApiKeyManagerUI {
             this.apiKeyDescriptionInput.value = key.description || '';
             this.apiKeyActiveCheckbox.checked = key.is_active;
             this.editKeyIdInput.value = key.id;
+            Object.entries(this.quotaInputs).forEach(([field, input]) => {
+                const limit = key.quota?.limits[field];
+                input.value = limit === null || limit === undefined ? '' : limit;
+            });
             
             // Update UI elements for editing
             this.apiKeyFormTitle.textContent = 'Edit API Key';
@@ -276,9 +316,20 @@ class ApiKeyManagerUI {
         // Create request data
         const keyData = {
             name,
-            description
+            description,
+            quota_limits: {}
         };
         
+        // Empty quota fields mean no limit
+        for (const [field, input] of Object.entries(this.quotaInputs)) {
+            const value = input.value.trim();
+            if (value !== '' && !/^\d+$/.test(value)) {
+                alert('Quota limits must be whole numbers, or empty for no limit');
+                return;
+            }
+            keyData.quota_limits[field] = value === '' ? null : parseInt(value, 10);
+        }
+        
         // Add is_active only for updates
         if (keyId) {
             keyData.is_active = isActive;
@@ -299,7 +350,8 @@ class ApiKeyManagerUI {
                 });
                 
                 if (!response.ok) {
-                    throw new Error(`Failed to update API key: ${response.status} ${response.statusText}`);
+                    const errorData = await response.json().catch(() => ({}));
+                    throw new Error(errorData.message || `Failed to update API key: ${response.status} ${response.statusText}`);
                 }
                 
                 result = await response.json();
@@ -321,7 +373,8 @@ class ApiKeyManagerUI {
                 });
                 
                 if (!response.ok) {
-                    throw new Error(`Failed to create API key: ${response.status} ${response.statusText}`);
+                    const errorData = await response.json().catch(() => ({}));
+                    throw new Error(errorData.message || `Failed to create API key: ${response.status} ${response.statusText}`);
                 }
                 
                 result = await response.json();
@@ -469,6 +522,10 @@ class ApiKeyManagerUI {
                 `;
             }
             
+            const quotaHtml = `
+                <p><strong>Queue Quotas:</strong><br>${this.formatQuotaUsage(key.quota)}</p>
+            `;
+            
             // Populate modal content
             this.apiKeyDetailsContent.innerHTML = `
                 <div class="key-details">
@@ -481,6 +538,7 @@ class ApiKeyManagerUI {
                     <p><strong>Created:</strong> ${formattedDate}</p>
                     ${lastUsedHtml}
                     ${usageHtml}
+                    ${quotaHtml}
                     <div class="api-usage-reminder">
                         <h4>Authentication Headers:</h4>
                         <pre><code>X-API-Key: ${key.key}
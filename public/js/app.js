@@ -5,6 +5,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const serverApiUrlInput = document.getElementById('server-api-url');
     const serverAuthUserInput = document.getElementById('server-auth-user');
     const serverAuthPassInput = document.getElementById('server-auth-pass');
+    const serverMaxConcurrentInput = document.getElementById('server-max-concurrent');
+    const serverPoolsInput = document.getElementById('server-pools');
+    const serverRetryAttemptsInput = document.getElementById('server-retry-attempts');
+    const serverRetryDelayInput = document.getElementById('server-retry-delay');
     const editAliasInput = document.getElementById('edit-alias'); // Hidden field for editing
     const saveServerBtn = document.getElementById('save-server-btn');
     const cancelEditBtn = document.getElementById('cancel-edit-btn');
@@ -27,6 +31,9 @@ document.addEventListener('DOMContentLoaded', () => {
     const queueEmpty = document.getElementById('queue-empty');
     const refreshQueueBtn = document.getElementById('refresh-queue-btn');
     const queueStatusFilter = document.getElementById('queue-status-filter');
+    const queueSearchInput = document.getElementById('queue-search');
+    const queueTagFilterInput = document.getElementById('queue-tag-filter');
+    const queueLoadMoreBtn = document.getElementById('queue-load-more');
     const jobDetailsModal = document.getElementById('job-details-modal');
     const jobDetailsContent = document.getElementById('job-details-content');
     const cancelJobBtn = document.getElementById('cancel-job-btn');
@@ -36,12 +43,14 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // API Keys view elements (we'll use these to trigger data loading)
     const apiKeysView = document.getElementById('api-keys-view');
+    const schedulesView = document.getElementById('schedules-view');
 
     // Navigation Elements
     const navQueue = document.getElementById('nav-queue');
     const navGallery = document.getElementById('nav-gallery');
     const navServerSetup = document.getElementById('nav-server-setup');
     const navApiKeys = document.getElementById('nav-api-keys');
+    const navSchedules = document.getElementById('nav-schedules');
     const navModels = document.getElementById('nav-models');
     
     // View Elements
@@ -91,9 +100,9 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log(`Received ${jobs.length} jobs from WebSocket server`);
             console.log('Job statuses:', jobs.map(job => ({ id: job.mobilesd_job_id, status: job.status })));
             
-            // Update queue UI if we're on that page
+            // Update queue UI if we're on that page; it pages through finished jobs itself
             if (document.getElementById('queue-view').style.display !== 'none') {
-                displayQueueJobs(jobs);
+                loadQueueJobs();
             }
             
             // If we have a current job in progress, check if it's updated
@@ -135,6 +144,13 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         });
 
+        // Another client moved or reprioritized a job, so re-render the queue in its new order
+        jobClient.onQueueReordered(() => {
+            if (document.getElementById('queue-view').style.display !== 'none') {
+                loadQueueJobs();
+            }
+        });
+
         // Handle progress updates with improved image preview
         jobClient.onJobProgress(progressData => {
             const { jobId, progress_percentage, preview_image } = progressData;
@@ -236,6 +252,11 @@ document.addEventListener('DOMContentLoaded', () => {
         const existingRow = document.getElementById(`job-row-${job.mobilesd_job_id}`);
         
         if (existingRow) {
+            // Only pending jobs can be dragged to a new queue position
+            existingRow.draggable = job.status === 'pending';
+            existingRow.classList.toggle('queue-row-draggable', job.status === 'pending');
+            existingRow.style.cursor = job.status === 'pending' ? 'grab' : 'pointer';
+            
             // Update the status badge
             const statusCell = existingRow.querySelector('td:nth-child(2)');
             if (statusCell) {
@@ -275,11 +296,31 @@ document.addEventListener('DOMContentLoaded', () => {
                 // Update the status cell with all components
                 statusCell.innerHTML = `
                     ${statusBadge}
+                    ${renderRetryNote(job)}
+                    ${renderScheduleNote(job)}
+                    ${renderExpiryNote(job)}
+                    ${renderDependencyNote(job)}
+                    ${renderPromptNote(job)}
+                    ${renderLabelsNote(job)}
+                    ${renderEstimateNote(job)}
                     ${progressHtml}
                     ${previewHtml}
                 `;
             }
             
+            // Update the server cell, which changes when a pool job is assigned a server
+            const serverCell = existingRow.querySelector('.job-server-cell');
+            if (serverCell) {
+                serverCell.innerHTML = renderServerCell(job);
+            }
+            
+            // Update the priority cell
+            const priorityCell = existingRow.querySelector('.job-priority-cell');
+            if (priorityCell) {
+                priorityCell.innerHTML = renderPriorityCell(job);
+                bindPriorityInputs(priorityCell);
+            }
+            
             // If we're filtering by status, hide/show based on filter
             const currentFilter = queueStatusFilter.value;
             if (currentFilter && currentFilter !== '') {
@@ -287,7 +328,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         } else {
             // Row doesn't exist, refresh the queue
-            loadQueueJobs();
+            scheduleQueueReload();
         }
     }
 
@@ -306,6 +347,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             const servers = await response.json();
+            allServersCache = servers;
 
             serverListUL.innerHTML = ''; // Clear loading message
 
@@ -317,7 +359,10 @@ document.addEventListener('DOMContentLoaded', () => {
                     listItem.innerHTML = `
                         <strong>Alias:</strong> ${server.alias}<br>
                         <strong>URL:</strong> ${server.apiUrl}<br>
-                        <strong>Auth:</strong> ${server.authUser ? 'Username/Password' : 'None'}
+                        <strong>Auth:</strong> ${server.authUser ? 'Username/Password' : 'None'}<br>
+                        <strong>Max Concurrent Jobs:</strong> ${server.maxConcurrentJobs || 'Default'}<br>
+                        <strong>Pools:</strong> ${server.pools && server.pools.length ? server.pools.join(', ') : 'None'}<br>
+                        <strong>Retry:</strong> ${server.maxRetryAttempts || 'Default'} attempts, ${server.retryBaseDelayMs ?? 'default'} ms base delay
                         <div class="server-actions">
                             <button class="edit-server-btn" data-alias="${server.alias}">Edit</button>
                             <button class="delete-server-btn" data-alias="${server.alias}">Delete</button>
@@ -354,6 +399,10 @@ document.addEventListener('DOMContentLoaded', () => {
         serverApiUrlInput.value = serverToEdit.apiUrl;
         serverAuthUserInput.value = serverToEdit.authUser || '';
         serverAuthPassInput.value = serverToEdit.authPass || '';
+        serverMaxConcurrentInput.value = serverToEdit.maxConcurrentJobs || '';
+        serverPoolsInput.value = (serverToEdit.pools || []).join(', ');
+        serverRetryAttemptsInput.value = serverToEdit.maxRetryAttempts || '';
+        serverRetryDelayInput.value = serverToEdit.retryBaseDelayMs ?? '';
         editAliasInput.value = serverToEdit.alias; // Set the original alias for update reference
 
         saveServerBtn.textContent = 'Update Server';
@@ -410,6 +459,10 @@ document.addEventListener('DOMContentLoaded', () => {
             const apiUrl = serverApiUrlInput.value.trim();
             const authUser = serverAuthUserInput.value.trim();
             const authPass = serverAuthPassInput.value.trim();
+            const maxConcurrentJobs = serverMaxConcurrentInput.value.trim();
+            const pools = serverPoolsInput.value.split(',').map(pool => pool.trim()).filter(Boolean);
+            const maxRetryAttempts = serverRetryAttemptsInput.value.trim();
+            const retryBaseDelayMs = serverRetryDelayInput.value.trim();
             const originalAliasForUpdate = editAliasInput.value; // Original alias if in edit mode
 
             if (!alias || !apiUrl) {
@@ -422,6 +475,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 apiUrl,
                 ...(authUser && { authUser }),
                 ...(authPass && { authPass }),
+                ...(maxConcurrentJobs && { maxConcurrentJobs: parseInt(maxConcurrentJobs, 10) }),
+                ...(pools.length > 0 && { pools }),
+                ...(maxRetryAttempts && { maxRetryAttempts: parseInt(maxRetryAttempts, 10) }),
+                ...(retryBaseDelayMs && { retryBaseDelayMs: parseInt(retryBaseDelayMs, 10) }),
             };
 
             let method = 'POST';
@@ -460,14 +517,14 @@ document.addEventListener('DOMContentLoaded', () => {
     // Main navigation function
     function showView(viewToShow, buttonToActivate) {
         // Hide all views by removing active class
-        [queueView, galleryView, serverSetupView, apiKeysView, modelsView].forEach(v => { 
+        [queueView, galleryView, serverSetupView, apiKeysView, schedulesView, modelsView].forEach(v => { 
             if (v) {
                 v.classList.remove('active');
                 v.style.display = 'none'; // Also clear any inline styles
             }
         });
         // Remove active from all nav buttons
-        [navQueue, navGallery, navServerSetup, navApiKeys, navModels].forEach(b => { if (b) b.classList.remove('active'); });
+        [navQueue, navGallery, navServerSetup, navApiKeys, navSchedules, navModels].forEach(b => { if (b) b.classList.remove('active'); });
         // Show the selected view and activate the button
         if (viewToShow) {
             viewToShow.classList.add('active');
@@ -490,6 +547,10 @@ document.addEventListener('DOMContentLoaded', () => {
             if (window.apiKeyManagerUI) {
                 window.apiKeyManagerUI.fetchAndDisplayApiKeys();
             }
+        } else if (viewToShow === schedulesView) {
+            if (window.scheduleManagerUI) {
+                window.scheduleManagerUI.fetchAndDisplaySchedules();
+            }
         } else if (viewToShow === modelsView) {
             // fetchAndDisplayModels will be called by the nav click handler
         }
@@ -500,6 +561,9 @@ document.addEventListener('DOMContentLoaded', () => {
     navGallery.addEventListener('click', () => showView(galleryView, navGallery));
     navServerSetup.addEventListener('click', () => showView(serverSetupView, navServerSetup));
     navApiKeys.addEventListener('click', () => showView(apiKeysView, navApiKeys));
+    if (navSchedules) {
+        navSchedules.addEventListener('click', () => showView(schedulesView, navSchedules));
+    }
     if (navModels) {
         navModels.addEventListener('click', () => {
             showView(modelsView, navModels);
@@ -515,6 +579,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Queue processing start/stop functionality
     initializeQueueProcessingControls();
+    initializeCheckpointAffinityControls();
+    initializeQueueFilters();
 
     // Initialize the app
     initializeJobClient();
@@ -530,19 +596,132 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log('fetchAndDisplayJobs called - using WebSocket instead');
     }
     
+    // Active jobs are always listed in full so the pending order can be rearranged; finished ones are paged
+    const ACTIVE_JOB_STATUSES = ['pending', 'held', 'processing'];
+    const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled', 'expired'];
+    const QUEUE_PAGE_SIZE = 100;
+    let queueJobs = [];
+    let queueHistoryQuery = null;
+    let queueNextCursor = null;
+    let queueReloadTimer = null;
+    // Estimated start and finish per job ID; estimates drift as jobs finish, so they are refetched while the queue is open
+    const QUEUE_ESTIMATE_REFRESH_MS = 30000;
+    let queueEstimates = {};
+    
+    async function fetchQueuePage(query) {
+        const response = await fetch(`/api/v1/queue/jobs?${new URLSearchParams(query)}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        return data;
+    }
+    
     async function loadQueueJobs() {
         // Force a refresh of queue jobs by making an API call
+        const status = queueStatusFilter ? queueStatusFilter.value : '';
+        const search = queueSearchInput ? queueSearchInput.value.trim() : '';
+        const tag = queueTagFilterInput ? queueTagFilterInput.value.trim() : '';
+        const withFilters = (statuses, extra = {}) => ({
+            status: statuses.filter(jobStatus => !status || jobStatus === status).join(','),
+            ...(search ? { search } : {}),
+            ...(tag ? { tag } : {}),
+            ...extra
+        });
+        const activeQuery = withFilters(ACTIVE_JOB_STATUSES);
+        const historyQuery = withFilters(FINISHED_JOB_STATUSES, { limit: QUEUE_PAGE_SIZE });
+        
+        if (queueEmpty) queueEmpty.textContent = 'No jobs found.';
         try {
-            const response = await fetch('/api/v1/queue/jobs');
-            if (response.ok) {
-                const data = await response.json();
-                const jobs = data.jobs || [];
-                displayQueueJobs(jobs);
-            } else {
-                console.error('Failed to load queue jobs:', response.status);
-            }
+            const [activeData, historyData] = await Promise.all([
+                activeQuery.status ? fetchQueuePage(activeQuery) : null,
+                historyQuery.status ? fetchQueuePage(historyQuery) : null
+            ]);
+            queueJobs = [...(activeData ? activeData.jobs : []), ...(historyData ? historyData.jobs : [])];
+            queueHistoryQuery = historyData ? historyQuery : null;
+            queueNextCursor = historyData ? historyData.next_cursor : null;
+            displayQueueJobs(queueJobs);
+            refreshQueueEstimates();
         } catch (error) {
             console.error('Error loading queue jobs:', error);
+            queueJobs = [];
+            queueNextCursor = null;
+            displayQueueJobs(queueJobs);
+            if (queueEmpty) queueEmpty.textContent = `Failed to load jobs: ${error.message}`;
+        }
+        updateQueueLoadMoreButton();
+    }
+    
+    async function loadMoreQueueJobs() {
+        if (!queueHistoryQuery || !queueNextCursor) return;
+        queueLoadMoreBtn.disabled = true;
+        try {
+            const data = await fetchQueuePage({ ...queueHistoryQuery, cursor: queueNextCursor });
+            queueJobs = [...queueJobs, ...data.jobs];
+            queueNextCursor = data.next_cursor;
+            displayQueueJobs(queueJobs);
+        } catch (error) {
+            console.error('Error loading more queue jobs:', error);
+            alert(`Failed to load more jobs: ${error.message}`);
+        } finally {
+            queueLoadMoreBtn.disabled = false;
+            updateQueueLoadMoreButton();
+        }
+    }
+    
+    async function refreshQueueEstimates() {
+        try {
+            const response = await fetch('/api/v1/queue/estimates');
+            if (!response.ok) return;
+            const data = await response.json();
+            queueEstimates = data.jobs || {};
+        } catch (error) {
+            console.error('Error loading queue estimates:', error);
+            return;
+        }
+        document.querySelectorAll('#queue-jobs .job-estimate-note').forEach(note => {
+            note.innerHTML = renderEstimateText(queueEstimates[note.dataset.jobId], note.dataset.status);
+        });
+    }
+    
+    setInterval(() => {
+        if (document.getElementById('queue-view').style.display !== 'none') {
+            refreshQueueEstimates();
+        }
+    }, QUEUE_ESTIMATE_REFRESH_MS);
+    
+    function updateQueueLoadMoreButton() {
+        if (queueLoadMoreBtn) {
+            queueLoadMoreBtn.style.display = queueNextCursor ? '' : 'none';
+        }
+    }
+    
+    // Updates for jobs that are not on screen arrive in bursts (progress of a filtered-out job), so reload once
+    function scheduleQueueReload() {
+        if (queueReloadTimer) return;
+        queueReloadTimer = setTimeout(() => {
+            queueReloadTimer = null;
+            loadQueueJobs();
+        }, 1000);
+    }
+    
+    function initializeQueueFilters() {
+        if (refreshQueueBtn) {
+            refreshQueueBtn.addEventListener('click', loadQueueJobs);
+        }
+        if (queueStatusFilter) {
+            queueStatusFilter.addEventListener('change', loadQueueJobs);
+        }
+        let searchTimer = null;
+        [queueSearchInput, queueTagFilterInput].forEach(input => {
+            if (!input) return;
+            input.addEventListener('input', () => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(loadQueueJobs, 300);
+            });
+        });
+        if (queueLoadMoreBtn) {
+            queueLoadMoreBtn.addEventListener('click', loadMoreQueueJobs);
         }
     }
     
@@ -601,9 +780,12 @@ document.addEventListener('DOMContentLoaded', () => {
         galleryContainer.innerHTML = images.map(image => {
             const createdDate = new Date(image.created).toLocaleString();
             const fileSize = formatFileSize(image.size);
+            const tags = image.tags || [];
+            // Searched along with the filename, so a project's or tag's images can be found together
+            const labels = escapeHtml([image.project || '', ...tags].join(' ')).replace(/"/g, '&quot;');
             
             return `
-                <div class="gallery-item" data-filename="${image.filename}">
+                <div class="gallery-item" data-filename="${image.filename}" data-labels="${labels}">
                     <div class="gallery-image-container">
                         <img src="/outputs/${image.filename}" 
                              alt="${image.filename}" 
@@ -617,6 +799,7 @@ document.addEventListener('DOMContentLoaded', () => {
                             <span class="gallery-size">${fileSize}</span>
                             ${image.job_id_prefix ? `<span class="gallery-job-id">Job: ${image.job_id_prefix}...</span>` : ''}
                         </div>
+                        ${renderLabelsNote(image)}
                     </div>
                 </div>
             `;
@@ -645,6 +828,7 @@ document.addEventListener('DOMContentLoaded', () => {
                         <div class="image-modal-actions">
                             <a href="/outputs/${filename}" download="${filename}" class="secondary-button">Download</a>
                             <button onclick="copyImageUrl('${filename}')" class="secondary-button">Copy URL</button>
+                            <button class="secondary-button inpaint-image-btn">Inpaint</button>
                         </div>
                     </div>
                 </div>
@@ -660,6 +844,11 @@ document.addEventListener('DOMContentLoaded', () => {
                 document.body.removeChild(modal);
             }
         });
+        
+        modal.querySelector('.inpaint-image-btn').addEventListener('click', () => {
+            document.body.removeChild(modal);
+            window.inpaintEditorUI.open(filename);
+        });
     }
     
     function copyImageUrl(filename) {
@@ -672,6 +861,10 @@ document.addEventListener('DOMContentLoaded', () => {
             });
     }
     
+    // Referenced from the inline handlers of the gallery markup
+    window.openImageModal = openImageModal;
+    window.copyImageUrl = copyImageUrl;
+    
     // Auto-refresh gallery when jobs complete
     function setupGalleryAutoRefresh() {
         // Listen for job completion events
@@ -705,7 +898,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 
                 galleryItems.forEach(item => {
                     const filename = item.dataset.filename.toLowerCase();
-                    if (filename.includes(searchTerm)) {
+                    const labels = (item.dataset.labels || '').toLowerCase();
+                    if (filename.includes(searchTerm) || labels.includes(searchTerm)) {
                         item.style.display = 'block';
                     } else {
                         item.style.display = 'none';
@@ -752,16 +946,22 @@ document.addEventListener('DOMContentLoaded', () => {
         if (empty) empty.style.display = 'none';
         
         // Create rows for each job
-        jobs.forEach(job => {
+        orderQueueJobs(jobs).forEach(job => {
             const row = document.createElement('tr');
             row.id = `job-row-${job.mobilesd_job_id}`;
             row.style.cursor = 'pointer';
+            if (job.status === 'pending') {
+                row.draggable = true;
+                row.classList.add('queue-row-draggable');
+                row.style.cursor = 'grab';
+            }
             
             // Format creation timestamp
             const createdDate = new Date(job.creation_timestamp).toLocaleString();
             
             // Create status badge with progress if processing
             let statusHtml = `<span class="job-status job-status-${job.status.toLowerCase()}">${job.status}</span>`;
+            statusHtml += renderRetryNote(job) + renderScheduleNote(job) + renderExpiryNote(job) + renderDependencyNote(job) + renderPromptNote(job) + renderLabelsNote(job) + renderEstimateNote(job);
             
             if (job.status === 'processing') {
                 const progressPercentage = job.result_details?.progress_percentage || 0;
@@ -866,20 +1066,32 @@ document.addEventListener('DOMContentLoaded', () => {
                 <td>${statusHtml}</td>
                 <td>${checkpointAvailabilityHtml}</td>
                 <td>${loraAvailabilityHtml}</td>
-                <td>${job.target_server_alias || 'Unknown'}</td>
+                <td class="job-server-cell">${renderServerCell(job)}</td>
+                <td class="job-priority-cell">${renderPriorityCell(job)}</td>
                 <td>${createdDate}</td>
                 <td>${job.model_availability?.hash || 'N/A'}</td>
                 <td>
                     <div class="queue-job-actions">
                         <button class="secondary-button view-details-btn" data-job-id="${job.mobilesd_job_id}">Details</button>
                         <button class="secondary-button view-params-btn" data-job-id="${job.mobilesd_job_id}">Generation Parameters</button>
-                        ${job.status === 'pending' || job.status === 'failed' ? 
+                        <button class="secondary-button edit-labels-btn" data-job-id="${job.mobilesd_job_id}">Tags</button>
+                        ${['pending', 'failed', 'expired'].includes(job.status) ? 
                             `<button class="primary-button run-job-btn" data-job-id="${job.mobilesd_job_id}">Run Job</button>` : 
                             ''}
-                        ${job.status === 'pending' || job.status === 'processing' ? 
+                        ${job.status === 'pending' ? 
+                            `<button class="secondary-button hold-job-btn" data-job-id="${job.mobilesd_job_id}">Hold</button>` : 
+                            ''}
+                        ${job.status === 'held' ? 
+                            `<button class="primary-button release-job-btn" data-job-id="${job.mobilesd_job_id}">Release</button>` : 
+                            ''}
+                        ${['pending', 'held', 'processing'].includes(job.status) ? 
                             `<button class="danger-button cancel-job-btn" data-job-id="${job.mobilesd_job_id}">Cancel</button>` : 
                             ''}
-                        ${job.status === 'completed' || job.status === 'failed' ? 
+                        ${['completed', 'failed', 'cancelled', 'expired'].includes(job.status) ? 
+                            `<button class="secondary-button rerun-job-btn" data-job-id="${job.mobilesd_job_id}">Re-run</button>
+                            <button class="secondary-button rerun-job-btn" data-job-id="${job.mobilesd_job_id}" data-new-seed="true">Re-run with new seed</button>` : 
+                            ''}
+                        ${['completed', 'failed', 'expired'].includes(job.status) ? 
                             `<button class="danger-button delete-job-btn" data-job-id="${job.mobilesd_job_id}">Delete</button>` : 
                             ''}
                     </div>
@@ -908,12 +1120,378 @@ document.addEventListener('DOMContentLoaded', () => {
                 runJob(jobId, btn);
             });
         });
+        
+        // Add event listeners for the Hold and Release buttons
+        tbody.querySelectorAll('.hold-job-btn, .release-job-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const jobId = btn.getAttribute('data-job-id');
+                setJobHeld(jobId, btn.classList.contains('hold-job-btn'), btn);
+            });
+        });
+        
+        // Add event listeners for the Tags buttons
+        tbody.querySelectorAll('.edit-labels-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const jobId = btn.getAttribute('data-job-id');
+                editJobLabels(jobId, btn);
+            });
+        });
+        
+        // Add event listeners for the Re-run buttons
+        tbody.querySelectorAll('.rerun-job-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const jobId = btn.getAttribute('data-job-id');
+                rerunJob(jobId, btn.hasAttribute('data-new-seed'), btn);
+            });
+        });
+        
+        // Add event listeners for the priority inputs on pending jobs
+        bindPriorityInputs(tbody);
+        
+        // Pending rows can be dragged to reorder the queue
+        bindQueueDragAndDrop(tbody);
+    }
+    
+    // Pending jobs come first, in dispatch order (priority, then queue position), so dragging matches what runs next
+    function orderQueueJobs(jobs) {
+        const pendingJobs = jobs
+            .filter(job => job.status === 'pending')
+            .sort((a, b) => (b.priority - a.priority) || (a.sort_position - b.sort_position));
+        return [...pendingJobs, ...jobs.filter(job => job.status !== 'pending')];
+    }
+    
+    let draggedJobId = null;
+    
+    function clearDropIndicators(container) {
+        container.querySelectorAll('.drop-before, .drop-after').forEach(row => row.classList.remove('drop-before', 'drop-after'));
+    }
+    
+    // Dropping on the lower half of a row places the job after it
+    function isDropAfter(row, event) {
+        const rect = row.getBoundingClientRect();
+        return event.clientY > rect.top + rect.height / 2;
+    }
+    
+    function bindQueueDragAndDrop(tbody) {
+        tbody.querySelectorAll('tr.queue-row-draggable').forEach(row => {
+            const jobId = row.id.replace('job-row-', '');
+            
+            row.addEventListener('dragstart', (e) => {
+                draggedJobId = jobId;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', jobId);
+                row.classList.add('dragging');
+            });
+            row.addEventListener('dragend', () => {
+                draggedJobId = null;
+                row.classList.remove('dragging');
+                clearDropIndicators(tbody);
+            });
+            row.addEventListener('dragover', (e) => {
+                // Rows that started processing since the last render are no longer drop targets
+                if (!draggedJobId || draggedJobId === jobId || !row.draggable) return;
+                e.preventDefault();
+                clearDropIndicators(tbody);
+                row.classList.add(isDropAfter(row, e) ? 'drop-after' : 'drop-before');
+            });
+            row.addEventListener('dragleave', () => {
+                row.classList.remove('drop-before', 'drop-after');
+            });
+            row.addEventListener('drop', (e) => {
+                e.preventDefault();
+                const movedJobId = draggedJobId;
+                clearDropIndicators(tbody);
+                if (!movedJobId || movedJobId === jobId) return;
+                moveQueueJob(movedJobId, isDropAfter(row, e) ? 'after' : 'before', jobId);
+            });
+        });
+    }
+    
+    async function moveQueueJob(jobId, position, relativeJobId) {
+        try {
+            const response = await fetch(`/api/v1/queue/jobs/${jobId}/move`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ position, relative_to: relativeJobId })
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Failed to parse error response' }));
+                throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+            }
+            
+            console.log(`Job ${jobId} moved ${position} ${relativeJobId}`);
+            // Connected clients (this one included) re-render on the queue_reordered broadcast
+            if (!jobClient || !jobClient.socket || !jobClient.socket.connected) {
+                await loadQueueJobs();
+            }
+        } catch (error) {
+            console.error(`Error moving job ${jobId}:`, error);
+            alert(`Failed to move job ${jobId}: ${error.message}`);
+            await loadQueueJobs();
+        }
+    }
+    
+    // Holds a pending job or releases a held one
+    async function setJobHeld(jobId, hold, buttonElement) {
+        const action = hold ? 'hold' : 'release';
+        buttonElement.disabled = true;
+        
+        try {
+            const response = await fetch(`/api/v1/queue/jobs/${jobId}/${action}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Failed to parse error response' }));
+                throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+            }
+            
+            console.log(`Job ${jobId} ${hold ? 'held' : 'released'}`);
+            // Connected clients (this one included) re-render on the queue_reordered broadcast
+            if (!jobClient || !jobClient.socket || !jobClient.socket.connected) {
+                await loadQueueJobs();
+            }
+        } catch (error) {
+            console.error(`Error trying to ${action} job ${jobId}:`, error);
+            alert(`Failed to ${action} job ${jobId}: ${error.message}`);
+            buttonElement.disabled = false;
+        }
+    }
+    
+    // Asks for a job's tags and project, starting from the current ones; cancelling either prompt changes nothing
+    async function editJobLabels(jobId, buttonElement) {
+        buttonElement.disabled = true;
+        
+        try {
+            const statusResponse = await fetch(`/api/v1/queue/jobs/${jobId}/status`);
+            const job = await statusResponse.json();
+            if (!statusResponse.ok) {
+                throw new Error(job.error || `HTTP error! status: ${statusResponse.status}`);
+            }
+            
+            const tags = prompt('Tags for this job, separated by commas:', (job.tags || []).join(', '));
+            if (tags === null) return;
+            const project = prompt('Project (leave empty for none):', job.project || '');
+            if (project === null) return;
+            
+            const response = await fetch(`/api/v1/queue/jobs/${jobId}/tags`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ tags, project })
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Failed to parse error response' }));
+                throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+            }
+            
+            console.log(`Tags of job ${jobId} updated`);
+            // Connected clients (this one included) re-render the row on the job update broadcast
+            if (!jobClient || !jobClient.socket || !jobClient.socket.connected) {
+                await loadQueueJobs();
+            }
+        } catch (error) {
+            console.error(`Error updating tags of job ${jobId}:`, error);
+            alert(`Failed to update tags of job ${jobId}: ${error.message}`);
+        } finally {
+            buttonElement.disabled = false;
+        }
+    }
+    
+    // Queues a copy of a job, optionally with a random seed instead of the original one
+    async function rerunJob(jobId, newSeed, buttonElement) {
+        const originalText = buttonElement.textContent;
+        buttonElement.textContent = 'Queuing...';
+        buttonElement.disabled = true;
+        
+        try {
+            const response = await fetch(`/api/v1/queue/jobs/${jobId}/clone`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ overrides: newSeed ? { seed: -1 } : {} })
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Failed to parse error response' }));
+                throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+            }
+            
+            const result = await response.json();
+            console.log(`Job ${jobId} re-run as ${result.mobilesd_job_id}${newSeed ? ' with a new seed' : ''}`);
+            // The new job is not in the table yet, so reload rather than wait for a row update
+            await loadQueueJobs();
+        } catch (error) {
+            console.error(`Error re-running job ${jobId}:`, error);
+            alert(`Failed to re-run job ${jobId}: ${error.message}`);
+        } finally {
+            buttonElement.textContent = originalText;
+            buttonElement.disabled = false;
+        }
+    }
+    
+    // Shows the attempt count on retried jobs and when a backed-off job runs next
+    function renderRetryNote(job) {
+        if (!job.retry_count) {
+            return '';
+        }
+        const nextAttempt = job.status === 'pending' && job.run_after
+            ? `, next attempt ${new Date(job.run_after).toLocaleTimeString()}`
+            : '';
+        const lastAttempt = job.result_details?.attempts?.slice(-1)[0];
+        const title = lastAttempt ? escapeHtml(`Last error: ${lastAttempt.error}`).replace(/"/g, '&quot;') : '';
+        return `<div class="job-retry-note" title="${title}">Retry ${job.retry_count}${nextAttempt}</div>`;
+    }
+    
+    // Pending jobs held back until a run_after time (not retries, which renderRetryNote covers)
+    function renderScheduleNote(job) {
+        if (job.status !== 'pending' || job.retry_count || !job.run_after || new Date(job.run_after) <= new Date()) {
+            return '';
+        }
+        return `<div class="job-retry-note">Scheduled for ${new Date(job.run_after).toLocaleString()}</div>`;
+    }
+    
+    // Expired jobs say when they expired and why they never ran
+    function renderExpiryNote(job) {
+        if (job.status !== 'expired') {
+            return '';
+        }
+        const expiredAt = job.result_details?.expired_at || job.completion_timestamp;
+        const title = escapeHtml(job.result_details?.error || '').replace(/"/g, '&quot;');
+        return `<div class="job-retry-note" title="${title}">Expired ${expiredAt ? new Date(expiredAt).toLocaleString() : ''}</div>`;
+    }
+    
+    // Pending jobs that are still waiting on parent jobs say which ones
+    function renderDependencyNote(job) {
+        if (job.status !== 'pending' || !job.blocked_by || job.blocked_by.length === 0) {
+            return '';
+        }
+        const parents = job.blocked_by.map(id => id.substring(0, 8)).join(', ');
+        return `<div class="job-retry-note" title="${job.blocked_by.join(', ')}">Waiting on ${parents}</div>`;
+    }
+    
+    // Jobs submitted with wildcards or {a|b} alternations show the resolved prompt, with the template on hover
+    function renderPromptNote(job) {
+        const template = job.generation_params?.prompt_template;
+        if (!template) {
+            return '';
+        }
+        const prompt = job.generation_params.prompt || job.generation_params.positive_prompt || '';
+        const shortPrompt = prompt.length > 60 ? `${prompt.substring(0, 60)}…` : prompt;
+        const title = escapeHtml(`Template: ${template}`).replace(/"/g, '&quot;');
+        return `<div class="job-retry-note" title="${title}">Prompt: ${escapeHtml(shortPrompt)}</div>`;
+    }
+    
+    // Project and tags of a job, as small labels under its status
+    function renderLabelsNote(job) {
+        const tags = job.tags || [];
+        if (!job.project && tags.length === 0) {
+            return '';
+        }
+        const projectHtml = job.project ? `<span class="job-project" title="Project">${escapeHtml(job.project)}</span>` : '';
+        const tagsHtml = tags.map(tag => `<span class="job-tag">${escapeHtml(tag)}</span>`).join('');
+        return `<div class="job-labels">${projectHtml}${tagsHtml}</div>`;
+    }
+    
+    // Pending and running jobs show when they should start and finish; refreshQueueEstimates fills the note in
+    function renderEstimateNote(job) {
+        if (!['pending', 'processing'].includes(job.status)) {
+            return '';
+        }
+        const estimateText = renderEstimateText(queueEstimates[job.mobilesd_job_id], job.status);
+        return `<div class="job-retry-note job-estimate-note" data-job-id="${job.mobilesd_job_id}" data-status="${job.status}">${estimateText}</div>`;
+    }
+    
+    function renderEstimateText(estimate, status) {
+        if (!estimate) {
+            return '';
+        }
+        const formatTime = iso => {
+            const time = new Date(iso);
+            return time.toDateString() === new Date().toDateString() ? time.toLocaleTimeString() : time.toLocaleString();
+        };
+        const title = `Estimated from recent jobs on ${escapeHtml(estimate.estimated_server_alias || '')}`;
+        const start = status === 'pending' ? `starts ~${formatTime(estimate.estimated_start_at)}, ` : '';
+        return `<span title="${title}">ETA: ${start}done ~${formatTime(estimate.estimated_finish_at)}</span>`;
+    }
+    
+    // Jobs sent to a pool show the pool until the dispatcher assigns a server, then both
+    function renderServerCell(job) {
+        if (!job.target_pool) {
+            return job.target_server_alias || 'Unknown';
+        }
+        if (job.target_server_alias === job.target_pool) {
+            return `<span class="job-pool">Pool: ${job.target_pool}</span>`;
+        }
+        return `${job.target_server_alias} <span class="job-pool">(pool: ${job.target_pool})</span>`;
+    }
+    
+    // Pending jobs get an editable priority, everything else just shows the value
+    function renderPriorityCell(job) {
+        const priority = job.priority ?? 5;
+        if (job.status === 'pending') {
+            return `<input type="number" class="job-priority-input" min="1" max="10" step="1" value="${priority}" data-job-id="${job.mobilesd_job_id}" title="Higher priority jobs are dispatched first (1-10)">`;
+        }
+        return `<span class="job-priority">${priority}</span>`;
+    }
+    
+    function bindPriorityInputs(container) {
+        container.querySelectorAll('.job-priority-input').forEach(input => {
+            input.addEventListener('click', (e) => e.stopPropagation());
+            input.addEventListener('change', () => {
+                const jobId = input.getAttribute('data-job-id');
+                updateJobPriority(jobId, input);
+            });
+        });
+    }
+    
+    async function updateJobPriority(jobId, inputElement) {
+        const priority = parseInt(inputElement.value, 10);
+        inputElement.disabled = true;
+        
+        try {
+            const response = await fetch(`/api/v1/queue/jobs/${jobId}/priority`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ priority })
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Failed to parse error response' }));
+                throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+            }
+            
+            console.log(`Job ${jobId} priority set to ${priority}`);
+        } catch (error) {
+            console.error(`Error updating priority for job ${jobId}:`, error);
+            alert(`Failed to update priority for job ${jobId}: ${error.message}`);
+            await loadQueueJobs();
+        } finally {
+            inputElement.disabled = false;
+        }
     }
     
     async function showJobParameters(jobId) {
         try {
-            // Fetch job details to get the generation parameters
-            const response = await fetch(`/api/v1/queue/jobs/${jobId}/status`);
+            // Fetch job details to get the generation parameters, and its history for the timeline
+            const [response, events] = await Promise.all([
+                fetch(`/api/v1/queue/jobs/${jobId}/status`),
+                fetchJobEvents(jobId)
+            ]);
             if (!response.ok) {
                 throw new Error(`Failed to fetch job details: ${response.status}`);
             }
@@ -952,15 +1530,22 @@ document.addEventListener('DOMContentLoaded', () => {
                 <div class="job-params-display">
                     <div class="job-params-header">
                         <h4>Job ID: ${job.mobilesd_job_id}</h4>
-                        <p><strong>Server:</strong> ${job.target_server_alias || 'Unknown'}</p>
+                        <p><strong>Server:</strong> ${renderServerCell(job)}</p>
                         <p><strong>Status:</strong> ${job.status}</p>
+                        <p><strong>Priority:</strong> ${job.priority ?? 5}</p>
                         <p><strong>App Type:</strong> ${job.app_type || 'forge'}</p>
+                        <p><strong>Mode:</strong> ${job.mode || 'txt2img'}${generationParams.mask || generationParams.mask_from_alpha ? ' (inpaint)' : ''}</p>
                         <p><strong>Source:</strong> ${job.source_info || 'unknown'}</p>
+                        ${job.depends_on && job.depends_on.length > 0 ? `<p><strong>Depends On:</strong> ${job.depends_on.join(', ')}</p>` : ''}
+                        ${job.cloned_from ? `<p><strong>Re-run Of:</strong> ${job.cloned_from}</p>` : ''}
+                        ${job.project ? `<p><strong>Project:</strong> ${escapeHtml(job.project)}</p>` : ''}
+                        ${job.tags && job.tags.length > 0 ? `<p><strong>Tags:</strong> ${escapeHtml(job.tags.join(', '))}</p>` : ''}
                     </div>
                     <div class="job-params-body">
                         <h4>Generation Parameters:</h4>
                         ${formattedParams}
                     </div>
+                    ${renderJobTimeline(events)}
                     <div class="job-params-raw">
                         <details>
                             <summary>Raw JSON Data</summary>
@@ -994,6 +1579,66 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
     
+    // A missing history only hides the timeline, so errors are logged rather than shown
+    async function fetchJobEvents(jobId) {
+        try {
+            const response = await fetch(`/api/v1/queue/jobs/${jobId}/events`);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch job events: ${response.status}`);
+            }
+            return (await response.json()).events;
+        } catch (error) {
+            console.error(`Error fetching events for job ${jobId}:`, error);
+            return null;
+        }
+    }
+    
+    const JOB_EVENT_LABELS = {
+        created: 'Submitted',
+        dispatch_attempt: 'Dispatched',
+        dispatch_failed: 'Attempt failed',
+        progress: 'Progress',
+        priority_changed: 'Priority changed',
+        moved: 'Moved',
+        labels_changed: 'Labels changed',
+        cloned: 'Re-run'
+    };
+    
+    function describeJobEventActor(actor) {
+        if (actor.type === 'api_key') {
+            return `API key ${actor.name || actor.id || ''}`.trim();
+        }
+        if (actor.type === 'ui') {
+            return 'UI';
+        }
+        return actor.id ? `System (${actor.id})` : 'System';
+    }
+    
+    function renderJobTimeline(events) {
+        if (!events || events.length === 0) {
+            return '';
+        }
+        const items = events.map(event => {
+            const label = event.event_type === 'status_changed'
+                ? `${event.from_status || '?'} → ${event.to_status}`
+                : JOB_EVENT_LABELS[event.event_type] || event.event_type;
+            return `
+                <li class="job-timeline-event job-timeline-${event.event_type}">
+                    <span class="job-timeline-time">${new Date(event.created_at).toLocaleString()}</span>
+                    <strong>${escapeHtml(label)}</strong>
+                    <span class="job-timeline-actor">${escapeHtml(describeJobEventActor(event.actor))}</span>
+                    ${event.message ? `<div class="job-timeline-message">${escapeHtml(event.message)}</div>` : ''}
+                </li>
+            `;
+        }).join('');
+        return `
+            <div class="job-params-timeline">
+                <h4>Timeline:</h4>
+                <ol class="job-timeline">${items}</ol>
+            </div>
+        `;
+    }
+    
     function formatGenerationParameters(params) {
         if (!params || typeof params !== 'object') {
             return '<p>No parameters available</p>';
@@ -1001,9 +1646,11 @@ document.addEventListener('DOMContentLoaded', () => {
         
         const sections = {
             'Basic Settings': ['prompt', 'negative_prompt', 'width', 'height', 'steps', 'cfg_scale'],
+            'Dynamic Prompt': ['prompt_template', 'negative_prompt_template', 'prompt_expansion'],
             'Sampling': ['sampler_name', 'scheduler', 'seed', 'subseed', 'subseed_strength'],
             'Batch Settings': ['batch_size', 'n_iter', 'batch_count'],
             'Advanced': ['restore_faces', 'tiling', 'enable_hr', 'hr_scale', 'hr_upscaler', 'hr_second_pass_steps', 'denoising_strength'],
+            'Source Image': ['init_images', 'mask', 'mask_from_alpha', 'resize_mode', 'image_cfg_scale', 'mask_blur', 'inpainting_fill', 'inpaint_full_res', 'inpaint_full_res_padding', 'inpainting_mask_invert', 'initial_noise_multiplier'],
             'Model & Extensions': ['checkpoint_name', 'sd_model_checkpoint', 'styles', 'script_name', 'script_args'],
             'Override Settings': ['override_settings']
         };
@@ -1068,6 +1715,10 @@ document.addEventListener('DOMContentLoaded', () => {
             return `<span class="param-boolean">${value}</span>`;
         }
         
+        if (SOURCE_IMAGE_PARAMS.includes(key)) {
+            return `<div class="job-source-images">${[].concat(value).map(renderSourceImage).join('')}</div>`;
+        }
+        
         if (typeof value === 'number') {
             return `<span class="param-number">${value}</span>`;
         }
@@ -1093,6 +1744,22 @@ document.addEventListener('DOMContentLoaded', () => {
         return escapeHtml(String(value));
     }
     
+    const SOURCE_IMAGE_PARAMS = ['init_images', 'mask'];
+    
+    // Stored source images are shown as thumbnails; an upstream job's output is named, as it may not exist yet
+    function renderSourceImage(value) {
+        const sourceMatch = /^source:\/\/([0-9a-f]{64}\.(?:png|jpg|webp))$/.exec(value);
+        if (sourceMatch) {
+            const url = `/source-images/${sourceMatch[1]}`;
+            return `<a href="${url}" target="_blank"><img class="job-source-image" src="${url}" alt="Source image"></a>`;
+        }
+        const outputMatch = /^job:\/\/([^/]+)\/images\/(\d+)$/.exec(value);
+        if (outputMatch) {
+            return `<span class="param-text">Image ${Number(outputMatch[2]) + 1} of job ${escapeHtml(outputMatch[1])}</span>`;
+        }
+        return '<span class="param-null">(image data)</span>';
+    }
+    
     function escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -1123,6 +1790,13 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
         
+        // Handle the Re-run buttons in the parameters modal
+        if (e.target.id === 'rerun-job-btn' || e.target.id === 'rerun-new-seed-btn') {
+            if (window.currentJobParams) {
+                rerunJob(window.currentJobParams.jobId, e.target.id === 'rerun-new-seed-btn', e.target);
+            }
+        }
+        
         // Handle download parameters button
         if (e.target.id === 'download-params-btn') {
             if (window.currentJobParams) {
@@ -1250,6 +1924,92 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Checkpoint Affinity Functions
+    function initializeCheckpointAffinityControls() {
+        const toggle = document.getElementById('checkpoint-affinity-toggle');
+        const windowInput = document.getElementById('checkpoint-affinity-window');
+        const refreshBtn = document.getElementById('refresh-queue-btn');
+        
+        if (!toggle || !windowInput) {
+            console.warn('Checkpoint affinity control elements not found');
+            return;
+        }
+
+        loadCheckpointAffinity();
+
+        toggle.addEventListener('change', async () => {
+            await setCheckpointAffinity({ enabled: toggle.checked });
+        });
+
+        windowInput.addEventListener('change', async () => {
+            await setCheckpointAffinity({ window: parseInt(windowInput.value, 10) });
+        });
+
+        // Keep the model loads counter current along with the queue
+        if (refreshBtn) {
+            refreshBtn.addEventListener('click', loadCheckpointAffinity);
+        }
+    }
+
+    async function setCheckpointAffinity(update) {
+        try {
+            const response = await fetch('/api/v1/settings/checkpoint-affinity', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(update)
+            });
+
+            const result = await response.json();
+            
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP error! status: ${response.status}`);
+            }
+            updateCheckpointAffinity(result.checkpoint_affinity, result.stats);
+        } catch (error) {
+            console.error('Error updating checkpoint affinity:', error);
+            alert(`Failed to update checkpoint affinity: ${error.message}`);
+            loadCheckpointAffinity();
+        }
+    }
+
+    async function loadCheckpointAffinity() {
+        try {
+            const response = await fetch('/api/v1/settings/checkpoint-affinity');
+            
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            
+            if (result.success) {
+                updateCheckpointAffinity(result.checkpoint_affinity, result.stats);
+            }
+        } catch (error) {
+            console.error('Error loading checkpoint affinity settings:', error);
+        }
+    }
+
+    function updateCheckpointAffinity(affinity, stats) {
+        const toggle = document.getElementById('checkpoint-affinity-toggle');
+        const windowInput = document.getElementById('checkpoint-affinity-window');
+        const statsIndicator = document.getElementById('checkpoint-affinity-stats');
+        
+        if (toggle) {
+            toggle.checked = affinity.enabled;
+        }
+        if (windowInput) {
+            windowInput.value = affinity.window;
+            windowInput.disabled = !affinity.enabled;
+        }
+        if (statsIndicator) {
+            statsIndicator.textContent = `${stats.model_loads_saved} model load${stats.model_loads_saved === 1 ? '' : 's'} saved`;
+            statsIndicator.title = `${stats.checkpoint_switches} checkpoint switches since ${new Date(stats.since).toLocaleString()}`;
+        }
+    }
+
     // Function to manually run a specific job
     async function runJob(jobId, buttonElement) {
         if (!jobId) {
@@ -0,0 +1,269 @@
+/**
+ * inpaintEditor.js
+ * Client-side JavaScript for painting a mask over a gallery image and queueing an inpaint job from it
+ */
+
+// Parameters carried over from the job that produced the image
+const INHERITED_PARAMS = ['checkpoint_name', 'sampler_name', 'scheduler', 'steps', 'cfg_scale'];
+
+class InpaintEditorUI {
+    constructor() {
+        this.modal = document.getElementById('inpaint-modal');
+        this.filenameLabel = document.getElementById('inpaint-filename');
+        this.imageCanvas = document.getElementById('inpaint-image-canvas');
+        this.maskCanvas = document.getElementById('inpaint-mask-canvas');
+        this.brushSizeInput = document.getElementById('inpaint-brush-size');
+        this.eraserCheckbox = document.getElementById('inpaint-eraser');
+        this.clearMaskBtn = document.getElementById('inpaint-clear-btn');
+        this.form = document.getElementById('inpaint-form');
+        this.promptInput = document.getElementById('inpaint-prompt');
+        this.negativePromptInput = document.getElementById('inpaint-negative-prompt');
+        this.targetSelect = document.getElementById('inpaint-target');
+        this.denoisingInput = document.getElementById('inpaint-denoising');
+        this.areaSelect = document.getElementById('inpaint-area');
+        this.fillSelect = document.getElementById('inpaint-fill');
+        this.maskBlurInput = document.getElementById('inpaint-mask-blur');
+        this.paddingInput = document.getElementById('inpaint-padding');
+        this.submitBtn = document.getElementById('inpaint-submit-btn');
+
+        this.filename = null;
+        this.sourceJob = null;
+        this.lastPoint = null;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        if (!this.modal) {
+            return;
+        }
+
+        this.maskCanvas.addEventListener('pointerdown', (e) => {
+            this.maskCanvas.setPointerCapture(e.pointerId);
+            this.lastPoint = this.toCanvasPoint(e);
+            this.paintTo(this.lastPoint);
+        });
+        this.maskCanvas.addEventListener('pointermove', (e) => {
+            if (this.lastPoint) {
+                this.paintTo(this.toCanvasPoint(e));
+            }
+        });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.maskCanvas.addEventListener(type, () => { this.lastPoint = null; });
+        });
+
+        this.clearMaskBtn.addEventListener('click', () => this.clearMask());
+        this.form.addEventListener('submit', (e) => this.handleFormSubmit(e));
+    }
+
+    // Opens the editor on a gallery image, with the prompt and settings of the job that made it when it is known
+    async open(filename) {
+        this.filename = filename;
+        this.sourceJob = null;
+        this.filenameLabel.textContent = filename;
+        this.form.reset();
+
+        try {
+            const image = await this.loadImage(`/outputs/${encodeURIComponent(filename)}`);
+            [this.imageCanvas, this.maskCanvas].forEach(canvas => {
+                canvas.width = image.naturalWidth;
+                canvas.height = image.naturalHeight;
+            });
+            this.imageCanvas.getContext('2d').drawImage(image, 0, 0);
+            this.clearMask();
+        } catch (error) {
+            console.error('Error loading image for inpainting:', error);
+            alert(`Failed to load ${filename}: ${error.message}`);
+            return;
+        }
+
+        this.modal.style.display = 'block';
+        await Promise.all([this.loadSourceJob(filename), this.loadTargets()]);
+        if (this.sourceJob) {
+            const params = this.sourceJob.generation_params || {};
+            this.promptInput.value = params.prompt ?? params.positive_prompt ?? '';
+            this.negativePromptInput.value = params.negative_prompt || '';
+            this.targetSelect.value = this.sourceJob.target_pool || this.sourceJob.target_server_alias;
+        }
+    }
+
+    loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Image could not be loaded'));
+            image.src = url;
+        });
+    }
+
+    // A missing job (deleted or archived) only means the form starts empty
+    async loadSourceJob(filename) {
+        try {
+            const infoResponse = await fetch(`/api/v1/gallery/images/${encodeURIComponent(filename)}/info`);
+            const info = infoResponse.ok ? await infoResponse.json() : null;
+            if (!info || !info.job_id) {
+                return;
+            }
+            const jobResponse = await fetch(`/api/v1/queue/jobs/${info.job_id}/status`);
+            if (jobResponse.ok) {
+                this.sourceJob = await jobResponse.json();
+            }
+        } catch (error) {
+            console.error(`Error loading the job of ${filename}:`, error);
+        }
+    }
+
+    async loadTargets() {
+        try {
+            const [serversResponse, poolsResponse] = await Promise.all([
+                fetch('/api/v1/servers'),
+                fetch('/api/v1/servers/pools')
+            ]);
+            if (!serversResponse.ok) {
+                throw new Error(`Failed to fetch servers: ${serversResponse.status}`);
+            }
+            const servers = await serversResponse.json();
+            const pools = poolsResponse.ok ? await poolsResponse.json() : [];
+            const targets = [...servers.map(server => server.alias), ...pools.map(pool => pool.name)];
+            this.targetSelect.innerHTML = targets
+                .map(target => `<option value="${escapeAttribute(target)}">${escapeAttribute(target)}</option>`)
+                .join('');
+        } catch (error) {
+            console.error('Error loading servers for inpainting:', error);
+        }
+    }
+
+    toCanvasPoint(e) {
+        const rect = this.maskCanvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * this.maskCanvas.width / rect.width,
+            y: (e.clientY - rect.top) * this.maskCanvas.height / rect.height
+        };
+    }
+
+    // Brush size is in screen pixels, so it feels the same however large the image is
+    paintTo(point) {
+        const ctx = this.maskCanvas.getContext('2d');
+        const rect = this.maskCanvas.getBoundingClientRect();
+        ctx.globalCompositeOperation = this.eraserCheckbox.checked ? 'destination-out' : 'source-over';
+        ctx.strokeStyle = 'rgb(255, 0, 0)';
+        ctx.lineWidth = Number(this.brushSizeInput.value) * this.maskCanvas.width / rect.width;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(this.lastPoint.x, this.lastPoint.y);
+        ctx.lineTo(point.x, point.y);
+        ctx.stroke();
+        this.lastPoint = point;
+    }
+
+    clearMask() {
+        this.maskCanvas.getContext('2d').clearRect(0, 0, this.maskCanvas.width, this.maskCanvas.height);
+    }
+
+    /**
+     * Renders the painted strokes as the black and white mask Forge expects: white is repainted, black is kept
+     * @returns {string|null} The mask as a PNG data URI, or null if nothing was painted
+     */
+    exportMask() {
+        const { width, height } = this.maskCanvas;
+        const painted = this.maskCanvas.getContext('2d').getImageData(0, 0, width, height);
+        const mask = document.createElement('canvas');
+        mask.width = width;
+        mask.height = height;
+        const maskCtx = mask.getContext('2d');
+        const maskData = maskCtx.createImageData(width, height);
+        let hasPaint = false;
+        for (let i = 0; i < painted.data.length; i += 4) {
+            const value = painted.data[i + 3] > 0 ? 255 : 0;
+            hasPaint = hasPaint || value === 255;
+            maskData.data[i] = maskData.data[i + 1] = maskData.data[i + 2] = value;
+            maskData.data[i + 3] = 255;
+        }
+        if (!hasPaint) {
+            return null;
+        }
+        maskCtx.putImageData(maskData, 0, 0);
+        return mask.toDataURL('image/png');
+    }
+
+    async handleFormSubmit(e) {
+        e.preventDefault();
+
+        const mask = this.exportMask();
+        if (!mask) {
+            alert('Paint the area to regenerate first.');
+            return;
+        }
+        if (!this.targetSelect.value) {
+            alert('Choose a server to run the job on.');
+            return;
+        }
+
+        const sourceParams = this.sourceJob ? this.sourceJob.generation_params || {} : {};
+        const generationParams = {};
+        INHERITED_PARAMS.forEach(key => {
+            if (sourceParams[key] !== undefined && sourceParams[key] !== null) {
+                generationParams[key] = sourceParams[key];
+            }
+        });
+        Object.assign(generationParams, {
+            prompt: this.promptInput.value,
+            negative_prompt: this.negativePromptInput.value,
+            width: this.imageCanvas.width,
+            height: this.imageCanvas.height,
+            seed: -1,
+            init_images: [this.imageCanvas.toDataURL('image/png')],
+            mask,
+            denoising_strength: Number(this.denoisingInput.value),
+            inpaint_full_res: Number(this.areaSelect.value),
+            inpainting_fill: Number(this.fillSelect.value),
+            mask_blur: Number(this.maskBlurInput.value),
+            inpaint_full_res_padding: Number(this.paddingInput.value)
+        });
+
+        const body = {
+            target_server_alias: this.targetSelect.value,
+            mode: 'img2img',
+            generation_params: generationParams
+        };
+        // The new image belongs with the one it was made from
+        if (this.sourceJob) {
+            body.tags = this.sourceJob.tags;
+            body.project = this.sourceJob.project;
+        }
+
+        this.submitBtn.disabled = true;
+        try {
+            const response = await fetch('/api/v1/generate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || `Failed to queue job: ${response.status}`);
+            }
+            this.modal.style.display = 'none';
+            alert(`Inpaint job ${result.mobilesd_job_id} queued.`);
+        } catch (error) {
+            console.error('Error queueing inpaint job:', error);
+            alert(`Failed to queue inpaint job: ${error.message}`);
+        } finally {
+            this.submitBtn.disabled = false;
+        }
+    }
+}
+
+function escapeAttribute(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Initialize the inpaint editor when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.inpaintEditorUI = new InpaintEditorUI();
+});
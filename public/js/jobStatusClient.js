@@ -23,7 +23,8 @@ class MobileSdJobClient {
       onDisconnect: [],
       onJobUpdate: [],
       onJobProgress: [],
-      onInitialJobs: []
+      onInitialJobs: [],
+      onQueueReordered: []
     };
     
     this.connect();
@@ -80,6 +81,11 @@ class MobileSdJobClient {
       console.log(`[JobClient] Received job progress for job ${data.jobId}: ${data.progress_percentage}%`);
       this._triggerCallbacks('onJobProgress', data);
     });
+    
+    this.socket.on('queue_reordered', (data) => {
+      console.log(`[JobClient] Received queue reorder (${data.pending_order.length} pending jobs)`);
+      this._triggerCallbacks('onQueueReordered', data);
+    });
   }
   
   /**
@@ -154,6 +160,14 @@ class MobileSdJobClient {
     this._registerCallback('onJobProgress', callback);
   }
   
+  /**
+   * Register a callback function for changes to the pending queue order
+   * @param {function} callback - Function to call with { pending_order: [jobId, ...] }
+   */
+  onQueueReordered(callback) {
+    this._registerCallback('onQueueReordered', callback);
+  }
+  
   /**
    * Register a callback for a specific event
    * @private
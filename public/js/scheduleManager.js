@@ -0,0 +1,270 @@
+/**
+ * scheduleManager.js
+ * Client-side JavaScript to manage recurring job schedules and list upcoming runs
+ */
+
+// Main class for the Schedules tab
+class ScheduleManagerUI {
+    constructor() {
+        // List elements
+        this.schedulesTable = document.getElementById('schedules-table');
+        this.schedulesRows = document.getElementById('schedules-rows');
+        this.schedulesEmpty = document.getElementById('schedules-empty');
+        this.refreshSchedulesBtn = document.getElementById('refresh-schedules-btn');
+        this.createScheduleBtn = document.getElementById('create-schedule-btn');
+
+        // Form elements
+        this.scheduleFormContainer = document.getElementById('schedule-form-container');
+        this.scheduleForm = document.getElementById('schedule-form');
+        this.scheduleFormTitle = document.getElementById('schedule-form-title');
+        this.editScheduleIdInput = document.getElementById('edit-schedule-id');
+        this.scheduleNameInput = document.getElementById('schedule-name');
+        this.scheduleCronInput = document.getElementById('schedule-cron');
+        this.scheduleTargetInput = document.getElementById('schedule-target');
+        this.schedulePriorityInput = document.getElementById('schedule-priority');
+        this.scheduleParamsInput = document.getElementById('schedule-params');
+        this.scheduleEnabledCheckbox = document.getElementById('schedule-enabled');
+        this.saveScheduleBtn = document.getElementById('save-schedule-btn');
+        this.cancelScheduleBtn = document.getElementById('cancel-schedule-btn');
+
+        // Upcoming runs elements
+        this.upcomingRunsTable = document.getElementById('upcoming-runs-table');
+        this.upcomingRunsRows = document.getElementById('upcoming-runs-rows');
+        this.upcomingRunsEmpty = document.getElementById('upcoming-runs-empty');
+
+        this.bindEvents();
+    }
+
+    // Initialize event listeners
+    bindEvents() {
+        if (this.refreshSchedulesBtn) {
+            this.refreshSchedulesBtn.addEventListener('click', () => this.fetchAndDisplaySchedules());
+        }
+
+        if (this.createScheduleBtn) {
+            this.createScheduleBtn.addEventListener('click', () => this.showScheduleForm());
+        }
+
+        if (this.scheduleForm) {
+            this.scheduleForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        }
+
+        if (this.cancelScheduleBtn) {
+            this.cancelScheduleBtn.addEventListener('click', () => this.hideScheduleForm());
+        }
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    formatTime(isoString) {
+        return isoString ? new Date(isoString).toLocaleString() : '—';
+    }
+
+    // Fetch and display schedules and the upcoming runs list
+    async fetchAndDisplaySchedules() {
+        if (!this.schedulesRows) return;
+
+        try {
+            const response = await fetch('/api/v1/schedules');
+            if (!response.ok) {
+                throw new Error(`Failed to fetch schedules: ${response.status} ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            const schedules = result.schedules || [];
+
+            this.schedulesRows.innerHTML = '';
+            schedules.forEach(schedule => this.addScheduleRow(schedule));
+
+            this.schedulesTable.style.display = schedules.length > 0 ? 'table' : 'none';
+            this.schedulesEmpty.style.display = schedules.length > 0 ? 'none' : 'block';
+        } catch (error) {
+            console.error('Error fetching schedules:', error);
+            this.schedulesRows.innerHTML = `<tr><td colspan="7" class="error-message">Failed to load schedules: ${this.escapeHtml(error.message)}</td></tr>`;
+            this.schedulesTable.style.display = 'table';
+        }
+
+        this.fetchAndDisplayUpcomingRuns();
+    }
+
+    // Add a row for a schedule to the table
+    addScheduleRow(schedule) {
+        const row = document.createElement('tr');
+        row.dataset.scheduleId = schedule.id;
+
+        const statusBadge = schedule.enabled ?
+            `<span class="status-badge status-active">Enabled</span>` :
+            `<span class="status-badge status-inactive">Disabled</span>`;
+
+        row.innerHTML = `
+            <td>${this.escapeHtml(schedule.name)}</td>
+            <td><code>${this.escapeHtml(schedule.cron_expression)}</code></td>
+            <td>${this.escapeHtml(schedule.target_server_alias)}</td>
+            <td>${this.formatTime(schedule.next_run_at)}</td>
+            <td>${this.formatTime(schedule.last_run_at)}</td>
+            <td>${statusBadge}</td>
+            <td>
+                <button class="edit-schedule-btn small-button">Edit</button>
+                <button class="toggle-schedule-btn small-button">${schedule.enabled ? 'Disable' : 'Enable'}</button>
+                <button class="delete-schedule-btn small-button danger">Delete</button>
+            </td>
+        `;
+
+        row.querySelector('.edit-schedule-btn').addEventListener('click', () => this.showScheduleForm(schedule));
+        row.querySelector('.toggle-schedule-btn').addEventListener('click', () => this.saveSchedule(schedule.id, { enabled: !schedule.enabled }));
+        row.querySelector('.delete-schedule-btn').addEventListener('click', () => this.deleteSchedule(schedule));
+
+        this.schedulesRows.appendChild(row);
+    }
+
+    // Fetch the merged list of upcoming recurring runs and one-off jobs waiting for their run_after time
+    async fetchAndDisplayUpcomingRuns() {
+        if (!this.upcomingRunsRows) return;
+
+        try {
+            const response = await fetch('/api/v1/schedules/upcoming');
+            if (!response.ok) {
+                throw new Error(`Failed to fetch upcoming runs: ${response.status} ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            const runs = result.runs || [];
+
+            this.upcomingRunsRows.innerHTML = runs.map(run => {
+                let source;
+                if (run.type === 'schedule') {
+                    source = `Schedule: ${this.escapeHtml(run.name)}`;
+                } else {
+                    const label = run.type === 'retry' ? 'Retry' : 'Job';
+                    source = `${label} ${this.escapeHtml(run.mobilesd_job_id.substring(0, 8))}...`;
+                }
+                const prompt = run.prompt.length > 60 ? `${run.prompt.substring(0, 60)}...` : run.prompt;
+                return `
+                    <tr>
+                        <td>${this.formatTime(run.run_at)}</td>
+                        <td>${source}</td>
+                        <td>${this.escapeHtml(run.target_server_alias)}</td>
+                        <td title="${this.escapeHtml(run.prompt)}">${this.escapeHtml(prompt)}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            this.upcomingRunsTable.style.display = runs.length > 0 ? 'table' : 'none';
+            this.upcomingRunsEmpty.style.display = runs.length > 0 ? 'none' : 'block';
+        } catch (error) {
+            console.error('Error fetching upcoming runs:', error);
+            this.upcomingRunsRows.innerHTML = `<tr><td colspan="4" class="error-message">Failed to load upcoming runs: ${this.escapeHtml(error.message)}</td></tr>`;
+            this.upcomingRunsTable.style.display = 'table';
+        }
+    }
+
+    // Show the form empty for a new schedule, or filled in for an existing one
+    showScheduleForm(schedule = null) {
+        this.scheduleForm.reset();
+        this.editScheduleIdInput.value = schedule ? schedule.id : '';
+        this.scheduleFormTitle.textContent = schedule ? 'Edit Schedule' : 'Create New Schedule';
+        this.saveScheduleBtn.textContent = schedule ? 'Update Schedule' : 'Create Schedule';
+
+        if (schedule) {
+            this.scheduleNameInput.value = schedule.name;
+            this.scheduleCronInput.value = schedule.cron_expression;
+            this.scheduleTargetInput.value = schedule.target_server_alias;
+            this.schedulePriorityInput.value = schedule.priority;
+            this.scheduleParamsInput.value = JSON.stringify(schedule.generation_params, null, 2);
+            this.scheduleEnabledCheckbox.checked = schedule.enabled;
+        }
+
+        this.scheduleFormContainer.style.display = 'block';
+    }
+
+    hideScheduleForm() {
+        this.scheduleFormContainer.style.display = 'none';
+    }
+
+    // Handle form submit (create or update schedule)
+    async handleFormSubmit(event) {
+        event.preventDefault();
+
+        let generationParams;
+        try {
+            generationParams = JSON.parse(this.scheduleParamsInput.value);
+        } catch (error) {
+            alert(`Generation parameters are not valid JSON: ${error.message}`);
+            return;
+        }
+
+        const scheduleData = {
+            name: this.scheduleNameInput.value.trim(),
+            cron_expression: this.scheduleCronInput.value.trim(),
+            target_server_alias: this.scheduleTargetInput.value.trim(),
+            generation_params: generationParams,
+            enabled: this.scheduleEnabledCheckbox.checked
+        };
+        if (this.schedulePriorityInput.value !== '') {
+            scheduleData.priority = Number(this.schedulePriorityInput.value);
+        }
+
+        const saved = await this.saveSchedule(this.editScheduleIdInput.value, scheduleData);
+        if (saved) {
+            this.hideScheduleForm();
+        }
+    }
+
+    // Create (no ID) or update a schedule, then refresh the lists
+    async saveSchedule(scheduleId, scheduleData) {
+        try {
+            const response = await fetch(scheduleId ? `/api/v1/schedules/${scheduleId}` : '/api/v1/schedules', {
+                method: scheduleId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(scheduleData)
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || `${response.status} ${response.statusText}`);
+            }
+
+            this.fetchAndDisplaySchedules();
+            return true;
+        } catch (error) {
+            console.error('Error saving schedule:', error);
+            alert(`Failed to save schedule: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Delete a schedule after confirmation
+    async deleteSchedule(schedule) {
+        if (!confirm(`Delete schedule "${schedule.name}"? Jobs it already created are kept.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/v1/schedules/${schedule.id}`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to delete schedule: ${response.status} ${response.statusText}`);
+            }
+
+            this.fetchAndDisplaySchedules();
+        } catch (error) {
+            console.error('Error deleting schedule:', error);
+            alert(`Failed to delete schedule: ${error.message}`);
+        }
+    }
+}
+
+// Initialize the Schedule Manager UI when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.scheduleManagerUI = new ScheduleManagerUI();
+});
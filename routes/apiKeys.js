@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const apiKeyManager = require('../utils/apiKeyManager');
 const apiLogger = require('../utils/apiLogger');
+const { normalizeQuotaLimits, getApiKeyQuotaStatus } = require('../utils/apiKeyQuotas');
 const { corsMiddleware } = require('../middleware/apiMiddleware');
 
 /**
@@ -16,9 +17,10 @@ router.get('/', corsMiddleware, (req, res) => {
         // The web UI has administrative access to view API keys without authentication
         // API keys are FOR external applications, not for the web UI itself
         
-        // Add self-links for API
+        // Add quota usage and self-links for API
         const keysWithLinks = apiKeys.map(key => ({
             ...key,
+            quota: getApiKeyQuotaStatus(key.id, key.quota_limits),
             _links: {
                 self: `/api/v1/api-keys/${key.id}`,
                 update: `/api/v1/api-keys/${key.id}`,
@@ -56,7 +58,7 @@ router.get('/', corsMiddleware, (req, res) => {
  */
 router.post('/', corsMiddleware, (req, res) => {
     try {
-        const { name, permissions, custom_rate_limits } = req.body;
+        const { name, permissions, custom_rate_limits, quota_limits } = req.body;
         const requestInfo = apiLogger.getSafeRequestInfo(req);
         
         if (!name || typeof name !== 'string' || name.trim().length === 0) {
@@ -67,8 +69,21 @@ router.post('/', corsMiddleware, (req, res) => {
             });
         }
         
+        let quotaLimitsJson = null;
+        if (quota_limits !== undefined && quota_limits !== null) {
+            const quotaResult = normalizeQuotaLimits(quota_limits);
+            if (quotaResult.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid quota limits provided',
+                    message: quotaResult.error
+                });
+            }
+            quotaLimitsJson = JSON.stringify(quotaResult.limits);
+        }
+        
         // Create the API key
-        const newApiKey = apiKeyManager.createApiKey(name.trim(), permissions, 'default', custom_rate_limits);
+        const newApiKey = apiKeyManager.createApiKey(name.trim(), permissions, 'default', custom_rate_limits, quotaLimitsJson);
         
         // Log the creation
         apiLogger.logApiAccess('API key created successfully', {
@@ -122,6 +137,7 @@ router.get('/:id', corsMiddleware, (req, res) => {
             success: true,
             api_key: {
                 ...apiKey,
+                quota: getApiKeyQuotaStatus(apiKey.id, apiKey.quota_limits),
                 _links: {
                     self: `/api/v1/api-keys/${apiKey.id}`,
                     update: `/api/v1/api-keys/${apiKey.id}`,
@@ -150,13 +166,13 @@ router.get('/:id', corsMiddleware, (req, res) => {
 
 /**
  * @route PUT /api/v1/api-keys/:id
- * @description Update an API key (name, active status, permissions, or rate limits)
+ * @description Update an API key (name, active status, permissions, rate limits or queue quotas)
  * @access Admin (Web UI)
  */
 router.put('/:id', corsMiddleware, (req, res) => {
     try {
         const keyId = req.params.id;
-        const updateData = req.body;
+        const updateData = { ...req.body };
         
         // Get existing key to ensure it exists
         const existingKey = apiKeyManager.getApiKeyById(keyId);
@@ -168,6 +184,19 @@ router.put('/:id', corsMiddleware, (req, res) => {
             });
         }
         
+        // Quotas are stored as JSON; null removes every limit
+        if (updateData.quota_limits !== undefined && updateData.quota_limits !== null) {
+            const quotaResult = normalizeQuotaLimits(updateData.quota_limits);
+            if (quotaResult.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid quota limits provided',
+                    message: quotaResult.error
+                });
+            }
+            updateData.quota_limits = JSON.stringify(quotaResult.limits);
+        }
+        
         // Update the API key
         const updatedKey = apiKeyManager.updateApiKey(keyId, updateData);
         
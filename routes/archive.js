@@ -0,0 +1,80 @@
+const express = require('express');
+const jobQueue = require('../utils/jobQueueHelpers');
+
+const router = express.Router();
+
+const MAX_ARCHIVE_PAGE_SIZE = 200;
+
+// GET /api/v1/archive/jobs - Search jobs the retention policy archived, newest first
+router.get('/jobs', (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ARCHIVE_PAGE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer between 1 and ${MAX_ARCHIVE_PAGE_SIZE}`
+      });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'offset must be a non-negative integer'
+      });
+    }
+    if (req.query.status && !jobQueue.RETENTION_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${jobQueue.RETENTION_STATUSES.join(', ')}`
+      });
+    }
+
+    const { jobs, total } = jobQueue.getArchivedJobs({
+      search: req.query.search ? String(req.query.search) : undefined,
+      status: req.query.status,
+      target_server_alias: req.query.server ? String(req.query.server) : undefined,
+      tag: req.query.tag ? String(req.query.tag).trim() : undefined,
+      project: req.query.project ? String(req.query.project).trim() : undefined,
+      limit,
+      offset
+    });
+    res.json({
+      success: true,
+      jobs,
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Error searching archived jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search archived jobs'
+    });
+  }
+});
+
+// GET /api/v1/archive/jobs/:jobId - Get an archived job
+router.get('/jobs/:jobId', (req, res) => {
+  try {
+    const job = jobQueue.getArchivedJobById(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `Archived job with ID '${req.params.jobId}' not found.`
+      });
+    }
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Error getting archived job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get archived job'
+    });
+  }
+});
+
+module.exports = router;
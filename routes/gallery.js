@@ -1,13 +1,25 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
+const jobQueue = require('../utils/jobQueueHelpers');
 const router = express.Router();
 
 // Environment variable for image save path, with fallback
 const STABLE_DIFFUSION_SAVE_PATH = process.env.STABLE_DIFFUSION_SAVE_PATH || './outputs';
 
-// GET /api/v1/gallery/images - List all images in the gallery
+// GET /api/v1/gallery/images - List all images in the gallery, with the tags and project of the job that made each one
+// Optional ?tag= (all of a comma-separated list must match) and ?project= filters narrow the list to a job's labels
 router.get('/images', async (req, res) => {
+    let tagFilter = null;
+    if (req.query.tag) {
+        const parsed = jobQueue.normalizeJobLabels({ tags: String(req.query.tag) });
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        tagFilter = parsed.labels.tags.map(tag => tag.toLowerCase());
+    }
+    const projectFilter = req.query.project ? String(req.query.project).trim().toLowerCase() : null;
+    
     try {
         console.log(`[Gallery] Listing images from ${STABLE_DIFFUSION_SAVE_PATH}`);
         const files = await fs.readdir(STABLE_DIFFUSION_SAVE_PATH);
@@ -39,12 +51,27 @@ router.get('/images', async (req, res) => {
             };
         }));
         
+        // Images inherit the labels of their job, whether it is still in the queue or archived
+        const jobLabels = jobQueue.getJobLabelsByIdPrefix(imagesWithInfo.map(image => image.job_id_prefix).filter(Boolean));
+        let images = imagesWithInfo.map(image => ({
+            ...image,
+            job_id: jobLabels.get(image.job_id_prefix)?.job_id || null,
+            tags: jobLabels.get(image.job_id_prefix)?.tags || [],
+            project: jobLabels.get(image.job_id_prefix)?.project || null
+        }));
+        if (tagFilter) {
+            images = images.filter(image => tagFilter.every(tag => image.tags.some(imageTag => imageTag.toLowerCase() === tag)));
+        }
+        if (projectFilter) {
+            images = images.filter(image => image.project && image.project.toLowerCase() === projectFilter);
+        }
+        
         // Sort by creation date (newest first)
-        imagesWithInfo.sort((a, b) => b.created - a.created);
+        images.sort((a, b) => b.created - a.created);
         
         res.status(200).json({
-            total: imagesWithInfo.length,
-            images: imagesWithInfo
+            total: images.length,
+            images
         });
     } catch (error) {
         console.error(`[Gallery] Error listing images: ${error.message}`);
@@ -99,12 +126,17 @@ router.get('/images/:filename/info', async (req, res) => {
             jobId = jobIdMatch[1];
         }
         
+        const labels = jobId ? jobQueue.getJobLabelsByIdPrefix([jobId]).get(jobId) : null;
+        
         // Build the response
         const result = {
             filename,
             created: stats.mtime,
             size: stats.size,
             job_id_prefix: jobId,
+            job_id: labels ? labels.job_id : null,
+            tags: labels ? labels.tags : [],
+            project: labels ? labels.project : null,
             url: `/outputs/${filename}` // Assuming this path is configured in app.js to serve static files
         };
         
@@ -1,38 +1,100 @@
 const express = require('express');
 // const { v4: uuidv4 } = require('uuid'); // No longer needed here, job ID created by helper
 const jobQueue = require('../utils/jobQueueHelpers'); // Import the entire module
-const { readServersConfig } = require('../utils/configHelpers');
+const { normalizeRetryPolicy, MAX_RETRY_ATTEMPTS } = require('../utils/retryPolicy');
+const { normalizePromptExpansion, expandGenerationParams } = require('../utils/promptExpansion');
+const { normalizeJobMode, storeSourceImages } = require('../utils/img2img');
+const { readServersConfig, resolveJobTarget } = require('../utils/configHelpers');
 const axios = require('axios');
 const path = require('path');
-const { checkModelAvailability, extractModelHash } = require('../utils/modelDatabase');
+const { checkModelAvailability, extractModelHash, addModelAvailability } = require('../utils/modelDatabase');
+const jobStatusManager = require('../services/jobStatusManager');
+const { parseRawGenerationInfo, getJobEstimate, getQueueEstimates } = require('../services/gradioJobDispatcher');
+const { getServerSpeeds } = require('../utils/generationSpeed');
+const apiKeyManager = require('../utils/apiKeyManager');
+const { v1IdempotencyKey } = require('../middleware/idempotency');
 
 const router = express.Router();
 
 // POST /api/v1/generate - Add job to SQLite queue
-router.post('/generate', async (req, res) => {
+router.post('/generate', v1IdempotencyKey, async (req, res) => {
     console.log("Received POST /api/v1/generate request");
-    const { target_server_alias, generation_params } = req.body;
+    const { target_server_alias, generation_params: requestParams, mode, priority, retry_policy, depends_on, run_after, expires_at, ttl_seconds, prompt_expansion, tags, project } = req.body;
 
     if (!target_server_alias) {
         return res.status(400).json({ error: 'target_server_alias is required' });
     }
 
-    if (!generation_params || typeof generation_params !== 'object' || Object.keys(generation_params).length === 0) {
+    if (!requestParams || typeof requestParams !== 'object' || Object.keys(requestParams).length === 0) {
          return res.status(400).json({ error: 'Invalid or empty generation_params object provided' });
     }
 
-    // Optional: Log if civitai_version_id is provided for model availability checking
-    const { civitaiVersionId, source } = extractCivitaiVersionId(generation_params);
-    if (civitaiVersionId) {
-        console.log(`[API] Generation request includes Civitai version ID: ${civitaiVersionId} (from ${source})`);
+    const modeResult = normalizeJobMode(mode, requestParams);
+    if (modeResult.error) {
+        return res.status(400).json({ error: modeResult.error });
+    }
+    const generation_params = modeResult.generation_params;
+
+    const jobPriority = jobQueue.normalizePriority(priority);
+    if (jobPriority === null) {
+        return res.status(400).json({ error: `priority must be an integer between ${jobQueue.MIN_JOB_PRIORITY} and ${jobQueue.MAX_JOB_PRIORITY}` });
+    }
+
+    const retryPolicy = normalizeRetryPolicy(retry_policy);
+    if (retryPolicy === null) {
+        return res.status(400).json({ error: `retry_policy must be an object with integer max_attempts (1-${MAX_RETRY_ATTEMPTS}), base_delay_ms and max_delay_ms (>= 0)` });
+    }
+
+    const dependsOn = depends_on ?? [];
+    if (!Array.isArray(dependsOn) || !dependsOn.every(id => typeof id === 'string' && id.trim())) {
+        return res.status(400).json({ error: 'depends_on must be an array of job IDs' });
+    }
+    const dependencyError = jobQueue.validateJobDependencies([
+        ...dependsOn,
+        ...jobQueue.findJobOutputReferences(generation_params).map(reference => reference.jobId)
+    ]);
+    if (dependencyError) {
+        return res.status(400).json({ error: dependencyError });
+    }
+
+    const runAfter = jobQueue.normalizeRunAfter(run_after);
+    if (runAfter === null) {
+        return res.status(400).json({ error: 'run_after must be an ISO 8601 date-time' });
+    }
+
+    const expiresAt = jobQueue.normalizeExpiresAt(expires_at, ttl_seconds, runAfter);
+    if (expiresAt === null) {
+        return res.status(400).json({ error: 'Provide either expires_at (an ISO 8601 date-time after the job becomes due) or ttl_seconds (a positive integer), not both' });
+    }
+
+    const labelResult = jobQueue.normalizeJobLabels({ tags, project });
+    if (labelResult.error) {
+        return res.status(400).json({ error: labelResult.error });
+    }
+
+    const expansionOptions = normalizePromptExpansion(prompt_expansion);
+    if (expansionOptions.error) {
+        return res.status(400).json({ error: expansionOptions.error });
+    }
+    const expansion = expandGenerationParams(generation_params, expansionOptions.options);
+    if (expansion.error) {
+        return res.status(400).json({ error: expansion.error });
+    }
+
+    // Optional: Log if a model hash is provided for model availability checking
+    const { hash: modelHash, source } = extractModelHash(generation_params);
+    if (modelHash) {
+        console.log(`[API] Generation request includes model hash: ${modelHash} (from ${source})`);
     } else {
-        console.log(`[API] Generation request has no Civitai version ID (${source})`);
+        console.log(`[API] Generation request has no model hash (${source})`);
     }
 
+    let target;
     try {
         const servers = await readServersConfig();
-        if (!servers.find(s => s.alias === target_server_alias)) {
-            return res.status(404).json({ error: `Server with alias '${target_server_alias}' not found.` });
+        target = resolveJobTarget(servers, target_server_alias);
+        if (!target) {
+            return res.status(404).json({ error: `No server or server pool named '${target_server_alias}' found.` });
         }
     } catch (err) {
         console.error("Error reading server config while validating alias:", err);
@@ -44,10 +106,34 @@ router.post('/generate', async (req, res) => {
         const jobData = {
             target_server_alias: target_server_alias,
             generation_params: generation_params,
-            app_type: generation_params.app_type || 'forge' // Default to forge if not specified
+            app_type: generation_params.app_type || 'forge', // Default to forge if not specified
+            mode: modeResult.mode,
+            priority: jobPriority,
+            target_pool: target.isPool ? target_server_alias : null,
+            retry_policy: retryPolicy,
+            depends_on: dependsOn,
+            run_after: runAfter,
+            expires_at: expiresAt,
+            tags: labelResult.labels.tags,
+            project: labelResult.labels.project
         };
-        console.log(`Attempting to add job to queue for server ${target_server_alias} with params:`, generation_params);
-        const newJobRecord = jobQueue.addJob(jobData);
+        // Images are stored once and referenced, so the log line and the job rows stay small
+        const paramsList = expansion.paramsList.map(storeSourceImages);
+        console.log(`Attempting to add ${modeResult.mode} job to queue for server ${target_server_alias} with params:`, paramsList[0]);
+        
+        // A combinatorial prompt fans out into one job per combination, linked like a bulk submission
+        if (paramsList.length > 1) {
+            const { bulk_job_id, jobs } = jobQueue.addBulkJobs(paramsList.map(params => ({ ...jobData, generation_params: params })));
+            jobs.forEach(job => jobStatusManager.broadcastJobUpdate(jobQueue.getJobById(job.mobilesd_job_id)));
+            console.log(`Prompt expanded into ${jobs.length} jobs (bulk ${bulk_job_id}) added successfully to SQLite queue.`);
+            return res.status(202).json({
+                mobilesd_job_id: jobs[0].mobilesd_job_id,
+                bulk_job_id,
+                job_ids: jobs.map(job => job.mobilesd_job_id)
+            });
+        }
+        
+        const newJobRecord = jobQueue.addJob({ ...jobData, generation_params: paramsList[0] });
         
         console.log(`Job ${newJobRecord.mobilesd_job_id} added successfully to SQLite queue.`);
         res.status(202).json({ mobilesd_job_id: newJobRecord.mobilesd_job_id });
@@ -58,7 +144,7 @@ router.post('/generate', async (req, res) => {
 });
 
 // GET /api/v1/queue/jobs/:jobId/status - Refactored to get job status from SQLite
-router.get('/queue/jobs/:jobId/status', (req, res) => { // Can be synchronous if getJobById is
+router.get('/queue/jobs/:jobId/status', async (req, res) => {
     const { jobId } = req.params;
     console.log(`[API] Received GET /api/v1/queue/jobs/${jobId}/status request`);
 
@@ -113,10 +199,24 @@ router.get('/queue/jobs/:jobId/status', (req, res) => { // Can be synchronous if
             last_updated_timestamp: job.last_updated_timestamp, // Added for more info
             completion_timestamp: job.completion_timestamp,
             target_server_alias: job.target_server_alias,
+            target_pool: job.target_pool,
+            mode: job.mode,
             forge_session_hash: job.forge_session_hash, // Added for more info
             generation_params: job.generation_params, // Already an object
             result_details: job.result_details, // Already an object or null
             retry_count: job.retry_count, // Added for more info
+            run_after: job.run_after,
+            expires_at: ['pending', 'held'].includes(job.status) ? jobQueue.getJobExpiry(job) : job.expires_at,
+            next_attempt_at: job.status === 'pending' && job.retry_count > 0 ? job.run_after : null,
+            last_heartbeat_at: job.heartbeat_at || null,
+            depends_on: job.depends_on,
+            blocked_by: job.blocked_by,
+            bulk_job_id: job.bulk_job_id,
+            cloned_from: job.cloned_from,
+            priority: job.priority,
+            tags: job.tags,
+            project: job.project,
+            ...await getJobEstimate(job),
             model_availability: model_availability
         });
 
@@ -126,55 +226,60 @@ router.get('/queue/jobs/:jobId/status', (req, res) => { // Can be synchronous if
     }
 });
 
-// GET /api/v1/queue/jobs - Get all jobs with optional filtering and pagination
+// GET /api/v1/queue/jobs/:jobId/events - A job's lifecycle history, oldest first
+router.get('/queue/jobs/:jobId/events', (req, res) => {
+    const { jobId } = req.params;
+    console.log(`[API] Received GET /api/v1/queue/jobs/${jobId}/events request`);
+
+    try {
+        const job = jobQueue.getJobById(jobId);
+        if (!job) {
+            return res.status(404).json({ error: `Job with ID '${jobId}' not found.` });
+        }
+
+        // API key actors are shown by name; a deleted key keeps only its ID
+        const keyNames = new Map();
+        const events = jobQueue.getJobEvents(jobId).map(event => {
+            if (event.actor.type !== 'api_key' || !event.actor.id) {
+                return event;
+            }
+            if (!keyNames.has(event.actor.id)) {
+                const apiKey = apiKeyManager.getApiKeyById(event.actor.id);
+                keyNames.set(event.actor.id, apiKey ? apiKey.name : null);
+            }
+            return { ...event, actor: { ...event.actor, name: keyNames.get(event.actor.id) } };
+        });
+
+        res.status(200).json({
+            mobilesd_job_id: jobId,
+            status: job.status,
+            count: events.length,
+            events
+        });
+    } catch (error) {
+        console.error(`[API] Error fetching events for job ${jobId}:`, error);
+        res.status(500).json({ error: 'Failed to retrieve job events.' });
+    }
+});
+
+// GET /api/v1/queue/jobs - List jobs, filtered and searched, with cursor pagination
 router.get('/queue/jobs', (req, res) => {
     console.log('[API] Received GET /api/v1/queue/jobs request');
     
     try {
-        // Parse query parameters
-        const options = {
-            status: req.query.status,
-            limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
-            offset: req.query.offset ? parseInt(req.query.offset, 10) : undefined,
-            order: req.query.order === 'asc' ? 'ASC' : 'DESC'
-        };
+        const queryResult = jobQueue.normalizeJobQuery(req.query);
+        if (queryResult.error) {
+            return res.status(400).json({ error: queryResult.error });
+        }
         
-        const jobs = jobQueue.getAllJobs(options);
-        
-                // Enhance jobs with model availability information using hash-based matching
-        const enhancedJobs = jobs.map(job => {
-            const enhancedJob = { ...job };
-            
-            const { hash, source } = extractModelHash(job.generation_params);
-            
-            if (hash) {
-                const availability = checkModelAvailability(hash, 'checkpoint');
-                        enhancedJob.model_availability = {
-                            available: availability.available,
-                            reason: availability.reason || null,
-                            civitai_model_id: availability.civitai_model_id || null,
-                    hash: availability.hash || hash,
-                    match_type: availability.match_type || null,
-                    checked_field: source,
-                    model_identifier: hash
-                            };
-                        } else {
-                            enhancedJob.model_availability = {
-                                available: false,
-                    reason: source,
-                                civitai_model_id: null,
-                    hash: null,
-                    match_type: null,
-                    checked_field: 'N/A',
-                    model_identifier: null
-                };
-            }
-            
-            return enhancedJob;
-        });
+        const { jobs, next_cursor } = jobQueue.queryJobs(queryResult.query);
+        
+        // Enhance jobs with model availability information using hash-based matching
+        const enhancedJobs = addModelAvailability(jobs);
         
         res.status(200).json({
             total: enhancedJobs.length,
+            next_cursor,
             jobs: enhancedJobs
         });
     } catch (error) {
@@ -183,6 +288,24 @@ router.get('/queue/jobs', (req, res) => {
     }
 });
 
+// GET /api/v1/queue/estimates - Estimated start and finish of every queued job, and the learned server speeds
+router.get('/queue/estimates', async (req, res) => {
+    console.log('[API] Received GET /api/v1/queue/estimates request');
+    
+    try {
+        const { generated_at, queue_paused, jobs } = await getQueueEstimates();
+        res.status(200).json({
+            generated_at,
+            queue_paused,
+            speeds: getServerSpeeds(),
+            jobs: Object.fromEntries(jobs)
+        });
+    } catch (error) {
+        console.error('[API] Error estimating queue times:', error);
+        res.status(500).json({ error: 'Failed to estimate queue times.' });
+    }
+});
+
 // POST /api/v1/queue/jobs/:jobId/cancel - Cancel a job
 router.post('/queue/jobs/:jobId/cancel', (req, res) => {
     const { jobId } = req.params;
@@ -200,10 +323,10 @@ router.post('/queue/jobs/:jobId/cancel', (req, res) => {
             return res.status(404).json({ error: `Job with ID '${jobId}' not found.` });
         }
         
-        // Only jobs in 'pending' or 'processing' status can be cancelled
-        if (job.status !== 'pending' && job.status !== 'processing') {
+        // Only jobs in 'pending', 'held' or 'processing' status can be cancelled
+        if (!['pending', 'held', 'processing'].includes(job.status)) {
             return res.status(400).json({ 
-                error: `Cannot cancel job with status '${job.status}'. Only 'pending' or 'processing' jobs can be cancelled.`,
+                error: `Cannot cancel job with status '${job.status}'. Only 'pending', 'held' or 'processing' jobs can be cancelled.`,
                 job: job
             });
         }
@@ -213,7 +336,7 @@ router.post('/queue/jobs/:jobId/cancel', (req, res) => {
         // For now, we just mark it as cancelled in our database
         
         // Cancel the job
-        const updatedJob = jobQueue.cancelJob(jobId);
+        const updatedJob = jobQueue.cancelJob(jobId, jobQueue.UI_ACTOR);
         
         if (!updatedJob) {
             return res.status(500).json({ error: 'Failed to cancel job.' });
@@ -229,6 +352,299 @@ router.post('/queue/jobs/:jobId/cancel', (req, res) => {
     }
 });
 
+// POST /api/v1/queue/jobs/:jobId/hold - Park a pending job so the dispatcher skips it until released
+router.post('/queue/jobs/:jobId/hold', (req, res) => {
+    const { jobId } = req.params;
+    console.log(`[API] Received POST /api/v1/queue/jobs/${jobId}/hold request`);
+    
+    try {
+        const job = jobQueue.getJobById(jobId);
+        
+        if (!job) {
+            return res.status(404).json({ error: `Job with ID '${jobId}' not found.` });
+        }
+        
+        if (job.status !== 'pending') {
+            return res.status(400).json({ 
+                error: `Cannot hold job with status '${job.status}'. Only 'pending' jobs can be held.`,
+                job: job
+            });
+        }
+        
+        const updatedJob = jobQueue.holdJob(jobId, jobQueue.UI_ACTOR);
+        jobStatusManager.broadcastJobUpdate(updatedJob);
+        jobStatusManager.broadcastQueueReordered();
+        
+        res.status(200).json({
+            message: 'Job held.',
+            job: updatedJob
+        });
+    } catch (error) {
+        console.error(`[API] Error holding job ${jobId}:`, error);
+        res.status(500).json({ error: `Failed to hold job: ${error.message}` });
+    }
+});
+
+// POST /api/v1/queue/jobs/:jobId/release - Return a held job to the queue at its previous position
+router.post('/queue/jobs/:jobId/release', (req, res) => {
+    const { jobId } = req.params;
+    console.log(`[API] Received POST /api/v1/queue/jobs/${jobId}/release request`);
+    
+    try {
+        const job = jobQueue.getJobById(jobId);
+        
+        if (!job) {
+            return res.status(404).json({ error: `Job with ID '${jobId}' not found.` });
+        }
+        
+        if (job.status !== 'held') {
+            return res.status(400).json({ 
+                error: `Cannot release job with status '${job.status}'. Only 'held' jobs can be released.`,
+                job: job
+            });
+        }
+        
+        const updatedJob = jobQueue.releaseJob(jobId, jobQueue.UI_ACTOR);
+        jobStatusManager.broadcastJobUpdate(updatedJob);
+        jobStatusManager.broadcastQueueReordered();
+        
+        res.status(200).json({
+            message: 'Job released.',
+            job: updatedJob
+        });
+    } catch (error) {
+        console.error(`[API] Error releasing job ${jobId}:`, error);
+        res.status(500).json({ error: `Failed to release job: ${error.message}` });
+    }
+});
+
+// Shared by the bulk hold and release endpoints: validates the filters, then updates every matching job
+function handleBulkHoldRelease(action, req, res) {
+    console.log(`[API] Received POST /api/v1/queue/${action} request`);
+    
+    const validation = jobQueue.normalizeBulkJobFilters(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+    
+    try {
+        const updatedJobs = action === 'hold'
+            ? jobQueue.holdJobs(validation.filters, jobQueue.UI_ACTOR)
+            : jobQueue.releaseJobs(validation.filters, jobQueue.UI_ACTOR);
+        updatedJobs.forEach(job => jobStatusManager.broadcastJobUpdate(job));
+        if (updatedJobs.length > 0) {
+            jobStatusManager.broadcastQueueReordered();
+        }
+        
+        res.status(200).json({
+            message: `${action === 'hold' ? 'Held' : 'Released'} ${updatedJobs.length} job(s).`,
+            count: updatedJobs.length,
+            job_ids: updatedJobs.map(job => job.mobilesd_job_id),
+            filters: validation.filters
+        });
+    } catch (error) {
+        console.error(`[API] Error during bulk ${action}:`, error);
+        res.status(500).json({ error: `Failed to ${action} jobs: ${error.message}` });
+    }
+}
+
+// POST /api/v1/queue/hold - Hold every pending job matching target_server_alias, api_key_id, tag and/or project
+router.post('/queue/hold', (req, res) => handleBulkHoldRelease('hold', req, res));
+
+// POST /api/v1/queue/release - Release every held job matching target_server_alias, api_key_id, tag and/or project
+router.post('/queue/release', (req, res) => handleBulkHoldRelease('release', req, res));
+
+// PUT /api/v1/queue/jobs/:jobId/priority - Change the priority of a pending job
+router.put('/queue/jobs/:jobId/priority', (req, res) => {
+    const { jobId } = req.params;
+    console.log(`[API] Received PUT /api/v1/queue/jobs/${jobId}/priority request`);
+    
+    const priority = jobQueue.normalizePriority(req.body.priority);
+    if (req.body.priority === undefined || priority === null) {
+        return res.status(400).json({ error: `priority must be an integer between ${jobQueue.MIN_JOB_PRIORITY} and ${jobQueue.MAX_JOB_PRIORITY}` });
+    }
+    
+    try {
+        const job = jobQueue.getJobById(jobId);
+        
+        if (!job) {
+            return res.status(404).json({ error: `Job with ID '${jobId}' not found.` });
+        }
+        
+        // Once a job has been dispatched its priority no longer has any effect
+        if (job.status !== 'pending') {
+            return res.status(400).json({ 
+                error: `Cannot change priority of job with status '${job.status}'. Only 'pending' jobs can be reprioritized.`,
+                job: job
+            });
+        }
+        
+        const updatedJob = jobQueue.setJobPriority(jobId, priority, jobQueue.UI_ACTOR);
+        jobStatusManager.broadcastJobUpdate(updatedJob);
+        jobStatusManager.broadcastQueueReordered();
+        
+        res.status(200).json({
+            message: `Job priority set to ${priority}.`,
+            job: updatedJob
+        });
+    } catch (error) {
+        console.error(`[API] Error updating priority for job ${jobId}:`, error);
+        res.status(500).json({ error: `Failed to update job priority: ${error.message}` });
+    }
+});
+
+// PUT /api/v1/queue/jobs/:jobId/tags - Replace the tags and/or change the project of a job
+router.put('/queue/jobs/:jobId/tags', (req, res) => {
+    const { jobId } = req.params;
+    console.log(`[API] Received PUT /api/v1/queue/jobs/${jobId}/tags request`);
+    
+    if (req.body.tags === undefined && req.body.project === undefined) {
+        return res.status(400).json({ error: 'Provide tags and/or project' });
+    }
+    const labelResult = jobQueue.normalizeJobLabels(req.body);
+    if (labelResult.error) {
+        return res.status(400).json({ error: labelResult.error });
+    }
+    
+    try {
+        const updatedJob = jobQueue.setJobLabels(jobId, labelResult.labels, jobQueue.UI_ACTOR);
+        if (!updatedJob) {
+            return res.status(404).json({ error: `Job with ID '${jobId}' not found.` });
+        }
+        jobStatusManager.broadcastJobUpdate(updatedJob);
+        
+        res.status(200).json({
+            message: 'Job tags updated.',
+            job: updatedJob
+        });
+    } catch (error) {
+        console.error(`[API] Error updating tags for job ${jobId}:`, error);
+        res.status(500).json({ error: `Failed to update job tags: ${error.message}` });
+    }
+});
+
+// POST /api/v1/queue/jobs/:jobId/move - Move a pending job to the top or bottom of the queue, or next to another pending job
+router.post('/queue/jobs/:jobId/move', (req, res) => {
+    const { jobId } = req.params;
+    const { position, relative_to } = req.body;
+    console.log(`[API] Received POST /api/v1/queue/jobs/${jobId}/move request (${position}${relative_to ? ` ${relative_to}` : ''})`);
+    
+    if (!['top', 'bottom', 'before', 'after'].includes(position)) {
+        return res.status(400).json({ error: "position must be one of 'top', 'bottom', 'before' or 'after'" });
+    }
+    if ((position === 'before' || position === 'after') && !relative_to) {
+        return res.status(400).json({ error: `relative_to is required when position is '${position}'` });
+    }
+    if (relative_to === jobId) {
+        return res.status(400).json({ error: 'A job cannot be moved relative to itself' });
+    }
+    
+    try {
+        const job = jobQueue.getJobById(jobId);
+        if (!job) {
+            return res.status(404).json({ error: `Job with ID '${jobId}' not found.` });
+        }
+        // Only jobs still waiting in the queue have a position
+        if (job.status !== 'pending') {
+            return res.status(400).json({ 
+                error: `Cannot move job with status '${job.status}'. Only 'pending' jobs can be moved.`,
+                job: job
+            });
+        }
+        
+        if (position === 'before' || position === 'after') {
+            const relativeJob = jobQueue.getJobById(relative_to);
+            if (!relativeJob) {
+                return res.status(404).json({ error: `Job with ID '${relative_to}' not found.` });
+            }
+            if (relativeJob.status !== 'pending') {
+                return res.status(400).json({ error: `Cannot move relative to job with status '${relativeJob.status}'. Only 'pending' jobs have a queue position.` });
+            }
+        }
+        
+        const updatedJob = jobQueue.moveJob(jobId, position, relative_to, jobQueue.UI_ACTOR);
+        const pendingOrder = jobQueue.getPendingQueueOrder().map(entry => entry.mobilesd_job_id);
+        jobStatusManager.broadcastJobUpdate(updatedJob);
+        jobStatusManager.broadcastQueueReordered(pendingOrder);
+        
+        res.status(200).json({
+            message: `Job moved ${position === 'top' || position === 'bottom' ? `to the ${position}` : `${position} ${relative_to}`}.`,
+            job: updatedJob,
+            queue_position: pendingOrder.indexOf(jobId) + 1,
+            pending_order: pendingOrder
+        });
+    } catch (error) {
+        console.error(`[API] Error moving job ${jobId}:`, error);
+        res.status(500).json({ error: `Failed to move job: ${error.message}` });
+    }
+});
+
+// POST /api/v1/queue/jobs/:jobId/clone - Queue a new job from an existing job's parameters, with optional overrides
+router.post('/queue/jobs/:jobId/clone', async (req, res) => {
+    const { jobId } = req.params;
+    console.log(`[API] Received POST /api/v1/queue/jobs/${jobId}/clone request`);
+    
+    const overrideResult = jobQueue.normalizeCloneOverrides(req.body.overrides);
+    if (overrideResult.error) {
+        return res.status(400).json({ error: overrideResult.error });
+    }
+    const { overrides } = overrideResult;
+    
+    const job = jobQueue.getJobById(jobId);
+    if (!job) {
+        return res.status(404).json({ error: `Job with ID '${jobId}' not found.` });
+    }
+    
+    // A pool job runs wherever its pool has room again unless a server is given
+    const targetAlias = overrides.target_server_alias || job.target_pool || job.target_server_alias;
+    let target;
+    try {
+        const servers = await readServersConfig();
+        target = resolveJobTarget(servers, targetAlias);
+        if (!target) {
+            return res.status(404).json({ error: `No server or server pool named '${targetAlias}' found.` });
+        }
+    } catch (err) {
+        console.error("Error reading server config while validating alias:", err);
+        return res.status(500).json({ error: 'Failed to validate server alias' });
+    }
+    
+    // Overrides replace individual parameters, so raw generation info is parsed into them first
+    const generationParams = Object.keys(overrides.generation_params).length > 0 && job.generation_params.raw_generation_info
+        ? parseRawGenerationInfo(job.generation_params.raw_generation_info)
+        : job.generation_params;
+    const dependencyError = jobQueue.validateJobDependencies(
+        jobQueue.findJobOutputReferences({ ...generationParams, ...overrides.generation_params }).map(reference => reference.jobId)
+    );
+    if (dependencyError) {
+        return res.status(400).json({ error: dependencyError });
+    }
+    
+    try {
+        const clonedJob = jobQueue.cloneJob(jobId, {
+            target_server_alias: targetAlias,
+            target_pool: target.isPool ? targetAlias : null,
+            priority: overrides.priority,
+            generation_params: generationParams,
+            generation_overrides: overrides.generation_params,
+            actor: jobQueue.UI_ACTOR
+        });
+        console.log(`[API] Job ${clonedJob.mobilesd_job_id} cloned from ${jobId} for '${targetAlias}'.`);
+        jobStatusManager.broadcastJobUpdate(jobQueue.getJobById(clonedJob.mobilesd_job_id));
+        
+        res.status(202).json({
+            mobilesd_job_id: clonedJob.mobilesd_job_id,
+            cloned_from: jobId,
+            target_server_alias: clonedJob.target_server_alias,
+            priority: clonedJob.priority,
+            generation_params: JSON.parse(clonedJob.generation_params_json)
+        });
+    } catch (error) {
+        console.error(`[API] Error cloning job ${jobId}:`, error);
+        res.status(500).json({ error: `Failed to clone job: ${error.message}` });
+    }
+});
+
 // DELETE /api/v1/queue/jobs/:jobId - Delete a job from the queue
 router.delete('/queue/jobs/:jobId', (req, res) => {
     const { jobId } = req.params;
@@ -458,10 +874,18 @@ router.post('/queue/jobs/:jobId/dispatch', async (req, res) => {
             return res.status(404).json({ error: `Job with ID '${jobId}' not found.` });
         }
         
-        // Allow pending and failed jobs to be manually dispatched
-        if (job.status !== 'pending' && job.status !== 'failed') {
+        // Allow pending, failed and expired jobs to be manually dispatched
+        if (!['pending', 'failed', 'expired'].includes(job.status)) {
             return res.status(400).json({ 
-                error: `Cannot dispatch job with status '${job.status}'. Only 'pending' and 'failed' jobs can be dispatched.`,
+                error: `Cannot dispatch job with status '${job.status}'. Only 'pending', 'failed' and 'expired' jobs can be dispatched.`,
+                job: job
+            });
+        }
+        
+        // Parents that have not completed yet would leave nothing for the job's upstream references to read
+        if (job.blocked_by.length > 0) {
+            return res.status(400).json({
+                error: `Cannot dispatch job '${jobId}' before the jobs it depends on have completed: ${job.blocked_by.join(', ')}.`,
                 job: job
             });
         }
@@ -469,25 +893,50 @@ router.post('/queue/jobs/:jobId/dispatch', async (req, res) => {
         // Import the dispatcher and process this specific job
         const dispatcher = require('../services/gradioJobDispatcher');
         
-        console.log(`[API] Manual dispatch: Processing job ${jobId}`);
+        // Starting an expired job by hand overrides its deadline, which would otherwise expire it again if the
+        // run ends up back in the queue for a retry
+        let dispatchJob = job;
+        if (job.status === 'expired') {
+            dispatchJob = jobQueue.updateJob(jobId, { expires_at: null });
+        }
         
-        // We need to create a job object that matches what the dispatcher expects
-        const jobForDispatcher = {
-            mobilesd_job_id: job.mobilesd_job_id,
-            status: job.status,
-            target_server_alias: job.target_server_alias,
-            generation_params: job.generation_params,
-            app_type: job.app_type || 'forge'
-        };
+        // A job sent to a pool (or 'auto') is routed to a member first, the same way the dispatcher routes it
+        const servers = await readServersConfig();
+        const target = resolveJobTarget(servers, job.target_pool || job.target_server_alias);
+        if (target && target.isPool) {
+            const server = dispatcher.pickPoolServer(target.members, dispatchJob);
+            if (!server) {
+                return res.status(409).json({
+                    error: `No server in pool '${target.alias}' can take job '${jobId}' right now.`,
+                    job: dispatchJob
+                });
+            }
+            dispatchJob = jobQueue.updateJob(jobId, {
+                target_server_alias: server.alias,
+                target_pool: target.alias
+            });
+            console.log(`[API] Manual dispatch: Routing job ${jobId} from pool '${target.alias}' to '${server.alias}'`);
+        }
+        
+        console.log(`[API] Manual dispatch: Processing job ${jobId}`);
         
-        // Call the processJob function directly (this is typically called by the dispatcher)
-        await dispatcher.processJob(jobForDispatcher);
+        // Call the processJob function directly (this is typically called by the dispatcher). The stored job is
+        // passed as is so its retry count, retry policy and earlier attempts carry over.
+        await dispatcher.processJob(dispatchJob, jobQueue.UI_ACTOR);
         
         // Get the updated job status after processing
         const updatedJob = jobQueue.getJobById(jobId);
         
+        if (updatedJob.status === 'failed') {
+            const reason = updatedJob.result_details && updatedJob.result_details.error;
+            return res.status(502).json({
+                error: `Job '${jobId}' failed on '${updatedJob.target_server_alias}'${reason ? `: ${reason}` : '.'}`,
+                job: updatedJob
+            });
+        }
+        
         res.status(200).json({
-            message: 'Job dispatched successfully.',
+            message: updatedJob.status === 'completed' ? 'Job dispatched successfully.' : `Job dispatched; it is now '${updatedJob.status}'.`,
             job: updatedJob
         });
         
@@ -0,0 +1,275 @@
+const express = require('express');
+const jobQueue = require('../utils/jobQueueHelpers');
+const { readServersConfig, resolveJobTarget } = require('../utils/configHelpers');
+const { parseCronExpression, getNextRunTime, getUpcomingRunTimes } = require('../utils/cronSchedule');
+const { normalizePromptExpansion } = require('../utils/promptExpansion');
+
+const router = express.Router();
+
+// How many future run times to list for each schedule
+const UPCOMING_RUN_COUNT = 5;
+
+// Adds the next few run times so clients don't need their own cron parser
+const withUpcomingRuns = (schedule) => {
+  let upcomingRuns = [];
+  if (schedule.enabled) {
+    try {
+      upcomingRuns = getUpcomingRunTimes(schedule.cron_expression, UPCOMING_RUN_COUNT).map(date => date.toISOString());
+    } catch (error) {
+      console.warn(`[Schedules] Schedule ${schedule.id} has an invalid cron expression: ${error.message}`);
+    }
+  }
+  return { ...schedule, upcoming_runs: upcomingRuns };
+};
+
+// Validates the fields of a create (all required) or update (only those given) request.
+// Returns { error } or { fields } ready for createSchedule/updateSchedule.
+const parseScheduleFields = async (body, isUpdate) => {
+  const fields = {};
+
+  if (!isUpdate || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name is required' };
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (!isUpdate || body.cron_expression !== undefined) {
+    let parsed;
+    try {
+      parsed = parseCronExpression(body.cron_expression);
+    } catch (error) {
+      return { error: `Invalid cron_expression: ${error.message}` };
+    }
+    // Expressions such as "0 0 31 2 *" parse but never fire
+    if (!getNextRunTime(parsed)) {
+      return { error: 'cron_expression never matches a date' };
+    }
+    fields.cron_expression = body.cron_expression.trim();
+  }
+
+  if (!isUpdate || body.target_server_alias !== undefined) {
+    if (!body.target_server_alias) {
+      return { error: 'target_server_alias is required' };
+    }
+    const servers = await readServersConfig();
+    if (!resolveJobTarget(servers, body.target_server_alias)) {
+      return { error: `No server or server pool named '${body.target_server_alias}' found.` };
+    }
+    fields.target_server_alias = body.target_server_alias;
+  }
+
+  if (!isUpdate || body.generation_params !== undefined) {
+    const params = body.generation_params;
+    if (!params || typeof params !== 'object' || Array.isArray(params) || Object.keys(params).length === 0) {
+      return { error: 'Invalid or empty generation_params object provided' };
+    }
+    fields.generation_params = params;
+    fields.app_type = params.app_type || 'forge';
+  }
+
+  if (body.prompt_expansion !== undefined) {
+    const expansion = normalizePromptExpansion(body.prompt_expansion);
+    if (expansion.error) {
+      return { error: expansion.error };
+    }
+    // Each run queues a single job, so there is nothing for combinations to fan out into
+    if (expansion.options.mode === 'combinatorial') {
+      return { error: 'Combinatorial prompt expansion is not available for schedules' };
+    }
+    fields.prompt_expansion = expansion.options.mode === 'none' ? null : expansion.options;
+  }
+
+  if (body.priority !== undefined) {
+    const priority = jobQueue.normalizePriority(body.priority);
+    if (priority === null) {
+      return { error: `priority must be an integer between ${jobQueue.MIN_JOB_PRIORITY} and ${jobQueue.MAX_JOB_PRIORITY}` };
+    }
+    fields.priority = priority;
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'enabled must be a boolean value' };
+    }
+    fields.enabled = body.enabled;
+  }
+
+  return { fields };
+};
+
+// GET /api/v1/schedules - List recurring schedules with their next run times
+router.get('/', (req, res) => {
+  try {
+    const schedules = jobQueue.getAllSchedules().map(withUpcomingRuns);
+    res.json({
+      success: true,
+      schedules: schedules
+    });
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list schedules'
+    });
+  }
+});
+
+// GET /api/v1/schedules/upcoming - Upcoming recurring runs and pending jobs waiting for their run_after time
+router.get('/upcoming', (req, res) => {
+  try {
+    const runs = [];
+    for (const schedule of jobQueue.getAllSchedules().map(withUpcomingRuns)) {
+      for (const runAt of schedule.upcoming_runs) {
+        runs.push({
+          type: 'schedule',
+          run_at: runAt,
+          schedule_id: schedule.id,
+          name: schedule.name,
+          target_server_alias: schedule.target_server_alias,
+          prompt: schedule.generation_params.positive_prompt || schedule.generation_params.prompt || ''
+        });
+      }
+    }
+    for (const job of jobQueue.getDeferredJobs()) {
+      runs.push({
+        type: job.retry_count > 0 ? 'retry' : 'job',
+        run_at: job.run_after,
+        mobilesd_job_id: job.mobilesd_job_id,
+        target_server_alias: job.target_server_alias,
+        prompt: job.generation_params.positive_prompt || job.generation_params.prompt || ''
+      });
+    }
+    runs.sort((a, b) => a.run_at.localeCompare(b.run_at));
+
+    res.json({
+      success: true,
+      runs: runs
+    });
+  } catch (error) {
+    console.error('Error listing upcoming runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list upcoming runs'
+    });
+  }
+});
+
+// POST /api/v1/schedules - Create a recurring schedule
+router.post('/', async (req, res) => {
+  try {
+    const { error, fields } = await parseScheduleFields(req.body || {}, false);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+
+    const nextRun = getNextRunTime(fields.cron_expression);
+    const schedule = jobQueue.createSchedule({
+      ...fields,
+      next_run_at: nextRun.toISOString()
+    });
+    console.log(`[Schedules] Created schedule '${schedule.name}' (${schedule.id}), first run ${schedule.next_run_at}`);
+
+    res.status(201).json({
+      success: true,
+      schedule: withUpcomingRuns(schedule)
+    });
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create schedule'
+    });
+  }
+});
+
+// GET /api/v1/schedules/:scheduleId - Get a single schedule
+router.get('/:scheduleId', (req, res) => {
+  try {
+    const schedule = jobQueue.getScheduleById(req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: `Schedule with ID '${req.params.scheduleId}' not found.`
+      });
+    }
+    res.json({
+      success: true,
+      schedule: withUpcomingRuns(schedule)
+    });
+  } catch (error) {
+    console.error('Error getting schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get schedule'
+    });
+  }
+});
+
+// PUT /api/v1/schedules/:scheduleId - Update a schedule, including enabling or disabling it
+router.put('/:scheduleId', async (req, res) => {
+  try {
+    const existing = jobQueue.getScheduleById(req.params.scheduleId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: `Schedule with ID '${req.params.scheduleId}' not found.`
+      });
+    }
+
+    const { error, fields } = await parseScheduleFields(req.body || {}, true);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+
+    // Recompute the next run whenever the timing or enabled state changes
+    const cronExpression = fields.cron_expression || existing.cron_expression;
+    const enabled = fields.enabled !== undefined ? fields.enabled : existing.enabled;
+    if (fields.cron_expression !== undefined || fields.enabled !== undefined) {
+      fields.next_run_at = enabled ? getNextRunTime(cronExpression).toISOString() : null;
+    }
+
+    const schedule = jobQueue.updateSchedule(req.params.scheduleId, fields);
+    res.json({
+      success: true,
+      schedule: withUpcomingRuns(schedule)
+    });
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update schedule'
+    });
+  }
+});
+
+// DELETE /api/v1/schedules/:scheduleId - Delete a schedule (jobs it already created are kept)
+router.delete('/:scheduleId', (req, res) => {
+  try {
+    const deleted = jobQueue.deleteSchedule(req.params.scheduleId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `Schedule with ID '${req.params.scheduleId}' not found.`
+      });
+    }
+    res.json({
+      success: true,
+      message: 'Schedule deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete schedule'
+    });
+  }
+});
+
+module.exports = router;
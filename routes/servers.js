@@ -1,13 +1,65 @@
 const express = require('express');
 const {
   readServersConfig,
-  writeServersConfig
+  writeServersConfig,
+  AUTO_TARGET,
+  getPoolNames,
+  getPoolMembers
 } = require('../utils/configHelpers'); // Adjusted path
+const { getServerConcurrency, getActiveLaneJobs, getServerHealth } = require('../services/gradioJobDispatcher');
+const { parseServerRetryFields, MAX_RETRY_ATTEMPTS } = require('../utils/retryPolicy');
+
+const RETRY_FIELDS_MESSAGE = `maxRetryAttempts must be an integer from 1 to ${MAX_RETRY_ATTEMPTS}; retryBaseDelayMs and retryMaxDelayMs must be non-negative integers.`;
 
 const router = express.Router();
 
 // Helper functions (getConfigFilePath, readServersConfig, writeServersConfig) are now in ../utils/configHelpers.js
 
+// Validates the optional per-server concurrency limit; returns undefined when not set
+const parseMaxConcurrentJobs = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    return null;
+  }
+  return parsed;
+};
+
+// Normalizes the optional pool list (array or comma-separated string); returns null when malformed
+const parsePools = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const names = Array.isArray(value) ? value : String(value).split(',');
+  if (!names.every(name => typeof name === 'string')) {
+    return null;
+  }
+  const pools = [...new Set(names.map(name => name.trim()).filter(Boolean))];
+  return pools.length > 0 ? pools : undefined;
+};
+
+// Server aliases and pool names share one namespace because jobs target either by name
+const findTargetNameConflict = (servers, alias, pools = []) => {
+  const otherServers = servers.filter(s => s.alias !== alias);
+  if (alias === AUTO_TARGET) {
+    return `'${AUTO_TARGET}' is reserved and cannot be used as a server alias.`;
+  }
+  if (getPoolNames(otherServers).includes(alias)) {
+    return `'${alias}' is already used as a pool name.`;
+  }
+  for (const pool of pools) {
+    if (pool === AUTO_TARGET) {
+      return `'${AUTO_TARGET}' is reserved and cannot be used as a pool name.`;
+    }
+    if (pool === alias || otherServers.some(s => s.alias === pool)) {
+      return `Pool name '${pool}' is already used as a server alias.`;
+    }
+  }
+  return null;
+};
+
 // --- API Endpoints ---
 
 // GET /api/v1/servers - List all saved server configurations
@@ -28,16 +80,42 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: 'Missing required fields: alias and apiUrl.' });
     }
 
+    const maxConcurrentJobs = parseMaxConcurrentJobs(req.body.maxConcurrentJobs);
+    if (maxConcurrentJobs === null) {
+      return res.status(400).json({ message: 'maxConcurrentJobs must be a positive integer.' });
+    }
+
+    const pools = parsePools(req.body.pools);
+    if (pools === null) {
+      return res.status(400).json({ message: 'pools must be a list of pool names.' });
+    }
+
+    const retryFields = parseServerRetryFields(req.body);
+    if (retryFields === null) {
+      return res.status(400).json({ message: RETRY_FIELDS_MESSAGE });
+    }
+
     const servers = await readServersConfig();
     if (servers.find(s => s.alias === alias)) {
       return res.status(400).json({ message: `Server with alias '${alias}' already exists.` });
     }
+    const conflict = findTargetNameConflict(servers, alias, pools);
+    if (conflict) {
+      return res.status(400).json({ message: conflict });
+    }
 
     const newServer = { 
       alias, 
       apiUrl, 
       auth: auth || null
     };
+    if (maxConcurrentJobs !== undefined) {
+      newServer.maxConcurrentJobs = maxConcurrentJobs;
+    }
+    if (pools !== undefined) {
+      newServer.pools = pools;
+    }
+    Object.assign(newServer, retryFields);
     servers.push(newServer);
     await writeServersConfig(servers);
     res.status(201).json({ message: 'Server configuration added successfully.', server: newServer });
@@ -46,6 +124,26 @@ router.post('/', async (req, res) => {
   }
 });
 
+// GET /api/v1/servers/pools - List server pools (plus 'auto') with each member's load and health
+router.get('/pools', async (req, res) => {
+  try {
+    const servers = await readServersConfig();
+    const describeMember = (server) => ({
+      alias: server.alias,
+      max_concurrent_jobs: getServerConcurrency(server),
+      active_jobs: getActiveLaneJobs(server.alias).length,
+      health: getServerHealth(server.alias)
+    });
+    const pools = [AUTO_TARGET, ...getPoolNames(servers)].map(name => ({
+      name,
+      members: getPoolMembers(servers, name).map(describeMember)
+    }));
+    res.json(pools);
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to retrieve server pools.', error: error.message });
+  }
+});
+
 // GET /api/v1/servers/:alias - Get a specific server configuration by alias
 router.get('/:alias', async (req, res) => {
   try {
@@ -72,6 +170,21 @@ router.put('/:alias', async (req, res) => {
       return res.status(400).json({ message: 'Missing required fields: alias and apiUrl.' });
     }
 
+    const maxConcurrentJobs = parseMaxConcurrentJobs(req.body.maxConcurrentJobs);
+    if (maxConcurrentJobs === null) {
+      return res.status(400).json({ message: 'maxConcurrentJobs must be a positive integer.' });
+    }
+
+    const pools = parsePools(req.body.pools);
+    if (pools === null) {
+      return res.status(400).json({ message: 'pools must be a list of pool names.' });
+    }
+
+    const retryFields = parseServerRetryFields(req.body);
+    if (retryFields === null) {
+      return res.status(400).json({ message: RETRY_FIELDS_MESSAGE });
+    }
+
     let servers = await readServersConfig();
     const serverIndex = servers.findIndex(s => s.alias === originalAlias);
 
@@ -83,6 +196,10 @@ router.put('/:alias', async (req, res) => {
     if (newAlias !== originalAlias && servers.some(s => s.alias === newAlias)) {
       return res.status(400).json({ message: `Another server with alias '${newAlias}' already exists.` });
     }
+    const conflict = findTargetNameConflict(servers.filter((s, i) => i !== serverIndex), newAlias, pools);
+    if (conflict) {
+      return res.status(400).json({ message: conflict });
+    }
 
     // Update the server details
     servers[serverIndex] = {
@@ -90,12 +207,17 @@ router.put('/:alias', async (req, res) => {
       apiUrl,
       // Store authUser and authPass; store as undefined if empty string from form so they might be omitted or set to null
       authUser: authUser || undefined, 
-      authPass: authPass || undefined
+      authPass: authPass || undefined,
+      maxConcurrentJobs,
+      pools,
+      ...retryFields
     };
     
     // Clean up undefined auth properties to ensure they are omitted or null if not provided
     if (servers[serverIndex].authUser === undefined) delete servers[serverIndex].authUser;
     if (servers[serverIndex].authPass === undefined) delete servers[serverIndex].authPass;
+    if (servers[serverIndex].maxConcurrentJobs === undefined) delete servers[serverIndex].maxConcurrentJobs;
+    if (servers[serverIndex].pools === undefined) delete servers[serverIndex].pools;
 
     await writeServersConfig(servers);
     res.json({ message: 'Server configuration updated successfully.', server: servers[serverIndex] });
@@ -1,6 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { readAppSettings, updateAppSetting } = require('../utils/configHelpers');
+const {
+  readAppSettings,
+  writeAppSettings,
+  updateAppSetting,
+  getCheckpointAffinitySettings,
+  MAX_CHECKPOINT_AFFINITY_WINDOW
+} = require('../utils/configHelpers');
+const { getCheckpointAffinityStats } = require('../services/gradioJobDispatcher');
+const {
+  normalizeRetentionPolicy,
+  getRetentionPolicy,
+  saveRetentionPolicy,
+  applyRetentionPolicy,
+  getRetentionStatus,
+  isRetentionRunning
+} = require('../services/retentionManager');
 
 // GET /api/v1/settings - Get current app settings
 router.get('/', async (req, res) => {
@@ -47,6 +62,181 @@ router.put('/queue-processing', async (req, res) => {
   }
 });
 
+// GET /api/v1/settings/checkpoint-affinity - Get checkpoint affinity settings and model load counters
+router.get('/checkpoint-affinity', async (req, res) => {
+  try {
+    const affinity = await getCheckpointAffinitySettings();
+    res.json({
+      success: true,
+      checkpoint_affinity: affinity,
+      stats: getCheckpointAffinityStats()
+    });
+  } catch (error) {
+    console.error('Error getting checkpoint affinity settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get checkpoint affinity settings'
+    });
+  }
+});
+
+// PUT /api/v1/settings/checkpoint-affinity - Toggle checkpoint affinity batching and set its fairness window
+router.put('/checkpoint-affinity', async (req, res) => {
+  try {
+    const { enabled, window } = req.body;
+    
+    if (enabled === undefined && window === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide enabled and/or window'
+      });
+    }
+    
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'enabled must be a boolean value'
+      });
+    }
+    
+    if (window !== undefined && (!Number.isInteger(window) || window < 1 || window > MAX_CHECKPOINT_AFFINITY_WINDOW)) {
+      return res.status(400).json({
+        success: false,
+        error: `window must be an integer between 1 and ${MAX_CHECKPOINT_AFFINITY_WINDOW}`
+      });
+    }
+    
+    const currentSettings = await readAppSettings();
+    const updatedSettings = { ...currentSettings };
+    if (enabled !== undefined) {
+      updatedSettings.checkpointAffinityEnabled = enabled;
+    }
+    if (window !== undefined) {
+      updatedSettings.checkpointAffinityWindow = window;
+    }
+    await writeAppSettings(updatedSettings);
+    
+    const affinity = await getCheckpointAffinitySettings();
+    res.json({
+      success: true,
+      message: `Checkpoint affinity ${affinity.enabled ? 'enabled' : 'disabled'} (window ${affinity.window})`,
+      checkpoint_affinity: affinity,
+      stats: getCheckpointAffinityStats()
+    });
+  } catch (error) {
+    console.error('Error updating checkpoint affinity settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update checkpoint affinity settings'
+    });
+  }
+});
+
+// GET /api/v1/settings/retention - Get the retention policy, its next scheduled run and the last run's summary
+router.get('/retention', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      retention: await getRetentionStatus()
+    });
+  } catch (error) {
+    console.error('Error getting retention policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get retention policy'
+    });
+  }
+});
+
+// PUT /api/v1/settings/retention - Replace the retention policy
+router.put('/retention', async (req, res) => {
+  try {
+    const result = normalizeRetentionPolicy(req.body);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+        field: result.field
+      });
+    }
+
+    await saveRetentionPolicy(result.policy);
+    res.json({
+      success: true,
+      message: `Retention policy ${result.policy.enabled ? 'enabled' : 'disabled'} with ${result.policy.rules.length} rule(s)`,
+      retention: await getRetentionStatus()
+    });
+  } catch (error) {
+    console.error('Error updating retention policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update retention policy'
+    });
+  }
+});
+
+// POST /api/v1/settings/retention/preview - Dry run: what the saved policy, or one given in the body, would archive and delete now
+router.post('/retention/preview', async (req, res) => {
+  try {
+    let policy;
+    if (req.body && Object.keys(req.body).length > 0) {
+      const result = normalizeRetentionPolicy(req.body);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: result.error,
+          field: result.field
+        });
+      }
+      policy = result.policy;
+    } else {
+      policy = await getRetentionPolicy();
+    }
+
+    res.json({
+      success: true,
+      preview: await applyRetentionPolicy(policy, { dryRun: true })
+    });
+  } catch (error) {
+    console.error('Error previewing retention policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview retention policy'
+    });
+  }
+});
+
+// POST /api/v1/settings/retention/run - Apply the saved policy now, whether or not it is enabled
+router.post('/retention/run', async (req, res) => {
+  try {
+    if (isRetentionRunning()) {
+      return res.status(409).json({
+        success: false,
+        error: 'A retention run is already in progress'
+      });
+    }
+
+    const policy = await getRetentionPolicy();
+    if (policy.rules.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The retention policy has no rules'
+      });
+    }
+
+    res.json({
+      success: true,
+      result: await applyRetentionPolicy(policy)
+    });
+  } catch (error) {
+    console.error('Error applying retention policy:', error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to apply retention policy: ${error.message}`
+    });
+  }
+});
+
 // PUT /api/v1/settings - Update multiple settings
 router.put('/', async (req, res) => {
   try {
@@ -66,7 +256,6 @@ router.put('/', async (req, res) => {
     const updatedSettings = { ...currentSettings, ...updates };
     
     // Write back
-    const { writeAppSettings } = require('../utils/configHelpers');
     await writeAppSettings(updatedSettings);
     
     res.json({
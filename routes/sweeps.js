@@ -0,0 +1,168 @@
+const express = require('express');
+const jobQueue = require('../utils/jobQueueHelpers');
+const { readServersConfig, resolveJobTarget } = require('../utils/configHelpers');
+const { normalizeSweepAxes, buildSweepCells } = require('../utils/parameterSweep');
+const jobStatusManager = require('../services/jobStatusManager');
+
+const router = express.Router();
+
+// Adds per-status job counts and, once assembled, where the grid can be fetched
+const withProgress = (sweep) => {
+  const jobs = jobQueue.getJobsByBulkId(sweep.bulk_job_id);
+  const jobCounts = {};
+  jobQueue.JOB_STATUSES.forEach(status => {
+    jobCounts[status] = jobs.filter(job => job.status === status).length;
+  });
+  return {
+    ...sweep,
+    total_jobs: jobs.length,
+    job_counts: jobCounts,
+    grid_url: sweep.grid_filename ? `/outputs/${sweep.grid_filename}` : null
+  };
+};
+
+// GET /api/v1/sweeps - List parameter sweeps, newest first
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      sweeps: jobQueue.getAllSweeps(req.query.status).map(withProgress)
+    });
+  } catch (error) {
+    console.error('Error listing sweeps:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sweeps'
+    });
+  }
+});
+
+// POST /api/v1/sweeps - Queue one job per combination of up to three axes of parameter values
+router.post('/', async (req, res) => {
+  try {
+    const { name, target_server_alias, generation_params, axes, priority, app_type, source_info, tags, project } = req.body || {};
+
+    if (!target_server_alias) {
+      return res.status(400).json({
+        success: false,
+        error: 'target_server_alias is required'
+      });
+    }
+    if (!generation_params || typeof generation_params !== 'object' || Array.isArray(generation_params) || Object.keys(generation_params).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or empty generation_params object provided'
+      });
+    }
+    if (name !== undefined && typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'name must be a string'
+      });
+    }
+    if (priority !== undefined && jobQueue.normalizePriority(priority) === null) {
+      return res.status(400).json({
+        success: false,
+        error: `priority must be an integer between ${jobQueue.MIN_JOB_PRIORITY} and ${jobQueue.MAX_JOB_PRIORITY}`
+      });
+    }
+
+    const labelResult = jobQueue.normalizeJobLabels({ tags, project });
+    if (labelResult.error) {
+      return res.status(400).json({
+        success: false,
+        error: labelResult.error
+      });
+    }
+
+    const axesResult = normalizeSweepAxes(axes);
+    if (axesResult.error) {
+      return res.status(400).json({
+        success: false,
+        error: axesResult.error
+      });
+    }
+
+    const servers = await readServersConfig();
+    const target = resolveJobTarget(servers, target_server_alias);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: `No server or server pool named '${target_server_alias}' found.`
+      });
+    }
+
+    const cells = buildSweepCells(generation_params, axesResult.axes);
+    const { bulk_job_id, jobs } = jobQueue.addBulkJobs(cells.map(cell => ({
+      target_server_alias,
+      generation_params: cell.generation_params,
+      app_type: app_type || 'forge',
+      source_info: source_info || 'sweep',
+      priority,
+      target_pool: target.isPool ? target_server_alias : null,
+      tags: labelResult.labels.tags,
+      project: labelResult.labels.project
+    })));
+    jobs.forEach(job => jobStatusManager.broadcastJobUpdate(jobQueue.getJobById(job.mobilesd_job_id)));
+
+    const sweep = jobQueue.createSweep({
+      name: name ? name.trim() : null,
+      target_server_alias,
+      generation_params,
+      axes: axesResult.axes,
+      cells: cells.map((cell, index) => ({
+        mobilesd_job_id: jobs[index].mobilesd_job_id,
+        x: cell.x,
+        y: cell.y,
+        z: cell.z
+      })),
+      bulk_job_id
+    });
+    console.log(`[Sweeps] Created sweep ${sweep.id}: ${jobs.length} jobs over ${axesResult.axes.map(axis => axis.param).join(' x ')} on '${target_server_alias}'`);
+
+    res.status(202).json({
+      success: true,
+      sweep: withProgress(sweep)
+    });
+  } catch (error) {
+    console.error('Error creating sweep:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create sweep'
+    });
+  }
+});
+
+// GET /api/v1/sweeps/:sweepId - Get a sweep with the status of its jobs and its grid once assembled
+router.get('/:sweepId', (req, res) => {
+  try {
+    const sweep = jobQueue.getSweepById(req.params.sweepId);
+    if (!sweep) {
+      return res.status(404).json({
+        success: false,
+        error: `Sweep with ID '${req.params.sweepId}' not found.`
+      });
+    }
+
+    const jobsById = new Map(jobQueue.getJobsByBulkId(sweep.bulk_job_id).map(job => [job.mobilesd_job_id, job]));
+    res.json({
+      success: true,
+      sweep: {
+        ...withProgress(sweep),
+        cells: sweep.cells.map(cell => ({
+          ...cell,
+          status: jobsById.get(cell.mobilesd_job_id)?.status || null,
+          images: jobsById.get(cell.mobilesd_job_id)?.result_details?.saved_filenames || []
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error getting sweep:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get sweep'
+    });
+  }
+});
+
+module.exports = router;
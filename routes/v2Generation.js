@@ -1,11 +1,22 @@
 const express = require('express');
 const path = require('path');
-const { checkModelAvailability, extractModelHash } = require('../utils/modelDatabase');
+const { checkModelAvailability, extractModelHash, addModelAvailability } = require('../utils/modelDatabase');
 const jobQueue = require('../utils/jobQueueHelpers');
-const { readServersConfig } = require('../utils/configHelpers');
+const { normalizeRetryPolicy, MAX_RETRY_ATTEMPTS } = require('../utils/retryPolicy');
+const { buildBulkSeeds } = require('../utils/seedVariation');
+const { normalizePromptExpansion, expandGenerationParams } = require('../utils/promptExpansion');
+const { normalizeJobMode, storeSourceImages } = require('../utils/img2img');
+const { checkApiKeyQuota } = require('../utils/apiKeyQuotas');
+const { readServersConfig, resolveJobTarget } = require('../utils/configHelpers');
 const rateLimit = require('express-rate-limit');
-const { apiAuthWithJobRateLimit, handleApiError } = require('../middleware/apiMiddleware');
-const { apiLogger } = require('../utils/apiLogger');
+const { apiAuthWithJobRateLimit } = require('../middleware/apiMiddleware');
+const { idempotencyKey } = require('../middleware/idempotency');
+const { handleApiError } = require('../utils/apiErrorHandler');
+const apiLogger = require('../utils/apiLogger');
+const jobStatusManager = require('../services/jobStatusManager');
+const { getLaneQueueInfo, parseRawGenerationInfo, getJobEstimate } = require('../services/gradioJobDispatcher');
+const { getServerCapabilities } = require('../services/forgeCapabilities');
+const { validateGenerationParams } = require('../utils/generationValidator');
 
 const router = express.Router();
 
@@ -151,19 +162,100 @@ function processGenerationPayload(generationParams) {
     }
 }
 
+/**
+ * Validates the queueing options shared by single and bulk submissions
+ * @param {object} body - Request body
+ * @returns {{options: object}|{field: string, customMessage: string}} The options, or the field that is invalid
+ */
+function parseJobOptions(body) {
+    const priority = jobQueue.normalizePriority(body.priority);
+    if (priority === null) {
+        return { field: 'priority', customMessage: `priority must be an integer between ${jobQueue.MIN_JOB_PRIORITY} and ${jobQueue.MAX_JOB_PRIORITY}` };
+    }
+
+    const retryPolicy = normalizeRetryPolicy(body.retry_policy);
+    if (retryPolicy === null) {
+        return { field: 'retry_policy', customMessage: `retry_policy must be an object with integer max_attempts (1-${MAX_RETRY_ATTEMPTS}), base_delay_ms and max_delay_ms (>= 0)` };
+    }
+
+    const dependsOn = body.depends_on ?? [];
+    if (!Array.isArray(dependsOn) || !dependsOn.every(id => typeof id === 'string' && id.trim())) {
+        return { field: 'depends_on', customMessage: 'depends_on must be an array of job IDs' };
+    }
+
+    const runAfter = jobQueue.normalizeRunAfter(body.run_after);
+    if (runAfter === null) {
+        return { field: 'run_after', customMessage: 'run_after must be an ISO 8601 date-time' };
+    }
+
+    const expiresAt = jobQueue.normalizeExpiresAt(body.expires_at, body.ttl_seconds, runAfter);
+    if (expiresAt === null) {
+        return {
+            field: body.expires_at !== undefined ? 'expires_at' : 'ttl_seconds',
+            customMessage: 'Provide either expires_at (an ISO 8601 date-time after the job becomes due) or ttl_seconds (a positive integer), not both'
+        };
+    }
+
+    const labelResult = jobQueue.normalizeJobLabels({ tags: body.tags, project: body.project });
+    if (labelResult.error) {
+        return { field: labelResult.field, customMessage: labelResult.error };
+    }
+
+    return {
+        options: {
+            priority,
+            retry_policy: retryPolicy,
+            depends_on: dependsOn,
+            run_after: runAfter,
+            expires_at: expiresAt,
+            tags: labelResult.labels.tags,
+            project: labelResult.labels.project
+        }
+    };
+}
+
+/**
+ * Normalizes checkpoint path separators for Forge jobs
+ */
+function normalizeCheckpointName(params, appType) {
+    if (!params.checkpoint_name || appType !== 'forge') {
+        return;
+    }
+    console.log(`[API v2] Normalizing checkpoint path: ${params.checkpoint_name}`);
+    try {
+        // Convert both forward and backslashes to system-specific separator
+        const normalizedPath = params.checkpoint_name.replace(/[\/\\]+/g, '/');
+        params.checkpoint_name = normalizedPath;
+        console.log(`[API v2] Normalized checkpoint path: ${normalizedPath}`);
+    } catch (error) {
+        console.error(`[API v2] Error normalizing checkpoint path:`, error);
+        // Continue with original path if normalization fails
+    }
+}
+
+/**
+ * Checks parameter sets against Forge's bounds and the samplers, models and LoRAs the target's servers offer
+ * @param {Array<object>} paramsList - Parameter sets the submission would queue
+ * @param {object} target - Resolved job target from resolveJobTarget
+ * @returns {Promise<{errors: Array<object>, warnings: Array<object>}>} Field-level problems
+ */
+async function checkGenerationParams(paramsList, target) {
+    const capabilitiesList = await Promise.all(target.members.map(server => getServerCapabilities(server)));
+    return validateGenerationParams(paramsList, capabilitiesList);
+}
+
 /**
  * @route POST /api/v2/generate
  * @description Submit a new generation job with extended parameters for app type and authentication
  * @access Requires API key
  */
-router.post('/generate', apiAuthWithJobRateLimit, async (req, res) => {
+router.post('/generate', apiAuthWithJobRateLimit, idempotencyKey, async (req, res) => {
     console.log("[API v2] Received POST /api/v2/generate request");
     const { 
         app_type,
         target_server_alias, 
         generation_params,
         generation_info_raw,
-        priority,
         source_info
     } = req.body;
 
@@ -178,6 +270,15 @@ router.post('/generate', apiAuthWithJobRateLimit, async (req, res) => {
         });
     }
 
+    // ?validate=strict runs the checks of /generate/validate first and refuses the job if any fail
+    const strictValidation = req.query.validate === 'strict';
+    if (req.query.validate !== undefined && !strictValidation) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: 'validate',
+            customMessage: "validate must be 'strict'"
+        });
+    }
+
     // Check if we have either generation_params or generation_info_raw
     if (generation_info_raw && typeof generation_info_raw === 'string' && generation_info_raw.trim()) {
         console.log("[API v2] Received raw generation info, will process later");
@@ -189,6 +290,23 @@ router.post('/generate', apiAuthWithJobRateLimit, async (req, res) => {
         });
     }
 
+    const jobOptions = parseJobOptions(req.body);
+    if (!jobOptions.options) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: jobOptions.field,
+            customMessage: jobOptions.customMessage
+        });
+    }
+    const {
+        priority: jobPriority,
+        retry_policy: retryPolicy,
+        depends_on: dependsOn,
+        run_after: runAfter,
+        expires_at: expiresAt,
+        tags,
+        project
+    } = jobOptions.options;
+
     // Default app_type is 'forge' if not specified
     const validAppType = app_type || 'forge';
     
@@ -215,27 +333,57 @@ router.post('/generate', apiAuthWithJobRateLimit, async (req, res) => {
     // More robust checkpoint parameter normalization (skip for raw generation info)
     console.log(`[API v2] Checking generation parameters for app_type: ${validAppType}`);
     
-    if (!isRawGenerationInfo && processedParams.checkpoint_name && validAppType === 'forge') {
-        // Normalize checkpoint paths for Forge
-        console.log(`[API v2] Normalizing checkpoint path: ${processedParams.checkpoint_name}`);
-        try {
-            // Convert both forward and backslashes to system-specific separator
-            const normalizedPath = processedParams.checkpoint_name.replace(/[\/\\]+/g, '/');
-            processedParams.checkpoint_name = normalizedPath;
-            console.log(`[API v2] Normalized checkpoint path: ${normalizedPath}`);
-        } catch (error) {
-            console.error(`[API v2] Error normalizing checkpoint path:`, error);
-            // Continue with original path if normalization fails
-        }
+    if (!isRawGenerationInfo) {
+        normalizeCheckpointName(processedParams, validAppType);
+    }
+
+    // img2img jobs carry their init images in generation_params, so raw generation info is always txt2img
+    const modeResult = normalizeJobMode(req.body.mode, processedParams);
+    if (modeResult.error) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: modeResult.field,
+            customMessage: modeResult.error
+        });
     }
+    processedParams = modeResult.generation_params;
     
-    // Validate the target server exists in config
+    // Resolve wildcards and {a|b} alternations; combinatorial mode yields one parameter set per combination
+    const expansionOptions = normalizePromptExpansion(req.body.prompt_expansion);
+    if (!expansionOptions.options) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: expansionOptions.field,
+            customMessage: expansionOptions.error
+        });
+    }
+    const expansion = expandGenerationParams(processedParams, expansionOptions.options);
+    if (!expansion.paramsList) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: expansion.field,
+            customMessage: expansion.error
+        });
+    }
+    
+    // Parents must exist and still be able to complete, including jobs whose output images are referenced
+    const dependencyError = jobQueue.validateJobDependencies([
+        ...dependsOn,
+        ...jobQueue.findJobOutputReferences(processedParams).map(reference => reference.jobId)
+    ]);
+    if (dependencyError) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: 'depends_on',
+            customMessage: dependencyError
+        });
+    }
+    
+    // Validate the target is a configured server, a server pool or 'auto'
+    let target;
     try {
         const servers = await readServersConfig();
-        if (!servers.find(s => s.alias === target_server_alias)) {
+        target = resolveJobTarget(servers, target_server_alias);
+        if (!target) {
             return handleApiError(res, 'SERVER_NOT_FOUND', req, {
                 alias: target_server_alias,
-                customMessage: `Server with alias '${target_server_alias}' not found.`
+                customMessage: `No server or server pool named '${target_server_alias}' found.`
             });
         }
     } catch (err) {
@@ -245,31 +393,115 @@ router.post('/generate', apiAuthWithJobRateLimit, async (req, res) => {
         }, err);
     }
     
+    let validation = null;
+    if (strictValidation) {
+        try {
+            // Raw generation info is normally parsed at dispatch, so parse it here to have something to check
+            const paramsToCheck = isRawGenerationInfo
+                ? [parseRawGenerationInfo(processedParams.raw_generation_info)]
+                : expansion.paramsList;
+            validation = await checkGenerationParams(paramsToCheck, target);
+        } catch (error) {
+            validation = {
+                errors: [{ field: 'generation_info_raw', message: `Failed to parse generation info: ${error.message}` }],
+                warnings: []
+            };
+        }
+        if (validation.errors.length > 0) {
+            return handleApiError(res, 'VALIDATION_FAILED', req, {
+                errors: validation.errors,
+                warnings: validation.warnings,
+                customMessage: `Generation parameters failed validation: ${validation.errors[0].message}`
+            });
+        }
+    }
+    
     // Prepare for rate limiting - ensure we have a key ID from middleware
     if (!req.apiKeyId) {
         return handleApiError(res, 'AUTHENTICATION_REQUIRED', req, {
             customMessage: 'Authentication error: API key ID not found'
         });
     }
+    
+    // Checked last, right before queueing, so nothing can slip in between
+    const quotaError = checkApiKeyQuota(req.apiKeyId, req.apiKeyQuotaLimits, expansion.paramsList);
+    if (quotaError) {
+        return handleApiError(res, 'QUOTA_EXCEEDED', req, quotaError);
+    }
 
     try {
+        // Images are stored once and referenced from each job's parameters
+        const paramsList = expansion.paramsList.map(storeSourceImages);
+
         // Add the job to the queue with extended information
         const jobDataForQueue = {
             target_server_alias,
             generation_params: processedParams, // Use processed parameters
             app_type: validAppType,
+            mode: modeResult.mode,
             source_info: source_info || 'extension', // Default source is 'extension'
-            api_key_id: req.apiKeyId // From the authentication middleware
+            api_key_id: req.apiKeyId, // From the authentication middleware
+            priority: jobPriority,
+            target_pool: target.isPool ? target_server_alias : null,
+            retry_policy: retryPolicy,
+            depends_on: dependsOn,
+            run_after: runAfter,
+            expires_at: expiresAt,
+            tags,
+            project
         };
         
-        console.log(`[API v2] Adding job to queue for app_type ${validAppType}, server ${target_server_alias}`);
-        const newJobRecord = jobQueue.addJob(jobDataForQueue);
+        console.log(`[API v2] Adding ${modeResult.mode} job to queue for app_type ${validAppType}, server ${target_server_alias}`);
+        
+        if (paramsList.length > 1) {
+            // Combinatorial fan-out is queued like a bulk submission so it can be tracked and cancelled together
+            const { bulk_job_id, jobs } = jobQueue.addBulkJobs(paramsList.map(params => ({
+                ...jobDataForQueue,
+                generation_params: params
+            })));
+            jobs.forEach(job => jobStatusManager.broadcastJobUpdate(jobQueue.getJobById(job.mobilesd_job_id)));
+            const firstLaneInfo = getLaneQueueInfo(target, jobs[0].mobilesd_job_id);
+            
+            console.log(`[API v2] Prompt expanded into ${jobs.length} jobs (bulk ${bulk_job_id}) on '${target_server_alias}'`);
+            
+            apiLogger.logApiAccess('Combinatorial prompt submitted successfully', {
+                request: requestInfo,
+                bulk_job_id,
+                job_count: jobs.length,
+                app_type: validAppType,
+                target_server_alias
+            });
+            
+            return res.status(202).json({
+                success: true,
+                mobilesd_job_id: jobs[0].mobilesd_job_id,
+                bulk_job_id,
+                queue_position: firstLaneInfo.queue_position,
+                estimated_wait_seconds: firstLaneInfo.estimated_wait_seconds,
+                priority: jobs[0].priority,
+                app_type: jobs[0].app_type,
+                mode: jobs[0].mode,
+                creation_timestamp: jobs[0].creation_timestamp,
+                target_server_alias,
+                target_pool: jobs[0].target_pool,
+                tags: jobs[0].tags,
+                project: jobs[0].project,
+                jobs: jobs.map((job, index) => ({
+                    mobilesd_job_id: job.mobilesd_job_id,
+                    prompt: paramsList[index].prompt,
+                    queue_position: getLaneQueueInfo(target, job.mobilesd_job_id).queue_position
+                })),
+                ...(validation ? { warnings: validation.warnings } : {})
+            });
+        }
+        
+        const newJobRecord = jobQueue.addJob({ ...jobDataForQueue, generation_params: paramsList[0] });
         
-        // Calculate queue position for better user feedback
-        const pendingJobs = jobQueue.findPendingJobs();
-        const queuePosition = pendingJobs.findIndex(job => job.mobilesd_job_id === newJobRecord.mobilesd_job_id) + 1;
+        // Calculate queue position within the target's lanes for better user feedback
+        const laneInfo = getLaneQueueInfo(target, newJobRecord.mobilesd_job_id);
+        const queuePosition = laneInfo.queue_position;
         
-        console.log(`[API v2] Job ${newJobRecord.mobilesd_job_id} added successfully. Queue position: ${queuePosition}`);
+        console.log(`[API v2] Job ${newJobRecord.mobilesd_job_id} added successfully. Queue position: ${queuePosition} on '${target_server_alias}', estimated wait: ${laneInfo.estimated_wait_seconds}s`);
         
         // Log successful job submission
         apiLogger.logApiAccess('Job submitted successfully', {
@@ -277,6 +509,7 @@ router.post('/generate', apiAuthWithJobRateLimit, async (req, res) => {
             job_id: newJobRecord.mobilesd_job_id,
             app_type: validAppType,
             queue_position: queuePosition,
+            priority: newJobRecord.priority,
             target_server_alias
         });
         
@@ -285,9 +518,23 @@ router.post('/generate', apiAuthWithJobRateLimit, async (req, res) => {
             success: true,
             mobilesd_job_id: newJobRecord.mobilesd_job_id,
             queue_position: queuePosition,
+            estimated_wait_seconds: laneInfo.estimated_wait_seconds,
+            lane: {
+                concurrency: laneInfo.lane_concurrency,
+                active_jobs: laneInfo.lane_active_jobs
+            },
+            priority: newJobRecord.priority,
             app_type: newJobRecord.app_type,
+            mode: newJobRecord.mode,
             creation_timestamp: newJobRecord.creation_timestamp,
-            target_server_alias: newJobRecord.target_server_alias
+            target_server_alias: newJobRecord.target_server_alias,
+            target_pool: newJobRecord.target_pool,
+            depends_on: newJobRecord.depends_on,
+            run_after: newJobRecord.run_after,
+            expires_at: jobQueue.getJobExpiry(newJobRecord),
+            tags: newJobRecord.tags,
+            project: newJobRecord.project,
+            ...(validation ? { warnings: validation.warnings } : {})
         });
     } catch (error) {
         console.error(`[API v2] Failed to add job to queue:`, error);
@@ -297,14 +544,422 @@ router.post('/generate', apiAuthWithJobRateLimit, async (req, res) => {
     }
 });
 
-// Bulk endpoint will be added later - focusing on single job functionality first
+/**
+ * @route POST /api/v2/generate/validate
+ * @description Dry run of /generate: checks the request, including its parameters against the target's servers,
+ *              and reports field-level errors and warnings without queueing anything
+ * @access Requires API key
+ */
+router.post('/generate/validate', apiAuthWithJobRateLimit, async (req, res) => {
+    console.log("[API v2] Received POST /api/v2/generate/validate request");
+    const { app_type, target_server_alias, generation_params, generation_info_raw } = req.body;
+    const errors = [];
+
+    const jobOptions = parseJobOptions(req.body);
+    if (!jobOptions.options) {
+        errors.push({ field: jobOptions.field, message: jobOptions.customMessage });
+    }
+
+    const expansionOptions = normalizePromptExpansion(req.body.prompt_expansion);
+    if (!expansionOptions.options) {
+        errors.push({ field: expansionOptions.field, message: expansionOptions.error });
+    }
+
+    // Parameter sets the submission would queue, once they could be worked out
+    let paramsList = null;
+    let outputReferences = [];
+    if (typeof generation_info_raw === 'string' && generation_info_raw.trim()) {
+        try {
+            paramsList = [parseRawGenerationInfo(generation_info_raw.trim())];
+        } catch (error) {
+            errors.push({ field: 'generation_info_raw', message: `Failed to parse generation info: ${error.message}` });
+        }
+    } else if (!generation_params || typeof generation_params !== 'object' || Object.keys(generation_params).length === 0) {
+        errors.push({ field: 'generation_params', message: 'Either generation_params object or generation_info_raw string is required' });
+    } else {
+        try {
+            let processedParams = processGenerationPayload(generation_params);
+            normalizeCheckpointName(processedParams, app_type || 'forge');
+            const modeResult = normalizeJobMode(req.body.mode, processedParams);
+            if (modeResult.error) {
+                errors.push({ field: modeResult.field, message: modeResult.error });
+            } else {
+                processedParams = modeResult.generation_params;
+            }
+            outputReferences = jobQueue.findJobOutputReferences(processedParams).map(reference => reference.jobId);
+            if (expansionOptions.options) {
+                const expansion = expandGenerationParams(processedParams, expansionOptions.options);
+                if (expansion.paramsList) {
+                    paramsList = expansion.paramsList;
+                } else {
+                    errors.push({ field: expansion.field, message: expansion.error });
+                }
+            }
+        } catch (error) {
+            errors.push({ field: 'generation_params', message: `Failed to process generation parameters: ${error.message}` });
+        }
+    }
+
+    const dependencyError = jobQueue.validateJobDependencies([
+        ...(jobOptions.options ? jobOptions.options.depends_on : []),
+        ...outputReferences
+    ]);
+    if (dependencyError) {
+        errors.push({ field: 'depends_on', message: dependencyError });
+    }
+
+    let target = null;
+    if (!target_server_alias) {
+        errors.push({ field: 'target_server_alias', message: 'target_server_alias is required' });
+    } else {
+        try {
+            target = resolveJobTarget(await readServersConfig(), target_server_alias);
+        } catch (err) {
+            console.error(`[API v2] Error reading server config:`, err);
+            return handleApiError(res, 'SERVER_CONFIG_ERROR', req, {
+                customMessage: 'Failed to validate server alias'
+            }, err);
+        }
+        if (!target) {
+            errors.push({ field: 'target_server_alias', message: `No server or server pool named '${target_server_alias}' found.` });
+        }
+    }
+
+    let warnings = [];
+    if (paramsList) {
+        const quotaError = checkApiKeyQuota(req.apiKeyId, req.apiKeyQuotaLimits, paramsList);
+        if (quotaError) {
+            errors.push({ field: quotaError.quota, message: quotaError.customMessage });
+        }
+        // Without a known target only the bounds and model hashes can be checked
+        const validation = target
+            ? await checkGenerationParams(paramsList, target)
+            : validateGenerationParams(paramsList, []);
+        errors.push(...validation.errors);
+        warnings = validation.warnings;
+    }
+
+    apiLogger.logApiAccess('Generation request validated', {
+        request: apiLogger.getSafeRequestInfo(req),
+        target_server_alias,
+        error_count: errors.length,
+        warning_count: warnings.length
+    });
+
+    res.status(200).json({
+        success: true,
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        job_count: paramsList ? paramsList.length : 0,
+        target_server_alias: target_server_alias || null,
+        target_pool: target && target.isPool ? target_server_alias : null,
+        checked_servers: target ? target.members.map(server => server.alias) : []
+    });
+});
+
+// Job statuses that will not change any more
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled', 'expired'];
+
+// Aggregate status of a bulk submission: a count per job status plus overall progress
+function summarizeBulkJobs(bulkJobId, jobs) {
+    const summary = {
+        bulk_job_id: bulkJobId,
+        total_jobs: jobs.length
+    };
+    jobQueue.JOB_STATUSES.forEach(status => {
+        summary[`${status}_jobs`] = jobs.filter(job => job.status === status).length;
+    });
+
+    // Finished jobs count in full, running jobs by their reported progress
+    const progressTotal = jobs.reduce((total, job) => {
+        if (job.status === 'processing') {
+            return total + (job.result_details?.progress_percentage || 0);
+        }
+        return total + (FINISHED_JOB_STATUSES.includes(job.status) ? 100 : 0);
+    }, 0);
+    summary.progress_percentage = Math.round(progressTotal / jobs.length * 10) / 10;
+    summary.finished = jobs.every(job => FINISHED_JOB_STATUSES.includes(job.status));
+
+    summary.jobs = jobs.map(job => ({
+        mobilesd_job_id: job.mobilesd_job_id,
+        status: job.status,
+        seed: job.generation_params.seed,
+        progress_percentage: job.status === 'completed' ? 100 : (job.result_details?.progress_percentage || 0),
+        images: job.result_details?.saved_filenames || [],
+        completion_timestamp: job.completion_timestamp
+    }));
+    return summary;
+}
+
+/**
+ * @route POST /api/v2/generate/bulk
+ * @description Submit one parameter set as several jobs with different seeds, linked by a bulk_job_id
+ * @access Requires API key
+ */
+router.post('/generate/bulk', apiAuthWithJobRateLimit, async (req, res) => {
+    console.log("[API v2] Received POST /api/v2/generate/bulk request");
+    const { 
+        app_type,
+        target_server_alias, 
+        generation_params,
+        source_info
+    } = req.body;
+
+    if (!target_server_alias) {
+        return handleApiError(res, 'MISSING_REQUIRED_FIELD', req, {
+            field: 'target_server_alias',
+            customMessage: 'target_server_alias is required'
+        });
+    }
+
+    // Raw generation info is parsed later, so there would be no seed to vary
+    if (!generation_params || typeof generation_params !== 'object' || Object.keys(generation_params).length === 0) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: 'generation_params',
+            customMessage: 'generation_params object is required for bulk submissions'
+        });
+    }
+
+    const jobOptions = parseJobOptions(req.body);
+    if (!jobOptions.options) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: jobOptions.field,
+            customMessage: jobOptions.customMessage
+        });
+    }
+
+    const validAppType = app_type || 'forge';
+    let processedParams;
+    try {
+        processedParams = processGenerationPayload(generation_params);
+    } catch (error) {
+        console.error(`[API v2] Error processing generation payload:`, error);
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: 'generation_params',
+            customMessage: `Failed to process generation parameters: ${error.message}`
+        });
+    }
+    normalizeCheckpointName(processedParams, validAppType);
+
+    const modeResult = normalizeJobMode(req.body.mode, processedParams);
+    if (modeResult.error) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: modeResult.field,
+            customMessage: modeResult.error
+        });
+    }
+    processedParams = modeResult.generation_params;
+
+    const seedResult = buildBulkSeeds(req.body, processedParams);
+    if (!seedResult.seeds) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: seedResult.field,
+            customMessage: seedResult.error
+        });
+    }
+
+    // Each job gets its own pick; combinations already vary the jobs, so they are only offered by POST /generate
+    const expansionOptions = normalizePromptExpansion(req.body.prompt_expansion);
+    if (!expansionOptions.options) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: expansionOptions.field,
+            customMessage: expansionOptions.error
+        });
+    }
+    const { mode: expansionMode, seed: expansionSeed } = expansionOptions.options;
+    if (expansionMode === 'combinatorial') {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: 'prompt_expansion.mode',
+            customMessage: 'Combinatorial prompt expansion is not available for bulk submissions; use POST /api/v2/generate instead'
+        });
+    }
+    const jobParamsList = [];
+    for (const [index, seed] of seedResult.seeds.entries()) {
+        const expansion = expandGenerationParams({ ...processedParams, seed }, {
+            mode: expansionMode,
+            seed: expansionSeed === undefined ? undefined : expansionSeed + index
+        });
+        if (!expansion.paramsList) {
+            return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+                field: expansion.field,
+                customMessage: expansion.error
+            });
+        }
+        jobParamsList.push(expansion.paramsList[0]);
+    }
+
+    const dependencyError = jobQueue.validateJobDependencies([
+        ...jobOptions.options.depends_on,
+        ...jobQueue.findJobOutputReferences(processedParams).map(reference => reference.jobId)
+    ]);
+    if (dependencyError) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: 'depends_on',
+            customMessage: dependencyError
+        });
+    }
+
+    let target;
+    try {
+        const servers = await readServersConfig();
+        target = resolveJobTarget(servers, target_server_alias);
+        if (!target) {
+            return handleApiError(res, 'SERVER_NOT_FOUND', req, {
+                alias: target_server_alias,
+                customMessage: `No server or server pool named '${target_server_alias}' found.`
+            });
+        }
+    } catch (err) {
+        console.error(`[API v2] Error reading server config:`, err);
+        return handleApiError(res, 'SERVER_CONFIG_ERROR', req, {
+            customMessage: 'Failed to validate server alias'
+        }, err);
+    }
+
+    if (!req.apiKeyId) {
+        return handleApiError(res, 'AUTHENTICATION_REQUIRED', req, {
+            customMessage: 'Authentication error: API key ID not found'
+        });
+    }
+
+    // The whole submission must fit; it is never queued in part
+    const quotaError = checkApiKeyQuota(req.apiKeyId, req.apiKeyQuotaLimits, jobParamsList);
+    if (quotaError) {
+        return handleApiError(res, 'QUOTA_EXCEEDED', req, quotaError);
+    }
+
+    try {
+        // Images are stored by content, so every job of the submission references the same files
+        const { bulk_job_id, jobs } = jobQueue.addBulkJobs(jobParamsList.map(params => ({
+            ...jobOptions.options,
+            target_server_alias,
+            generation_params: storeSourceImages(params),
+            app_type: validAppType,
+            mode: modeResult.mode,
+            source_info: source_info || 'extension',
+            api_key_id: req.apiKeyId,
+            target_pool: target.isPool ? target_server_alias : null
+        })));
+        jobs.forEach(job => jobStatusManager.broadcastJobUpdate(jobQueue.getJobById(job.mobilesd_job_id)));
+
+        console.log(`[API v2] Bulk submission ${bulk_job_id}: added ${jobs.length} jobs for '${target_server_alias}' (${req.body.seed_variation || 'random'} seeds)`);
+
+        apiLogger.logApiAccess('Bulk job submitted successfully', {
+            request: apiLogger.getSafeRequestInfo(req),
+            bulk_job_id,
+            total_jobs: jobs.length,
+            app_type: validAppType,
+            target_server_alias
+        });
+
+        res.status(202).json({
+            success: true,
+            bulk_job_id,
+            total_jobs: jobs.length,
+            seed_variation: req.body.seed_variation || 'random',
+            mode: modeResult.mode,
+            priority: jobOptions.options.priority,
+            target_server_alias,
+            target_pool: target.isPool ? target_server_alias : null,
+            tags: jobs[0].tags,
+            project: jobs[0].project,
+            jobs: jobs.map(job => ({
+                mobilesd_job_id: job.mobilesd_job_id,
+                seed: JSON.parse(job.generation_params_json).seed,
+                queue_position: getLaneQueueInfo(target, job.mobilesd_job_id).queue_position
+            }))
+        });
+    } catch (error) {
+        console.error(`[API v2] Failed to add bulk jobs to queue:`, error);
+        return handleApiError(res, 'QUEUE_ERROR', req, {
+            customMessage: 'Failed to add bulk jobs to queue'
+        }, error);
+    }
+});
+
+/**
+ * @route GET /api/v2/generate/bulk/:bulkJobId
+ * @description Get aggregate status and progress of a bulk submission
+ * @access Requires API key
+ */
+router.get('/generate/bulk/:bulkJobId', apiAuthWithJobRateLimit, (req, res) => {
+    const { bulkJobId } = req.params;
+    console.log(`[API v2] Received GET /api/v2/generate/bulk/${bulkJobId} request`);
+
+    try {
+        const jobs = jobQueue.getJobsByBulkId(bulkJobId);
+        if (jobs.length === 0) {
+            return handleApiError(res, 'JOB_NOT_FOUND', req, {
+                bulk_job_id: bulkJobId,
+                customMessage: `Bulk submission with ID '${bulkJobId}' not found.`
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            ...summarizeBulkJobs(bulkJobId, jobs)
+        });
+    } catch (error) {
+        console.error(`[API v2] Error fetching bulk submission ${bulkJobId}:`, error);
+        return handleApiError(res, 'DATABASE_ERROR', req, {
+            bulk_job_id: bulkJobId,
+            customMessage: 'Failed to retrieve bulk submission status.'
+        }, error);
+    }
+});
+
+/**
+ * @route POST /api/v2/generate/bulk/:bulkJobId/cancel
+ * @description Cancel every job of a bulk submission that has not started yet
+ * @access Requires API key
+ */
+router.post('/generate/bulk/:bulkJobId/cancel', apiAuthWithJobRateLimit, (req, res) => {
+    const { bulkJobId } = req.params;
+    console.log(`[API v2] Received POST /api/v2/generate/bulk/${bulkJobId}/cancel request`);
+
+    try {
+        if (jobQueue.getJobsByBulkId(bulkJobId).length === 0) {
+            return handleApiError(res, 'JOB_NOT_FOUND', req, {
+                bulk_job_id: bulkJobId,
+                customMessage: `Bulk submission with ID '${bulkJobId}' not found.`
+            });
+        }
+
+        const cancelledJobs = jobQueue.cancelBulkJobs(bulkJobId, jobQueue.apiKeyActor(req.apiKeyId));
+        cancelledJobs.forEach(job => jobStatusManager.broadcastJobUpdate(job));
+        if (cancelledJobs.length > 0) {
+            jobStatusManager.broadcastQueueReordered();
+        }
+
+        apiLogger.logApiAccess('Bulk submission cancelled successfully', {
+            request: apiLogger.getSafeRequestInfo(req),
+            bulk_job_id: bulkJobId,
+            cancelled_jobs: cancelledJobs.length
+        });
+
+        res.status(200).json({
+            success: true,
+            bulk_job_id: bulkJobId,
+            cancelled_jobs: cancelledJobs.length,
+            job_ids: cancelledJobs.map(job => job.mobilesd_job_id),
+            message: 'Remaining jobs in bulk submission have been cancelled'
+        });
+    } catch (error) {
+        console.error(`[API v2] Error cancelling bulk submission ${bulkJobId}:`, error);
+        return handleApiError(res, 'DATABASE_ERROR', req, {
+            bulk_job_id: bulkJobId,
+            customMessage: `Failed to cancel bulk submission: ${error.message}`
+        }, error);
+    }
+});
 
 /**
  * @route GET /api/v2/jobs/:jobId/status
  * @description Get status of a specific job with additional extension-relevant fields
  * @access Requires API key
  */
-router.get('/jobs/:jobId/status', apiAuthWithJobRateLimit, (req, res) => {
+router.get('/jobs/:jobId/status', apiAuthWithJobRateLimit, async (req, res) => {
     const { jobId } = req.params;
     console.log(`[API v2] Received GET /api/v2/jobs/${jobId}/status request`);
 
@@ -356,6 +1011,8 @@ router.get('/jobs/:jobId/status', apiAuthWithJobRateLimit, (req, res) => {
             };
         }
 
+        const estimate = await getJobEstimate(job);
+
         // Log successful job status request
         apiLogger.logApiAccess('Job status request successful', {
             request: apiLogger.getSafeRequestInfo(req),
@@ -374,21 +1031,33 @@ router.get('/jobs/:jobId/status', apiAuthWithJobRateLimit, (req, res) => {
                 last_updated_timestamp: job.last_updated_timestamp,
                 completion_timestamp: job.completion_timestamp,
                 target_server_alias: job.target_server_alias,
+                target_pool: job.target_pool,
                 forge_session_hash: job.forge_session_hash,
                 generation_params: job.generation_params,
                 result_details: job.result_details,
                 retry_count: job.retry_count,
+                run_after: job.run_after,
+                expires_at: ['pending', 'held'].includes(job.status) ? jobQueue.getJobExpiry(job) : job.expires_at,
+                next_attempt_at: job.status === 'pending' && job.retry_count > 0 ? job.run_after : null,
+                last_heartbeat_at: job.heartbeat_at || null,
+                depends_on: job.depends_on,
+                blocked_by: job.blocked_by,
+                bulk_job_id: job.bulk_job_id,
+                cloned_from: job.cloned_from,
                 // Additional fields for extensions
                 app_type: job.app_type || 'forge',
+                mode: job.mode,
                 source_info: job.source_info || 'ui',
                 api_key_id: job.api_key_id,
+                priority: job.priority,
                 queue_position: job.status === 'pending' ? 
-                    jobQueue.findPendingJobs().findIndex(j => j.mobilesd_job_id === job.mobilesd_job_id) + 1 : 
+                    jobQueue.findPendingJobs(0, null, { target_server_alias: job.target_server_alias })
+                        .findIndex(j => j.mobilesd_job_id === job.mobilesd_job_id) + 1 : 
                     null,
-                estimated_time_remaining: job.status === 'processing' ? 
-                    Math.max(0, (job.generation_params.steps || 20) * 1.5 - 
-                    ((Date.now() - new Date(job.last_updated_timestamp).getTime()) / 1000)) : 
+                estimated_time_remaining: job.status === 'processing' && estimate.estimated_finish_at ?
+                    Math.max(0, Math.round((new Date(estimate.estimated_finish_at).getTime() - Date.now()) / 1000)) :
                     null,
+                ...estimate,
                 model_availability: model_availability
             }
         });
@@ -403,66 +1072,47 @@ router.get('/jobs/:jobId/status', apiAuthWithJobRateLimit, (req, res) => {
 
 /**
  * @route GET /api/v2/jobs
- * @description Get all jobs with filtering by app_type and other criteria
+ * @description List jobs, filtered and searched by prompt, with cursor pagination
  * @access Requires API key
  */
 router.get('/jobs', apiAuthWithJobRateLimit, (req, res) => {
     console.log('[API v2] Received GET /api/v2/jobs request');
     
     try {
-        // Parse query parameters with app_type support
-        const options = {
-            status: req.query.status,
-            app_type: req.query.app_type, // New filter parameter
-            limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
-            offset: req.query.offset ? parseInt(req.query.offset, 10) : undefined,
-            order: req.query.order === 'asc' ? 'ASC' : 'DESC'
-        };
+        const queryResult = jobQueue.normalizeJobQuery(req.query);
+        if (queryResult.error) {
+            return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+                field: queryResult.field,
+                customMessage: queryResult.error
+            });
+        }
+        const query = queryResult.query;
         
-        // Get jobs with enhanced filtering
-        const jobs = jobQueue.getAllJobs(options);
+        const { jobs, next_cursor } = jobQueue.queryJobs(query);
         
         // Enhance jobs with model availability information using hash-based matching
-        const enhancedJobs = jobs.map(job => {
-            const enhancedJob = { ...job };
-            
-            const { hash, source } = extractModelHash(job.generation_params);
-            
-            if (hash) {
-                const availability = checkModelAvailability(hash, 'checkpoint');
-                enhancedJob.model_availability = {
-                    available: availability.available,
-                    reason: availability.reason || null,
-                    civitai_model_id: availability.civitai_model_id || null,
-                    hash: availability.hash || hash,
-                    match_type: availability.match_type || null,
-                    checked_field: source,
-                    model_identifier: hash
-                };
-            } else {
-                enhancedJob.model_availability = {
-                    available: false,
-                    reason: source,
-                    civitai_model_id: null,
-                    hash: null,
-                    match_type: null,
-                    checked_field: 'N/A',
-                    model_identifier: null
-                };
-            }
-            
-            return enhancedJob;
-        });
+        const enhancedJobs = addModelAvailability(jobs);
+        
+        const filters = {
+            status: query.statuses ? query.statuses.join(',') : undefined,
+            app_type: query.app_type,
+            server: query.server,
+            api_key_id: query.api_key_id,
+            checkpoint: query.checkpoint,
+            search: query.search,
+            tag: query.tags ? query.tags.join(',') : undefined,
+            project: query.project,
+            created_after: query.created_after,
+            created_before: query.created_before,
+            limit: query.limit,
+            offset: query.offset,
+            order: query.order
+        };
         
         // Log successful jobs request
         apiLogger.logApiAccess('Jobs list request successful', {
             request: apiLogger.getSafeRequestInfo(req),
-            filters: {
-                status: options.status,
-                app_type: options.app_type,
-                limit: options.limit,
-                offset: options.offset
-            },
+            filters,
             total_jobs: enhancedJobs.length
         });
         
@@ -470,13 +1120,8 @@ router.get('/jobs', apiAuthWithJobRateLimit, (req, res) => {
         res.status(200).json({
             success: true,
             total: enhancedJobs.length,
-            filters: {
-                status: options.status,
-                app_type: options.app_type,
-                limit: options.limit,
-                offset: options.offset,
-                order: options.order
-            },
+            next_cursor,
+            filters,
             jobs: enhancedJobs
         });
     } catch (error) {
@@ -514,17 +1159,17 @@ router.post('/jobs/:jobId/cancel', apiAuthWithJobRateLimit, (req, res) => {
             });
         }
         
-        // Only jobs in 'pending' or 'processing' status can be cancelled
-        if (job.status !== 'pending' && job.status !== 'processing') {
+        // Only jobs in 'pending', 'held' or 'processing' status can be cancelled
+        if (!['pending', 'held', 'processing'].includes(job.status)) {
             return handleApiError(res, 'JOB_OPERATION_INVALID', req, {
                 job_id: jobId,
                 current_status: job.status,
-                customMessage: `Cannot cancel job with status '${job.status}'. Only 'pending' or 'processing' jobs can be cancelled.`
+                customMessage: `Cannot cancel job with status '${job.status}'. Only 'pending', 'held' or 'processing' jobs can be cancelled.`
             });
         }
         
         // Cancel the job
-        const updatedJob = jobQueue.cancelJob(jobId);
+        const updatedJob = jobQueue.cancelJob(jobId, jobQueue.apiKeyActor(req.apiKeyId));
         
         if (!updatedJob) {
             return handleApiError(res, 'QUEUE_ERROR', req, {
@@ -554,4 +1199,381 @@ router.post('/jobs/:jobId/cancel', apiAuthWithJobRateLimit, (req, res) => {
     }
 });
 
+/**
+ * @route POST /api/v2/jobs/:jobId/hold
+ * @description Park a pending job so the dispatcher skips it until it is released
+ * @access Requires API key
+ */
+router.post('/jobs/:jobId/hold', apiAuthWithJobRateLimit, (req, res) => {
+    const { jobId } = req.params;
+    console.log(`[API v2] Received POST /api/v2/jobs/${jobId}/hold request`);
+    
+    try {
+        const job = jobQueue.getJobById(jobId);
+        
+        if (!job) {
+            return handleApiError(res, 'JOB_NOT_FOUND', req, {
+                job_id: jobId,
+                customMessage: `Job with ID '${jobId}' not found.`
+            });
+        }
+        
+        if (job.status !== 'pending') {
+            return handleApiError(res, 'JOB_OPERATION_INVALID', req, {
+                job_id: jobId,
+                current_status: job.status,
+                customMessage: `Cannot hold job with status '${job.status}'. Only 'pending' jobs can be held.`
+            });
+        }
+        
+        const updatedJob = jobQueue.holdJob(jobId, jobQueue.apiKeyActor(req.apiKeyId));
+        jobStatusManager.broadcastJobUpdate(updatedJob);
+        jobStatusManager.broadcastQueueReordered();
+        
+        apiLogger.logApiAccess('Job held successfully', {
+            request: apiLogger.getSafeRequestInfo(req),
+            job_id: jobId
+        });
+        
+        res.status(200).json({
+            success: true,
+            message: 'Job held.',
+            job: updatedJob
+        });
+    } catch (error) {
+        console.error(`[API v2] Error holding job ${jobId}:`, error);
+        return handleApiError(res, 'DATABASE_ERROR', req, {
+            job_id: jobId,
+            customMessage: `Failed to hold job: ${error.message}`
+        }, error);
+    }
+});
+
+/**
+ * @route POST /api/v2/jobs/:jobId/release
+ * @description Return a held job to the queue at its previous position
+ * @access Requires API key
+ */
+router.post('/jobs/:jobId/release', apiAuthWithJobRateLimit, (req, res) => {
+    const { jobId } = req.params;
+    console.log(`[API v2] Received POST /api/v2/jobs/${jobId}/release request`);
+    
+    try {
+        const job = jobQueue.getJobById(jobId);
+        
+        if (!job) {
+            return handleApiError(res, 'JOB_NOT_FOUND', req, {
+                job_id: jobId,
+                customMessage: `Job with ID '${jobId}' not found.`
+            });
+        }
+        
+        if (job.status !== 'held') {
+            return handleApiError(res, 'JOB_OPERATION_INVALID', req, {
+                job_id: jobId,
+                current_status: job.status,
+                customMessage: `Cannot release job with status '${job.status}'. Only 'held' jobs can be released.`
+            });
+        }
+        
+        const updatedJob = jobQueue.releaseJob(jobId, jobQueue.apiKeyActor(req.apiKeyId));
+        jobStatusManager.broadcastJobUpdate(updatedJob);
+        jobStatusManager.broadcastQueueReordered();
+        
+        apiLogger.logApiAccess('Job released successfully', {
+            request: apiLogger.getSafeRequestInfo(req),
+            job_id: jobId
+        });
+        
+        res.status(200).json({
+            success: true,
+            message: 'Job released.',
+            job: updatedJob,
+            queue_position: jobQueue.findPendingJobs(0, null, { target_server_alias: updatedJob.target_server_alias })
+                .findIndex(j => j.mobilesd_job_id === jobId) + 1
+        });
+    } catch (error) {
+        console.error(`[API v2] Error releasing job ${jobId}:`, error);
+        return handleApiError(res, 'DATABASE_ERROR', req, {
+            job_id: jobId,
+            customMessage: `Failed to release job: ${error.message}`
+        }, error);
+    }
+});
+
+// Shared by the bulk hold and release endpoints: validates the filters, then updates every matching job
+function handleBulkHoldRelease(action, req, res) {
+    console.log(`[API v2] Received POST /api/v2/jobs/${action} request`);
+    
+    const validation = jobQueue.normalizeBulkJobFilters(req.body);
+    if (validation.error) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: validation.field,
+            customMessage: validation.error
+        });
+    }
+    
+    try {
+        const updatedJobs = action === 'hold'
+            ? jobQueue.holdJobs(validation.filters, jobQueue.apiKeyActor(req.apiKeyId))
+            : jobQueue.releaseJobs(validation.filters, jobQueue.apiKeyActor(req.apiKeyId));
+        updatedJobs.forEach(job => jobStatusManager.broadcastJobUpdate(job));
+        if (updatedJobs.length > 0) {
+            jobStatusManager.broadcastQueueReordered();
+        }
+        
+        apiLogger.logApiAccess(`Bulk ${action} successful`, {
+            request: apiLogger.getSafeRequestInfo(req),
+            filters: validation.filters,
+            count: updatedJobs.length
+        });
+        
+        res.status(200).json({
+            success: true,
+            message: `${action === 'hold' ? 'Held' : 'Released'} ${updatedJobs.length} job(s).`,
+            count: updatedJobs.length,
+            job_ids: updatedJobs.map(job => job.mobilesd_job_id),
+            filters: validation.filters
+        });
+    } catch (error) {
+        console.error(`[API v2] Error during bulk ${action}:`, error);
+        return handleApiError(res, 'DATABASE_ERROR', req, {
+            customMessage: `Failed to ${action} jobs: ${error.message}`
+        }, error);
+    }
+}
+
+/**
+ * @route POST /api/v2/jobs/hold
+ * @description Hold every pending job matching target_server_alias, api_key_id, tag and/or project
+ * @access Requires API key
+ */
+router.post('/jobs/hold', apiAuthWithJobRateLimit, (req, res) => handleBulkHoldRelease('hold', req, res));
+
+/**
+ * @route POST /api/v2/jobs/release
+ * @description Release every held job matching target_server_alias, api_key_id, tag and/or project
+ * @access Requires API key
+ */
+router.post('/jobs/release', apiAuthWithJobRateLimit, (req, res) => handleBulkHoldRelease('release', req, res));
+
+/**
+ * @route PUT /api/v2/jobs/:jobId/priority
+ * @description Change the priority of a pending job
+ * @access Requires API key
+ */
+router.put('/jobs/:jobId/priority', apiAuthWithJobRateLimit, (req, res) => {
+    const { jobId } = req.params;
+    console.log(`[API v2] Received PUT /api/v2/jobs/${jobId}/priority request`);
+    
+    const priority = jobQueue.normalizePriority(req.body.priority);
+    if (req.body.priority === undefined || priority === null) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: 'priority',
+            customMessage: `priority must be an integer between ${jobQueue.MIN_JOB_PRIORITY} and ${jobQueue.MAX_JOB_PRIORITY}`
+        });
+    }
+    
+    try {
+        const job = jobQueue.getJobById(jobId);
+        
+        if (!job) {
+            return handleApiError(res, 'JOB_NOT_FOUND', req, {
+                job_id: jobId,
+                customMessage: `Job with ID '${jobId}' not found.`
+            });
+        }
+        
+        if (job.status !== 'pending') {
+            return handleApiError(res, 'JOB_OPERATION_INVALID', req, {
+                job_id: jobId,
+                current_status: job.status,
+                customMessage: `Cannot change priority of job with status '${job.status}'. Only 'pending' jobs can be reprioritized.`
+            });
+        }
+        
+        const updatedJob = jobQueue.setJobPriority(jobId, priority, jobQueue.apiKeyActor(req.apiKeyId));
+        jobStatusManager.broadcastJobUpdate(updatedJob);
+        
+        apiLogger.logApiAccess('Job priority updated successfully', {
+            request: apiLogger.getSafeRequestInfo(req),
+            job_id: jobId,
+            priority
+        });
+        
+        res.status(200).json({
+            success: true,
+            message: `Job priority set to ${priority}.`,
+            job: updatedJob,
+            queue_position: jobQueue.findPendingJobs(0, null, { target_server_alias: updatedJob.target_server_alias })
+                .findIndex(j => j.mobilesd_job_id === jobId) + 1
+        });
+    } catch (error) {
+        console.error(`[API v2] Error updating priority for job ${jobId}:`, error);
+        return handleApiError(res, 'DATABASE_ERROR', req, {
+            job_id: jobId,
+            customMessage: `Failed to update job priority: ${error.message}`
+        }, error);
+    }
+});
+
+/**
+ * @route PUT /api/v2/jobs/:jobId/tags
+ * @description Replace the tags and/or change the project of a job, whatever its status
+ * @access Requires API key
+ */
+router.put('/jobs/:jobId/tags', apiAuthWithJobRateLimit, (req, res) => {
+    const { jobId } = req.params;
+    console.log(`[API v2] Received PUT /api/v2/jobs/${jobId}/tags request`);
+    
+    if (req.body.tags === undefined && req.body.project === undefined) {
+        return handleApiError(res, 'MISSING_REQUIRED_FIELD', req, {
+            field: 'tags',
+            customMessage: 'Provide tags and/or project'
+        });
+    }
+    const labelResult = jobQueue.normalizeJobLabels(req.body);
+    if (labelResult.error) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: labelResult.field,
+            customMessage: labelResult.error
+        });
+    }
+    
+    try {
+        const updatedJob = jobQueue.setJobLabels(jobId, labelResult.labels, jobQueue.apiKeyActor(req.apiKeyId));
+        if (!updatedJob) {
+            return handleApiError(res, 'JOB_NOT_FOUND', req, {
+                job_id: jobId,
+                customMessage: `Job with ID '${jobId}' not found.`
+            });
+        }
+        jobStatusManager.broadcastJobUpdate(updatedJob);
+        
+        apiLogger.logApiAccess('Job tags updated successfully', {
+            request: apiLogger.getSafeRequestInfo(req),
+            job_id: jobId,
+            tags: updatedJob.tags,
+            project: updatedJob.project
+        });
+        
+        res.status(200).json({
+            success: true,
+            message: 'Job tags updated.',
+            job: updatedJob
+        });
+    } catch (error) {
+        console.error(`[API v2] Error updating tags for job ${jobId}:`, error);
+        return handleApiError(res, 'DATABASE_ERROR', req, {
+            job_id: jobId,
+            customMessage: `Failed to update job tags: ${error.message}`
+        }, error);
+    }
+});
+
+/**
+ * @route POST /api/v2/jobs/:jobId/clone
+ * @description Queue a new job from an existing job's parameters, with optional overrides
+ * @access Requires API key
+ */
+router.post('/jobs/:jobId/clone', apiAuthWithJobRateLimit, async (req, res) => {
+    const { jobId } = req.params;
+    console.log(`[API v2] Received POST /api/v2/jobs/${jobId}/clone request`);
+    
+    const overrideResult = jobQueue.normalizeCloneOverrides(req.body.overrides);
+    if (overrideResult.error) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: overrideResult.field,
+            customMessage: overrideResult.error
+        });
+    }
+    const { overrides } = overrideResult;
+    
+    const job = jobQueue.getJobById(jobId);
+    if (!job) {
+        return handleApiError(res, 'JOB_NOT_FOUND', req, {
+            job_id: jobId,
+            customMessage: `Job with ID '${jobId}' not found.`
+        });
+    }
+    
+    // A pool job runs wherever its pool has room again unless a server is given
+    const targetAlias = overrides.target_server_alias || job.target_pool || job.target_server_alias;
+    let target;
+    try {
+        const servers = await readServersConfig();
+        target = resolveJobTarget(servers, targetAlias);
+        if (!target) {
+            return handleApiError(res, 'SERVER_NOT_FOUND', req, {
+                alias: targetAlias,
+                customMessage: `No server or server pool named '${targetAlias}' found.`
+            });
+        }
+    } catch (err) {
+        console.error(`[API v2] Error reading server config:`, err);
+        return handleApiError(res, 'SERVER_CONFIG_ERROR', req, {
+            customMessage: 'Failed to validate server alias'
+        }, err);
+    }
+    
+    // Overrides replace individual parameters, so raw generation info is parsed into them first
+    const generationParams = Object.keys(overrides.generation_params).length > 0 && job.generation_params.raw_generation_info
+        ? parseRawGenerationInfo(job.generation_params.raw_generation_info)
+        : job.generation_params;
+    const dependencyError = jobQueue.validateJobDependencies(
+        jobQueue.findJobOutputReferences({ ...generationParams, ...overrides.generation_params }).map(reference => reference.jobId)
+    );
+    if (dependencyError) {
+        return handleApiError(res, 'INVALID_FIELD_VALUE', req, {
+            field: 'overrides',
+            customMessage: dependencyError
+        });
+    }
+    
+    const quotaError = checkApiKeyQuota(req.apiKeyId, req.apiKeyQuotaLimits, [{ ...generationParams, ...overrides.generation_params }]);
+    if (quotaError) {
+        return handleApiError(res, 'QUOTA_EXCEEDED', req, quotaError);
+    }
+    
+    try {
+        const clonedJob = jobQueue.cloneJob(jobId, {
+            target_server_alias: targetAlias,
+            target_pool: target.isPool ? targetAlias : null,
+            priority: overrides.priority,
+            api_key_id: req.apiKeyId,
+            generation_params: generationParams,
+            generation_overrides: overrides.generation_params,
+            actor: jobQueue.apiKeyActor(req.apiKeyId)
+        });
+        jobStatusManager.broadcastJobUpdate(jobQueue.getJobById(clonedJob.mobilesd_job_id));
+        const laneInfo = getLaneQueueInfo(target, clonedJob.mobilesd_job_id);
+        
+        apiLogger.logApiAccess('Job cloned successfully', {
+            request: apiLogger.getSafeRequestInfo(req),
+            job_id: clonedJob.mobilesd_job_id,
+            cloned_from: jobId,
+            target_server_alias: targetAlias
+        });
+        
+        res.status(202).json({
+            success: true,
+            mobilesd_job_id: clonedJob.mobilesd_job_id,
+            cloned_from: jobId,
+            queue_position: laneInfo.queue_position,
+            estimated_wait_seconds: laneInfo.estimated_wait_seconds,
+            priority: clonedJob.priority,
+            target_server_alias: clonedJob.target_server_alias,
+            target_pool: clonedJob.target_pool,
+            generation_params: JSON.parse(clonedJob.generation_params_json),
+            creation_timestamp: clonedJob.creation_timestamp
+        });
+    } catch (error) {
+        console.error(`[API v2] Error cloning job ${jobId}:`, error);
+        return handleApiError(res, 'QUEUE_ERROR', req, {
+            job_id: jobId,
+            customMessage: `Failed to clone job: ${error.message}`
+        }, error);
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,73 @@
+const axios = require('axios');
+const { getAxiosConfig } = require('../utils/configHelpers');
+
+// Model lists change rarely, so each server is asked at most this often
+const CAPABILITY_CACHE_TTL_MS = 5 * 60 * 1000;
+// A server that could not be reached is asked again sooner
+const FAILED_CAPABILITY_CACHE_TTL_MS = 30000;
+const CAPABILITY_REQUEST_TIMEOUT_MS = 10000;
+
+// Forge endpoints listing what a server can use, and how to read the names out of each entry
+const CAPABILITY_ENDPOINTS = {
+    samplers: { path: '/sdapi/v1/samplers', names: entry => [entry.name, ...(entry.aliases || [])] },
+    schedulers: { path: '/sdapi/v1/schedulers', names: entry => [entry.name, entry.label, ...(entry.aliases || [])] },
+    checkpoints: { path: '/sdapi/v1/sd-models', names: entry => [entry.title, entry.model_name, entry.filename] },
+    vaes: { path: '/sdapi/v1/sd-vae', names: entry => [entry.model_name, entry.filename] },
+    loras: { path: '/sdapi/v1/loras', names: entry => [entry.name, entry.alias, entry.path] }
+};
+
+// Latest capabilities per server alias
+const capabilityCache = new Map();
+
+/**
+ * Lists the samplers, schedulers, checkpoints, VAEs and LoRAs a Forge server offers. Each list holds every name
+ * and alias an entry is known by, lowercased; a list the server did not return (older Forge versions have no
+ * schedulers endpoint) is null.
+ * @param {object} server - Server config with alias, apiUrl and optional username/password
+ * @returns {Promise<{alias: string, reachable: boolean, error: string|null, fetched_at: string,
+ *          samplers: Array<string>|null, schedulers: Array<string>|null, checkpoints: Array<string>|null,
+ *          vaes: Array<string>|null, loras: Array<string>|null}>}
+ */
+async function getServerCapabilities(server) {
+    const cached = capabilityCache.get(server.alias);
+    if (cached) {
+        const ttl = cached.capabilities.reachable ? CAPABILITY_CACHE_TTL_MS : FAILED_CAPABILITY_CACHE_TTL_MS;
+        if (Date.now() - cached.at < ttl && cached.apiUrl === server.apiUrl) {
+            return cached.capabilities;
+        }
+    }
+
+    const axiosConfig = { ...getAxiosConfig(server), timeout: CAPABILITY_REQUEST_TIMEOUT_MS };
+
+    const capabilities = { alias: server.alias, reachable: false, error: null, fetched_at: new Date().toISOString() };
+    const results = await Promise.allSettled(Object.values(CAPABILITY_ENDPOINTS).map(endpoint =>
+        axios.get(`${server.apiUrl}${endpoint.path}`, axiosConfig)
+    ));
+    Object.entries(CAPABILITY_ENDPOINTS).forEach(([kind, endpoint], index) => {
+        const result = results[index];
+        if (result.status === 'fulfilled' && Array.isArray(result.value.data)) {
+            capabilities.reachable = true;
+            capabilities[kind] = result.value.data
+                .flatMap(entry => endpoint.names(entry || {}))
+                .filter(name => typeof name === 'string' && name)
+                .map(name => name.replace(/\\/g, '/').toLowerCase());
+        } else {
+            capabilities[kind] = null;
+            if (result.status === 'rejected' && !capabilities.error) {
+                capabilities.error = result.reason.message;
+            }
+        }
+    });
+    if (capabilities.reachable) {
+        capabilities.error = null;
+    } else {
+        console.warn(`[Capabilities] Could not read the capabilities of server '${server.alias}': ${capabilities.error}`);
+    }
+
+    capabilityCache.set(server.alias, { at: Date.now(), apiUrl: server.apiUrl, capabilities });
+    return capabilities;
+}
+
+module.exports = {
+    getServerCapabilities
+};
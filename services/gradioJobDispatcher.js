@@ -1,15 +1,80 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const jobQueue = require('../utils/jobQueueHelpers');
-const { readServersConfig, isQueueProcessingEnabled } = require('../utils/configHelpers');
+const {
+    readServersConfig,
+    isQueueProcessingEnabled,
+    getCheckpointAffinitySettings,
+    AUTO_TARGET,
+    getPoolNames,
+    getPoolMembers,
+    resolveJobTarget
+} = require('../utils/configHelpers');
+const modelDB = require('../utils/modelDatabase');
+const { resolveRetryPolicy, classifyDispatchError, getRetryDelayMs } = require('../utils/retryPolicy');
+const { getNextRunTime } = require('../utils/cronSchedule');
+const jobStatusManager = require('./jobStatusManager');
+const { assembleFinishedSweeps } = require('./sweepGridBuilder');
+const { runDueRetention } = require('./retentionManager');
+const { estimateJobSeconds } = require('../utils/generationSpeed');
+const { parseSourceImageReference, readSourceImage } = require('../utils/img2img');
+const { expandGenerationParams } = require('../utils/promptExpansion');
+const { MAX_SEED } = require('../utils/seedVariation');
 const fs = require('fs');
 const path = require('path');
 
 const POLLING_INTERVAL_MS = process.env.DISPATCHER_POLLING_INTERVAL_MS || 5000;
 const STABLE_DIFFUSION_SAVE_PATH = process.env.STABLE_DIFFUSION_SAVE_PATH || './outputs';
+// How many jobs a server runs at once unless its config sets maxConcurrentJobs
+const DEFAULT_SERVER_CONCURRENCY = parseInt(process.env.DISPATCHER_DEFAULT_CONCURRENCY, 10) || 1;
+// Queue start and finish estimates are reused between requests for this long
+const QUEUE_ESTIMATE_TTL_MS = 5000;
+// Pending jobs beyond this many in dispatch order get no start or finish estimate
+const MAX_ESTIMATED_JOBS = 2000;
+// How long a server that could not be reached is skipped when routing pool jobs
+const UNHEALTHY_SERVER_COOLDOWN_MS = 60000;
+// Running jobs hold a lease that is renewed by a heartbeat; a job still 'processing' after its lease ran out was
+// left behind by a dispatcher that died and is recovered on the next poll
+const LEASE_TTL_MS = parseInt(process.env.DISPATCHER_LEASE_TTL_MS, 10) || 60000;
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.DISPATCHER_HEARTBEAT_INTERVAL_MS, 10) || 15000;
+// 'retry' requeues an orphaned job while its retry policy has attempts left, 'requeue' always does, 'fail' never does
+const ORPHANED_JOB_POLICIES = ['retry', 'requeue', 'fail'];
+const ORPHANED_JOB_POLICY = ORPHANED_JOB_POLICIES.includes(process.env.DISPATCHER_ORPHANED_JOB_POLICY)
+    ? process.env.DISPATCHER_ORPHANED_JOB_POLICY
+    : 'retry';
+// Identifies this process as the holder of the leases it takes
+const DISPATCHER_INSTANCE_ID = uuidv4();
+// Actor of the job events the dispatcher records
+const DISPATCHER_ACTOR = jobQueue.systemActor('dispatcher');
+// img2img parameters passed through to Forge when a job sets them
+const IMG2IMG_OPTIONAL_FIELDS = [
+    'image_cfg_scale', 'mask', 'mask_blur', 'inpainting_fill', 'inpaint_full_res', 'inpaint_full_res_padding',
+    'inpainting_mask_invert', 'initial_noise_multiplier'
+];
 let pollIntervalId = null;
+let heartbeatIntervalId = null;
 let isStopping = false;
 
+// IDs of the jobs this process is running, whether started from a lane or dispatched manually
+const leasedJobs = new Set();
+
+// One dispatch lane per server alias, each holding the IDs of the jobs it is currently running
+const serverLanes = new Map();
+
+// Last known reachability per server alias, used to keep pool jobs away from servers that are down
+const serverHealth = new Map();
+
+// Checkpoint each server was last sent and how often the head of its queue has been passed over, per server alias
+const serverCheckpoints = new Map();
+
+// Checkpoint switch counters since the dispatcher module loaded, kept per server alias
+const checkpointStats = new Map();
+const checkpointStatsSince = new Date().toISOString();
+
+// Most recent queue simulation, see getQueueEstimates
+let queueEstimateCache = null;
+
 // Ensure outputs directory exists
 if (!fs.existsSync(STABLE_DIFFUSION_SAVE_PATH)) {
     fs.mkdirSync(STABLE_DIFFUSION_SAVE_PATH, { recursive: true });
@@ -44,6 +109,51 @@ function makeImageFilename(jobId, index = 0) {
     return `${jobPrefix}_${timestamp}_${index}.png`;
 }
 
+/**
+ * Replaces references to upstream job outputs ("job://<jobId>/images/<n>") with the base64 image data
+ * that job saved, so a downstream job can take a parent's image as input. Stored source images
+ * ("source://<file>") are read back the same way.
+ */
+function resolveJobOutputReferences(params) {
+    const imageCache = new Map();
+    const resolve = (value) => {
+        const sourceImage = parseSourceImageReference(value);
+        if (sourceImage) {
+            if (!imageCache.has(value)) {
+                imageCache.set(value, readSourceImage(sourceImage));
+            }
+            return imageCache.get(value);
+        }
+        const reference = jobQueue.parseJobOutputReference(value);
+        if (reference) {
+            if (!imageCache.has(value)) {
+                const parentJob = jobQueue.getJobById(reference.jobId);
+                const savedImages = parentJob && parentJob.result_details
+                    ? (parentJob.result_details.saved_filenames || parentJob.result_details.images || [])
+                    : [];
+                const filename = savedImages[reference.imageIndex];
+                if (!filename) {
+                    throw new Error(`Job ${reference.jobId} has no output image at index ${reference.imageIndex}.`);
+                }
+                const imagePath = path.join(STABLE_DIFFUSION_SAVE_PATH, filename);
+                if (!fs.existsSync(imagePath)) {
+                    throw new Error(`Output image ${filename} of job ${reference.jobId} no longer exists.`);
+                }
+                imageCache.set(value, fs.readFileSync(imagePath).toString('base64'));
+            }
+            return imageCache.get(value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(resolve);
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolve(item)]));
+        }
+        return value;
+    };
+    return resolve(params);
+}
+
 /**
  * Parse raw generation info string into structured parameters
  * This function handles generation info strings from extensions like Civitai Browser+
@@ -153,13 +263,61 @@ function parseRawGenerationInfo(rawGenInfo) {
     return params;
 }
 
+/**
+ * Lease fields for a job this process is about to run or is still running
+ */
+function newLeaseFields() {
+    const now = Date.now();
+    return {
+        lease_owner: DISPATCHER_INSTANCE_ID,
+        lease_expires_at: new Date(now + LEASE_TTL_MS).toISOString(),
+        heartbeat_at: new Date(now).toISOString()
+    };
+}
+
 /**
  * Main job processing function using REST API approach
- * Processes jobs from the queue and dispatches them to Forge via /sdapi/v1/txt2img
+ * Runs a job under a dispatch lease that is heartbeated until the job settles
+ * @param {object} job - The job to run
+ * @param {object} [actor] - Who started the run, for the job's event history; the dispatcher unless dispatched by hand
  */
-async function processJob(job) {
+async function processJob(job, actor = DISPATCHER_ACTOR) {
+    leasedJobs.add(job.mobilesd_job_id);
+    try {
+        return await executeJob(job, actor);
+    } finally {
+        leasedJobs.delete(job.mobilesd_job_id);
+        jobQueue.clearJobLease(job.mobilesd_job_id, DISPATCHER_INSTANCE_ID);
+    }
+}
+
+/**
+ * Dispatches a job to Forge via /sdapi/v1/txt2img, or /sdapi/v1/img2img for img2img jobs, and records the outcome
+ */
+async function executeJob(job, actor) {
     const { mobilesd_job_id, target_server_alias, generation_params_json, generation_params } = job;
-    console.log(`[Dispatcher] Processing job ${mobilesd_job_id} for target '${target_server_alias}'`);
+    const attemptNumber = (job.retry_count || 0) + 1;
+    const previousAttempts = (job.result_details && Array.isArray(job.result_details.attempts)) ? job.result_details.attempts : [];
+    console.log(`[Dispatcher] Processing job ${mobilesd_job_id} for target '${target_server_alias}' (attempt ${attemptNumber})`);
+
+    // Claim the job before the first await so a concurrent poll can't pick it up again
+    const processingJob = jobQueue.updateJob(mobilesd_job_id, {
+        status: 'processing',
+        processing_started_at: new Date().toISOString(),
+        ...newLeaseFields()
+    }, { actor });
+    if (processingJob) {
+        jobQueue.recordJobEvent(mobilesd_job_id, 'dispatch_attempt', {
+            actor,
+            message: `Attempt ${attemptNumber} sent to '${target_server_alias}'`,
+            details: {
+                attempt: attemptNumber,
+                server: target_server_alias,
+                ...(job.target_pool ? { pool: job.target_pool } : {})
+            }
+        });
+        jobStatusManager.broadcastJobUpdate(processingJob);
+    }
 
     let parsed_generation_params;
     try {
@@ -195,7 +353,7 @@ async function processJob(job) {
                         details: parseError.message,
                         raw_info: parsed_generation_params.raw_generation_info.substring(0, 200) + '...'
                     }) 
-                });
+                }, { actor: DISPATCHER_ACTOR });
                 return;
             }
         } else {
@@ -232,7 +390,15 @@ async function processJob(job) {
         }
     } catch (e) {
         console.error(`[Dispatcher] Job ${mobilesd_job_id}: Failed to parse generation parameters. Error: ${e.message}`);
-        await jobQueue.updateJob(mobilesd_job_id, { status: 'failed', result_details_json: JSON.stringify({ error: 'Invalid generation parameters format.', details: e.message }) });
+        await jobQueue.updateJob(mobilesd_job_id, { status: 'failed', result_details_json: JSON.stringify({ error: 'Invalid generation parameters format.', details: e.message }) }, { actor: DISPATCHER_ACTOR });
+        return;
+    }
+
+    try {
+        parsed_generation_params = resolveJobOutputReferences(parsed_generation_params);
+    } catch (e) {
+        console.error(`[Dispatcher] Job ${mobilesd_job_id}: Failed to resolve upstream job output. Error: ${e.message}`);
+        await jobQueue.updateJob(mobilesd_job_id, { status: 'failed', result_details_json: JSON.stringify({ error: 'Could not resolve upstream job output.', details: e.message }) }, { actor: DISPATCHER_ACTOR });
         return;
     }
 
@@ -247,7 +413,7 @@ async function processJob(job) {
             await jobQueue.updateJob(mobilesd_job_id, { 
                 status: 'failed', 
                 result_details_json: JSON.stringify({ error: `Server config not found for alias '${target_server_alias}'.` })
-            });
+            }, { actor: DISPATCHER_ACTOR });
             return;
         }
         if (!serverDetails.apiUrl) {
@@ -255,7 +421,7 @@ async function processJob(job) {
             await jobQueue.updateJob(mobilesd_job_id, { 
                 status: 'failed', 
                 result_details_json: JSON.stringify({ error: `apiUrl missing for server '${target_server_alias}'.` })
-            });
+            }, { actor: DISPATCHER_ACTOR });
             return;
         }
     } catch (configError) {
@@ -263,7 +429,7 @@ async function processJob(job) {
         await jobQueue.updateJob(mobilesd_job_id, { 
             status: 'failed', 
             result_details_json: JSON.stringify({ error: `Error reading server configurations: ${configError.message}` })
-        });
+        }, { actor: DISPATCHER_ACTOR });
         return;
     }
 
@@ -294,12 +460,15 @@ async function processJob(job) {
         console.log(`[Dispatcher] Job ${mobilesd_job_id}: Using basic authentication for server '${target_server_alias}'.`);
     }
 
+    const mode = job.mode === 'img2img' ? 'img2img' : 'txt2img';
+    const endpoint = `/sdapi/v1/${mode}`;
+
     try {
-        // REST API approach - direct communication with /sdapi/v1/txt2img
-        console.log(`[Dispatcher] Job ${mobilesd_job_id}: Using REST API approach with /sdapi/v1/txt2img (headless operation)`);
+        // REST API approach - direct communication with /sdapi/v1/txt2img or /sdapi/v1/img2img
+        console.log(`[Dispatcher] Job ${mobilesd_job_id}: Using REST API approach with ${endpoint} (headless operation)`);
         
-        // Prepare the payload for the Forge txt2img API
-        const txt2imgPayload = {
+        // Prepare the payload for the Forge API
+        const generationPayload = {
             prompt: parsed_generation_params.positive_prompt || parsed_generation_params.prompt || "",
             negative_prompt: parsed_generation_params.negative_prompt || "",
             steps: parsed_generation_params.steps || 20,
@@ -316,29 +485,52 @@ async function processJob(job) {
             save_images: false,  // Don't save to Forge's directory, we'll save to our own
             override_settings: {}
         };
+
+        if (mode === 'img2img') {
+            generationPayload.init_images = parsed_generation_params.init_images;
+            generationPayload.denoising_strength = parsed_generation_params.denoising_strength ?? 0.75;
+            generationPayload.resize_mode = parsed_generation_params.resize_mode ?? 0;
+            // Optional img2img and inpainting settings are only sent when given, leaving the rest to Forge's defaults
+            IMG2IMG_OPTIONAL_FIELDS.forEach(field => {
+                if (parsed_generation_params[field] !== undefined && parsed_generation_params[field] !== null) {
+                    generationPayload[field] = parsed_generation_params[field];
+                }
+            });
+            // A transparent PNG serves as its own mask. Forge repaints where an RGBA mask is opaque, so the mask is
+            // inverted to repaint the transparent part instead.
+            if (parsed_generation_params.mask_from_alpha && !generationPayload.mask) {
+                generationPayload.mask = generationPayload.init_images[0];
+                generationPayload.inpainting_mask_invert = generationPayload.inpainting_mask_invert ? 0 : 1;
+            }
+        }
         
         // Add checkpoint override if specified
         if (checkpoint_name) {
             const normalizedCheckpoint = checkpoint_name.replace(/\\/g, '/');
-            txt2imgPayload.override_settings.sd_model_checkpoint = normalizedCheckpoint;
+            generationPayload.override_settings.sd_model_checkpoint = normalizedCheckpoint;
             console.log(`[Dispatcher] Job ${mobilesd_job_id}: Added checkpoint override: ${normalizedCheckpoint}`);
         }
         
-        console.log(`[Dispatcher] Job ${mobilesd_job_id}: Submitting to /sdapi/v1/txt2img with payload:`, {
-            prompt: txt2imgPayload.prompt.substring(0, 50) + "...",
-            steps: txt2imgPayload.steps,
-            size: `${txt2imgPayload.width}x${txt2imgPayload.height}`,
-            sampler: txt2imgPayload.sampler_name,
-            cfg_scale: txt2imgPayload.cfg_scale
+        console.log(`[Dispatcher] Job ${mobilesd_job_id}: Submitting to ${endpoint} with payload:`, {
+            prompt: generationPayload.prompt.substring(0, 50) + "...",
+            steps: generationPayload.steps,
+            size: `${generationPayload.width}x${generationPayload.height}`,
+            sampler: generationPayload.sampler_name,
+            cfg_scale: generationPayload.cfg_scale,
+            ...(mode === 'img2img' ? {
+                init_images: generationPayload.init_images.length,
+                denoising_strength: generationPayload.denoising_strength,
+                inpaint: Boolean(generationPayload.mask)
+            } : {})
         });
         
-        // Submit to the txt2img API endpoint (synchronous)
+        // Submit to the generation API endpoint (synchronous)
         console.log(`[Dispatcher] Job ${mobilesd_job_id}: Starting synchronous generation via REST API...`);
-        const txt2imgResponse = await axios.post(`${forgeBaseUrl}/sdapi/v1/txt2img`, txt2imgPayload, axiosConfig);
+        const generationResponse = await axios.post(`${forgeBaseUrl}${endpoint}`, generationPayload, axiosConfig);
         
         // Process the response immediately since it's synchronous
         console.log(`[Dispatcher] Job ${mobilesd_job_id}: Generation completed successfully. Processing response...`);
-        const responseData = txt2imgResponse.data;
+        const responseData = generationResponse.data;
         
         let resultInfo = {};
         if (responseData.info) {
@@ -374,21 +566,24 @@ async function processJob(job) {
             console.warn(`[Dispatcher] Job ${mobilesd_job_id}: No images returned in response`);
         }
         
+        markServerHealth(target_server_alias, true);
+        recordLoadedCheckpoint(target_server_alias, parsed_generation_params, resultInfo);
+        
         // Update job to completed status
         await jobQueue.updateJob(mobilesd_job_id, {
             status: 'completed',
-            processing_started_at: new Date().toISOString(),
             completion_timestamp: new Date().toISOString(),
             result_details: {
                 message: "Job completed successfully via REST API.",
-                submission_type: "sdapi_txt2img",
+                submission_type: `sdapi_${mode}`,
                 generation_info: resultInfo,
                 saved_filenames: savedImages,
                 images: savedImages, // Include under both keys for backward compatibility
                 positive_prompt: parsed_generation_params.positive_prompt || parsed_generation_params.prompt || "",
-                negative_prompt: parsed_generation_params.negative_prompt || ""
+                negative_prompt: parsed_generation_params.negative_prompt || "",
+                attempts: previousAttempts
             }
-        });
+        }, { actor: DISPATCHER_ACTOR });
         
         console.log(`[Dispatcher] Job ${mobilesd_job_id}: Job marked as completed via REST API.`);
         return;
@@ -402,13 +597,744 @@ async function processJob(job) {
         } else {
             console.error(`[Dispatcher] Job ${mobilesd_job_id}: No error response object. Error details: ${error}`);
         }
+        // A server that answered with an error is still up; one that never answered is not
+        markServerHealth(target_server_alias, Boolean(error.response), error.message);
+
+        const classification = classifyDispatchError(error);
+        const failedAttempt = {
+            attempt: attemptNumber,
+            server: target_server_alias,
+            failed_at: new Date().toISOString(),
+            error: error.message,
+            status_code: classification.status_code,
+            code: classification.code,
+            category: classification.category,
+            retryable: classification.retryable
+        };
+        const attempts = [...previousAttempts, failedAttempt];
+        jobQueue.recordJobEvent(mobilesd_job_id, 'dispatch_failed', {
+            actor: DISPATCHER_ACTOR,
+            message: `Attempt ${attemptNumber} failed: ${error.message}`,
+            details: failedAttempt,
+            created_at: failedAttempt.failed_at
+        });
+
+        const retryPolicy = resolveRetryPolicy(job, serverDetails);
+        if (classification.retryable && attemptNumber < retryPolicy.max_attempts) {
+            const delayMs = getRetryDelayMs(retryPolicy, attemptNumber);
+            const runAfter = new Date(Date.now() + delayMs).toISOString();
+            console.warn(`[Dispatcher] Job ${mobilesd_job_id}: ${classification.category} error on attempt ${attemptNumber}/${retryPolicy.max_attempts}, retrying after ${Math.round(delayMs / 1000)}s.`);
+            await jobQueue.updateJob(mobilesd_job_id, {
+                status: 'pending',
+                retry_count: attemptNumber,
+                run_after: runAfter,
+                queued_at: new Date().toISOString(),
+                // Pool jobs go back to their pool so the retry can land on another member
+                ...(job.target_pool ? { target_server_alias: job.target_pool } : {}),
+                result_details: {
+                    message: `Attempt ${attemptNumber} failed, retry scheduled.`,
+                    next_attempt_at: runAfter,
+                    max_attempts: retryPolicy.max_attempts,
+                    attempts
+                }
+            }, { actor: DISPATCHER_ACTOR });
+            return;
+        }
+
         await jobQueue.updateJob(mobilesd_job_id, {
             status: 'failed',
             result_details_json: JSON.stringify({
                 error: `REST API interaction failed: ${error.message}`,
-                details: errorResponseData || String(error.stack)
+                details: errorResponseData || String(error.stack),
+                retryable: classification.retryable,
+                max_attempts: retryPolicy.max_attempts,
+                attempts
             }),
+        }, { actor: DISPATCHER_ACTOR });
+    }
+}
+
+/**
+ * Returns how many jobs a server may run at the same time
+ */
+function getServerConcurrency(serverDetails) {
+    const configured = parseInt(serverDetails && serverDetails.maxConcurrentJobs, 10);
+    return configured > 0 ? configured : DEFAULT_SERVER_CONCURRENCY;
+}
+
+function getLane(alias) {
+    if (!serverLanes.has(alias)) {
+        serverLanes.set(alias, new Set());
+    }
+    return serverLanes.get(alias);
+}
+
+/**
+ * Returns the IDs of the jobs currently running in a server's lane
+ */
+function getActiveLaneJobs(alias) {
+    return Array.from(getLane(alias));
+}
+
+/**
+ * Expected duration of a job in seconds, from the learned speed of the server it runs on
+ * @param {object} generationParams - The job's generation parameters
+ * @param {string} [alias] - Server the job runs on; without one the speed of the whole fleet is used
+ */
+function estimateJobDurationSeconds(generationParams = {}, alias) {
+    return estimateJobSeconds(generationParams, alias);
+}
+
+/**
+ * Describes where a pending job sits in its target's queue and roughly how long until it starts
+ * @param {object} target - Resolved job target ({ alias, isPool, members }) from resolveJobTarget
+ * @param {string} jobId - The pending job to locate
+ * @returns {object} Queue position, combined concurrency and wait estimate
+ */
+function getLaneQueueInfo(target, jobId) {
+    const targetPending = jobQueue.findPendingJobs(0, null, { target_server_alias: target.alias });
+    const queuePosition = targetPending.findIndex(j => j.mobilesd_job_id === jobId) + 1;
+
+    let concurrency = 0;
+    let activeJobs = 0;
+    let secondsAhead = 0;
+    const now = Date.now();
+
+    for (const server of target.members) {
+        concurrency += getServerConcurrency(server);
+        activeJobs += getLane(server.alias).size;
+
+        // Work still to do on running jobs
+        for (const activeJobId of getActiveLaneJobs(server.alias)) {
+            const activeJob = jobQueue.getJobById(activeJobId);
+            if (!activeJob) continue;
+            const startedAt = activeJob.processing_started_at || activeJob.last_updated_timestamp;
+            const elapsed = (now - new Date(startedAt).getTime()) / 1000;
+            secondsAhead += Math.max(0, estimateJobDurationSeconds(activeJob.generation_params, server.alias) - elapsed);
+        }
+
+        // Pool jobs only get the slots left over once a member's own queue is served
+        if (target.isPool) {
+            jobQueue.findPendingJobs(0, null, { target_server_alias: server.alias }).forEach(pendingJob => {
+                secondsAhead += estimateJobDurationSeconds(pendingJob.generation_params, server.alias);
+            });
+        }
+    }
+
+    targetPending.slice(0, Math.max(0, queuePosition - 1)).forEach(pendingJob => {
+        secondsAhead += estimateJobDurationSeconds(pendingJob.generation_params, target.isPool ? undefined : target.alias);
+    });
+
+    return {
+        queue_position: queuePosition,
+        lane_concurrency: concurrency,
+        lane_active_jobs: activeJobs,
+        estimated_wait_seconds: concurrency > 0 ? Math.round(secondsAhead / concurrency) : null
+    };
+}
+
+/**
+ * Plays the queue forward to estimate when each pending job starts and when it and each running job finish.
+ * Whenever a slot frees up it takes the first ready job in dispatch order, a server's own jobs before pool jobs,
+ * and holds it for as long as the server's learned speed predicts. A job is ready once its run_after has passed
+ * and its parents are estimated to have finished. Jobs waiting on a held parent, and jobs aimed at servers or
+ * pools that are not configured, get no estimate.
+ * @param {Array<object>} servers - Configured servers
+ * @param {number} now - Time the simulation starts from, in milliseconds
+ * @returns {Map<string, {estimated_start_at: string, estimated_finish_at: string, estimated_server_alias: string}>}
+ *          Estimates keyed by job ID
+ */
+function simulateQueue(servers, now) {
+    const estimates = new Map();
+    const finishTimes = new Map();
+    const recordEstimate = (jobId, alias, startAt, finishAt) => {
+        finishTimes.set(jobId, finishAt);
+        estimates.set(jobId, {
+            estimated_start_at: new Date(startAt).toISOString(),
+            estimated_finish_at: new Date(finishAt).toISOString(),
+            estimated_server_alias: alias
         });
+    };
+
+    // Running jobs keep their slots until their estimated finish
+    const runningJobs = jobQueue.getJobsByStatus('processing');
+    const slots = [];
+    for (const server of servers) {
+        const serverSlots = Array.from({ length: getServerConcurrency(server) }, () => ({ alias: server.alias, freeAt: now }));
+        runningJobs.filter(job => job.target_server_alias === server.alias).forEach((job, index) => {
+            const startedAt = new Date(job.processing_started_at || job.last_updated_timestamp).getTime();
+            const finishAt = Math.max(now, startedAt + estimateJobDurationSeconds(job.generation_params, server.alias) * 1000);
+            const slot = serverSlots[index % serverSlots.length];
+            slot.freeAt = Math.max(slot.freeAt, finishAt);
+            recordEstimate(job.mobilesd_job_id, server.alias, startedAt, finishAt);
+        });
+        slots.push(...serverSlots);
+    }
+
+    const poolTargets = [AUTO_TARGET, ...getPoolNames(servers)];
+    const membersByTarget = new Map(servers.map(server => [server.alias, [server.alias]]));
+    poolTargets.forEach(poolName => {
+        membersByTarget.set(poolName, getPoolMembers(servers, poolName).map(server => server.alias));
+    });
+
+    const pendingJobs = jobQueue.findPendingJobs(MAX_ESTIMATED_JOBS)
+        .filter(job => (membersByTarget.get(job.target_server_alias) || []).length > 0);
+    const parentsByJob = jobQueue.getJobDependencyMap(pendingJobs.map(job => job.mobilesd_job_id));
+    const unfinishedParents = job => (parentsByJob.get(job.mobilesd_job_id) || []).filter(parent => parent.status !== 'completed');
+
+    // Drop jobs whose parents will never be estimated, so slots do not wait on them forever
+    let remaining = pendingJobs;
+    for (let pruned = true; pruned;) {
+        const placeable = new Set([...finishTimes.keys(), ...remaining.map(job => job.mobilesd_job_id)]);
+        const kept = remaining.filter(job => unfinishedParents(job).every(parent => placeable.has(parent.job_id)));
+        pruned = kept.length < remaining.length;
+        remaining = kept;
+    }
+    remaining = [
+        ...remaining.filter(job => !poolTargets.includes(job.target_server_alias)),
+        ...remaining.filter(job => poolTargets.includes(job.target_server_alias))
+    ];
+
+    const readyAt = job => {
+        let ready = job.run_after ? Math.max(now, new Date(job.run_after).getTime()) : now;
+        for (const parent of unfinishedParents(job)) {
+            if (!finishTimes.has(parent.job_id)) {
+                return null;
+            }
+            ready = Math.max(ready, finishTimes.get(parent.job_id));
+        }
+        return ready;
+    };
+
+    while (remaining.length > 0 && slots.length > 0) {
+        const slot = slots.reduce((earliest, candidate) => candidate.freeAt < earliest.freeAt ? candidate : earliest);
+        let nextReadyAt = Infinity;
+        let waitsOnParent = false;
+        const index = remaining.findIndex(job => {
+            if (!membersByTarget.get(job.target_server_alias).includes(slot.alias)) {
+                return false;
+            }
+            const ready = readyAt(job);
+            if (ready === null) {
+                waitsOnParent = true;
+                return false;
+            }
+            if (ready > slot.freeAt) {
+                nextReadyAt = Math.min(nextReadyAt, ready);
+                return false;
+            }
+            return true;
+        });
+
+        if (index === -1) {
+            // Nothing to run yet: idle until a job becomes ready, or until another slot has moved on and may
+            // have placed a parent; a slot with neither has no work left
+            const otherSlotTimes = slots.filter(other => other !== slot).map(other => other.freeAt + 1);
+            const wakeAt = Math.min(nextReadyAt, ...(waitsOnParent ? otherSlotTimes : []));
+            if (wakeAt === Infinity) {
+                slots.splice(slots.indexOf(slot), 1);
+            } else {
+                slot.freeAt = wakeAt;
+            }
+            continue;
+        }
+
+        const [job] = remaining.splice(index, 1);
+        const finishAt = slot.freeAt + estimateJobDurationSeconds(job.generation_params, slot.alias) * 1000;
+        recordEstimate(job.mobilesd_job_id, slot.alias, slot.freeAt, finishAt);
+        slot.freeAt = finishAt;
+    }
+
+    return estimates;
+}
+
+/**
+ * Estimated start and finish of the jobs in the queue. The simulation is cached briefly and rerun when the
+ * cached one predates the given time, so callers can ask for one that has seen a job's latest change.
+ * @param {string} [notBefore] - ISO time the estimates must have been made at or after
+ * @returns {Promise<{generated_at: string, queue_paused: boolean, jobs: Map<string, object>}>} Estimates keyed by
+ *          job ID; none while queue processing is paused, since nothing will start until it resumes
+ */
+async function getQueueEstimates(notBefore = null) {
+    const now = Date.now();
+    const isFresh = queueEstimateCache
+        && now - queueEstimateCache.at < QUEUE_ESTIMATE_TTL_MS
+        && (!notBefore || queueEstimateCache.at >= new Date(notBefore).getTime());
+    if (isFresh) {
+        return queueEstimateCache.result;
+    }
+
+    const queuePaused = !(await isQueueProcessingEnabled());
+    const result = {
+        generated_at: new Date(now).toISOString(),
+        queue_paused: queuePaused,
+        jobs: queuePaused ? new Map() : simulateQueue(await readServersConfig(), now)
+    };
+    queueEstimateCache = { at: now, result };
+    return result;
+}
+
+/**
+ * Estimated start, finish and server of one job
+ * @param {object} job - The job, as returned by getJobById
+ * @returns {Promise<{estimated_start_at: string|null, estimated_finish_at: string|null, estimated_server_alias: string|null}>}
+ *          All null when the job is finished, held, waiting on a held parent, or the queue is paused
+ */
+async function getJobEstimate(job) {
+    const noEstimate = { estimated_start_at: null, estimated_finish_at: null, estimated_server_alias: null };
+    if (!['pending', 'processing'].includes(job.status)) {
+        return noEstimate;
+    }
+    const { jobs } = await getQueueEstimates(job.last_updated_timestamp);
+    return jobs.get(job.mobilesd_job_id) || noEstimate;
+}
+
+/**
+ * Records whether a server could be reached on its last job
+ */
+function markServerHealth(alias, healthy, error = null) {
+    serverHealth.set(alias, {
+        healthy,
+        last_error: healthy ? null : error,
+        checked_at: Date.now()
+    });
+}
+
+/**
+ * Returns the last known health of a server; servers not seen yet count as healthy
+ */
+function getServerHealth(alias) {
+    const health = serverHealth.get(alias);
+    if (!health) {
+        return { healthy: true, last_error: null, checked_at: null };
+    }
+    return { ...health, checked_at: new Date(health.checked_at).toISOString() };
+}
+
+function isServerAvailableForPool(alias) {
+    const health = serverHealth.get(alias);
+    // After the cooldown an unreachable server gets another chance
+    return !health || health.healthy || Date.now() - health.checked_at >= UNHEALTHY_SERVER_COOLDOWN_MS;
+}
+
+/**
+ * Notes which checkpoint a server just ran so later pool jobs can follow it there
+ */
+function recordLoadedCheckpoint(alias, generationParams, resultInfo = {}) {
+    const checkpoint = modelDB.findCheckpointForParams({
+        ...generationParams,
+        // Forge reports the checkpoint it actually used, which covers jobs that did not name one
+        model_hash: resultInfo.sd_model_hash || generationParams.model_hash,
+        checkpoint_name: generationParams.checkpoint_name || resultInfo.sd_model_name
+    });
+    if (checkpoint) {
+        modelDB.updateModelServerAvailability(checkpoint.id, alias);
+    }
+}
+
+/**
+ * Picks the pool member that should run a job: healthy with a free slot, preferring servers
+ * that already have the job's checkpoint loaded, then the least loaded
+ * @param {Array<object>} members - Server configs in the pool
+ * @param {object} job - Pending job aimed at the pool
+ * @returns {object|null} The chosen server config, or null if no member can take the job now
+ */
+function pickPoolServer(members, job) {
+    const candidates = members.filter(server =>
+        server.apiUrl &&
+        isServerAvailableForPool(server.alias) &&
+        getLane(server.alias).size < getServerConcurrency(server)
+    );
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    let generationParams = job.generation_params || {};
+    if (generationParams.raw_generation_info) {
+        generationParams = parseRawGenerationInfo(generationParams.raw_generation_info);
+    }
+    const checkpoint = modelDB.findCheckpointForParams(generationParams);
+    const checkpointStatus = checkpoint
+        ? modelDB.getCheckpointServerStatus(checkpoint.id)
+        : { loaded: [], available: [] };
+
+    const affinity = alias => {
+        if (checkpointStatus.loaded.includes(alias)) return 2;
+        if (checkpointStatus.available.includes(alias)) return 1;
+        return 0;
+    };
+    const load = server => getLane(server.alias).size / getServerConcurrency(server);
+
+    return candidates
+        .slice()
+        .sort((a, b) => (affinity(b.alias) - affinity(a.alias)) || (load(a) - load(b)))[0];
+}
+
+/**
+ * Returns a comparable key for the checkpoint a job asks for, or null if it leaves the choice to the server
+ */
+function getJobCheckpointKey(job) {
+    let generationParams = job.generation_params || {};
+    if (generationParams.raw_generation_info) {
+        generationParams = parseRawGenerationInfo(generationParams.raw_generation_info);
+    }
+    const checkpoint = generationParams.checkpoint_name || generationParams.sd_checkpoint;
+    if (!checkpoint || typeof checkpoint !== 'string') {
+        return null;
+    }
+    // Same normalization as the override sent to Forge, so only real switches count as different
+    return checkpoint.replace(/\\/g, '/').trim().toLowerCase();
+}
+
+function getServerCheckpointState(alias) {
+    if (!serverCheckpoints.has(alias)) {
+        serverCheckpoints.set(alias, { checkpoint: null, passedOverJobId: null, passedOverCount: 0 });
+    }
+    return serverCheckpoints.get(alias);
+}
+
+function getCheckpointStatsFor(alias) {
+    if (!checkpointStats.has(alias)) {
+        checkpointStats.set(alias, { checkpoint_switches: 0, affinity_dispatches: 0, model_loads_saved: 0 });
+    }
+    return checkpointStats.get(alias);
+}
+
+/**
+ * Chooses which of a server's ready pending jobs to start next. With checkpoint affinity on, a job
+ * of the same priority that uses the checkpoint already loaded may run ahead of the head of the
+ * queue, but the head is passed over at most `window` times before it goes regardless.
+ * @param {string} alias - Server the job will run on
+ * @param {Array<object>} candidates - Ready pending jobs for the server in dispatch order
+ * @param {object} affinity - Settings from getCheckpointAffinitySettings
+ * @returns {object} The job to start
+ */
+function pickNextLaneJob(alias, candidates, affinity) {
+    const head = candidates[0];
+    const state = getServerCheckpointState(alias);
+    const headCheckpoint = getJobCheckpointKey(head);
+
+    if (!affinity.enabled || !state.checkpoint || !headCheckpoint || headCheckpoint === state.checkpoint) {
+        return head;
+    }
+
+    const passedOverCount = state.passedOverJobId === head.mobilesd_job_id ? state.passedOverCount : 0;
+    if (passedOverCount >= affinity.window) {
+        return head;
+    }
+
+    const match = candidates
+        .slice(1, affinity.window + 1)
+        .find(job => job.priority === head.priority && getJobCheckpointKey(job) === state.checkpoint);
+    if (!match) {
+        return head;
+    }
+
+    const stats = getCheckpointStatsFor(alias);
+    stats.affinity_dispatches++;
+    // Running a group of same-checkpoint jobs early saves the one load needed to come back to it after
+    // the head; later jobs in the group would have followed on anyway, so this is a lower bound
+    if (passedOverCount === 0) {
+        stats.model_loads_saved++;
+    }
+    state.passedOverJobId = head.mobilesd_job_id;
+    state.passedOverCount = passedOverCount + 1;
+    console.log(`[Dispatcher] Lane '${alias}': Checkpoint affinity starts job ${match.mobilesd_job_id} ahead of ${head.mobilesd_job_id} (${state.passedOverCount}/${affinity.window}).`);
+    return match;
+}
+
+/**
+ * Notes the checkpoint a server is about to be sent and counts the switch if it changes
+ */
+function trackDispatchedCheckpoint(alias, job) {
+    const checkpoint = getJobCheckpointKey(job);
+    if (!checkpoint) {
+        // Jobs without a checkpoint run on whatever the server has loaded
+        return;
+    }
+    const state = getServerCheckpointState(alias);
+    // The first job after startup is not counted since the server's loaded checkpoint is unknown
+    if (state.checkpoint && state.checkpoint !== checkpoint) {
+        getCheckpointStatsFor(alias).checkpoint_switches++;
+    }
+    state.checkpoint = checkpoint;
+}
+
+/**
+ * Returns checkpoint switch and affinity counters since startup, in total and per server
+ */
+function getCheckpointAffinityStats() {
+    const totals = { checkpoint_switches: 0, affinity_dispatches: 0, model_loads_saved: 0 };
+    const servers = {};
+    for (const [alias, stats] of checkpointStats) {
+        Object.keys(totals).forEach(key => { totals[key] += stats[key]; });
+        servers[alias] = { ...stats, loaded_checkpoint: getServerCheckpointState(alias).checkpoint };
+    }
+    return { since: checkpointStatsSince, ...totals, servers };
+}
+
+/**
+ * Runs a job in its server's lane without blocking the other lanes
+ */
+function runInLane(alias, job) {
+    const lane = getLane(alias);
+    lane.add(job.mobilesd_job_id);
+    trackDispatchedCheckpoint(alias, job);
+
+    processJob(job)
+        .catch(error => {
+            console.error(`[Dispatcher] Lane '${alias}': Unhandled error processing job ${job.mobilesd_job_id}:`, error);
+        })
+        .finally(() => {
+            lane.delete(job.mobilesd_job_id);
+            const finishedJob = jobQueue.getJobById(job.mobilesd_job_id);
+            if (finishedJob) {
+                jobStatusManager.broadcastJobUpdate(finishedJob);
+            }
+            // A slot just opened up, so refill right away rather than waiting for the next poll
+            if (!isStopping) {
+                fillServerLanes().catch(error => {
+                    console.error('[Dispatcher] Error refilling lanes after job completion:', error);
+                });
+            }
+        });
+}
+
+/**
+ * Creates a pending job for every recurring schedule that is due and moves each schedule to its next run.
+ * Runs missed while the app was down are not replayed; the schedule fires once and continues from now.
+ */
+function materializeDueSchedules(servers) {
+    const now = new Date();
+    for (const schedule of jobQueue.findDueSchedules(now.toISOString())) {
+        let nextRunAt = null;
+        try {
+            const nextRun = getNextRunTime(schedule.cron_expression, now);
+            nextRunAt = nextRun ? nextRun.toISOString() : null;
+        } catch (error) {
+            console.error(`[Dispatcher] Schedule '${schedule.name}' (${schedule.id}) has an invalid cron expression, disabling: ${error.message}`);
+            jobQueue.updateSchedule(schedule.id, { enabled: false, next_run_at: null });
+            continue;
+        }
+
+        // A server or pool that was removed from the config would leave the job pending forever. The run is
+        // skipped rather than the schedule disabled, so it picks up again once the target is back.
+        const target = resolveJobTarget(servers, schedule.target_server_alias);
+        if (!target) {
+            console.warn(`[Dispatcher] Schedule '${schedule.name}' (${schedule.id}) targets unknown server or pool '${schedule.target_server_alias}', skipping this run; next run ${nextRunAt || 'never'}.`);
+            jobQueue.updateSchedule(schedule.id, { next_run_at: nextRunAt });
+            continue;
+        }
+
+        let generationParams = schedule.generation_params;
+        if (schedule.prompt_expansion) {
+            // Every run draws its own expansion seed unless the schedule fixes one, as separate submissions would
+            const { mode, seed } = schedule.prompt_expansion;
+            const expansion = expandGenerationParams(generationParams, {
+                mode,
+                seed: seed === undefined ? crypto.randomInt(0, MAX_SEED) : seed
+            });
+            if (!expansion.paramsList) {
+                console.warn(`[Dispatcher] Schedule '${schedule.name}' (${schedule.id}) could not expand its prompt, skipping this run; next run ${nextRunAt || 'never'}: ${expansion.error}`);
+                jobQueue.updateSchedule(schedule.id, { next_run_at: nextRunAt });
+                continue;
+            }
+            generationParams = expansion.paramsList[0];
+        }
+
+        const job = jobQueue.addJob({
+            target_server_alias: schedule.target_server_alias,
+            generation_params: generationParams,
+            app_type: schedule.app_type,
+            source_info: 'schedule',
+            priority: schedule.priority,
+            target_pool: target.isPool ? schedule.target_server_alias : null,
+            schedule_id: schedule.id
+        });
+        jobQueue.updateSchedule(schedule.id, {
+            last_run_at: now.toISOString(),
+            last_job_id: job.mobilesd_job_id,
+            next_run_at: nextRunAt
+        });
+        console.log(`[Dispatcher] Schedule '${schedule.name}': Created job ${job.mobilesd_job_id}, next run ${nextRunAt || 'never'}.`);
+        jobStatusManager.broadcastJobUpdate(jobQueue.getJobById(job.mobilesd_job_id));
+    }
+}
+
+/**
+ * Extends the leases on every job this process is running
+ */
+function heartbeatLeases() {
+    if (leasedJobs.size === 0) {
+        return;
+    }
+    try {
+        const { lease_expires_at } = newLeaseFields();
+        jobQueue.renewJobLeases(Array.from(leasedJobs), DISPATCHER_INSTANCE_ID, lease_expires_at);
+    } catch (error) {
+        console.error('[Dispatcher] Heartbeat: Error renewing job leases:', error);
+    }
+}
+
+/**
+ * Requeues or fails REST jobs left 'processing' by a dispatcher that stopped heartbeating, following
+ * ORPHANED_JOB_POLICY, and adds the interruption to the job's attempt history
+ */
+function recoverOrphanedJobs(servers) {
+    const now = new Date();
+    for (const job of jobQueue.findOrphanedJobs(DISPATCHER_INSTANCE_ID, now)) {
+        const attemptNumber = (job.retry_count || 0) + 1;
+        const previousAttempts = (job.result_details && Array.isArray(job.result_details.attempts)) ? job.result_details.attempts : [];
+        const serverDetails = servers.find(server => server.alias === job.target_server_alias);
+        const retryPolicy = resolveRetryPolicy(job, serverDetails);
+        const requeue = ORPHANED_JOB_POLICY === 'requeue' ||
+            (ORPHANED_JOB_POLICY === 'retry' && attemptNumber < retryPolicy.max_attempts);
+
+        const error = job.lease_expires_at
+            ? `Dispatcher stopped while running the job; its lease expired at ${job.lease_expires_at}.`
+            : 'Dispatcher stopped while running the job; it had no dispatch lease.';
+        const attempts = [...previousAttempts, {
+            attempt: attemptNumber,
+            server: job.target_server_alias,
+            failed_at: now.toISOString(),
+            error,
+            code: 'LEASE_EXPIRED',
+            category: 'interrupted',
+            retryable: requeue,
+            last_heartbeat_at: job.heartbeat_at || null,
+            recovery: {
+                action: requeue ? 'requeued' : 'failed',
+                policy: ORPHANED_JOB_POLICY,
+                recovered_at: now.toISOString(),
+                recovered_by: DISPATCHER_INSTANCE_ID
+            }
+        }];
+        const clearedLease = { lease_owner: null, lease_expires_at: null };
+
+        let recoveredJob;
+        if (requeue) {
+            recoveredJob = jobQueue.updateJob(job.mobilesd_job_id, {
+                status: 'pending',
+                retry_count: attemptNumber,
+                run_after: null,
+                queued_at: now.toISOString(),
+                ...clearedLease,
+                // Pool jobs go back to their pool so they can land on any member
+                ...(job.target_pool ? { target_server_alias: job.target_pool } : {}),
+                result_details: {
+                    message: `Attempt ${attemptNumber} was interrupted, job requeued.`,
+                    max_attempts: retryPolicy.max_attempts,
+                    attempts
+                }
+            }, { actor: DISPATCHER_ACTOR });
+        } else {
+            recoveredJob = jobQueue.updateJob(job.mobilesd_job_id, {
+                status: 'failed',
+                completion_timestamp: now.toISOString(),
+                ...clearedLease,
+                result_details: {
+                    error: `Job interrupted: ${error}`,
+                    retryable: false,
+                    max_attempts: retryPolicy.max_attempts,
+                    attempts
+                }
+            }, { actor: DISPATCHER_ACTOR });
+        }
+        console.warn(`[Dispatcher] Recovery: Job ${job.mobilesd_job_id} was orphaned on '${job.target_server_alias}' (attempt ${attemptNumber}), ${requeue ? 'requeued' : 'marked failed'} (policy '${ORPHANED_JOB_POLICY}').`);
+        jobStatusManager.broadcastJobUpdate(recoveredJob);
+    }
+}
+
+/**
+ * Starts pending jobs on every server that has free capacity
+ */
+async function fillServerLanes() {
+    const servers = await readServersConfig();
+
+    // Scheduled runs are queued even while processing is paused, so they wait in line like any other job
+    materializeDueSchedules(servers);
+
+    // Expiry is a deadline, so stale jobs are reported even while processing is paused
+    for (const expiredJob of jobQueue.expireStaleJobs()) {
+        console.log(`[Dispatcher] Job ${expiredJob.mobilesd_job_id} expired: ${expiredJob.result_details.error}`);
+        jobStatusManager.broadcastJobUpdate(expiredJob);
+    }
+
+    // The first poll after startup reconciles jobs a crashed process left 'processing'; later polls pick up
+    // leases that were still running at startup once they lapse
+    recoverOrphanedJobs(servers);
+
+    // Grids are drawn in the background so a large sweep does not hold up dispatching
+    assembleFinishedSweeps().catch(error => {
+        console.error('[Dispatcher] Error assembling sweep grids:', error);
+    });
+
+    // Retention follows its own cron schedule and also runs while processing is paused
+    runDueRetention().catch(error => {
+        console.error('[Dispatcher] Error applying the retention policy:', error);
+    });
+
+    const queueEnabled = await isQueueProcessingEnabled();
+    if (!queueEnabled) {
+        return;
+    }
+
+    // Dependents of failed, cancelled or expired jobs can never run, so end them before filling lanes
+    for (const settledJob of jobQueue.settleJobsWithFailedDependencies()) {
+        console.log(`[Dispatcher] Job ${settledJob.mobilesd_job_id} ${settledJob.status}: ${settledJob.result_details.error}`);
+        jobStatusManager.broadcastJobUpdate(settledJob);
+    }
+
+    const affinity = await getCheckpointAffinitySettings();
+
+    for (const server of servers) {
+        const lane = getLane(server.alias);
+        const freeSlots = getServerConcurrency(server) - lane.size;
+        if (freeSlots <= 0) {
+            continue;
+        }
+
+        // With checkpoint affinity on, look past the head of the queue for jobs on the loaded checkpoint
+        const candidates = jobQueue.findPendingJobs(affinity.enabled ? freeSlots + affinity.window : freeSlots, null, {
+            target_server_alias: server.alias,
+            ready_only: true
+        });
+        for (let slot = 0; slot < freeSlots && candidates.length > 0; slot++) {
+            const job = pickNextLaneJob(server.alias, candidates, affinity);
+            candidates.splice(candidates.indexOf(job), 1);
+            console.log(`[Dispatcher] Lane '${server.alias}': Starting job ${job.mobilesd_job_id} (${lane.size + 1}/${getServerConcurrency(server)} slots).`);
+            runInLane(server.alias, job);
+        }
+    }
+
+    // Jobs sent to a pool (or 'auto') take whichever member is best placed once direct jobs are served
+    const poolTargets = [AUTO_TARGET, ...getPoolNames(servers)];
+    const poolJobs = jobQueue.findPendingJobs(0, null, {
+        target_server_aliases: poolTargets,
+        ready_only: true
+    });
+    for (const job of poolJobs) {
+        const poolName = job.target_server_alias;
+        const server = pickPoolServer(getPoolMembers(servers, poolName), job);
+        if (!server) {
+            continue;
+        }
+
+        const assignedJob = jobQueue.updateJob(job.mobilesd_job_id, {
+            target_server_alias: server.alias,
+            target_pool: poolName
+        });
+        console.log(`[Dispatcher] Pool '${poolName}': Routing job ${job.mobilesd_job_id} to '${server.alias}' (${getLane(server.alias).size + 1}/${getServerConcurrency(server)} slots).`);
+        runInLane(server.alias, assignedJob);
+    }
+
+    // Jobs aimed at servers or pools that are no longer configured still go through processJob so they fail visibly
+    const orphanedJobs = jobQueue.findPendingJobs(0, null, {
+        exclude_server_aliases: [...servers.map(server => server.alias), ...poolTargets],
+        ready_only: true
+    });
+    for (const job of orphanedJobs) {
+        runInLane(job.target_server_alias, job);
     }
 }
 
@@ -419,25 +1345,8 @@ async function pollForJobs() {
     }
     
     try {
-        // Check if queue processing is enabled
-        const queueEnabled = await isQueueProcessingEnabled();
-        if (!queueEnabled) {
-            // Queue processing is disabled, skip this poll cycle
-            // console.log('[Dispatcher] Poll: Queue processing is disabled, skipping poll cycle.');
-        } else {
-            // Get recent pending jobs only (created within the last 24 hours)
-            const oneDayAgo = new Date();
-            oneDayAgo.setDate(oneDayAgo.getDate() - 1);
-            const oneDayAgoISOString = oneDayAgo.toISOString();
-
-            const pendingJobs = await jobQueue.findPendingJobs(1, oneDayAgoISOString); 
-            
-            if (pendingJobs && pendingJobs.length > 0) {
-                const jobToProcess = pendingJobs[0];
-                console.log(`[Dispatcher] Poll: Found pending job ${jobToProcess.mobilesd_job_id}. Attempting to process.`);
-                await processJob(jobToProcess); 
-            }
-        }
+        // Lanes run independently, so polling only tops them up and never waits on a job
+        await fillServerLanes();
     } catch (error) {
         console.error('[Dispatcher] Poll: Error during job polling or processing initiation:', error);
     } finally {
@@ -454,7 +1363,10 @@ function startDispatcher() {
     }
     console.log(`[Dispatcher] Start: Initializing dispatcher service. Polling interval: ${POLLING_INTERVAL_MS}ms.`);
     console.log('[Dispatcher] Note: Using REST API approach for headless operation.');
+    console.log(`[Dispatcher] Note: One dispatch lane per server, default concurrency ${DEFAULT_SERVER_CONCURRENCY}.`);
+    console.log(`[Dispatcher] Note: Instance ${DISPATCHER_INSTANCE_ID} leases jobs for ${LEASE_TTL_MS}ms with a ${HEARTBEAT_INTERVAL_MS}ms heartbeat, orphaned job policy '${ORPHANED_JOB_POLICY}'.`);
     isStopping = false;
+    heartbeatIntervalId = setInterval(heartbeatLeases, HEARTBEAT_INTERVAL_MS);
     pollForJobs(); 
     console.log('[Dispatcher] Start: Dispatcher service started and initial poll scheduled.');
 }
@@ -467,12 +1379,28 @@ function stopDispatcher() {
         pollIntervalId = null;
         console.log('[Dispatcher] Stop: Polling interval cleared.');
     }
+    if (heartbeatIntervalId) {
+        clearInterval(heartbeatIntervalId);
+        heartbeatIntervalId = null;
+    }
     console.log('[Dispatcher] Stop: Dispatcher service has been signaled to stop.');
 }
 
 module.exports = {
     processJob,
+    pickPoolServer,
+    pickNextLaneJob,
+    trackDispatchedCheckpoint,
+    materializeDueSchedules,
     startDispatcher,
     stopDispatcher,
-    parseRawGenerationInfo
+    parseRawGenerationInfo,
+    getServerConcurrency,
+    getActiveLaneJobs,
+    getLaneQueueInfo,
+    getQueueEstimates,
+    getJobEstimate,
+    getServerHealth,
+    getCheckpointAffinityStats,
+    estimateJobDurationSeconds
 }; 
\ No newline at end of file
@@ -71,6 +71,15 @@ function broadcastJobUpdate(job) {
   io.to(`job:${job.mobilesd_job_id}`).emit('job_update', job);
 }
 
+// Tell clients the pending queue order changed (a job was moved, reprioritized, held or released)
+function broadcastQueueReordered(pendingOrder = jobQueue.getPendingQueueOrder().map(entry => entry.mobilesd_job_id)) {
+  if (!io) return;
+  
+  console.log(`[JobStatusManager] Broadcasting queue reorder (${pendingOrder.length} pending jobs)`);
+  
+  io.emit('queue_reordered', { pending_order: pendingOrder });
+}
+
 // Broadcast job progress update to all connected clients
 function broadcastJobProgress(jobId, progressPercentage, previewImage) {
   if (!io) return;
@@ -123,6 +132,7 @@ function broadcastScanStart() {
 module.exports = {
   initialize,
   broadcastJobUpdate,
+  broadcastQueueReordered,
   broadcastJobProgress,
   broadcastScanProgress,
   broadcastScanComplete,
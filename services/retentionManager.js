@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const jobQueue = require('../utils/jobQueueHelpers');
+const { readAppSettings, writeAppSettings } = require('../utils/configHelpers');
+const { parseCronExpression, getNextRunTime } = require('../utils/cronSchedule');
+
+const STABLE_DIFFUSION_SAVE_PATH = process.env.STABLE_DIFFUSION_SAVE_PATH || './outputs';
+const RETENTION_ACTIONS = ['archive', 'delete'];
+const DEFAULT_RETENTION_SCHEDULE = '0 3 * * *';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Jobs are archived or deleted in transactions of this size so the queue is not blocked for long
+const RETENTION_BATCH_SIZE = 200;
+// How many matching job IDs a summary lists per rule
+const SAMPLE_JOB_ID_COUNT = 20;
+
+let isApplying = false;
+let nextRun = null;
+
+/**
+ * Validates a retention policy.
+ * @param {*} policy - { enabled, schedule (cron expression), rules: [{ status, older_than_days, action, delete_images }] }
+ * @returns {{policy: object}|{field: string, error: string}} The normalized policy, or the field that is invalid
+ */
+function normalizeRetentionPolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return { field: 'retention', error: 'The retention policy must be an object' };
+    }
+
+    if (policy.enabled !== undefined && typeof policy.enabled !== 'boolean') {
+        return { field: 'enabled', error: 'enabled must be a boolean value' };
+    }
+
+    const schedule = policy.schedule === undefined ? DEFAULT_RETENTION_SCHEDULE : policy.schedule;
+    try {
+        if (!getNextRunTime(parseCronExpression(schedule))) {
+            return { field: 'schedule', error: 'schedule never matches a date' };
+        }
+    } catch (error) {
+        return { field: 'schedule', error: `Invalid schedule: ${error.message}` };
+    }
+
+    const rules = policy.rules === undefined ? [] : policy.rules;
+    if (!Array.isArray(rules)) {
+        return { field: 'rules', error: 'rules must be an array' };
+    }
+    const normalizedRules = [];
+    for (const [index, rule] of rules.entries()) {
+        const field = `rules[${index}]`;
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            return { field, error: `${field} must be an object` };
+        }
+        if (!jobQueue.RETENTION_STATUSES.includes(rule.status)) {
+            return { field: `${field}.status`, error: `status must be one of: ${jobQueue.RETENTION_STATUSES.join(', ')}` };
+        }
+        if (normalizedRules.some(existing => existing.status === rule.status)) {
+            return { field: `${field}.status`, error: `There is already a rule for ${rule.status} jobs` };
+        }
+        if (!Number.isInteger(rule.older_than_days) || rule.older_than_days < 1) {
+            return { field: `${field}.older_than_days`, error: 'older_than_days must be a positive integer' };
+        }
+        const action = rule.action === undefined ? 'archive' : rule.action;
+        if (!RETENTION_ACTIONS.includes(action)) {
+            return { field: `${field}.action`, error: `action must be one of: ${RETENTION_ACTIONS.join(', ')}` };
+        }
+        if (rule.delete_images !== undefined && typeof rule.delete_images !== 'boolean') {
+            return { field: `${field}.delete_images`, error: 'delete_images must be a boolean value' };
+        }
+        normalizedRules.push({
+            status: rule.status,
+            older_than_days: rule.older_than_days,
+            action,
+            delete_images: rule.delete_images === true
+        });
+    }
+
+    return {
+        policy: {
+            enabled: policy.enabled === true,
+            schedule: schedule.trim(),
+            rules: normalizedRules
+        }
+    };
+}
+
+/**
+ * Reads the saved retention policy (disabled with no rules unless configured)
+ * @returns {Promise<object>}
+ */
+async function getRetentionPolicy() {
+    const settings = await readAppSettings();
+    const result = normalizeRetentionPolicy(settings.retentionPolicy || {});
+    if (result.error) {
+        console.error(`[Retention] Saved retention policy is invalid (${result.error}), retention is disabled.`);
+        return { enabled: false, schedule: DEFAULT_RETENTION_SCHEDULE, rules: [] };
+    }
+    return result.policy;
+}
+
+/**
+ * Saves a retention policy and reschedules its next run
+ * @param {object} policy - A policy from normalizeRetentionPolicy
+ */
+async function saveRetentionPolicy(policy) {
+    const settings = await readAppSettings();
+    await writeAppSettings({ ...settings, retentionPolicy: policy });
+    nextRun = null;
+}
+
+// Existing image files of a job, as paths inside the outputs directory
+function getExistingImagePaths(job) {
+    return jobQueue.getJobImageFilenames(job)
+        .map(filename => path.join(STABLE_DIFFUSION_SAVE_PATH, path.basename(filename)))
+        .filter(filePath => fs.existsSync(filePath));
+}
+
+async function deleteImageFiles(filePaths) {
+    let deleted = 0;
+    for (const filePath of filePaths) {
+        try {
+            await fs.promises.unlink(filePath);
+            deleted++;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`[Retention] Could not delete image ${filePath}:`, error.message);
+            }
+        }
+    }
+    return deleted;
+}
+
+/**
+ * Applies each rule of a retention policy to the jobs that finished longer ago than the rule allows.
+ * Archived jobs move to the jobs_archive table; deleted jobs are removed for good. Either way their
+ * image files are only removed when the rule sets delete_images.
+ * @param {object} policy - A policy from normalizeRetentionPolicy
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report what would happen
+ * @param {Date} [options.now=new Date()] - Reference time for the rules' age limits
+ * @returns {Promise<object>} Per-rule and total counts of jobs and image files
+ */
+async function applyRetentionPolicy(policy, { dryRun = false, now = new Date() } = {}) {
+    if (!dryRun && isApplying) {
+        throw new Error('A retention run is already in progress');
+    }
+    if (!dryRun) {
+        isApplying = true;
+    }
+
+    try {
+        const summary = {
+            dry_run: dryRun,
+            ran_at: now.toISOString(),
+            rules: [],
+            totals: { archived: 0, deleted: 0, images_deleted: 0 }
+        };
+
+        for (const rule of policy.rules) {
+            const finishedBefore = new Date(now.getTime() - rule.older_than_days * DAY_MS).toISOString();
+            const jobs = jobQueue.findRetentionCandidates(rule.status, finishedBefore);
+            const ruleSummary = {
+                ...rule,
+                finished_before: finishedBefore,
+                jobs: jobs.length,
+                images: rule.delete_images ? jobs.reduce((count, job) => count + getExistingImagePaths(job).length, 0) : 0,
+                sample_job_ids: jobs.slice(0, SAMPLE_JOB_ID_COUNT).map(job => job.mobilesd_job_id)
+            };
+            summary.rules.push(ruleSummary);
+            if (dryRun || jobs.length === 0) {
+                continue;
+            }
+
+            let imagesDeleted = 0;
+            for (let start = 0; start < jobs.length; start += RETENTION_BATCH_SIZE) {
+                const batch = jobs.slice(start, start + RETENTION_BATCH_SIZE);
+                const imagePaths = rule.delete_images ? batch.flatMap(getExistingImagePaths) : [];
+                if (rule.action === 'archive') {
+                    jobQueue.archiveJobs(batch, rule.delete_images);
+                } else {
+                    jobQueue.purgeJobs(batch.map(job => job.mobilesd_job_id));
+                }
+                // Rows go first, so a failed delete leaves a stray file rather than a job pointing at nothing
+                imagesDeleted += await deleteImageFiles(imagePaths);
+            }
+            ruleSummary.images = imagesDeleted;
+            summary.totals[rule.action === 'archive' ? 'archived' : 'deleted'] += jobs.length;
+            summary.totals.images_deleted += imagesDeleted;
+            console.log(`[Retention] ${rule.action === 'archive' ? 'Archived' : 'Deleted'} ${jobs.length} ${rule.status} jobs older than ${rule.older_than_days} days${rule.delete_images ? ` and ${imagesDeleted} images` : ''}.`);
+        }
+
+        if (!dryRun) {
+            const settings = await readAppSettings();
+            const { rules, ...lastRun } = summary;
+            await writeAppSettings({
+                ...settings,
+                retentionLastRun: { ...lastRun, rules: rules.map(({ sample_job_ids, ...rule }) => rule) }
+            });
+        }
+        return summary;
+    } finally {
+        if (!dryRun) {
+            isApplying = false;
+        }
+    }
+}
+
+function isRetentionRunning() {
+    return isApplying;
+}
+
+/**
+ * Runs the retention policy when its schedule is due. Called on every dispatcher poll; runs missed
+ * while the app was down are not replayed.
+ * @param {Date} [now=new Date()]
+ */
+async function runDueRetention(now = new Date()) {
+    if (isApplying) {
+        return;
+    }
+    const policy = await getRetentionPolicy();
+    if (!policy.enabled || policy.rules.length === 0) {
+        nextRun = null;
+        return;
+    }
+    if (!nextRun || nextRun.schedule !== policy.schedule) {
+        nextRun = { schedule: policy.schedule, at: getNextRunTime(policy.schedule, now) };
+        return;
+    }
+    if (!nextRun.at || now < nextRun.at) {
+        return;
+    }
+
+    nextRun = { schedule: policy.schedule, at: getNextRunTime(policy.schedule, now) };
+    console.log(`[Retention] Running scheduled retention, next run ${nextRun.at ? nextRun.at.toISOString() : 'never'}.`);
+    await applyRetentionPolicy(policy, { now });
+}
+
+/**
+ * The saved policy with its next scheduled run and the summary of the last run
+ * @returns {Promise<{policy: object, next_run_at: string|null, last_run: object|null}>}
+ */
+async function getRetentionStatus() {
+    const [policy, settings] = await Promise.all([getRetentionPolicy(), readAppSettings()]);
+    let nextRunAt = null;
+    if (policy.enabled && policy.rules.length > 0) {
+        const at = nextRun && nextRun.schedule === policy.schedule ? nextRun.at : getNextRunTime(policy.schedule);
+        nextRunAt = at ? at.toISOString() : null;
+    }
+    return {
+        policy,
+        next_run_at: nextRunAt,
+        last_run: settings.retentionLastRun || null
+    };
+}
+
+module.exports = {
+    normalizeRetentionPolicy,
+    getRetentionPolicy,
+    saveRetentionPolicy,
+    applyRetentionPolicy,
+    runDueRetention,
+    getRetentionStatus,
+    isRetentionRunning,
+    RETENTION_ACTIONS
+};
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const jobQueue = require('../utils/jobQueueHelpers');
+const { formatAxisValue } = require('../utils/parameterSweep');
+
+const STABLE_DIFFUSION_SAVE_PATH = process.env.STABLE_DIFFUSION_SAVE_PATH || './outputs';
+// Statuses after which a sweep job will not produce an image any more
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled', 'expired'];
+// Cells are scaled down so the longest side of each image is at most this many pixels
+const MAX_GRID_CELL_SIZE = 512;
+const HEADER_HEIGHT = 56;
+const ROW_LABEL_WIDTH = 220;
+const PANEL_TITLE_HEIGHT = 48;
+const PANEL_GAP = 32;
+
+let isAssembling = false;
+
+// Shortens text with an ellipsis until it fits the given width
+function fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) {
+        return text;
+    }
+    let shortened = text;
+    while (shortened.length > 1 && ctx.measureText(`${shortened}…`).width > maxWidth) {
+        shortened = shortened.slice(0, -1);
+    }
+    return `${shortened}…`;
+}
+
+async function loadCellImage(loadImage, job) {
+    const filename = job && job.status === 'completed' ? job.result_details?.saved_filenames?.[0] : null;
+    if (!filename) {
+        return null;
+    }
+    const filePath = path.join(STABLE_DIFFUSION_SAVE_PATH, filename);
+    if (!fs.existsSync(filePath)) {
+        console.warn(`[Sweeps] Image ${filename} of job ${job.mobilesd_job_id} is missing, leaving its cell empty.`);
+        return null;
+    }
+    return loadImage(filePath);
+}
+
+/**
+ * Draws the labeled comparison grid of a finished sweep and saves it next to the generated images,
+ * so it shows up in the gallery. x values label the columns, y values the rows, and each z value
+ * gets its own panel.
+ * @param {object} sweep - The sweep record
+ * @param {Array<object>} jobs - The sweep's jobs
+ * @returns {Promise<string>} Filename of the saved grid
+ */
+async function buildSweepGrid(sweep, jobs) {
+    const { createCanvas, loadImage } = require('canvas');
+
+    const jobsById = new Map(jobs.map(job => [job.mobilesd_job_id, job]));
+    const cells = await Promise.all(sweep.cells.map(async cell => {
+        const job = jobsById.get(cell.mobilesd_job_id);
+        return { ...cell, job, image: await loadCellImage(loadImage, job) };
+    }));
+    const firstImage = cells.find(cell => cell.image)?.image;
+    if (!firstImage) {
+        throw new Error('None of the sweep jobs produced an image');
+    }
+
+    const [xAxis, yAxis, zAxis] = sweep.axes;
+    const columns = xAxis.values.length;
+    const rows = yAxis ? yAxis.values.length : 1;
+    const panels = zAxis ? zAxis.values.length : 1;
+
+    const scale = Math.min(1, MAX_GRID_CELL_SIZE / Math.max(firstImage.width, firstImage.height));
+    const cellWidth = Math.round(firstImage.width * scale);
+    const cellHeight = Math.round(firstImage.height * scale);
+    const rowLabelWidth = yAxis ? ROW_LABEL_WIDTH : 0;
+    const panelTitleHeight = zAxis ? PANEL_TITLE_HEIGHT : 0;
+    const panelWidth = rowLabelWidth + columns * cellWidth;
+    const panelHeight = panelTitleHeight + HEADER_HEIGHT + rows * cellHeight;
+
+    const canvas = createCanvas(panels * panelWidth + (panels - 1) * PANEL_GAP, panelHeight);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    for (let z = 0; z < panels; z++) {
+        const left = z * (panelWidth + PANEL_GAP);
+        const gridTop = panelTitleHeight + HEADER_HEIGHT;
+
+        ctx.fillStyle = 'black';
+        if (zAxis) {
+            ctx.font = 'bold 24px Arial';
+            const title = `${zAxis.label}: ${formatAxisValue(zAxis, zAxis.values[z])}`;
+            ctx.fillText(fitText(ctx, title, panelWidth - 16), left + panelWidth / 2, panelTitleHeight / 2);
+        }
+
+        ctx.font = '20px Arial';
+        xAxis.values.forEach((value, x) => {
+            const label = fitText(ctx, `${xAxis.label}: ${formatAxisValue(xAxis, value)}`, cellWidth - 12);
+            ctx.fillText(label, left + rowLabelWidth + x * cellWidth + cellWidth / 2, panelTitleHeight + HEADER_HEIGHT / 2);
+        });
+        if (yAxis) {
+            yAxis.values.forEach((value, y) => {
+                const label = fitText(ctx, `${yAxis.label}: ${formatAxisValue(yAxis, value)}`, rowLabelWidth - 16);
+                ctx.fillText(label, left + rowLabelWidth / 2, gridTop + y * cellHeight + cellHeight / 2);
+            });
+        }
+
+        for (const cell of cells.filter(cell => cell.z === z)) {
+            const cellLeft = left + rowLabelWidth + cell.x * cellWidth;
+            const cellTop = gridTop + cell.y * cellHeight;
+            if (cell.image) {
+                ctx.drawImage(cell.image, cellLeft, cellTop, cellWidth, cellHeight);
+            } else {
+                // Jobs that failed or were cancelled keep their place in the grid
+                ctx.fillStyle = '#d0d0d0';
+                ctx.fillRect(cellLeft, cellTop, cellWidth, cellHeight);
+                ctx.fillStyle = '#555555';
+                ctx.font = '20px Arial';
+                ctx.fillText(cell.job ? cell.job.status : 'missing', cellLeft + cellWidth / 2, cellTop + cellHeight / 2);
+                ctx.fillStyle = 'black';
+            }
+        }
+    }
+
+    if (!fs.existsSync(STABLE_DIFFUSION_SAVE_PATH)) {
+        fs.mkdirSync(STABLE_DIFFUSION_SAVE_PATH, { recursive: true });
+    }
+    const filename = `sweep_${sweep.id.substring(0, 8)}_grid.png`;
+    await fs.promises.writeFile(path.join(STABLE_DIFFUSION_SAVE_PATH, filename), canvas.toBuffer('image/png'));
+    return filename;
+}
+
+/**
+ * Assembles the grid of every running sweep whose jobs have all finished. Sweeps where no job
+ * completed, or whose grid could not be drawn, are marked failed.
+ */
+async function assembleFinishedSweeps() {
+    // Drawing a grid can outlast a poll interval; one pass at a time
+    if (isAssembling) {
+        return;
+    }
+    isAssembling = true;
+    try {
+        // A sweep can only be left 'assembling' outside a pass if the app stopped while drawing its grid
+        const sweeps = [...jobQueue.getAllSweeps('running'), ...jobQueue.getAllSweeps('assembling')];
+        for (const sweep of sweeps) {
+            const jobs = jobQueue.getJobsByBulkId(sweep.bulk_job_id);
+            if (!jobs.every(job => FINISHED_JOB_STATUSES.includes(job.status))) {
+                continue;
+            }
+
+            const completedJobs = jobs.filter(job => job.status === 'completed').length;
+            if (completedJobs === 0) {
+                jobQueue.updateSweep(sweep.id, {
+                    status: 'failed',
+                    error: 'No job in the sweep completed',
+                    completed_at: new Date().toISOString()
+                });
+                console.warn(`[Sweeps] Sweep ${sweep.id}: none of its ${jobs.length} jobs completed, no grid assembled.`);
+                continue;
+            }
+
+            jobQueue.updateSweep(sweep.id, { status: 'assembling' });
+            try {
+                const gridFilename = await buildSweepGrid(sweep, jobs);
+                jobQueue.updateSweep(sweep.id, {
+                    status: 'completed',
+                    grid_filename: gridFilename,
+                    completed_at: new Date().toISOString()
+                });
+                console.log(`[Sweeps] Sweep ${sweep.id}: grid of ${completedJobs}/${jobs.length} images saved as ${gridFilename}.`);
+            } catch (error) {
+                console.error(`[Sweeps] Sweep ${sweep.id}: failed to assemble the grid:`, error);
+                jobQueue.updateSweep(sweep.id, {
+                    status: 'failed',
+                    error: `Failed to assemble the grid: ${error.message}`,
+                    completed_at: new Date().toISOString()
+                });
+            }
+        }
+    } finally {
+        isAssembling = false;
+    }
+}
+
+module.exports = {
+    assembleFinishedSweeps,
+    buildSweepGrid
+};
@@ -6,12 +6,12 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const apiKeyManager = require('../utils/apiKeyManager');
-const { API_KEY_TIERS } = require('../utils/apiConstants');
 
 // Test configuration
 const config = {
     baseUrl: process.env.TEST_BASE_URL || 'http://localhost:3000',
     testApiKey: null, // Will be created during setup
+    testApiSecret: null,
     testApiKeyId: null,
     testJobId: null,
     verbose: process.env.VERBOSE_TESTS === 'true'
@@ -24,8 +24,9 @@ async function setup() {
     // Create a test API key
     try {
         const keyName = `test_key_${Date.now()}`;
-        const result = await apiKeyManager.createApiKey(keyName, 'Test API key for automated tests', API_KEY_TIERS.STANDARD);
+        const result = apiKeyManager.createApiKey(keyName, '{}', 'default');
         config.testApiKey = result.key;
+        config.testApiSecret = result.secret;
         config.testApiKeyId = result.id;
         console.log(`Created test API key: ${config.testApiKeyId}`);
     } catch (error) {
@@ -53,7 +54,7 @@ async function teardown() {
 async function apiRequest(method, endpoint, data = null, params = null) {
     const url = `${config.baseUrl}${endpoint}`;
     const headers = {
-        'Authorization': `Bearer ${config.testApiKey}`
+        'Authorization': `Bearer ${Buffer.from(`${config.testApiKey}:${config.testApiSecret}`).toString('base64')}`
     };
     
     try {
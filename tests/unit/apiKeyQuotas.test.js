@@ -0,0 +1,95 @@
+/**
+ * apiKeyQuotas.test.js
+ * Tests for per-API-key queue quotas
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-quotas-'));
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+const {
+    parseQuotaLimits,
+    normalizeQuotaLimits,
+    getJobCost,
+    getApiKeyQuotaUsage,
+    checkApiKeyQuota
+} = require('../../utils/apiKeyQuotas');
+
+const UNLIMITED = { max_pending_jobs: null, max_images_per_day: null, max_pixel_steps_per_day: null };
+
+test('parseQuotaLimits treats missing, invalid and unreadable limits as unlimited', (t) => {
+    t.mock.method(console, 'error', () => {});
+    assert.deepStrictEqual(parseQuotaLimits(null), UNLIMITED);
+    assert.deepStrictEqual(parseQuotaLimits('{oops'), UNLIMITED);
+    assert.deepStrictEqual(
+        parseQuotaLimits(JSON.stringify({ max_pending_jobs: 3, max_images_per_day: 'lots' })),
+        { ...UNLIMITED, max_pending_jobs: 3 }
+    );
+});
+
+test('normalizeQuotaLimits accepts non-negative integers and null', () => {
+    assert.deepStrictEqual(normalizeQuotaLimits({ max_pending_jobs: 0, max_images_per_day: null }), {
+        limits: { ...UNLIMITED, max_pending_jobs: 0 }
+    });
+    assert.strictEqual(normalizeQuotaLimits([]).field, 'quota_limits');
+    assert.strictEqual(normalizeQuotaLimits({ max_pixel_steps_per_day: -1 }).field, 'quota_limits.max_pixel_steps_per_day');
+    assert.strictEqual(normalizeQuotaLimits({ max_images_per_day: 2.5 }).field, 'quota_limits.max_images_per_day');
+});
+
+test('getJobCost falls back to Forge defaults and multiplies by the batch', () => {
+    assert.deepStrictEqual(getJobCost({}), { images: 1, pixel_steps: 512 * 512 * 20 });
+    assert.deepStrictEqual(
+        getJobCost({ width: 1024, height: 768, steps: 30, batch_size: 2, batch_count: 3 }),
+        { images: 6, pixel_steps: 1024 * 768 * 30 * 6 }
+    );
+    // n_iter is Forge's name for batch_count and wins when both are given
+    assert.strictEqual(getJobCost({ n_iter: 2, batch_count: 5 }).images, 2);
+});
+
+test('getJobCost adds the hires fix second pass', () => {
+    const base = 512 * 512 * 20;
+    assert.strictEqual(getJobCost({ enable_hr: true }).pixel_steps, base + 1024 * 1024 * 20);
+    assert.strictEqual(
+        getJobCost({ enable_hr: true, hr_scale: 1.5, hr_second_pass_steps: 10 }).pixel_steps,
+        base + 768 * 768 * 10
+    );
+    assert.strictEqual(getJobCost({ enable_hr: false, hr_scale: 4 }).pixel_steps, base);
+});
+
+test('usage counts unfinished jobs and the last day\'s generations, but not cancelled ones', () => {
+    const apiKeyId = 'quota-usage-key';
+    jobQueue.addJob({ target_server_alias: 'quota-test', api_key_id: apiKeyId, generation_params: { batch_size: 2 } });
+    const done = jobQueue.addJob({ target_server_alias: 'quota-test', api_key_id: apiKeyId });
+    jobQueue.updateJob(done.mobilesd_job_id, { status: 'completed' });
+    const cancelled = jobQueue.addJob({ target_server_alias: 'quota-test', api_key_id: apiKeyId });
+    jobQueue.updateJob(cancelled.mobilesd_job_id, { status: 'cancelled' });
+
+    const usage = getApiKeyQuotaUsage(apiKeyId);
+    assert.strictEqual(usage.pending_jobs, 1);
+    assert.strictEqual(usage.images, 3);
+});
+
+test('checkApiKeyQuota reports the first quota the new jobs would exceed', () => {
+    const apiKeyId = 'quota-check-key';
+    jobQueue.addJob({ target_server_alias: 'quota-test', api_key_id: apiKeyId });
+
+    assert.strictEqual(checkApiKeyQuota(apiKeyId, UNLIMITED, [{}]), null);
+    assert.strictEqual(checkApiKeyQuota(apiKeyId, { ...UNLIMITED, max_pending_jobs: 2 }, [{}]), null);
+
+    const exceeded = checkApiKeyQuota(apiKeyId, { ...UNLIMITED, max_pending_jobs: 2, max_images_per_day: 1 }, [{}, {}]);
+    assert.deepStrictEqual(
+        { quota: exceeded.quota, limit: exceeded.limit, used: exceeded.used, requested: exceeded.requested },
+        { quota: 'max_pending_jobs', limit: 2, used: 1, requested: 2 }
+    );
+
+    const overBudget = checkApiKeyQuota(apiKeyId, { ...UNLIMITED, max_pixel_steps_per_day: 512 * 512 * 20 }, [{}]);
+    assert.strictEqual(overBudget.quota, 'max_pixel_steps_per_day');
+    assert.match(overBudget.customMessage, /^Quota exceeded/);
+});
@@ -0,0 +1,51 @@
+/**
+ * bulkJobs.test.js
+ * Tests for bulk submissions and cancelling the jobs of one
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-bulk-'));
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+
+test('addBulkJobs links the jobs and keeps them in submission order', () => {
+    const { bulk_job_id, jobs } = jobQueue.addBulkJobs([1, 2, 3].map(seed => ({
+        target_server_alias: 'bulk-order-test',
+        generation_params: { prompt: 'a cat', seed }
+    })));
+
+    assert.deepStrictEqual(
+        jobQueue.getJobsByBulkId(bulk_job_id).map(job => job.generation_params.seed),
+        [1, 2, 3]
+    );
+    assert.ok(jobs.every(job => job.bulk_job_id === bulk_job_id));
+});
+
+test('cancelBulkJobs cancels pending and held jobs and leaves running and finished ones alone', () => {
+    const { bulk_job_id, jobs } = jobQueue.addBulkJobs([1, 2, 3, 4].map(seed => ({
+        target_server_alias: 'bulk-cancel-test',
+        generation_params: { seed }
+    })));
+    const [pending, held, processing, completed] = jobs.map(job => job.mobilesd_job_id);
+    jobQueue.holdJob(held);
+    jobQueue.updateJob(processing, { status: 'processing' });
+    jobQueue.updateJob(completed, { status: 'completed' });
+
+    const cancelled = jobQueue.cancelBulkJobs(bulk_job_id);
+
+    assert.deepStrictEqual(cancelled.map(job => job.mobilesd_job_id), [pending, held]);
+    assert.ok(cancelled.every(job => job.status === 'cancelled'));
+    assert.strictEqual(jobQueue.getJobById(processing).status, 'processing');
+    assert.strictEqual(jobQueue.getJobById(completed).status, 'completed');
+});
+
+test('cancelBulkJobs returns nothing for an unknown bulk submission', () => {
+    assert.deepStrictEqual(jobQueue.cancelBulkJobs('00000000-0000-0000-0000-000000000000'), []);
+});
@@ -0,0 +1,73 @@
+/**
+ * checkpointAffinity.test.js
+ * Tests for checkpoint-affinity scheduling within a server's lane
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-affinity-'));
+process.env.CONFIG_DATA_PATH = process.env.DATABASE_DIR;
+
+const { getCheckpointAffinitySettings, DEFAULT_CHECKPOINT_AFFINITY_WINDOW } = require('../../utils/configHelpers');
+const { pickNextLaneJob, trackDispatchedCheckpoint, getCheckpointAffinityStats } = require('../../services/gradioJobDispatcher');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+
+const AFFINITY_ON = { enabled: true, window: 2 };
+
+function job(id, checkpoint, priority = 5) {
+    return { mobilesd_job_id: id, priority, generation_params: checkpoint ? { checkpoint_name: checkpoint } : {} };
+}
+
+test('checkpoint affinity is off unless enabled in the app settings', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    assert.deepStrictEqual(await getCheckpointAffinitySettings(), { enabled: false, window: DEFAULT_CHECKPOINT_AFFINITY_WINDOW });
+
+    fs.writeFileSync(
+        path.join(process.env.CONFIG_DATA_PATH, 'app-settings.json'),
+        JSON.stringify({ checkpointAffinityEnabled: true, checkpointAffinityWindow: 3 })
+    );
+    assert.deepStrictEqual(await getCheckpointAffinitySettings(), { enabled: true, window: 3 });
+});
+
+test('the head of the queue runs first when affinity is off or nothing is loaded yet', () => {
+    const candidates = [job('head', 'b.safetensors'), job('match', 'a.safetensors')];
+    assert.strictEqual(pickNextLaneJob('lane-fresh', candidates, AFFINITY_ON).mobilesd_job_id, 'head');
+
+    trackDispatchedCheckpoint('lane-off', job('loaded', 'a.safetensors'));
+    assert.strictEqual(pickNextLaneJob('lane-off', candidates, { enabled: false, window: 2 }).mobilesd_job_id, 'head');
+});
+
+test('a job on the loaded checkpoint at the same priority runs ahead of the head', (t) => {
+    t.mock.method(console, 'log', () => {});
+    trackDispatchedCheckpoint('lane-match', job('loaded', 'Models\\A.safetensors'));
+
+    const candidates = [job('head', 'b.safetensors'), job('other-priority', 'a.safetensors', 6), job('match', 'models/a.safetensors')];
+    assert.strictEqual(pickNextLaneJob('lane-match', candidates, AFFINITY_ON).mobilesd_job_id, 'match');
+    assert.strictEqual(getCheckpointAffinityStats().servers['lane-match'].affinity_dispatches, 1);
+});
+
+test('the head is passed over at most window times', (t) => {
+    t.mock.method(console, 'log', () => {});
+    trackDispatchedCheckpoint('lane-window', job('loaded', 'a.safetensors'));
+    const head = job('head', 'b.safetensors');
+
+    const picks = [1, 2, 3].map(n => pickNextLaneJob('lane-window', [head, job(`match-${n}`, 'a.safetensors')], AFFINITY_ON).mobilesd_job_id);
+
+    assert.deepStrictEqual(picks, ['match-1', 'match-2', 'head']);
+    assert.strictEqual(getCheckpointAffinityStats().servers['lane-window'].model_loads_saved, 1);
+});
+
+test('switching to a different checkpoint is counted', () => {
+    trackDispatchedCheckpoint('lane-switch', job('first', 'a.safetensors'));
+    trackDispatchedCheckpoint('lane-switch', job('no-checkpoint', null));
+    trackDispatchedCheckpoint('lane-switch', job('second', 'b.safetensors'));
+
+    const stats = getCheckpointAffinityStats().servers['lane-switch'];
+    assert.strictEqual(stats.checkpoint_switches, 1);
+    assert.strictEqual(stats.loaded_checkpoint, 'b.safetensors');
+});
@@ -0,0 +1,67 @@
+/**
+ * cloneJob.test.js
+ * Tests for cloning jobs with parameter overrides
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-clone-'));
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+
+test('normalizeCloneOverrides splits placement from generation parameters', () => {
+    assert.deepStrictEqual(jobQueue.normalizeCloneOverrides(undefined), { overrides: { generation_params: {} } });
+    assert.deepStrictEqual(
+        jobQueue.normalizeCloneOverrides({ target_server_alias: ' gpu ', priority: '7', seed: -1, steps: 30, cfg_scale: 6.5 }),
+        { overrides: { target_server_alias: 'gpu', priority: 7, generation_params: { seed: -1, steps: 30, cfg_scale: 6.5 } } }
+    );
+});
+
+test('normalizeCloneOverrides names the invalid field', () => {
+    assert.strictEqual(jobQueue.normalizeCloneOverrides([]).field, 'overrides');
+    assert.strictEqual(jobQueue.normalizeCloneOverrides({ target_server_alias: ' ' }).field, 'overrides.target_server_alias');
+    assert.strictEqual(jobQueue.normalizeCloneOverrides({ priority: 99 }).field, 'overrides.priority');
+    assert.strictEqual(jobQueue.normalizeCloneOverrides({ seed: -2 }).field, 'overrides.seed');
+    assert.strictEqual(jobQueue.normalizeCloneOverrides({ width: 0 }).field, 'overrides.width');
+});
+
+test('cloneJob carries the source job over and applies the overrides', () => {
+    const source = jobQueue.addJob({
+        target_server_alias: 'clone-test',
+        generation_params: { prompt: 'a cat', positive_prompt: 'a cat', seed: 1, steps: 20 },
+        priority: 8,
+        retry_policy: { max_attempts: 2 },
+        tags: ['client-a'],
+        project: 'Spring'
+    });
+    jobQueue.updateJob(source.mobilesd_job_id, { status: 'completed' });
+
+    const clone = jobQueue.cloneJob(source.mobilesd_job_id, {
+        target_server_alias: 'clone-test',
+        generation_overrides: { prompt: 'a dog', seed: 2 }
+    });
+
+    assert.strictEqual(clone.status, 'pending');
+    assert.strictEqual(clone.cloned_from, source.mobilesd_job_id);
+    const stored = jobQueue.getJobById(clone.mobilesd_job_id);
+    assert.deepStrictEqual(stored.generation_params, { prompt: 'a dog', positive_prompt: 'a dog', seed: 2, steps: 20 });
+    assert.strictEqual(stored.priority, 8);
+    assert.deepStrictEqual(JSON.parse(stored.retry_policy_json), { max_attempts: 2 });
+    assert.deepStrictEqual(stored.tags, ['client-a']);
+    assert.strictEqual(stored.project, 'Spring');
+});
+
+test('cloneJob records the re-run on the source job and returns null for an unknown job', () => {
+    const source = jobQueue.addJob({ target_server_alias: 'clone-test' });
+    const clone = jobQueue.cloneJob(source.mobilesd_job_id, { target_server_alias: 'clone-test' });
+
+    const cloned = jobQueue.getJobEvents(source.mobilesd_job_id).find(event => event.event_type === 'cloned');
+    assert.strictEqual(cloned.details.clone_job_id, clone.mobilesd_job_id);
+    assert.strictEqual(jobQueue.cloneJob('00000000-0000-0000-0000-000000000000', { target_server_alias: 'clone-test' }), null);
+});
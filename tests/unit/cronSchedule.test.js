@@ -0,0 +1,74 @@
+/**
+ * cronSchedule.test.js
+ * Tests for cron expression parsing and next run time calculation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCronExpression, getNextRunTime, getUpcomingRunTimes } = require('../../utils/cronSchedule');
+
+// Monday 19 October 2026, 10:30 local time
+const MONDAY_MORNING = new Date(2026, 9, 19, 10, 30);
+
+test('parseCronExpression expands ranges, steps, lists and names', () => {
+    const schedule = parseCronExpression('*/15 9-11 1,15 JAN-MAR mon-fri');
+    assert.deepStrictEqual([...schedule.minutes], [0, 15, 30, 45]);
+    assert.deepStrictEqual([...schedule.hours], [9, 10, 11]);
+    assert.deepStrictEqual([...schedule.daysOfMonth], [1, 15]);
+    assert.deepStrictEqual([...schedule.months], [1, 2, 3]);
+    assert.deepStrictEqual([...schedule.daysOfWeek], [1, 2, 3, 4, 5]);
+});
+
+test('parseCronExpression treats 7 as Sunday and "5/20" as every 20 from 5', () => {
+    assert.deepStrictEqual([...parseCronExpression('0 0 * * 7').daysOfWeek], [0]);
+    assert.deepStrictEqual([...parseCronExpression('5/20 * * * *').minutes], [5, 25, 45]);
+});
+
+test('parseCronExpression accepts macros', () => {
+    assert.deepStrictEqual(parseCronExpression('@daily'), parseCronExpression('0 0 * * *'));
+    assert.deepStrictEqual(parseCronExpression(' @HOURLY '), parseCronExpression('0 * * * *'));
+});
+
+test('parseCronExpression rejects malformed expressions', () => {
+    assert.throws(() => parseCronExpression(''), /required/);
+    assert.throws(() => parseCronExpression('* * * *'), /5 fields/);
+    assert.throws(() => parseCronExpression('60 * * * *'), /outside 0-59/);
+    assert.throws(() => parseCronExpression('*/0 * * * *'), /Invalid step/);
+    assert.throws(() => parseCronExpression('* * * * 5-1'), /Invalid range/);
+    assert.throws(() => parseCronExpression('@fortnightly'), /5 fields/);
+});
+
+test('getNextRunTime fires strictly after the reference time', () => {
+    assert.deepStrictEqual(getNextRunTime('30 10 * * *', MONDAY_MORNING), new Date(2026, 9, 20, 10, 30));
+    assert.deepStrictEqual(getNextRunTime('*/20 * * * *', MONDAY_MORNING), new Date(2026, 9, 19, 10, 40));
+    assert.deepStrictEqual(getNextRunTime('@hourly', MONDAY_MORNING), new Date(2026, 9, 19, 11, 0));
+});
+
+test('getNextRunTime matches either day field when both are restricted', () => {
+    // The 1st of the month or any Friday, whichever comes first
+    assert.deepStrictEqual(getNextRunTime('0 9 1 * fri', MONDAY_MORNING), new Date(2026, 9, 23, 9, 0));
+    assert.deepStrictEqual(getNextRunTime('0 9 20 * fri', MONDAY_MORNING), new Date(2026, 9, 20, 9, 0));
+});
+
+test('getNextRunTime needs both day fields when only one is restricted', () => {
+    assert.deepStrictEqual(getNextRunTime('0 9 * * fri', MONDAY_MORNING), new Date(2026, 9, 23, 9, 0));
+    assert.deepStrictEqual(getNextRunTime('0 9 1 * *', MONDAY_MORNING), new Date(2026, 10, 1, 9, 0));
+});
+
+test('getNextRunTime returns null for dates that never occur', () => {
+    assert.strictEqual(getNextRunTime('0 0 31 2 *', MONDAY_MORNING), null);
+    assert.strictEqual(getNextRunTime('0 0 30 feb *', MONDAY_MORNING), null);
+});
+
+test('getNextRunTime finds 29 February in the next leap year', () => {
+    assert.deepStrictEqual(getNextRunTime('0 0 29 2 *', MONDAY_MORNING), new Date(2028, 1, 29, 0, 0));
+});
+
+test('getUpcomingRunTimes lists consecutive runs and stops when there are none', () => {
+    assert.deepStrictEqual(getUpcomingRunTimes('0 12 * * sat,sun', 3, MONDAY_MORNING), [
+        new Date(2026, 9, 24, 12, 0),
+        new Date(2026, 9, 25, 12, 0),
+        new Date(2026, 9, 31, 12, 0)
+    ]);
+    assert.deepStrictEqual(getUpcomingRunTimes('0 0 31 2 *', 3, MONDAY_MORNING), []);
+});
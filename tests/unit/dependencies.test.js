@@ -0,0 +1,80 @@
+/**
+ * dependencies.test.js
+ * Tests for job dependencies and upstream output image references
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-dependencies-'));
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+
+const PARENT_ID = '88615c9d-71ec-4803-88b0-14f5162f6c66';
+
+test('parseJobOutputReference reads the job ID and image index', () => {
+    assert.deepStrictEqual(
+        jobQueue.parseJobOutputReference(`job://${PARENT_ID}/images/2`),
+        { jobId: PARENT_ID, imageIndex: 2 }
+    );
+    assert.strictEqual(jobQueue.parseJobOutputReference(`job://${PARENT_ID}/images/`), null);
+    assert.strictEqual(jobQueue.parseJobOutputReference('job://not-a-job/images/0'), null);
+    assert.strictEqual(jobQueue.parseJobOutputReference(42), null);
+});
+
+test('findJobOutputReferences searches nested params', () => {
+    const references = jobQueue.findJobOutputReferences({
+        prompt: 'a cat',
+        init_images: [`job://${PARENT_ID}/images/0`],
+        alwayson_scripts: { controlnet: { args: [{ image: `job://${PARENT_ID}/images/1` }] } }
+    });
+    assert.deepStrictEqual(references.map(ref => ref.imageIndex), [0, 1]);
+});
+
+test('validateJobDependencies rejects missing parents and parents that will never complete', () => {
+    const pending = jobQueue.addJob({ target_server_alias: 'deps-test' });
+    const failed = jobQueue.addJob({ target_server_alias: 'deps-test' });
+    jobQueue.updateJob(failed.mobilesd_job_id, { status: 'failed' });
+
+    assert.strictEqual(jobQueue.validateJobDependencies([pending.mobilesd_job_id]), null);
+    assert.match(jobQueue.validateJobDependencies([PARENT_ID]), /not found/);
+    assert.match(jobQueue.validateJobDependencies([failed.mobilesd_job_id]), /is failed and will never complete/);
+});
+
+test('a job is blocked until its parent completes and is not offered for dispatch before then', () => {
+    const parent = jobQueue.addJob({ target_server_alias: 'deps-ready-test' });
+    const child = jobQueue.addJob({
+        target_server_alias: 'deps-ready-test',
+        generation_params: { init_images: [`job://${parent.mobilesd_job_id}/images/0`] }
+    });
+
+    assert.deepStrictEqual(jobQueue.getJobById(child.mobilesd_job_id).depends_on, [parent.mobilesd_job_id]);
+    assert.deepStrictEqual(jobQueue.getJobById(child.mobilesd_job_id).blocked_by, [parent.mobilesd_job_id]);
+    const readyBefore = jobQueue.findPendingJobs(0, null, { target_server_alias: 'deps-ready-test', ready_only: true });
+    assert.deepStrictEqual(readyBefore.map(job => job.mobilesd_job_id), [parent.mobilesd_job_id]);
+
+    jobQueue.updateJob(parent.mobilesd_job_id, { status: 'completed' });
+    assert.deepStrictEqual(jobQueue.getJobById(child.mobilesd_job_id).blocked_by, []);
+    const readyAfter = jobQueue.findPendingJobs(0, null, { target_server_alias: 'deps-ready-test', ready_only: true });
+    assert.deepStrictEqual(readyAfter.map(job => job.mobilesd_job_id), [child.mobilesd_job_id]);
+});
+
+test('settleJobsWithFailedDependencies carries a cancelled parent down the chain', () => {
+    const parent = jobQueue.addJob({ target_server_alias: 'deps-settle-test' });
+    const child = jobQueue.addJob({ target_server_alias: 'deps-settle-test', depends_on: [parent.mobilesd_job_id] });
+    const grandchild = jobQueue.addJob({ target_server_alias: 'deps-settle-test', depends_on: [child.mobilesd_job_id] });
+    jobQueue.updateJob(parent.mobilesd_job_id, { status: 'cancelled' });
+
+    const settled = jobQueue.settleJobsWithFailedDependencies();
+
+    assert.deepStrictEqual(
+        settled.map(job => job.mobilesd_job_id).sort(),
+        [child.mobilesd_job_id, grandchild.mobilesd_job_id].sort()
+    );
+    assert.ok(settled.every(job => job.status === 'cancelled'));
+});
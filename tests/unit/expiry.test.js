@@ -0,0 +1,103 @@
+/**
+ * expiry.test.js
+ * Tests for job expiry deadlines and the expiry of stale pending jobs
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-expiry-'));
+process.env.DISPATCHER_PENDING_JOB_TTL_HOURS = '24';
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('normalizeExpiresAt returns undefined when no deadline is given', () => {
+    assert.strictEqual(jobQueue.normalizeExpiresAt(undefined, undefined), undefined);
+    assert.strictEqual(jobQueue.normalizeExpiresAt('', null), undefined);
+});
+
+test('normalizeExpiresAt counts ttl_seconds from run_after', () => {
+    const runAfter = '2030-01-01T00:00:00.000Z';
+    assert.strictEqual(jobQueue.normalizeExpiresAt(undefined, 90, runAfter), '2030-01-01T00:01:30.000Z');
+});
+
+test('normalizeExpiresAt accepts an absolute deadline after the job becomes due', () => {
+    assert.strictEqual(
+        jobQueue.normalizeExpiresAt('2030-01-02T00:00:00Z', undefined, '2030-01-01T00:00:00.000Z'),
+        '2030-01-02T00:00:00.000Z'
+    );
+});
+
+test('normalizeExpiresAt rejects both fields together, bad TTLs and deadlines before the job is due', () => {
+    assert.strictEqual(jobQueue.normalizeExpiresAt('2030-01-02T00:00:00Z', 60), null);
+    assert.strictEqual(jobQueue.normalizeExpiresAt(undefined, 0), null);
+    assert.strictEqual(jobQueue.normalizeExpiresAt(undefined, 1.5), null);
+    assert.strictEqual(jobQueue.normalizeExpiresAt('not a date', undefined), null);
+    assert.strictEqual(jobQueue.normalizeExpiresAt('2030-01-01T00:00:00Z', undefined, '2030-01-02T00:00:00.000Z'), null);
+});
+
+test('expireStaleJobs expires pending jobs past their own deadline', () => {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + 1000).toISOString();
+    const job = jobQueue.addJob({ target_server_alias: 'expiry-test', expires_at: expiresAt });
+
+    assert.deepStrictEqual(jobQueue.expireStaleJobs(now), []);
+
+    const expired = jobQueue.expireStaleJobs(new Date(now.getTime() + 2000));
+    assert.deepStrictEqual(expired.map(j => j.mobilesd_job_id), [job.mobilesd_job_id]);
+    assert.strictEqual(expired[0].status, 'expired');
+    assert.match(expired[0].result_details.error, /before it could be dispatched/);
+    assert.strictEqual(expired[0].result_details.expires_at, expiresAt);
+});
+
+test('expireStaleJobs applies the pending job TTL to jobs without a deadline', () => {
+    const job = jobQueue.addJob({ target_server_alias: 'expiry-ttl-test' });
+    const later = jobQueue.addJob({
+        target_server_alias: 'expiry-ttl-test',
+        run_after: new Date(Date.now() + 48 * HOUR_MS).toISOString()
+    });
+
+    const expired = jobQueue.expireStaleJobs(new Date(Date.now() + 25 * HOUR_MS));
+
+    assert.deepStrictEqual(expired.map(j => j.mobilesd_job_id), [job.mobilesd_job_id]);
+    assert.match(expired[0].result_details.error, /pending job TTL/);
+    assert.strictEqual(jobQueue.getJobById(later.mobilesd_job_id).status, 'pending');
+});
+
+test('expireStaleJobs leaves jobs that are no longer pending alone', () => {
+    const job = jobQueue.addJob({ target_server_alias: 'expiry-running-test', expires_at: new Date(Date.now() + 1000).toISOString() });
+    jobQueue.updateJob(job.mobilesd_job_id, { status: 'processing' });
+
+    assert.deepStrictEqual(jobQueue.expireStaleJobs(new Date(Date.now() + 2000)), []);
+    assert.strictEqual(jobQueue.getJobById(job.mobilesd_job_id).status, 'processing');
+});
+
+test('the pending job TTL counts from when a job last joined the queue', () => {
+    const job = jobQueue.addJob({ target_server_alias: 'expiry-requeue-test' });
+    const requeuedAt = new Date(Date.now() + 10 * HOUR_MS).toISOString();
+    jobQueue.updateJob(job.mobilesd_job_id, { status: 'processing' });
+    const requeued = jobQueue.updateJob(job.mobilesd_job_id, { status: 'pending', queued_at: requeuedAt });
+
+    assert.strictEqual(jobQueue.getJobExpiry(requeued), new Date(Date.parse(requeuedAt) + 24 * HOUR_MS).toISOString());
+    assert.deepStrictEqual(jobQueue.expireStaleJobs(new Date(Date.now() + 25 * HOUR_MS)), []);
+
+    const expired = jobQueue.expireStaleJobs(new Date(Date.now() + 35 * HOUR_MS));
+    assert.deepStrictEqual(expired.map(j => j.mobilesd_job_id), [job.mobilesd_job_id]);
+});
+
+test('a run_after later than the queue time is when a job becomes due', () => {
+    const runAfter = new Date(Date.now() + 5 * HOUR_MS).toISOString();
+    const job = jobQueue.addJob({ target_server_alias: 'expiry-run-after-test', run_after: runAfter });
+    assert.strictEqual(jobQueue.getJobExpiry(job), new Date(Date.parse(runAfter) + 24 * HOUR_MS).toISOString());
+
+    // Jobs queued before queued_at was recorded count from their creation
+    const legacy = jobQueue.updateJob(jobQueue.addJob({ target_server_alias: 'expiry-legacy-test' }).mobilesd_job_id, { queued_at: null });
+    assert.strictEqual(jobQueue.getJobExpiry(legacy), new Date(Date.parse(legacy.creation_timestamp) + 24 * HOUR_MS).toISOString());
+});
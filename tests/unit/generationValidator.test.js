@@ -0,0 +1,120 @@
+/**
+ * generationValidator.test.js
+ * Tests for pre-submission checks of generation parameters
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-validator-'));
+
+const { validateGenerationParams } = require('../../utils/generationValidator');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+
+// Capabilities in the shape getServerCapabilities returns them
+function capabilities(alias, lists = {}) {
+    return {
+        alias,
+        reachable: true,
+        error: null,
+        samplers: ['euler a', 'dpm++ 2m'],
+        schedulers: ['karras'],
+        checkpoints: ['sdxl/juggernaut_v9.safetensors [abc123]'],
+        vaes: ['sdxl_vae.safetensors'],
+        loras: ['styles/pixel-art'],
+        ...lists
+    };
+}
+
+const fields = issues => issues.map(issue => issue.field);
+
+test('parameters within bounds and listed on the server pass without issues', () => {
+    const result = validateGenerationParams([{
+        width: 1024,
+        height: 768,
+        steps: 30,
+        cfg_scale: 7,
+        sampler_name: 'Euler a',
+        scheduler: 'Karras',
+        checkpoint_name: 'juggernaut_v9',
+        sd_vae: 'Automatic',
+        prompt: 'a castle <lora:pixel-art:0.8>'
+    }], [capabilities('gpu-1')]);
+
+    assert.deepStrictEqual(result, { errors: [], warnings: [] });
+});
+
+test('numbers outside their bounds are errors and unusual ones are warnings', () => {
+    const result = validateGenerationParams([{
+        width: 32,
+        height: 1001,
+        steps: 7.5,
+        cfg_scale: 'high',
+        batch_size: 16,
+        seed: -2
+    }], [capabilities('gpu-1')]);
+
+    assert.deepStrictEqual(fields(result.errors), [
+        'generation_params.width',
+        'generation_params.steps',
+        'generation_params.cfg_scale',
+        'generation_params.seed'
+    ]);
+    assert.deepStrictEqual(fields(result.warnings), ['generation_params.height', 'generation_params.batch_size']);
+    assert.match(result.warnings[0].message, /multiple of 8/);
+});
+
+test('names missing from every server are errors naming the field they came from', () => {
+    const result = validateGenerationParams([{
+        sampler: 'DDIM',
+        override_settings: { sd_model_checkpoint: 'dreamshaper_8' },
+        negative_prompt: '<lora:missing-lora>'
+    }], [capabilities('gpu-1')]);
+
+    assert.deepStrictEqual(fields(result.errors), [
+        'generation_params.sampler',
+        'generation_params.override_settings.sd_model_checkpoint',
+        'generation_params.negative_prompt'
+    ]);
+    assert.match(result.errors[0].message, /Sampler 'DDIM' is not available on 'gpu-1'/);
+});
+
+test('a name only some pool members have is a warning', () => {
+    const result = validateGenerationParams(
+        [{ checkpoint_name: 'juggernaut_v9' }],
+        [capabilities('gpu-1'), capabilities('gpu-2', { checkpoints: ['sd15/dreamshaper_8.safetensors'] })]
+    );
+
+    assert.deepStrictEqual(result.errors, []);
+    assert.match(result.warnings[0].message, /not available on pool members 'gpu-2'/);
+});
+
+test('unreachable servers turn missing names into warnings', () => {
+    const unreachable = { alias: 'gpu-2', reachable: false, error: 'connect ECONNREFUSED' };
+    const result = validateGenerationParams([{ sampler_name: 'DDIM' }], [capabilities('gpu-1'), unreachable]);
+
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(fields(result.warnings), ['target_server_alias', 'generation_params.sampler_name']);
+    assert.match(result.warnings[0].message, /ECONNREFUSED/);
+
+    const unchecked = validateGenerationParams([{ sampler_name: 'DDIM' }], [unreachable]);
+    assert.deepStrictEqual(unchecked.errors, []);
+});
+
+test('an unknown model hash is an error unless the checkpoint name was found', () => {
+    const unknownCheckpoint = validateGenerationParams([{ checkpoint_name: 'other', model_hash: '0123456789' }], [capabilities('gpu-1')]);
+    assert.deepStrictEqual(fields(unknownCheckpoint.errors), ['generation_params.checkpoint_name', 'generation_params.model_hash']);
+
+    const knownCheckpoint = validateGenerationParams([{ checkpoint_name: 'juggernaut_v9', model_hash: '0123456789' }], [capabilities('gpu-1')]);
+    assert.deepStrictEqual(knownCheckpoint.errors, []);
+    assert.match(knownCheckpoint.warnings[0].message, /not in the model database/);
+});
+
+test('the same problem in several parameter sets is reported once', () => {
+    const result = validateGenerationParams([{ steps: 0 }, { steps: 0 }, { steps: 2000 }], [capabilities('gpu-1')]);
+    assert.strictEqual(result.errors.length, 1);
+});
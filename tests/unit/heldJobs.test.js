@@ -0,0 +1,92 @@
+/**
+ * heldJobs.test.js
+ * Tests for holding and releasing jobs, one at a time and in bulk
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-held-'));
+process.env.DISPATCHER_PENDING_JOB_TTL_HOURS = '24';
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('a held job is not offered for dispatch and returns to its place when released', () => {
+    const first = jobQueue.addJob({ target_server_alias: 'held-test' });
+    const second = jobQueue.addJob({ target_server_alias: 'held-test' });
+    const pendingIds = () => jobQueue.findPendingJobs(0, null, { target_server_alias: 'held-test' }).map(job => job.mobilesd_job_id);
+
+    assert.strictEqual(jobQueue.holdJob(first.mobilesd_job_id).status, 'held');
+    assert.deepStrictEqual(pendingIds(), [second.mobilesd_job_id]);
+
+    assert.strictEqual(jobQueue.releaseJob(first.mobilesd_job_id).status, 'pending');
+    assert.deepStrictEqual(pendingIds(), [first.mobilesd_job_id, second.mobilesd_job_id]);
+});
+
+test('normalizeBulkJobFilters requires at least one valid filter', () => {
+    assert.deepStrictEqual(
+        jobQueue.normalizeBulkJobFilters({ target_server_alias: ' gpu ', tag: 'a, b' }),
+        { filters: { target_server_alias: 'gpu', tags: ['a', 'b'] } }
+    );
+    assert.strictEqual(jobQueue.normalizeBulkJobFilters({}).field, 'filters');
+    assert.strictEqual(jobQueue.normalizeBulkJobFilters({ api_key_id: '' }).field, 'api_key_id');
+    assert.strictEqual(jobQueue.normalizeBulkJobFilters({ tag: ' , ' }).field, 'tag');
+});
+
+test('holdJobs and releaseJobs only touch matching jobs in the right status', () => {
+    const direct = jobQueue.addJob({ target_server_alias: 'bulk-a' });
+    const pooled = jobQueue.addJob({ target_server_alias: 'bulk-b', target_pool: 'bulk-a' });
+    const other = jobQueue.addJob({ target_server_alias: 'bulk-c' });
+    const running = jobQueue.addJob({ target_server_alias: 'bulk-a' });
+    jobQueue.updateJob(running.mobilesd_job_id, { status: 'processing' });
+
+    const held = jobQueue.holdJobs({ target_server_alias: 'bulk-a' });
+    assert.deepStrictEqual(
+        held.map(job => job.mobilesd_job_id).sort(),
+        [direct.mobilesd_job_id, pooled.mobilesd_job_id].sort()
+    );
+    assert.strictEqual(jobQueue.getJobById(other.mobilesd_job_id).status, 'pending');
+    assert.strictEqual(jobQueue.getJobById(running.mobilesd_job_id).status, 'processing');
+
+    const released = jobQueue.releaseJobs({ target_server_alias: 'bulk-a' });
+    assert.strictEqual(released.length, 2);
+    assert.ok(released.every(job => job.status === 'pending'));
+});
+
+test('bulk holds can match every tag of a job', () => {
+    const tagged = jobQueue.addJob({ target_server_alias: 'tag-test', tags: ['client-a', 'draft'] });
+    const partlyTagged = jobQueue.addJob({ target_server_alias: 'tag-test', tags: ['client-a'] });
+
+    const held = jobQueue.holdJobs({ tags: ['client-a', 'draft'] });
+
+    assert.deepStrictEqual(held.map(job => job.mobilesd_job_id), [tagged.mobilesd_job_id]);
+    assert.strictEqual(jobQueue.getJobById(partlyTagged.mobilesd_job_id).status, 'pending');
+});
+
+test('a job held past the pending job TTL does not expire when it is released', () => {
+    // Both jobs joined the queue 25 hours ago, just past the default 24 hour TTL, and have been held since
+    const queuedAt = new Date(Date.now() - 25 * HOUR_MS).toISOString();
+    const jobs = ['held-ttl-test', 'held-ttl-bulk-test'].map(alias => {
+        const job = jobQueue.addJob({ target_server_alias: alias });
+        jobQueue.updateJob(job.mobilesd_job_id, { queued_at: queuedAt });
+        return jobQueue.holdJob(job.mobilesd_job_id);
+    });
+    const ids = jobs.map(job => job.mobilesd_job_id).sort();
+    assert.deepStrictEqual(jobQueue.expireStaleJobs(), []);
+
+    jobQueue.releaseJob(jobs[0].mobilesd_job_id);
+    jobQueue.releaseJobs({ target_server_alias: 'held-ttl-bulk-test' });
+
+    assert.deepStrictEqual(jobQueue.expireStaleJobs(new Date(Date.now() + HOUR_MS)), []);
+    assert.ok(jobs.every(job => jobQueue.getJobById(job.mobilesd_job_id).status === 'pending'));
+
+    const expired = jobQueue.expireStaleJobs(new Date(Date.now() + 25 * HOUR_MS));
+    assert.deepStrictEqual(expired.map(job => job.mobilesd_job_id).filter(id => ids.includes(id)).sort(), ids);
+});
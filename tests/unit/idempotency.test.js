@@ -0,0 +1,153 @@
+/**
+ * idempotency.test.js
+ * Tests for Idempotency-Key handling on job submission
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-idempotency-'));
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+const { idempotencyKey, v1IdempotencyKey } = require('../../middleware/idempotency');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+
+const TTL_MS = 60 * 60 * 1000;
+const STALE_CLAIM_MS = 60000;
+
+function fakeRequest(key, body, apiKeyId = 'key-1') {
+    const headers = key === undefined ? {} : { 'idempotency-key': key };
+    return {
+        method: 'POST',
+        baseUrl: '/api/v2',
+        path: '/generate',
+        url: '/generate',
+        ip: '127.0.0.1',
+        query: {},
+        body,
+        headers,
+        apiKeyId,
+        get: name => headers[name.toLowerCase()]
+    };
+}
+
+function fakeResponse() {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.headers = {};
+    res.status = code => {
+        res.statusCode = code;
+        return res;
+    };
+    res.set = (name, value) => {
+        res.headers[name] = value;
+        return res;
+    };
+    res.json = body => {
+        res.body = body;
+        return res;
+    };
+    return res;
+}
+
+// Runs the middleware; when it passes the request on, the handler answers it
+function send(middleware, req, handler) {
+    const res = fakeResponse();
+    let handled = false;
+    middleware(req, res, () => {
+        handled = true;
+        handler(res);
+    });
+    return { res, handled };
+}
+
+test('claimIdempotencyKey lets the first request run and shows the record to later ones', () => {
+    assert.deepStrictEqual(jobQueue.claimIdempotencyKey('scope-a', 'k1', 'fp', TTL_MS, STALE_CLAIM_MS), { claimed: true, record: null });
+
+    const inFlight = jobQueue.claimIdempotencyKey('scope-a', 'k1', 'fp', TTL_MS, STALE_CLAIM_MS);
+    assert.strictEqual(inFlight.claimed, false);
+    assert.strictEqual(inFlight.record.response, null);
+
+    jobQueue.saveIdempotentResponse('scope-a', 'k1', 202, { job_id: 'abc' });
+    const done = jobQueue.claimIdempotencyKey('scope-a', 'k1', 'other', TTL_MS, STALE_CLAIM_MS);
+    assert.strictEqual(done.record.request_fingerprint, 'fp');
+    assert.strictEqual(done.record.status_code, 202);
+    assert.deepStrictEqual(done.record.response, { job_id: 'abc' });
+
+    // Keys are kept per API key
+    assert.strictEqual(jobQueue.claimIdempotencyKey('scope-b', 'k1', 'fp', TTL_MS, STALE_CLAIM_MS).claimed, true);
+});
+
+test('released, expired and abandoned claims can be claimed again, answered ones cannot be released', () => {
+    jobQueue.claimIdempotencyKey('scope-a', 'k2', 'fp', TTL_MS, STALE_CLAIM_MS);
+    jobQueue.releaseIdempotencyKey('scope-a', 'k2');
+    assert.strictEqual(jobQueue.claimIdempotencyKey('scope-a', 'k2', 'fp', TTL_MS, STALE_CLAIM_MS).claimed, true);
+
+    // A stale claim age of zero treats the earlier unfinished claim as abandoned
+    assert.strictEqual(jobQueue.claimIdempotencyKey('scope-a', 'k2', 'fp', TTL_MS, 0).claimed, true);
+
+    jobQueue.claimIdempotencyKey('scope-a', 'k3', 'fp', -1, STALE_CLAIM_MS);
+    jobQueue.saveIdempotentResponse('scope-a', 'k3', 200, {});
+    assert.strictEqual(jobQueue.claimIdempotencyKey('scope-a', 'k3', 'fp', TTL_MS, STALE_CLAIM_MS).claimed, true);
+
+    jobQueue.saveIdempotentResponse('scope-a', 'k3', 200, { kept: true });
+    jobQueue.releaseIdempotencyKey('scope-a', 'k3');
+    assert.deepStrictEqual(jobQueue.claimIdempotencyKey('scope-a', 'k3', 'fp', TTL_MS, STALE_CLAIM_MS).record.response, { kept: true });
+});
+
+test('requests without the header pass straight through', () => {
+    const { handled } = send(idempotencyKey, fakeRequest(undefined, {}), res => res.json({}));
+    assert.strictEqual(handled, true);
+});
+
+test('a repeated request replays the stored response instead of running again', () => {
+    const body = { generation_params: { prompt: 'a cat', steps: 20 } };
+    const first = send(v1IdempotencyKey, fakeRequest('replay-1', body), res => res.status(202).json({ mobilesd_job_id: 'job-1' }));
+    assert.strictEqual(first.handled, true);
+
+    // Key order in the body does not change the fingerprint
+    const retry = send(v1IdempotencyKey, fakeRequest('replay-1', { generation_params: { steps: 20, prompt: 'a cat' } }), () => {
+        assert.fail('the retry should not reach the handler');
+    });
+    assert.strictEqual(retry.handled, false);
+    assert.strictEqual(retry.res.statusCode, 202);
+    assert.deepStrictEqual(retry.res.body, { mobilesd_job_id: 'job-1' });
+    assert.strictEqual(retry.res.headers['Idempotent-Replayed'], 'true');
+});
+
+test('reusing a key for a different body or while the first request runs is a conflict', (t) => {
+    t.mock.method(console, 'error', () => {});
+    send(idempotencyKey, fakeRequest('conflict-1', { prompt: 'a' }), res => res.status(202).json({ ok: true }));
+
+    const mismatched = send(idempotencyKey, fakeRequest('conflict-1', { prompt: 'b' }), () => assert.fail('should not run'));
+    assert.strictEqual(mismatched.res.statusCode, 409);
+    assert.strictEqual(mismatched.res.body.error, 'idempotency_key_conflict');
+    assert.strictEqual(mismatched.res.body.details.field, 'Idempotency-Key');
+
+    send(v1IdempotencyKey, fakeRequest('conflict-2', { prompt: 'a' }), () => {});
+    const concurrent = send(v1IdempotencyKey, fakeRequest('conflict-2', { prompt: 'a' }), () => assert.fail('should not run'));
+    assert.strictEqual(concurrent.res.statusCode, 409);
+    assert.match(concurrent.res.body.error, /still being processed/);
+});
+
+test('a failed response or a dropped connection frees the key for a retry', () => {
+    send(v1IdempotencyKey, fakeRequest('retry-1', {}), res => res.status(503).json({ error: 'busy' }));
+    assert.strictEqual(send(v1IdempotencyKey, fakeRequest('retry-1', {}), res => res.json({})).handled, true);
+
+    const dropped = send(v1IdempotencyKey, fakeRequest('retry-2', {}), () => {});
+    dropped.res.emit('close');
+    assert.strictEqual(send(v1IdempotencyKey, fakeRequest('retry-2', {}), res => res.json({})).handled, true);
+});
+
+test('keys are scoped to the API key and must be printable ASCII', () => {
+    send(v1IdempotencyKey, fakeRequest('scoped-1', {}, 'key-1'), res => res.json({ owner: 'key-1' }));
+    assert.strictEqual(send(v1IdempotencyKey, fakeRequest('scoped-1', {}, 'key-2'), res => res.json({})).handled, true);
+
+    const invalid = send(v1IdempotencyKey, fakeRequest('café', {}), () => assert.fail('should not run'));
+    assert.strictEqual(invalid.res.statusCode, 400);
+});
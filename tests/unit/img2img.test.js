@@ -0,0 +1,84 @@
+/**
+ * img2img.test.js
+ * Tests for job modes and the storage of img2img source images
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-img2img-'));
+process.env.SOURCE_IMAGES_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-img2img-sources-'));
+
+const { normalizeJobMode, storeSourceImages, parseSourceImageReference, readSourceImage } = require('../../utils/img2img');
+
+after(() => {
+    for (const dir of [process.env.DATABASE_DIR, process.env.SOURCE_IMAGES_PATH]) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// A 1x1 RGB PNG
+const PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4z8AAAAMBAQDJ/pLvAAAAAElFTkSuQmCC';
+const JOB_OUTPUT = 'job://00000000-0000-0000-0000-000000000000/images/0';
+
+test('the mode defaults to img2img when init images are given and to txt2img otherwise', () => {
+    assert.deepStrictEqual(normalizeJobMode(undefined, { prompt: 'a cat' }), { mode: 'txt2img', generation_params: { prompt: 'a cat' } });
+    assert.strictEqual(normalizeJobMode(undefined, { init_images: [PNG_BASE64] }).mode, 'img2img');
+    assert.strictEqual(normalizeJobMode('outpaint', {}).field, 'mode');
+});
+
+test('a single init image is accepted as init_image or as a string', () => {
+    assert.deepStrictEqual(normalizeJobMode('img2img', { init_image: PNG_BASE64 }).generation_params, { init_images: [PNG_BASE64] });
+    assert.deepStrictEqual(normalizeJobMode('img2img', { init_images: PNG_BASE64 }).generation_params, { init_images: [PNG_BASE64] });
+    assert.strictEqual(normalizeJobMode('img2img', { init_images: [`data:image/png;base64,${PNG_BASE64}`] }).mode, 'img2img');
+});
+
+test('txt2img jobs cannot carry images and img2img jobs need one', () => {
+    assert.strictEqual(normalizeJobMode('txt2img', { init_images: [PNG_BASE64] }).field, 'generation_params.init_images');
+    assert.strictEqual(normalizeJobMode('img2img', {}).field, 'generation_params.init_images');
+    assert.strictEqual(normalizeJobMode('img2img', { init_images: [] }).field, 'generation_params.init_images');
+});
+
+test('init images must be PNG, JPEG or WebP data or a reference', () => {
+    const notBase64 = normalizeJobMode('img2img', { init_images: [PNG_BASE64, 'not an image!'] });
+    assert.strictEqual(notBase64.field, 'generation_params.init_images[1]');
+    assert.match(notBase64.error, /not base64 image data/);
+
+    const notAnImage = normalizeJobMode('img2img', { init_images: [Buffer.from('plain text').toString('base64')] });
+    assert.match(notAnImage.error, /not a PNG, JPEG or WebP image/);
+
+    assert.strictEqual(normalizeJobMode('img2img', { init_images: [JOB_OUTPUT] }).mode, 'img2img');
+    assert.match(normalizeJobMode('img2img', { init_images: [`source://${'0'.repeat(64)}.png`] }).error, /no longer exists/);
+});
+
+test('denoising strength and resize mode are checked for img2img jobs', () => {
+    const params = { init_images: [PNG_BASE64] };
+    assert.strictEqual(normalizeJobMode('img2img', { ...params, denoising_strength: 0.6, resize_mode: 2 }).mode, 'img2img');
+    assert.strictEqual(normalizeJobMode('img2img', { ...params, denoising_strength: 1.5 }).field, 'generation_params.denoising_strength');
+    assert.strictEqual(normalizeJobMode('img2img', { ...params, denoising_strength: '0.5' }).field, 'generation_params.denoising_strength');
+    assert.strictEqual(normalizeJobMode('img2img', { ...params, resize_mode: 4 }).field, 'generation_params.resize_mode');
+});
+
+test('storeSourceImages saves images once and replaces them with references', () => {
+    const stored = storeSourceImages({ prompt: 'a cat', init_images: [`data:image/png;base64,${PNG_BASE64}`, JOB_OUTPUT] });
+
+    const filename = parseSourceImageReference(stored.init_images[0]);
+    assert.match(filename, /^[0-9a-f]{64}\.png$/);
+    assert.strictEqual(stored.init_images[1], JOB_OUTPUT);
+    assert.strictEqual(stored.prompt, 'a cat');
+    assert.strictEqual(readSourceImage(filename), PNG_BASE64);
+
+    // The same image is stored under the same name, and its reference is valid input for another job
+    assert.deepStrictEqual(storeSourceImages({ init_images: [PNG_BASE64] }).init_images, [stored.init_images[0]]);
+    assert.deepStrictEqual(storeSourceImages({ init_images: [stored.init_images[0]] }).init_images, [stored.init_images[0]]);
+    assert.strictEqual(normalizeJobMode('img2img', { init_images: [stored.init_images[0]] }).mode, 'img2img');
+    assert.strictEqual(fs.readdirSync(process.env.SOURCE_IMAGES_PATH).length, 1);
+});
+
+test('readSourceImage fails for a missing file', () => {
+    assert.throws(() => readSourceImage(`${'f'.repeat(64)}.png`), /no longer exists/);
+    assert.strictEqual(parseSourceImageReference('source://../secrets.png'), null);
+});
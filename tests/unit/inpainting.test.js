@@ -0,0 +1,80 @@
+/**
+ * inpainting.test.js
+ * Tests for the masks and inpainting options of img2img jobs
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-inpainting-'));
+process.env.SOURCE_IMAGES_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-inpainting-sources-'));
+
+const { normalizeJobMode, storeSourceImages, parseSourceImageReference } = require('../../utils/img2img');
+
+after(() => {
+    for (const dir of [process.env.DATABASE_DIR, process.env.SOURCE_IMAGES_PATH]) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// 1x1 PNGs, one with an alpha channel and one without
+const RGBA_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+const RGB_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4z8AAAAMBAQDJ/pLvAAAAAElFTkSuQmCC';
+const JOB_OUTPUT = 'job://00000000-0000-0000-0000-000000000000/images/0';
+
+test('a separate mask is checked like an init image', () => {
+    assert.strictEqual(normalizeJobMode('img2img', { init_images: [RGB_PNG], mask: RGB_PNG }).mode, 'img2img');
+    assert.strictEqual(normalizeJobMode('img2img', { init_images: [RGB_PNG], mask: JOB_OUTPUT }).mode, 'img2img');
+    assert.strictEqual(normalizeJobMode('img2img', { init_images: [RGB_PNG], mask: 'nope!' }).field, 'generation_params.mask');
+    assert.strictEqual(normalizeJobMode('txt2img', { mask: RGB_PNG }).field, 'generation_params.mask');
+});
+
+test('mask_from_alpha needs an uploaded PNG with transparency and no separate mask', () => {
+    assert.strictEqual(normalizeJobMode('img2img', { init_images: [RGBA_PNG], mask_from_alpha: true }).mode, 'img2img');
+
+    const opaque = normalizeJobMode('img2img', { init_images: [RGB_PNG], mask_from_alpha: true });
+    assert.strictEqual(opaque.field, 'generation_params.init_images[0]');
+    assert.match(opaque.error, /PNG with transparency/);
+
+    // A job output is only known at dispatch, so its transparency cannot be checked
+    assert.strictEqual(normalizeJobMode('img2img', { init_images: [JOB_OUTPUT], mask_from_alpha: true }).field, 'generation_params.init_images[0]');
+
+    assert.match(normalizeJobMode('img2img', { init_images: [RGBA_PNG], mask: RGB_PNG, mask_from_alpha: true }).error, /not both/);
+    assert.strictEqual(normalizeJobMode('img2img', { init_images: [RGBA_PNG], mask_from_alpha: 'yes' }).field, 'generation_params.mask_from_alpha');
+});
+
+test('mask_from_alpha also reads the transparency of a stored source image', () => {
+    const { init_images: [reference] } = storeSourceImages({ init_images: [RGBA_PNG] });
+    assert.strictEqual(normalizeJobMode('img2img', { init_images: [reference], mask_from_alpha: true }).mode, 'img2img');
+});
+
+test('inpainting options must be within the ranges Forge accepts', () => {
+    const params = { init_images: [RGB_PNG], mask: RGB_PNG };
+    const valid = {
+        ...params,
+        mask_blur: 4,
+        inpaint_full_res: true,
+        inpaint_full_res_padding: 32,
+        inpainting_fill: 1,
+        inpainting_mask_invert: 0
+    };
+    assert.deepStrictEqual(normalizeJobMode('img2img', valid), { mode: 'img2img', generation_params: valid });
+
+    assert.strictEqual(normalizeJobMode('img2img', { ...params, mask_blur: 65 }).field, 'generation_params.mask_blur');
+    assert.strictEqual(normalizeJobMode('img2img', { ...params, mask_blur: 2.5 }).field, 'generation_params.mask_blur');
+    assert.strictEqual(normalizeJobMode('img2img', { ...params, inpaint_full_res_padding: -1 }).field, 'generation_params.inpaint_full_res_padding');
+    assert.strictEqual(normalizeJobMode('img2img', { ...params, inpaint_full_res: 'only masked' }).field, 'generation_params.inpaint_full_res');
+    assert.strictEqual(normalizeJobMode('img2img', { ...params, inpainting_mask_invert: 2 }).field, 'generation_params.inpainting_mask_invert');
+    assert.strictEqual(normalizeJobMode('img2img', { ...params, inpainting_fill: 4 }).field, 'generation_params.inpainting_fill');
+});
+
+test('the mask is stored alongside the init images', () => {
+    const stored = storeSourceImages({ init_images: [RGB_PNG], mask: `data:image/png;base64,${RGBA_PNG}`, mask_blur: 4 });
+
+    assert.match(parseSourceImageReference(stored.mask), /^[0-9a-f]{64}\.png$/);
+    assert.notStrictEqual(stored.mask, stored.init_images[0]);
+    assert.strictEqual(stored.mask_blur, 4);
+});
@@ -0,0 +1,90 @@
+/**
+ * jobEvents.test.js
+ * Tests for the event history kept for each job
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-events-'));
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+
+const eventTypes = jobId => jobQueue.getJobEvents(jobId).map(event => event.event_type);
+
+test('a job records who created it', () => {
+    const fromUi = jobQueue.addJob({ target_server_alias: 'events-test' });
+    const fromApi = jobQueue.addJob({ target_server_alias: 'events-test', api_key_id: 'key-1' });
+
+    const [created] = jobQueue.getJobEvents(fromUi.mobilesd_job_id);
+    assert.strictEqual(created.event_type, 'created');
+    assert.strictEqual(created.to_status, 'pending');
+    assert.deepStrictEqual(created.actor, jobQueue.UI_ACTOR);
+    assert.deepStrictEqual(jobQueue.getJobEvents(fromApi.mobilesd_job_id)[0].actor, { type: 'api_key', id: 'key-1' });
+});
+
+test('status changes record the transition, the actor and the failure message', () => {
+    const job = jobQueue.addJob({ target_server_alias: 'events-test' });
+    jobQueue.updateJob(job.mobilesd_job_id, { status: 'processing' }, { actor: jobQueue.systemActor('dispatcher') });
+    jobQueue.updateJob(job.mobilesd_job_id, { status: 'failed', result_details: { error: 'Forge returned 500' } });
+
+    const [, processing, failed] = jobQueue.getJobEvents(job.mobilesd_job_id);
+    assert.strictEqual(processing.from_status, 'pending');
+    assert.strictEqual(processing.to_status, 'processing');
+    assert.deepStrictEqual(processing.actor, { type: 'system', id: 'dispatcher' });
+    assert.strictEqual(failed.to_status, 'failed');
+    assert.strictEqual(failed.message, 'Forge returned 500');
+    assert.deepStrictEqual(failed.actor, { type: 'system', id: null });
+});
+
+test('updates that leave the status alone add no status event', () => {
+    const job = jobQueue.addJob({ target_server_alias: 'events-test' });
+    jobQueue.updateJob(job.mobilesd_job_id, { priority: 7 });
+    assert.deepStrictEqual(eventTypes(job.mobilesd_job_id), ['created']);
+});
+
+test('progress is recorded once per milestone passed while processing', () => {
+    const job = jobQueue.addJob({ target_server_alias: 'events-test' });
+    jobQueue.updateJob(job.mobilesd_job_id, { status: 'processing' });
+    for (const percentage of [10, 30, 40, 90, 100]) {
+        jobQueue.updateJob(job.mobilesd_job_id, { result_details: { progress_percentage: percentage } });
+    }
+
+    const progress = jobQueue.getJobEvents(job.mobilesd_job_id).filter(event => event.event_type === 'progress');
+    assert.deepStrictEqual(progress.map(event => event.message), ['Reached 25%', 'Reached 75%']);
+    assert.deepStrictEqual(progress[1].details, { progress_percentage: 90 });
+});
+
+test('user actions record their actor', () => {
+    const job = jobQueue.addJob({ target_server_alias: 'events-test' });
+    jobQueue.cancelJob(job.mobilesd_job_id, jobQueue.apiKeyActor('key-2'));
+
+    const cancelled = jobQueue.getJobEvents(job.mobilesd_job_id).pop();
+    assert.strictEqual(cancelled.to_status, 'cancelled');
+    assert.deepStrictEqual(cancelled.actor, { type: 'api_key', id: 'key-2' });
+});
+
+test('recordJobEvent appends custom events with their details', () => {
+    const job = jobQueue.addJob({ target_server_alias: 'events-test' });
+    jobQueue.recordJobEvent(job.mobilesd_job_id, 'dispatch_attempt', {
+        message: 'Sending to events-test',
+        details: { attempt: 1 },
+        created_at: '2030-01-01T00:00:00.000Z'
+    });
+
+    const attempt = jobQueue.getJobEvents(job.mobilesd_job_id).pop();
+    assert.strictEqual(attempt.event_type, 'dispatch_attempt');
+    assert.deepStrictEqual(attempt.details, { attempt: 1 });
+    assert.strictEqual(attempt.created_at, '2030-01-01T00:00:00.000Z');
+});
+
+test('deleting a job removes its history', () => {
+    const job = jobQueue.addJob({ target_server_alias: 'events-test' });
+    jobQueue.deleteJob(job.mobilesd_job_id);
+    assert.deepStrictEqual(jobQueue.getJobEvents(job.mobilesd_job_id), []);
+});
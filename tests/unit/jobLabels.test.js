@@ -0,0 +1,75 @@
+/**
+ * jobLabels.test.js
+ * Tests for job tags and projects
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-labels-'));
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+
+test('normalizeJobLabels tidies tags and drops case-insensitive duplicates', () => {
+    assert.deepStrictEqual(
+        jobQueue.normalizeJobLabels({ tags: ' Client-A ,  spring   batch, client-a,, ', project: '  Spring   campaign ' }),
+        { labels: { tags: ['Client-A', 'spring batch'], project: 'Spring campaign' } }
+    );
+    assert.deepStrictEqual(jobQueue.normalizeJobLabels({ tags: ['draft', 'Draft'] }), { labels: { tags: ['draft'] } });
+});
+
+test('normalizeJobLabels clears labels given as null and ignores missing ones', () => {
+    assert.deepStrictEqual(jobQueue.normalizeJobLabels({ tags: null, project: null }), { labels: { tags: [], project: null } });
+    assert.deepStrictEqual(jobQueue.normalizeJobLabels({ project: '   ' }), { labels: { project: null } });
+    assert.deepStrictEqual(jobQueue.normalizeJobLabels({}), { labels: {} });
+});
+
+test('normalizeJobLabels rejects malformed tags and projects', () => {
+    assert.strictEqual(jobQueue.normalizeJobLabels({ tags: [1] }).field, 'tags');
+    assert.strictEqual(jobQueue.normalizeJobLabels({ tags: { a: 1 } }).field, 'tags');
+    assert.match(jobQueue.normalizeJobLabels({ tags: ['a,b'] }).error, /commas/);
+    assert.match(jobQueue.normalizeJobLabels({ tags: ['x'.repeat(51)] }).error, /at most 50 characters/);
+    assert.match(jobQueue.normalizeJobLabels({ tags: Array.from({ length: 21 }, (_, i) => `t${i}`) }).error, /at most 20 tags/);
+    assert.strictEqual(jobQueue.normalizeJobLabels({ project: 7 }).field, 'project');
+    assert.strictEqual(jobQueue.normalizeJobLabels({ project: 'p'.repeat(101) }).field, 'project');
+});
+
+test('a job keeps the tags and project it was submitted with', () => {
+    const job = jobQueue.addJob({ target_server_alias: 'labels-test', tags: ['client-a', 'draft'], project: 'Spring' });
+
+    const stored = jobQueue.getJobById(job.mobilesd_job_id);
+    assert.deepStrictEqual(stored.tags, ['client-a', 'draft']);
+    assert.strictEqual(stored.project, 'Spring');
+});
+
+test('setJobLabels replaces tags, keeps labels that were not given and records an event', () => {
+    const job = jobQueue.addJob({ target_server_alias: 'labels-test', tags: ['old'], project: 'Spring' });
+
+    const updated = jobQueue.setJobLabels(job.mobilesd_job_id, { tags: ['new', 'final'] });
+    assert.deepStrictEqual(updated.tags, ['new', 'final']);
+    assert.strictEqual(updated.project, 'Spring');
+
+    const cleared = jobQueue.setJobLabels(job.mobilesd_job_id, { project: null });
+    assert.deepStrictEqual(cleared.tags, ['new', 'final']);
+    assert.strictEqual(cleared.project, null);
+
+    const events = jobQueue.getJobEvents(job.mobilesd_job_id).filter(event => event.event_type === 'labels_changed');
+    assert.strictEqual(events.length, 2);
+    assert.strictEqual(jobQueue.setJobLabels('00000000-0000-0000-0000-000000000000', { tags: [] }), null);
+});
+
+test('the job list matches every requested tag regardless of case, and projects by name', () => {
+    const both = jobQueue.addJob({ target_server_alias: 'labels-list', tags: ['Client-B', 'final'], project: 'Autumn' });
+    const one = jobQueue.addJob({ target_server_alias: 'labels-list', tags: ['client-b'] });
+    const list = rawQuery => jobQueue.queryJobs(jobQueue.normalizeJobQuery(rawQuery).query).jobs.map(job => job.mobilesd_job_id).sort();
+
+    assert.deepStrictEqual(list({ tag: 'client-b' }), [both.mobilesd_job_id, one.mobilesd_job_id].sort());
+    assert.deepStrictEqual(list({ tag: 'CLIENT-B,Final' }), [both.mobilesd_job_id]);
+    assert.deepStrictEqual(list({ project: 'autumn' }), [both.mobilesd_job_id]);
+    assert.strictEqual(jobQueue.normalizeJobQuery({ tag: ' , ' }).field, 'tag');
+});
@@ -0,0 +1,76 @@
+/**
+ * jobLeases.test.js
+ * Tests for dispatch leases and finding jobs orphaned by a stopped dispatcher
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-leases-'));
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+
+const MINUTE_MS = 60 * 1000;
+
+function startJob(owner, leaseExpiresAt) {
+    const job = jobQueue.addJob({ target_server_alias: 'lease-test' });
+    return jobQueue.updateJob(job.mobilesd_job_id, {
+        status: 'processing',
+        lease_owner: owner,
+        lease_expires_at: leaseExpiresAt
+    });
+}
+
+const orphanIds = (owner, now) => jobQueue.findOrphanedJobs(owner, now).map(job => job.mobilesd_job_id);
+
+test('renewJobLeases only extends processing jobs held by the same instance', () => {
+    const soon = new Date(Date.now() + MINUTE_MS).toISOString();
+    const later = new Date(Date.now() + 5 * MINUTE_MS).toISOString();
+    const mine = startJob('instance-a', soon);
+    const theirs = startJob('instance-b', soon);
+
+    assert.strictEqual(jobQueue.renewJobLeases([mine.mobilesd_job_id, theirs.mobilesd_job_id], 'instance-a', later), 1);
+    assert.strictEqual(jobQueue.getJobById(mine.mobilesd_job_id).lease_expires_at, later);
+    assert.ok(jobQueue.getJobById(mine.mobilesd_job_id).heartbeat_at);
+    assert.strictEqual(jobQueue.getJobById(theirs.mobilesd_job_id).lease_expires_at, soon);
+    assert.strictEqual(jobQueue.renewJobLeases([], 'instance-a', later), 0);
+
+    jobQueue.updateJob(mine.mobilesd_job_id, { status: 'completed' });
+    jobQueue.updateJob(theirs.mobilesd_job_id, { status: 'completed' });
+});
+
+test('a job becomes orphaned once its lease runs out, but never for its own instance', () => {
+    const now = new Date();
+    const job = startJob('instance-old', new Date(now.getTime() + MINUTE_MS).toISOString());
+
+    assert.deepStrictEqual(orphanIds('instance-new', now), []);
+    assert.deepStrictEqual(orphanIds('instance-new', new Date(now.getTime() + 2 * MINUTE_MS)), [job.mobilesd_job_id]);
+    assert.deepStrictEqual(orphanIds('instance-old', new Date(now.getTime() + 2 * MINUTE_MS)), []);
+
+    jobQueue.updateJob(job.mobilesd_job_id, { status: 'failed' });
+});
+
+test('processing jobs without a lease are orphaned unless Forge still tracks them', () => {
+    const unleased = startJob(null, null);
+    const tracked = startJob(null, null);
+    jobQueue.updateJob(tracked.mobilesd_job_id, { forge_session_hash: 'session-1' });
+
+    assert.deepStrictEqual(orphanIds('instance-new'), [unleased.mobilesd_job_id]);
+});
+
+test('clearJobLease drops only the owner\'s lease', () => {
+    const job = startJob('instance-a', new Date(Date.now() + MINUTE_MS).toISOString());
+
+    jobQueue.clearJobLease(job.mobilesd_job_id, 'instance-b');
+    assert.strictEqual(jobQueue.getJobById(job.mobilesd_job_id).lease_owner, 'instance-a');
+
+    jobQueue.clearJobLease(job.mobilesd_job_id, 'instance-a');
+    const cleared = jobQueue.getJobById(job.mobilesd_job_id);
+    assert.strictEqual(cleared.lease_owner, null);
+    assert.strictEqual(cleared.lease_expires_at, null);
+});
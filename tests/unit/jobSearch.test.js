@@ -0,0 +1,79 @@
+/**
+ * jobSearch.test.js
+ * Tests for job list filters, prompt search and cursor pagination
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-search-'));
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+
+const cat = jobQueue.addJob({
+    target_server_alias: 'search-a',
+    generation_params: { prompt: 'a red cat on a sofa', negative_prompt: 'blurry', checkpoint_name: 'SDXL/juggernaut_v9.safetensors' }
+});
+const dog = jobQueue.addJob({
+    target_server_alias: 'search-b',
+    target_pool: 'search-pool',
+    generation_params: { prompt: 'a dog in the park', negative_prompt: 'red tint' }
+});
+const caterpillar = jobQueue.addJob({
+    target_server_alias: 'search-a',
+    generation_params: { prompt: 'a caterpillar on a red leaf' }
+});
+jobQueue.updateJob(dog.mobilesd_job_id, { status: 'completed' });
+
+function search(rawQuery) {
+    const { query, error } = jobQueue.normalizeJobQuery(rawQuery);
+    assert.strictEqual(error, undefined);
+    // Jobs added in the same millisecond tie on creation time, so compare ids as sets
+    return jobQueue.queryJobs(query).jobs.map(job => job.mobilesd_job_id).sort();
+}
+
+const ids = (...jobs) => jobs.map(job => job.mobilesd_job_id).sort();
+
+test('normalizeJobQuery names the invalid field', () => {
+    assert.strictEqual(jobQueue.normalizeJobQuery({ status: 'pending,lost' }).field, 'status');
+    assert.strictEqual(jobQueue.normalizeJobQuery({ search: '""' }).field, 'search');
+    assert.strictEqual(jobQueue.normalizeJobQuery({ created_after: 'yesterday' }).field, 'created_after');
+    assert.strictEqual(jobQueue.normalizeJobQuery({ limit: '0' }).field, 'limit');
+    assert.strictEqual(jobQueue.normalizeJobQuery({ cursor: 'nonsense' }).field, 'cursor');
+    assert.strictEqual(jobQueue.normalizeJobQuery({ offset: '-1' }).field, 'offset');
+});
+
+test('status, server and checkpoint filters narrow the list', () => {
+    assert.deepStrictEqual(search({ status: 'completed' }), ids(dog));
+    assert.deepStrictEqual(search({ server: 'search-pool' }), ids(dog));
+    assert.deepStrictEqual(search({ checkpoint: 'JUGGERNAUT' }), ids(cat));
+    assert.deepStrictEqual(search({ server: 'search-a' }), ids(cat, caterpillar));
+});
+
+test('prompt search covers both prompts and supports prefixes, phrases and exclusions', () => {
+    assert.deepStrictEqual(search({ search: 'red' }), ids(cat, dog, caterpillar));
+    assert.deepStrictEqual(search({ search: 'cat' }), ids(cat));
+    assert.deepStrictEqual(search({ search: 'cat*' }), ids(cat, caterpillar));
+    assert.deepStrictEqual(search({ search: '"red leaf"' }), ids(caterpillar));
+    assert.deepStrictEqual(search({ search: 'red -sofa -leaf' }), ids(dog));
+});
+
+test('cursor pages follow on from each other and end with a null cursor', () => {
+    const firstPage = jobQueue.queryJobs(jobQueue.normalizeJobQuery({ limit: '2' }).query);
+    assert.strictEqual(firstPage.jobs.length, 2);
+    assert.ok(firstPage.next_cursor);
+
+    const secondPage = jobQueue.queryJobs(jobQueue.normalizeJobQuery({ limit: '2', cursor: firstPage.next_cursor }).query);
+    assert.strictEqual(secondPage.next_cursor, null);
+    assert.deepStrictEqual(
+        [...firstPage.jobs, ...secondPage.jobs].map(job => job.mobilesd_job_id).sort(),
+        ids(cat, dog, caterpillar)
+    );
+
+    assert.strictEqual(jobQueue.normalizeJobQuery({ cursor: firstPage.next_cursor, order: 'asc' }).field, 'cursor');
+});
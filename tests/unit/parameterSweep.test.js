@@ -0,0 +1,66 @@
+/**
+ * parameterSweep.test.js
+ * Tests for X/Y/Z sweep axis validation and cell building
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeSweepAxes, buildSweepCells, formatAxisValue, MAX_SWEEP_JOBS } = require('../../utils/parameterSweep');
+
+test('normalizeSweepAxes names the axes in x, y, z order and defaults the label to the parameter', () => {
+    const { axes } = normalizeSweepAxes([
+        { param: ' steps ', values: [10, 20] },
+        { param: 'cfg_scale', values: [5, 7], label: 'CFG' }
+    ]);
+    assert.deepStrictEqual(axes, [
+        { name: 'x', param: 'steps', label: 'steps', values: [10, 20] },
+        { name: 'y', param: 'cfg_scale', label: 'CFG', values: [5, 7] }
+    ]);
+});
+
+test('normalizeSweepAxes names the invalid field', () => {
+    assert.strictEqual(normalizeSweepAxes([]).field, 'axes');
+    assert.strictEqual(normalizeSweepAxes([{}, {}, {}, {}]).field, 'axes');
+    assert.strictEqual(normalizeSweepAxes([{ param: '', values: [1] }]).field, 'axes[0].param');
+    assert.strictEqual(normalizeSweepAxes([{ param: 'lora: ', values: [1] }]).field, 'axes[0].param');
+    assert.strictEqual(normalizeSweepAxes([{ param: 'steps', values: [1] }, { param: 'steps', values: [2] }]).field, 'axes[1].param');
+    assert.strictEqual(normalizeSweepAxes([{ param: 'steps', values: [] }]).field, 'axes[0].values');
+    assert.strictEqual(normalizeSweepAxes([{ param: 'steps', values: [1, 1] }]).field, 'axes[0].values');
+    assert.strictEqual(normalizeSweepAxes([{ param: 'steps', values: [{}] }]).field, 'axes[0].values');
+    assert.strictEqual(normalizeSweepAxes([{ param: 'lora:detail', values: ['high'] }]).field, 'axes[0].values');
+    assert.strictEqual(normalizeSweepAxes([{ param: 'steps', values: [1], label: 3 }]).field, 'axes[0].label');
+});
+
+test('normalizeSweepAxes rejects sweeps with more combinations than the job limit', () => {
+    const values = Array.from({ length: MAX_SWEEP_JOBS + 1 }, (_, i) => i);
+    assert.match(normalizeSweepAxes([{ param: 'seed', values }]).error, /at most/);
+});
+
+test('buildSweepCells varies x fastest, then y, then z', () => {
+    const { axes } = normalizeSweepAxes([
+        { param: 'steps', values: [10, 20] },
+        { param: 'cfg_scale', values: [5, 7] },
+        { param: 'sampler_name', values: ['Euler'] }
+    ]);
+    const cells = buildSweepCells({ prompt: 'a cat', steps: 30 }, axes);
+
+    assert.deepStrictEqual(cells.map(cell => [cell.x, cell.y, cell.z]), [[0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0]]);
+    assert.deepStrictEqual(cells[3].generation_params, { prompt: 'a cat', steps: 20, cfg_scale: 7, sampler_name: 'Euler' });
+});
+
+test('LoRA axes set the weight in the prompt, adding the LoRA if it is missing', () => {
+    const { axes } = normalizeSweepAxes([{ param: 'lora:detail', values: [0.5, 1] }]);
+
+    const replaced = buildSweepCells({ prompt: 'a cat, <lora:detail:0.8>', positive_prompt: 'a cat' }, axes);
+    assert.deepStrictEqual(replaced.map(cell => cell.generation_params.prompt), ['a cat, <lora:detail:0.5>', 'a cat, <lora:detail:1>']);
+    assert.strictEqual(replaced[0].generation_params.positive_prompt, 'a cat, <lora:detail:0.5>');
+
+    const added = buildSweepCells({}, axes);
+    assert.strictEqual(added[1].generation_params.prompt, '<lora:detail:1>');
+});
+
+test('formatAxisValue shortens checkpoint paths to the model name', () => {
+    assert.strictEqual(formatAxisValue({ param: 'checkpoint_name' }, 'SDXL\\juggernaut_v9.safetensors'), 'juggernaut_v9');
+    assert.strictEqual(formatAxisValue({ param: 'steps' }, 20), '20');
+    assert.strictEqual(formatAxisValue({ param: 'sampler_name' }, 'DPM++ 2M/Karras'), 'DPM++ 2M/Karras');
+});
@@ -0,0 +1,54 @@
+/**
+ * pools.test.js
+ * Tests for server pool resolution and pool member selection
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-pools-'));
+
+const { AUTO_TARGET, getPoolNames, getPoolMembers, resolveJobTarget } = require('../../utils/configHelpers');
+const { pickPoolServer } = require('../../services/gradioJobDispatcher');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+
+const servers = [
+    { alias: 'gpu-a', apiUrl: 'http://127.0.0.1:7861', pools: ['gpu', 'fast'] },
+    { alias: 'gpu-b', apiUrl: 'http://127.0.0.1:7862', pools: ['gpu'] },
+    { alias: 'cpu', apiUrl: 'http://127.0.0.1:7863' }
+];
+
+test('getPoolNames lists each pool once', () => {
+    assert.deepStrictEqual(getPoolNames(servers).sort(), ['fast', 'gpu']);
+});
+
+test('getPoolMembers returns the servers in a pool, and every server for auto', () => {
+    assert.deepStrictEqual(getPoolMembers(servers, 'gpu').map(s => s.alias), ['gpu-a', 'gpu-b']);
+    assert.deepStrictEqual(getPoolMembers(servers, AUTO_TARGET).map(s => s.alias), ['gpu-a', 'gpu-b', 'cpu']);
+    assert.deepStrictEqual(getPoolMembers(servers, 'missing'), []);
+});
+
+test('resolveJobTarget prefers a server alias over a pool name', () => {
+    assert.deepStrictEqual(resolveJobTarget(servers, 'cpu'), { alias: 'cpu', isPool: false, members: [servers[2]] });
+
+    const pool = resolveJobTarget(servers, 'fast');
+    assert.strictEqual(pool.isPool, true);
+    assert.deepStrictEqual(pool.members.map(s => s.alias), ['gpu-a']);
+
+    assert.strictEqual(resolveJobTarget(servers, AUTO_TARGET).isPool, true);
+    assert.strictEqual(resolveJobTarget(servers, 'missing'), null);
+});
+
+test('pickPoolServer skips members without an API URL', () => {
+    const members = [{ alias: 'unconfigured', pools: ['gpu'] }, servers[1]];
+    assert.strictEqual(pickPoolServer(members, { generation_params: {} }).alias, 'gpu-b');
+});
+
+test('pickPoolServer returns null when no member can take the job', () => {
+    assert.strictEqual(pickPoolServer([], { generation_params: {} }), null);
+    assert.strictEqual(pickPoolServer([{ alias: 'unconfigured' }], { generation_params: {} }), null);
+});
@@ -0,0 +1,45 @@
+/**
+ * priority.test.js
+ * Tests for job priority normalization and priority-first dispatch order
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-priority-'));
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+
+test('normalizePriority falls back to the default when no priority is given', () => {
+    assert.strictEqual(jobQueue.normalizePriority(undefined), jobQueue.DEFAULT_JOB_PRIORITY);
+    assert.strictEqual(jobQueue.normalizePriority(null), jobQueue.DEFAULT_JOB_PRIORITY);
+    assert.strictEqual(jobQueue.normalizePriority(''), jobQueue.DEFAULT_JOB_PRIORITY);
+});
+
+test('normalizePriority accepts integers and numeric strings within range', () => {
+    assert.strictEqual(jobQueue.normalizePriority(jobQueue.MIN_JOB_PRIORITY), jobQueue.MIN_JOB_PRIORITY);
+    assert.strictEqual(jobQueue.normalizePriority(String(jobQueue.MAX_JOB_PRIORITY)), jobQueue.MAX_JOB_PRIORITY);
+});
+
+test('normalizePriority rejects fractions, out-of-range and non-numeric values', () => {
+    assert.strictEqual(jobQueue.normalizePriority(2.5), null);
+    assert.strictEqual(jobQueue.normalizePriority(jobQueue.MIN_JOB_PRIORITY - 1), null);
+    assert.strictEqual(jobQueue.normalizePriority(jobQueue.MAX_JOB_PRIORITY + 1), null);
+    assert.strictEqual(jobQueue.normalizePriority('high'), null);
+});
+
+test('pending jobs are dispatched by priority before submission order', () => {
+    const low = jobQueue.addJob({ target_server_alias: 'priority-test', priority: 2 });
+    const high = jobQueue.addJob({ target_server_alias: 'priority-test', priority: 9 });
+    const normal = jobQueue.addJob({ target_server_alias: 'priority-test' });
+
+    const order = jobQueue.findPendingJobs(0, null, { target_server_alias: 'priority-test' })
+        .map(job => job.mobilesd_job_id);
+
+    assert.deepStrictEqual(order, [high.mobilesd_job_id, normal.mobilesd_job_id, low.mobilesd_job_id]);
+});
@@ -0,0 +1,94 @@
+/**
+ * promptExpansion.test.js
+ * Tests for wildcard and alternation expansion of prompts
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.WILDCARDS_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-wildcards-'));
+fs.writeFileSync(path.join(process.env.WILDCARDS_PATH, 'animal.txt'), '# animals\ncat\n\ndog\n');
+fs.mkdirSync(path.join(process.env.WILDCARDS_PATH, 'style'));
+fs.writeFileSync(path.join(process.env.WILDCARDS_PATH, 'style', 'light.txt'), 'soft light\n');
+fs.writeFileSync(path.join(process.env.WILDCARDS_PATH, 'loop.txt'), '__loop__\n');
+fs.writeFileSync(path.join(process.env.WILDCARDS_PATH, 'empty.txt'), '# nothing here\n');
+
+const { normalizePromptExpansion, expandGenerationParams, MAX_COMBINATIONS } = require('../../utils/promptExpansion');
+
+after(() => fs.rmSync(process.env.WILDCARDS_PATH, { recursive: true, force: true }));
+
+const RANDOM = { mode: 'random', seed: 7 };
+const COMBINATORIAL = { mode: 'combinatorial', seed: 7 };
+
+test('normalizePromptExpansion accepts a mode name or an object and only expands when asked', () => {
+    assert.deepStrictEqual(normalizePromptExpansion(undefined), { options: { mode: 'none', seed: undefined } });
+    assert.deepStrictEqual(normalizePromptExpansion(null), { options: { mode: 'none', seed: undefined } });
+    assert.deepStrictEqual(normalizePromptExpansion('combinatorial'), { options: { mode: 'combinatorial', seed: undefined } });
+    assert.deepStrictEqual(normalizePromptExpansion({ seed: 3 }), { options: { mode: 'random', seed: 3 } });
+    assert.strictEqual(normalizePromptExpansion('sometimes').field, 'prompt_expansion.mode');
+    assert.strictEqual(normalizePromptExpansion({ seed: -1 }).field, 'prompt_expansion.seed');
+    assert.strictEqual(normalizePromptExpansion(['random']).field, 'prompt_expansion');
+});
+
+test('prompts without dynamic syntax are left untouched', () => {
+    const params = { prompt: 'a cat', negative_prompt: 'blurry' };
+    assert.deepStrictEqual(expandGenerationParams(params, RANDOM), { paramsList: [params] });
+    assert.deepStrictEqual(expandGenerationParams({ prompt: '{a|b}' }, { mode: 'none' }), { paramsList: [{ prompt: '{a|b}' }] });
+});
+
+test('submissions without prompt_expansion keep unknown wildcards as written', () => {
+    const params = { prompt: 'a __unknown__ {cat|dog}' };
+    assert.deepStrictEqual(expandGenerationParams(params, normalizePromptExpansion(undefined).options), { paramsList: [params] });
+});
+
+test('random expansion is reproducible from its seed and keeps the template', () => {
+    const params = { prompt: 'a __animal__ in {red|green|blue}', seed: 42 };
+    const [first] = expandGenerationParams(params, { mode: 'random' }).paramsList;
+    const [second] = expandGenerationParams(params, { mode: 'random' }).paramsList;
+
+    assert.strictEqual(first.prompt, second.prompt);
+    assert.match(first.prompt, /^a (cat|dog) in (red|green|blue)$/);
+    assert.strictEqual(first.prompt_template, params.prompt);
+    assert.deepStrictEqual(first.prompt_expansion, { mode: 'random', seed: 42 });
+});
+
+test('combinatorial expansion queues every distinct combination', () => {
+    const { paramsList } = expandGenerationParams({ prompt: '__animal__, {day|night}', negative_prompt: '{ugly|bad}' }, COMBINATORIAL);
+
+    assert.deepStrictEqual(paramsList.map(params => params.prompt), ['cat, day', 'cat, night', 'dog, day', 'dog, night']);
+    // The negative prompt gets one pick shared by every job
+    assert.strictEqual(new Set(paramsList.map(params => params.negative_prompt)).size, 1);
+    assert.strictEqual(paramsList[0].negative_prompt_template, '{ugly|bad}');
+});
+
+test('nested alternations expand from the inside out without duplicates', () => {
+    const { paramsList } = expandGenerationParams({ prompt: '{a {x|y}|a x}' }, COMBINATORIAL);
+    assert.deepStrictEqual(paramsList.map(params => params.prompt), ['a x', 'a y']);
+});
+
+test('wildcards can live in subdirectories', () => {
+    const [params] = expandGenerationParams({ prompt: 'a cat, __style/light__' }, RANDOM).paramsList;
+    assert.strictEqual(params.prompt, 'a cat, soft light');
+});
+
+test('positive_prompt is expanded alongside prompt', () => {
+    const [params] = expandGenerationParams({ positive_prompt: '{cat|cat}' }, RANDOM).paramsList;
+    assert.strictEqual(params.positive_prompt, 'cat');
+    assert.strictEqual(params.prompt, undefined);
+});
+
+test('expansion errors are reported against the prompt', () => {
+    const missing = expandGenerationParams({ prompt: '__unknown__' }, RANDOM);
+    assert.deepStrictEqual(missing, { field: 'generation_params.prompt', error: "Wildcard '__unknown__' not found in the wildcards directory" });
+    assert.match(expandGenerationParams({ prompt: '__empty__' }, RANDOM).error, /has no options/);
+    assert.match(expandGenerationParams({ prompt: '__loop__' }, RANDOM).error, /include themselves/);
+});
+
+test('combinatorial expansion stops past the combination limit', () => {
+    const prompt = '{a|b|c|d|e} {a|b|c|d|e} {a|b|c|d|e}';
+    assert.ok(5 * 5 * 5 > MAX_COMBINATIONS);
+    assert.match(expandGenerationParams({ prompt }, COMBINATORIAL).error, /more than/);
+});
@@ -0,0 +1,111 @@
+/**
+ * queueEstimates.test.js
+ * Tests for learned server speeds and queue start and finish estimates
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-estimates-'));
+process.env.CONFIG_DATA_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-estimates-config-'));
+fs.writeFileSync(path.join(process.env.CONFIG_DATA_PATH, 'servers.json'), JSON.stringify([
+    { alias: 'speed-fast', apiUrl: 'http://127.0.0.1:1', maxConcurrentJobs: 1 }
+]));
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+const { getServerSpeeds, estimateJobSeconds } = require('../../utils/generationSpeed');
+const { getQueueEstimates } = require('../../services/gradioJobDispatcher');
+
+after(() => {
+    for (const dir of [process.env.DATABASE_DIR, process.env.CONFIG_DATA_PATH]) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// One megapixel for ten steps, so a job's seconds divided by ten is its speed
+const TEN_MEGAPIXEL_STEPS = { width: 1000, height: 1000, steps: 10 };
+const SPEED_CACHE_TTL_MS = 60000;
+
+function addCompletedJob(alias, seconds) {
+    const job = jobQueue.addJob({ target_server_alias: alias, generation_params: TEN_MEGAPIXEL_STEPS });
+    const startedAt = Date.now() - 60 * 60 * 1000;
+    jobQueue.updateJob(job.mobilesd_job_id, {
+        status: 'completed',
+        processing_started_at: new Date(startedAt).toISOString(),
+        completion_timestamp: new Date(startedAt + seconds * 1000).toISOString()
+    });
+}
+
+// Moves the clock past the speed and estimate caches so the next call relearns from the jobs table.
+// Each skip goes further than the last, since the caches remember the mocked time they were filled at.
+let clockOffset = 0;
+function skipCaches(t) {
+    clockOffset += SPEED_CACHE_TTL_MS + 1000;
+    const later = Date.now() + clockOffset;
+    t.mock.method(Date, 'now', () => later);
+}
+
+test('without any completed jobs a 512x512 step takes 1.5 seconds', () => {
+    assert.strictEqual(Math.round(estimateJobSeconds({ width: 512, height: 512, steps: 20 })), 30);
+    assert.strictEqual(getServerSpeeds().fleet.samples, 0);
+});
+
+test('a server with enough samples uses the median of its own speed', (t) => {
+    addCompletedJob('speed-fast', 20);
+    addCompletedJob('speed-fast', 20);
+    addCompletedJob('speed-fast', 400);
+    skipCaches(t);
+
+    const { servers } = getServerSpeeds();
+    assert.deepStrictEqual(servers['speed-fast'], { seconds_per_megapixel_step: 2, samples: 3 });
+    assert.strictEqual(estimateJobSeconds(TEN_MEGAPIXEL_STEPS, 'speed-fast'), 20);
+});
+
+test('servers with too few samples, pools and unknown servers use the fleet speed', (t) => {
+    addCompletedJob('speed-slow', 100);
+    addCompletedJob('speed-slow', 100);
+    skipCaches(t);
+
+    const { servers, fleet } = getServerSpeeds();
+    assert.strictEqual(servers['speed-slow'].samples, 2);
+    assert.strictEqual(fleet.samples, 5);
+    // Median of 2, 2, 10, 10 and 40 seconds per megapixel-step
+    assert.strictEqual(estimateJobSeconds(TEN_MEGAPIXEL_STEPS, 'speed-slow'), 100);
+    assert.strictEqual(estimateJobSeconds(TEN_MEGAPIXEL_STEPS, 'some-pool'), 100);
+    assert.strictEqual(estimateJobSeconds(TEN_MEGAPIXEL_STEPS), 100);
+});
+
+test('queue estimates run pending jobs back to back on a free slot', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    skipCaches(t);
+    const now = Date.now();
+    const first = jobQueue.addJob({ target_server_alias: 'speed-fast', generation_params: TEN_MEGAPIXEL_STEPS });
+    const second = jobQueue.addJob({ target_server_alias: 'speed-fast', generation_params: TEN_MEGAPIXEL_STEPS });
+    const unknown = jobQueue.addJob({ target_server_alias: 'speed-missing', generation_params: TEN_MEGAPIXEL_STEPS });
+
+    const { jobs, queue_paused } = await getQueueEstimates();
+
+    assert.strictEqual(queue_paused, false);
+    assert.deepStrictEqual(jobs.get(first.mobilesd_job_id), {
+        estimated_start_at: new Date(now).toISOString(),
+        estimated_finish_at: new Date(now + 20000).toISOString(),
+        estimated_server_alias: 'speed-fast'
+    });
+    assert.strictEqual(jobs.get(second.mobilesd_job_id).estimated_start_at, new Date(now + 20000).toISOString());
+    assert.strictEqual(jobs.get(second.mobilesd_job_id).estimated_finish_at, new Date(now + 40000).toISOString());
+    assert.strictEqual(jobs.has(unknown.mobilesd_job_id), false);
+});
+
+test('no estimates are given while queue processing is paused', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    fs.writeFileSync(path.join(process.env.CONFIG_DATA_PATH, 'app-settings.json'), JSON.stringify({ queueProcessingEnabled: false }));
+    skipCaches(t);
+
+    const { jobs, queue_paused } = await getQueueEstimates();
+
+    assert.strictEqual(queue_paused, true);
+    assert.strictEqual(jobs.size, 0);
+});
@@ -0,0 +1,69 @@
+/**
+ * queueOrder.test.js
+ * Tests for moving pending jobs within the queue
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-queue-order-'));
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+
+const queueOrder = () => jobQueue.getPendingQueueOrder().map(entry => entry.mobilesd_job_id);
+
+// Starts each test from an empty queue so positions are easy to read
+function resetQueue(priorities) {
+    for (const entry of jobQueue.getPendingQueueOrder()) {
+        jobQueue.updateJob(entry.mobilesd_job_id, { status: 'cancelled' });
+    }
+    return priorities.map(priority => jobQueue.addJob({ target_server_alias: 'order-test', priority }).mobilesd_job_id);
+}
+
+test('moving a job before or after another keeps the rest of the queue in order', () => {
+    const [a, b, c, d] = resetQueue([5, 5, 5, 5]);
+
+    jobQueue.moveJob(d, 'before', b);
+    assert.deepStrictEqual(queueOrder(), [a, d, b, c]);
+
+    jobQueue.moveJob(a, 'after', c);
+    assert.deepStrictEqual(queueOrder(), [d, b, c, a]);
+});
+
+test('a job moved next to another takes that job\'s priority', () => {
+    const [high, low] = resetQueue([8, 2]);
+
+    const moved = jobQueue.moveJob(low, 'before', high);
+
+    assert.strictEqual(moved.priority, 8);
+    assert.deepStrictEqual(queueOrder(), [low, high]);
+});
+
+test('moving to the top raises the priority and moving to the bottom lowers it', () => {
+    const [high, normal, low] = resetQueue([9, 5, 1]);
+
+    assert.strictEqual(jobQueue.moveJob(low, 'top').priority, 9);
+    assert.deepStrictEqual(queueOrder(), [low, high, normal]);
+
+    assert.strictEqual(jobQueue.moveJob(high, 'bottom').priority, 5);
+    assert.deepStrictEqual(queueOrder(), [low, normal, high]);
+});
+
+test('repeated moves between the same two jobs keep a stable order', () => {
+    const [a, b, c] = resetQueue([5, 5, 5]);
+    for (let i = 0; i < 80; i++) {
+        jobQueue.moveJob(i % 2 === 0 ? c : a, 'after', b);
+        jobQueue.moveJob(i % 2 === 0 ? c : a, 'before', b);
+    }
+    assert.strictEqual(queueOrder().length, 3);
+    assert.strictEqual(queueOrder()[2], b);
+});
+
+test('moveJob returns null for an unknown job', () => {
+    assert.strictEqual(jobQueue.moveJob('00000000-0000-0000-0000-000000000000', 'top'), null);
+});
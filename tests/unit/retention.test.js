@@ -0,0 +1,101 @@
+/**
+ * retention.test.js
+ * Tests for retention policy validation and applying retention rules
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-retention-'));
+process.env.CONFIG_DATA_PATH = process.env.DATABASE_DIR;
+process.env.STABLE_DIFFUSION_SAVE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-retention-outputs-'));
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+const { normalizeRetentionPolicy, applyRetentionPolicy } = require('../../services/retentionManager');
+
+after(() => {
+    for (const dir of [process.env.DATABASE_DIR, process.env.STABLE_DIFFUSION_SAVE_PATH]) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function finishedJob(status, daysAgo, resultDetails = {}) {
+    const job = jobQueue.addJob({ target_server_alias: 'retention-test' });
+    return jobQueue.updateJob(job.mobilesd_job_id, {
+        status,
+        completion_timestamp: new Date(Date.now() - daysAgo * DAY_MS).toISOString(),
+        result_details: resultDetails
+    });
+}
+
+test('normalizeRetentionPolicy fills in defaults', () => {
+    assert.deepStrictEqual(normalizeRetentionPolicy({ rules: [{ status: 'completed', older_than_days: 30 }] }), {
+        policy: {
+            enabled: false,
+            schedule: '0 3 * * *',
+            rules: [{ status: 'completed', older_than_days: 30, action: 'archive', delete_images: false }]
+        }
+    });
+});
+
+test('normalizeRetentionPolicy names the invalid field', () => {
+    assert.strictEqual(normalizeRetentionPolicy(null).field, 'retention');
+    assert.strictEqual(normalizeRetentionPolicy({ enabled: 'yes' }).field, 'enabled');
+    assert.strictEqual(normalizeRetentionPolicy({ schedule: 'sometimes' }).field, 'schedule');
+    assert.match(normalizeRetentionPolicy({ schedule: '0 0 31 2 *' }).error, /never matches/);
+    assert.strictEqual(normalizeRetentionPolicy({ rules: {} }).field, 'rules');
+    assert.strictEqual(normalizeRetentionPolicy({ rules: [{ status: 'pending', older_than_days: 1 }] }).field, 'rules[0].status');
+    assert.strictEqual(normalizeRetentionPolicy({
+        rules: [{ status: 'failed', older_than_days: 1 }, { status: 'failed', older_than_days: 2 }]
+    }).field, 'rules[1].status');
+    assert.strictEqual(normalizeRetentionPolicy({ rules: [{ status: 'failed', older_than_days: 0 }] }).field, 'rules[0].older_than_days');
+    assert.strictEqual(normalizeRetentionPolicy({ rules: [{ status: 'failed', older_than_days: 1, action: 'shred' }] }).field, 'rules[0].action');
+});
+
+test('a dry run reports the matching jobs without touching them', async () => {
+    const old = finishedJob('failed', 10);
+    const recent = finishedJob('failed', 1);
+    const { policy } = normalizeRetentionPolicy({ rules: [{ status: 'failed', older_than_days: 7, action: 'delete' }] });
+
+    const summary = await applyRetentionPolicy(policy, { dryRun: true });
+
+    assert.strictEqual(summary.rules[0].jobs, 1);
+    assert.deepStrictEqual(summary.rules[0].sample_job_ids, [old.mobilesd_job_id]);
+    assert.strictEqual(jobQueue.getJobById(old.mobilesd_job_id).status, 'failed');
+    assert.ok(jobQueue.getJobById(recent.mobilesd_job_id));
+});
+
+test('archiving moves old jobs to the archive and can delete their images', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    fs.writeFileSync(path.join(process.env.STABLE_DIFFUSION_SAVE_PATH, 'old.png'), '');
+    const old = finishedJob('completed', 40, { saved_filenames: ['old.png'] });
+    const recent = finishedJob('completed', 5);
+    const { policy } = normalizeRetentionPolicy({
+        rules: [{ status: 'completed', older_than_days: 30, action: 'archive', delete_images: true }]
+    });
+
+    const summary = await applyRetentionPolicy(policy);
+
+    assert.deepStrictEqual(summary.totals, { archived: 1, deleted: 0, images_deleted: 1 });
+    assert.strictEqual(jobQueue.getJobById(old.mobilesd_job_id), null);
+    assert.strictEqual(jobQueue.getArchivedJobById(old.mobilesd_job_id).mobilesd_job_id, old.mobilesd_job_id);
+    assert.ok(jobQueue.getJobById(recent.mobilesd_job_id));
+    assert.strictEqual(fs.existsSync(path.join(process.env.STABLE_DIFFUSION_SAVE_PATH, 'old.png')), false);
+});
+
+test('jobs that a pending job still depends on are kept', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const parent = finishedJob('completed', 40);
+    jobQueue.addJob({ target_server_alias: 'retention-test', depends_on: [parent.mobilesd_job_id] });
+    const { policy } = normalizeRetentionPolicy({ rules: [{ status: 'completed', older_than_days: 30, action: 'delete' }] });
+
+    const summary = await applyRetentionPolicy(policy);
+
+    assert.strictEqual(summary.totals.deleted, 0);
+    assert.ok(jobQueue.getJobById(parent.mobilesd_job_id));
+});
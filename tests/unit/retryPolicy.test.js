@@ -0,0 +1,75 @@
+/**
+ * retryPolicy.test.js
+ * Tests for retry policy validation, resolution, error classification and backoff
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    DEFAULT_RETRY_POLICY,
+    MAX_RETRY_ATTEMPTS,
+    normalizeRetryPolicy,
+    parseServerRetryFields,
+    resolveRetryPolicy,
+    classifyDispatchError,
+    getRetryDelayMs
+} = require('../../utils/retryPolicy');
+
+test('normalizeRetryPolicy keeps the fields that were set and parses numeric strings', () => {
+    assert.strictEqual(normalizeRetryPolicy(undefined), undefined);
+    assert.deepStrictEqual(normalizeRetryPolicy({ max_attempts: '2', base_delay_ms: 0 }), { max_attempts: 2, base_delay_ms: 0 });
+});
+
+test('normalizeRetryPolicy rejects out-of-range and malformed policies', () => {
+    assert.strictEqual(normalizeRetryPolicy({ max_attempts: 0 }), null);
+    assert.strictEqual(normalizeRetryPolicy({ max_attempts: MAX_RETRY_ATTEMPTS + 1 }), null);
+    assert.strictEqual(normalizeRetryPolicy({ base_delay_ms: -1 }), null);
+    assert.strictEqual(normalizeRetryPolicy({ max_delay_ms: 1.5 }), null);
+    assert.strictEqual(normalizeRetryPolicy([]), null);
+    assert.strictEqual(normalizeRetryPolicy('3'), null);
+});
+
+test('parseServerRetryFields validates the camelCase server config fields', () => {
+    assert.deepStrictEqual(parseServerRetryFields({ maxRetryAttempts: 4, retryBaseDelayMs: '' }), { maxRetryAttempts: 4 });
+    assert.strictEqual(parseServerRetryFields({ retryMaxDelayMs: 'soon' }), null);
+});
+
+test('resolveRetryPolicy layers the job override over the server config over the defaults', () => {
+    assert.deepStrictEqual(resolveRetryPolicy({}, {}), DEFAULT_RETRY_POLICY);
+
+    const policy = resolveRetryPolicy(
+        { retry_policy_json: JSON.stringify({ max_attempts: 5 }) },
+        { maxRetryAttempts: 2, retryBaseDelayMs: 100 }
+    );
+    assert.deepStrictEqual(policy, { max_attempts: 5, base_delay_ms: 100, max_delay_ms: DEFAULT_RETRY_POLICY.max_delay_ms });
+});
+
+test('resolveRetryPolicy ignores an unreadable job policy', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    assert.deepStrictEqual(resolveRetryPolicy({ retry_policy_json: '{oops' }), DEFAULT_RETRY_POLICY);
+});
+
+test('classifyDispatchError retries busy servers and network failures', () => {
+    assert.deepStrictEqual(
+        classifyDispatchError({ response: { status: 503 } }),
+        { retryable: true, category: 'server_unavailable', status_code: 503, code: null }
+    );
+    assert.strictEqual(classifyDispatchError({ code: 'ECONNREFUSED', message: 'connect ECONNREFUSED' }).category, 'connection');
+    assert.strictEqual(classifyDispatchError({ message: 'timeout of 1000ms exceeded' }).category, 'timeout');
+});
+
+test('classifyDispatchError does not retry errors that would fail again', () => {
+    assert.deepStrictEqual(
+        classifyDispatchError({ response: { status: 422 } }),
+        { retryable: false, category: 'bad_request', status_code: 422, code: null }
+    );
+    assert.strictEqual(classifyDispatchError({ response: { status: 500 } }).category, 'server_error');
+    assert.strictEqual(classifyDispatchError(new Error('Bad generation params')).retryable, false);
+});
+
+test('getRetryDelayMs doubles the delay per attempt up to the maximum', () => {
+    const policy = { max_attempts: 5, base_delay_ms: 1000, max_delay_ms: 3000 };
+    assert.strictEqual(getRetryDelayMs(policy, 1), 1000);
+    assert.strictEqual(getRetryDelayMs(policy, 2), 2000);
+    assert.strictEqual(getRetryDelayMs(policy, 3), 3000);
+});
@@ -0,0 +1,105 @@
+/**
+ * scheduledJobs.test.js
+ * Tests for turning due schedules into jobs, including prompt expansion per run
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-scheduled-'));
+process.env.WILDCARDS_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-scheduled-wildcards-'));
+fs.writeFileSync(path.join(process.env.WILDCARDS_PATH, 'animal.txt'), 'cat\ndog\n');
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+const { materializeDueSchedules } = require('../../services/gradioJobDispatcher');
+
+after(() => {
+    for (const dir of [process.env.DATABASE_DIR, process.env.WILDCARDS_PATH]) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+const servers = [{ alias: 'scheduled-gpu', apiUrl: 'http://127.0.0.1:7861' }];
+const PAST = '2000-01-01T00:00:00.000Z';
+
+function createDueSchedule(fields) {
+    return jobQueue.createSchedule({
+        name: 'scheduled test',
+        cron_expression: '0 0 1 1 *',
+        target_server_alias: 'scheduled-gpu',
+        next_run_at: PAST,
+        ...fields
+    });
+}
+
+// Runs the schedule once and returns the job it created
+function runSchedule(scheduleId) {
+    jobQueue.updateSchedule(scheduleId, { next_run_at: PAST });
+    materializeDueSchedules(servers);
+    return jobQueue.getJobById(jobQueue.getScheduleById(scheduleId).last_job_id);
+}
+
+test('each run of a schedule with prompt expansion gets its own expansion seed', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const seeds = [11, 12];
+    t.mock.method(crypto, 'randomInt', () => seeds.shift());
+    const schedule = createDueSchedule({
+        generation_params: { positive_prompt: 'a {red|green} __animal__', seed: 5 },
+        prompt_expansion: { mode: 'random' }
+    });
+
+    const first = runSchedule(schedule.id);
+    const second = runSchedule(schedule.id);
+
+    for (const job of [first, second]) {
+        assert.match(job.generation_params.positive_prompt, /^a (red|green) (cat|dog)$/);
+        assert.strictEqual(job.generation_params.prompt_template, 'a {red|green} __animal__');
+        assert.strictEqual(job.schedule_id, schedule.id);
+    }
+    assert.deepStrictEqual(first.generation_params.prompt_expansion, { mode: 'random', seed: 11 });
+    assert.deepStrictEqual(second.generation_params.prompt_expansion, { mode: 'random', seed: 12 });
+    assert.deepStrictEqual(jobQueue.getScheduleById(schedule.id).generation_params.positive_prompt, 'a {red|green} __animal__');
+});
+
+test('a schedule with a fixed expansion seed resolves the same prompt on every run', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const schedule = createDueSchedule({
+        generation_params: { positive_prompt: 'a {red|green|blue} __animal__' },
+        prompt_expansion: { mode: 'random', seed: 99 }
+    });
+
+    const first = runSchedule(schedule.id);
+    const second = runSchedule(schedule.id);
+
+    assert.strictEqual(first.generation_params.positive_prompt, second.generation_params.positive_prompt);
+    assert.deepStrictEqual(second.generation_params.prompt_expansion, { mode: 'random', seed: 99 });
+});
+
+test('schedules without prompt expansion queue the prompt as written', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const schedule = createDueSchedule({ generation_params: { positive_prompt: 'a {red|green} __unknown__' } });
+
+    const job = runSchedule(schedule.id);
+
+    assert.deepStrictEqual(job.generation_params, { positive_prompt: 'a {red|green} __unknown__' });
+});
+
+test('a run whose prompt cannot be expanded is skipped and the schedule moves on', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const warn = t.mock.method(console, 'warn', () => {});
+    const schedule = createDueSchedule({
+        generation_params: { positive_prompt: 'a __unknown__' },
+        prompt_expansion: { mode: 'random' }
+    });
+
+    materializeDueSchedules(servers);
+
+    const updated = jobQueue.getScheduleById(schedule.id);
+    assert.strictEqual(updated.last_job_id, null);
+    assert.ok(updated.next_run_at > new Date().toISOString());
+    assert.match(warn.mock.calls[0].arguments[0], /could not expand its prompt/);
+});
@@ -0,0 +1,39 @@
+/**
+ * seedVariation.test.js
+ * Tests for working out the seeds of a bulk submission
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildBulkSeeds, MAX_BULK_QUANTITY, MAX_SEED } = require('../../utils/seedVariation');
+
+test('random variation gives one valid seed per job', () => {
+    const { seeds } = buildBulkSeeds({ bulk_quantity: 5 });
+    assert.strictEqual(seeds.length, 5);
+    assert.ok(seeds.every(seed => Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED));
+});
+
+test('incremental variation counts up from base_seed, then the parameters\' seed', () => {
+    assert.deepStrictEqual(buildBulkSeeds({ bulk_quantity: 3, seed_variation: 'incremental', base_seed: 10 }).seeds, [10, 11, 12]);
+    assert.deepStrictEqual(buildBulkSeeds({ bulk_quantity: 2, seed_variation: 'incremental' }, { seed: 42 }).seeds, [42, 43]);
+});
+
+test('incremental variation picks a random start for -1 and wraps past the largest seed', () => {
+    const { seeds } = buildBulkSeeds({ bulk_quantity: 2, seed_variation: 'incremental', base_seed: -1 });
+    assert.strictEqual((seeds[0] + 1) % (MAX_SEED + 1), seeds[1]);
+    assert.deepStrictEqual(buildBulkSeeds({ bulk_quantity: 2, seed_variation: 'incremental', base_seed: MAX_SEED }).seeds, [MAX_SEED, 0]);
+});
+
+test('list variation uses the given seeds and checks bulk_quantity against them', () => {
+    assert.deepStrictEqual(buildBulkSeeds({ seed_variation: 'list', seeds: [7, 3] }).seeds, [7, 3]);
+    assert.strictEqual(buildBulkSeeds({ seed_variation: 'list', seeds: [7, 3], bulk_quantity: 3 }).field, 'bulk_quantity');
+    assert.strictEqual(buildBulkSeeds({ seed_variation: 'list', seeds: [] }).field, 'seeds');
+    assert.strictEqual(buildBulkSeeds({ seed_variation: 'list', seeds: [1, -1] }).field, 'seeds');
+});
+
+test('invalid requests name the field at fault', () => {
+    assert.strictEqual(buildBulkSeeds({ bulk_quantity: 2, seed_variation: 'fibonacci' }).field, 'seed_variation');
+    assert.strictEqual(buildBulkSeeds({ bulk_quantity: 0 }).field, 'bulk_quantity');
+    assert.strictEqual(buildBulkSeeds({ bulk_quantity: MAX_BULK_QUANTITY + 1 }).field, 'bulk_quantity');
+    assert.strictEqual(buildBulkSeeds({ bulk_quantity: 2, seed_variation: 'incremental', base_seed: MAX_SEED + 1 }).field, 'base_seed');
+});
@@ -0,0 +1,46 @@
+/**
+ * serverLanes.test.js
+ * Tests for per-server lane concurrency and queue position reporting
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATABASE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stablequeue-lanes-'));
+delete process.env.DISPATCHER_DEFAULT_CONCURRENCY;
+
+const jobQueue = require('../../utils/jobQueueHelpers');
+const { getServerConcurrency, getActiveLaneJobs, getLaneQueueInfo } = require('../../services/gradioJobDispatcher');
+
+after(() => fs.rmSync(process.env.DATABASE_DIR, { recursive: true, force: true }));
+
+test('getServerConcurrency uses maxConcurrentJobs and falls back to one slot', () => {
+    assert.strictEqual(getServerConcurrency({ maxConcurrentJobs: 3 }), 3);
+    assert.strictEqual(getServerConcurrency({ maxConcurrentJobs: '2' }), 2);
+    assert.strictEqual(getServerConcurrency({ maxConcurrentJobs: 0 }), 1);
+    assert.strictEqual(getServerConcurrency({}), 1);
+    assert.strictEqual(getServerConcurrency(null), 1);
+});
+
+test('a server with nothing running has an empty lane', () => {
+    assert.deepStrictEqual(getActiveLaneJobs('lane-idle'), []);
+});
+
+test('getLaneQueueInfo reports the queue position and the combined slots of the target', () => {
+    const first = jobQueue.addJob({ target_server_alias: 'lane-a' });
+    const second = jobQueue.addJob({ target_server_alias: 'lane-a' });
+    const target = { alias: 'lane-a', isPool: false, members: [{ alias: 'lane-a', maxConcurrentJobs: 2 }] };
+
+    const firstInfo = getLaneQueueInfo(target, first.mobilesd_job_id);
+    assert.strictEqual(firstInfo.queue_position, 1);
+    assert.strictEqual(firstInfo.lane_concurrency, 2);
+    assert.strictEqual(firstInfo.lane_active_jobs, 0);
+    assert.strictEqual(firstInfo.estimated_wait_seconds, 0);
+
+    const secondInfo = getLaneQueueInfo(target, second.mobilesd_job_id);
+    assert.strictEqual(secondInfo.queue_position, 2);
+    assert.ok(secondInfo.estimated_wait_seconds > 0);
+});
@@ -25,6 +25,11 @@ const ERROR_TYPES = {
         message: 'Rate limit exceeded for this API key',
         status: 429
     },
+    QUOTA_EXCEEDED: {
+        code: 'quota_exceeded',
+        message: 'The request would exceed a queue quota of this API key',
+        status: 429
+    },
 
     // Request validation errors
     MISSING_REQUIRED_FIELD: {
@@ -37,6 +42,11 @@ const ERROR_TYPES = {
         message: 'One or more field values are invalid',
         status: 400
     },
+    VALIDATION_FAILED: {
+        code: 'validation_failed',
+        message: 'The generation parameters did not pass validation',
+        status: 422
+    },
     SERVER_NOT_FOUND: {
         code: 'server_not_found',
         message: 'The specified server was not found',
@@ -49,6 +59,11 @@ const ERROR_TYPES = {
         message: 'The specified job was not found',
         status: 404
     },
+    IDEMPOTENCY_KEY_CONFLICT: {
+        code: 'idempotency_key_conflict',
+        message: 'The Idempotency-Key conflicts with an earlier request',
+        status: 409
+    },
     JOB_OPERATION_INVALID: {
         code: 'job_operation_invalid',
         message: 'The requested operation cannot be performed on this job in its current state',
@@ -11,10 +11,11 @@ const path = require('path');
 const Database = require('better-sqlite3');
 const { columnExists } = require('./jobQueueHelpers');
 const apiLogger = require('./apiLogger');
+const { parseQuotaLimits } = require('./apiKeyQuotas');
 
 // --- Database Setup ---
 const projectRootDir = path.join(__dirname, '..');
-const dataDir = path.join(projectRootDir, 'data');
+const dataDir = process.env.DATABASE_DIR || path.join(projectRootDir, 'data');
 const dbPath = path.join(dataDir, 'mobilesd_jobs.sqlite');
 const db = new Database(dbPath);
 
@@ -35,12 +36,16 @@ function ensureApiKeysTable() {
                 is_active BOOLEAN DEFAULT 1,
                 permissions TEXT,
                 rate_limit_tier TEXT DEFAULT 'default',
-                custom_rate_limits TEXT
+                custom_rate_limits TEXT,
+                quota_limits TEXT
             );
             
             CREATE INDEX idx_api_keys_key ON api_keys (key);
         `);
         console.log('api_keys table created successfully');
+    } else if (!columnExists('api_keys', 'quota_limits')) {
+        console.log('Adding quota_limits column to api_keys table');
+        db.exec('ALTER TABLE api_keys ADD COLUMN quota_limits TEXT');
     }
 }
 
@@ -64,9 +69,10 @@ function generateRandomString(length = 32) {
  * @param {string} permissions - JSON string of permissions (optional)
  * @param {string} rateLimitTier - Rate limit tier (default, extended, unlimited)
  * @param {string} customRateLimits - JSON string of custom rate limits (optional)
+ * @param {string} quotaLimits - JSON string of queue quotas (optional)
  * @returns {object} The created API key record
  */
-function createApiKey(name, permissions = '{}', rateLimitTier = 'default', customRateLimits = null) {
+function createApiKey(name, permissions = '{}', rateLimitTier = 'default', customRateLimits = null, quotaLimits = null) {
     if (!name) {
         throw new Error('API key name is required');
     }
@@ -82,11 +88,11 @@ function createApiKey(name, permissions = '{}', rateLimitTier = 'default', custo
     
     // Insert the new API key
     const stmt = db.prepare(`
-        INSERT INTO api_keys (id, name, key, secret, created_at, is_active, permissions, rate_limit_tier, custom_rate_limits)
-        VALUES (?, ?, ?, ?, ?, 1, ?, ?, ?)
+        INSERT INTO api_keys (id, name, key, secret, created_at, is_active, permissions, rate_limit_tier, custom_rate_limits, quota_limits)
+        VALUES (?, ?, ?, ?, ?, 1, ?, ?, ?, ?)
     `);
     
-    stmt.run(id, name, key, secret, now, permissions, tier, customRateLimits);
+    stmt.run(id, name, key, secret, now, permissions, tier, customRateLimits, quotaLimits);
     
     return {
         id,
@@ -97,7 +103,8 @@ function createApiKey(name, permissions = '{}', rateLimitTier = 'default', custo
         is_active: true,
         permissions,
         rate_limit_tier: tier,
-        custom_rate_limits: customRateLimits
+        custom_rate_limits: customRateLimits,
+        quota_limits: quotaLimits
     };
 }
 
@@ -107,7 +114,7 @@ function createApiKey(name, permissions = '{}', rateLimitTier = 'default', custo
  */
 function getAllApiKeys() {
     const stmt = db.prepare(`
-        SELECT id, name, key, created_at, last_used, is_active, permissions, rate_limit_tier, custom_rate_limits
+        SELECT id, name, key, created_at, last_used, is_active, permissions, rate_limit_tier, custom_rate_limits, quota_limits
         FROM api_keys
         ORDER BY created_at DESC
     `);
@@ -122,7 +129,7 @@ function getAllApiKeys() {
  */
 function getApiKeyById(id) {
     const stmt = db.prepare(`
-        SELECT id, name, key, secret, created_at, last_used, is_active, permissions, rate_limit_tier, custom_rate_limits
+        SELECT id, name, key, secret, created_at, last_used, is_active, permissions, rate_limit_tier, custom_rate_limits, quota_limits
         FROM api_keys
         WHERE id = ?
     `);
@@ -142,7 +149,7 @@ function validateApiKey(key, secret) {
     }
     
     const stmt = db.prepare(`
-        SELECT id, name, key, created_at, last_used, is_active, permissions, rate_limit_tier, custom_rate_limits
+        SELECT id, name, key, created_at, last_used, is_active, permissions, rate_limit_tier, custom_rate_limits, quota_limits
         FROM api_keys
         WHERE key = ? AND secret = ? AND is_active = 1
     `);
@@ -176,7 +183,7 @@ function updateApiKeyLastUsed(id) {
  * @returns {object|null} Updated API key object or null if not found
  */
 function updateApiKey(id, updates) {
-    const allowedFields = ['is_active', 'permissions', 'name', 'rate_limit_tier', 'custom_rate_limits'];
+    const allowedFields = ['is_active', 'permissions', 'name', 'rate_limit_tier', 'custom_rate_limits', 'quota_limits'];
     const validUpdates = {};
     
     // Filter only allowed fields
@@ -329,6 +336,9 @@ function createApiKeyAuthMiddleware() {
             }
         }
         
+        // Queue quotas are checked by the routes that add jobs
+        req.apiKeyQuotaLimits = parseQuotaLimits(keyRecord.quota_limits);
+        
         next();
     };
 }
@@ -0,0 +1,164 @@
+/**
+ * Per-API-key queue quotas.
+ * Limits how many unfinished jobs one key can have and how much it can generate per day.
+ */
+
+const jobQueue = require('./jobQueueHelpers');
+
+// Limits a key can set; a missing or null limit means unlimited
+const QUOTA_FIELDS = ['max_pending_jobs', 'max_images_per_day', 'max_pixel_steps_per_day'];
+
+// Daily budgets cover a rolling window rather than resetting at midnight
+const QUOTA_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Forge defaults, used when a job does not give its size (raw generation info is only parsed at dispatch)
+const DEFAULT_IMAGE_SIZE = 512;
+const DEFAULT_STEPS = 20;
+
+function positiveNumber(value, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * Reads the quota_limits column of an API key
+ * @param {string|null} quotaLimitsJson - The stored JSON
+ * @returns {object} The limits, unlimited ones as null
+ */
+function parseQuotaLimits(quotaLimitsJson) {
+    let stored = {};
+    if (quotaLimitsJson) {
+        try {
+            stored = JSON.parse(quotaLimitsJson) || {};
+        } catch (error) {
+            console.error('Error parsing API key quota limits:', error);
+        }
+    }
+    const limits = {};
+    QUOTA_FIELDS.forEach(field => {
+        limits[field] = Number.isInteger(stored[field]) ? stored[field] : null;
+    });
+    return limits;
+}
+
+/**
+ * Validates the quota limits given for an API key
+ * @param {*} limits - Object with any of the QUOTA_FIELDS as non-negative integers, or null to clear one
+ * @returns {{limits: object}|{field: string, error: string}} The limits, or the field that is invalid
+ */
+function normalizeQuotaLimits(limits) {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+        return { field: 'quota_limits', error: 'quota_limits must be an object' };
+    }
+    const normalized = {};
+    for (const field of QUOTA_FIELDS) {
+        const value = limits[field];
+        if (value === undefined || value === null || value === '') {
+            normalized[field] = null;
+        } else if (Number.isInteger(value) && value >= 0) {
+            normalized[field] = value;
+        } else {
+            return { field: `quota_limits.${field}`, error: `${field} must be a non-negative integer, or null for no limit` };
+        }
+    }
+    return { limits: normalized };
+}
+
+/**
+ * Works out how much a job counts against the daily budgets
+ * @param {object} params - The job's generation parameters
+ * @returns {{images: number, pixel_steps: number}} Images it produces and width x height x steps over all of them,
+ *          including the hires fix second pass
+ */
+function getJobCost(params = {}) {
+    const images = positiveNumber(params.batch_size, 1) * positiveNumber(params.n_iter ?? params.batch_count, 1);
+    const width = positiveNumber(params.width, DEFAULT_IMAGE_SIZE);
+    const height = positiveNumber(params.height, DEFAULT_IMAGE_SIZE);
+    const steps = positiveNumber(params.steps, DEFAULT_STEPS);
+
+    let pixelStepsPerImage = width * height * steps;
+    if (params.enable_hr) {
+        const scale = positiveNumber(params.hr_scale, 2);
+        pixelStepsPerImage += Math.round(width * scale) * Math.round(height * scale) * positiveNumber(params.hr_second_pass_steps, steps);
+    }
+    return { images, pixel_steps: Math.round(pixelStepsPerImage * images) };
+}
+
+/**
+ * Current usage of an API key
+ * @param {string} apiKeyId
+ * @returns {{pending_jobs: number, images: number, pixel_steps: number, window_started_at: string}}
+ *          Unfinished jobs, and images and pixel-steps queued in the last 24 hours
+ */
+function getApiKeyQuotaUsage(apiKeyId) {
+    const windowStartedAt = new Date(Date.now() - QUOTA_WINDOW_MS).toISOString();
+    const { pending_jobs, recent_generation_params } = jobQueue.getApiKeyJobUsage(apiKeyId, windowStartedAt);
+    const usage = { pending_jobs, images: 0, pixel_steps: 0, window_started_at: windowStartedAt };
+    for (const params of recent_generation_params) {
+        const cost = getJobCost(params);
+        usage.images += cost.images;
+        usage.pixel_steps += cost.pixel_steps;
+    }
+    return usage;
+}
+
+/**
+ * Limits and current usage of an API key, for reporting
+ * @param {string} apiKeyId
+ * @param {string|null} quotaLimitsJson - The key's quota_limits column
+ * @returns {{limits: object, usage: object}}
+ */
+function getApiKeyQuotaStatus(apiKeyId, quotaLimitsJson) {
+    return {
+        limits: parseQuotaLimits(quotaLimitsJson),
+        usage: getApiKeyQuotaUsage(apiKeyId)
+    };
+}
+
+/**
+ * Checks whether queueing more jobs would take an API key over one of its quotas
+ * @param {string} apiKeyId
+ * @param {object|null} limits - The key's limits from parseQuotaLimits
+ * @param {Array<object>} generationParamsList - Parameters of each job about to be queued
+ * @returns {object|null} null if the jobs fit, otherwise the quota, limit, used and requested amounts and a message
+ */
+function checkApiKeyQuota(apiKeyId, limits, generationParamsList) {
+    if (!limits || QUOTA_FIELDS.every(field => limits[field] === null || limits[field] === undefined)) {
+        return null;
+    }
+
+    const usage = getApiKeyQuotaUsage(apiKeyId);
+    const requested = generationParamsList.reduce((total, params) => {
+        const cost = getJobCost(params);
+        return { images: total.images + cost.images, pixel_steps: total.pixel_steps + cost.pixel_steps };
+    }, { images: 0, pixel_steps: 0 });
+
+    const checks = [
+        { quota: 'max_pending_jobs', used: usage.pending_jobs, requested: generationParamsList.length, what: 'unfinished jobs' },
+        { quota: 'max_images_per_day', used: usage.images, requested: requested.images, what: 'images in 24 hours' },
+        { quota: 'max_pixel_steps_per_day', used: usage.pixel_steps, requested: requested.pixel_steps, what: 'pixel-steps in 24 hours' }
+    ];
+    for (const check of checks) {
+        const limit = limits[check.quota];
+        if (limit !== null && limit !== undefined && check.used + check.requested > limit) {
+            return {
+                quota: check.quota,
+                limit,
+                used: check.used,
+                requested: check.requested,
+                customMessage: `Quota exceeded: this API key is limited to ${limit} ${check.what} and has used ${check.used}; the request needs ${check.requested} more`
+            };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    parseQuotaLimits,
+    normalizeQuotaLimits,
+    getJobCost,
+    getApiKeyQuotaUsage,
+    getApiKeyQuotaStatus,
+    checkApiKeyQuota,
+    QUOTA_FIELDS
+};
@@ -10,7 +10,7 @@ const path = require('path');
 
 // --- Configuration ---
 const projectRootDir = path.join(__dirname, '..');
-const dataDir = path.join(projectRootDir, 'data');
+const dataDir = process.env.DATABASE_DIR || path.join(projectRootDir, 'data');
 const logsDir = path.join(dataDir, 'logs');
 const apiLogFile = path.join(logsDir, 'api_access.log');
 const apiErrorLogFile = path.join(logsDir, 'api_errors.log');
@@ -58,6 +58,44 @@ const getServerByAlias = async (alias) => {
   return server; // Returns the server object or undefined if not found
 };
 
+// --- Server Pool Helpers ---
+
+// Job target that lets the dispatcher choose from every configured server
+const AUTO_TARGET = 'auto';
+
+// Helper function to list every pool name declared across the server configs
+const getPoolNames = (servers) => {
+  const names = new Set();
+  for (const server of servers) {
+    if (Array.isArray(server.pools)) {
+      server.pools.forEach(pool => names.add(pool));
+    }
+  }
+  return Array.from(names);
+};
+
+// Helper function to get the servers belonging to a pool ('auto' means all of them)
+const getPoolMembers = (servers, poolName) => {
+  if (poolName === AUTO_TARGET) {
+    return servers;
+  }
+  return servers.filter(s => Array.isArray(s.pools) && s.pools.includes(poolName));
+};
+
+// Helper function to resolve a job target into a single server or a pool of servers.
+// Returns null when the name matches neither a server alias nor a pool.
+const resolveJobTarget = (servers, target) => {
+  const server = servers.find(s => s.alias === target);
+  if (server) {
+    return { alias: target, isPool: false, members: [server] };
+  }
+  const members = getPoolMembers(servers, target);
+  if (members.length === 0) {
+    return null;
+  }
+  return { alias: target, isPool: true, members };
+};
+
 // Helper function to get Axios config, including basic auth if needed
 const getAxiosConfig = (server) => {
   const config = {};
@@ -233,6 +271,25 @@ const isQueueProcessingEnabled = async () => {
   }
 };
 
+// Checkpoint affinity batching: how many jobs may overtake the head of a server's queue by default, and at most
+const DEFAULT_CHECKPOINT_AFFINITY_WINDOW = 5;
+const MAX_CHECKPOINT_AFFINITY_WINDOW = 50;
+
+// Helper function to read the checkpoint affinity settings (off unless enabled in app settings)
+const getCheckpointAffinitySettings = async () => {
+  try {
+    const settings = await readAppSettings();
+    const window = parseInt(settings.checkpointAffinityWindow, 10);
+    return {
+      enabled: settings.checkpointAffinityEnabled === true,
+      window: window >= 1 && window <= MAX_CHECKPOINT_AFFINITY_WINDOW ? window : DEFAULT_CHECKPOINT_AFFINITY_WINDOW
+    };
+  } catch (error) {
+    console.error('Error reading checkpoint affinity settings:', error);
+    return { enabled: false, window: DEFAULT_CHECKPOINT_AFFINITY_WINDOW };
+  }
+};
+
 // --- Exports --- 
 
 module.exports = {
@@ -247,4 +304,11 @@ module.exports = {
   writeAppSettings,
   updateAppSetting,
   isQueueProcessingEnabled,
+  getCheckpointAffinitySettings,
+  DEFAULT_CHECKPOINT_AFFINITY_WINDOW,
+  MAX_CHECKPOINT_AFFINITY_WINDOW,
+  AUTO_TARGET,
+  getPoolNames,
+  getPoolMembers,
+  resolveJobTarget,
 }; 
\ No newline at end of file
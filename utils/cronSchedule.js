@@ -0,0 +1,190 @@
+/**
+ * cronSchedule.js
+ * Minimal five-field cron expression support (minute hour day-of-month month day-of-week)
+ * used by recurring job schedules. Times are evaluated in the server's local timezone.
+ */
+
+const FIELD_DEFINITIONS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+// Common shorthands
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// Searching further ahead than this means the expression can never match (e.g. 31 February)
+const MAX_SEARCH_YEARS = 5;
+
+function parseValue(token, definition) {
+    const upper = token.toUpperCase();
+    if (definition.names) {
+        const nameIndex = definition.names.indexOf(upper);
+        if (nameIndex !== -1) {
+            // Month names are 1-based, weekday names 0-based
+            return definition.min === 1 ? nameIndex + 1 : nameIndex;
+        }
+    }
+    if (!/^\d+$/.test(token)) {
+        throw new Error(`Invalid ${definition.name} value '${token}'`);
+    }
+    const value = parseInt(token, 10);
+    if (value < definition.min || value > definition.max) {
+        throw new Error(`${definition.name} value ${value} is outside ${definition.min}-${definition.max}`);
+    }
+    return value;
+}
+
+function parseField(field, definition) {
+    const values = new Set();
+    for (const part of field.split(',')) {
+        const [rangePart, stepPart] = part.split('/');
+        const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+        if (!Number.isInteger(step) || step < 1 || (stepPart !== undefined && !/^\d+$/.test(stepPart))) {
+            throw new Error(`Invalid step '${stepPart}' in ${definition.name} field`);
+        }
+
+        let start;
+        let end;
+        if (rangePart === '*') {
+            start = definition.min;
+            end = definition.max;
+        } else if (rangePart.includes('-')) {
+            const [from, to] = rangePart.split('-');
+            start = parseValue(from, definition);
+            end = parseValue(to, definition);
+            if (start > end) {
+                throw new Error(`Invalid range '${rangePart}' in ${definition.name} field`);
+            }
+        } else {
+            start = parseValue(rangePart, definition);
+            // "5/15" means every 15 starting at 5
+            end = stepPart === undefined ? start : definition.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Parses a cron expression
+ * @param {string} expression - Five-field cron expression or a macro such as @daily
+ * @returns {object} Parsed schedule with a Set of allowed values per field
+ * @throws {Error} If the expression is malformed
+ */
+function parseCronExpression(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('Cron expression is required');
+    }
+    const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const fields = normalized.split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => parseField(field, FIELD_DEFINITIONS[index]));
+    // 7 is an alias for Sunday
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.delete(7);
+        daysOfWeek.add(0);
+    }
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        // Standard cron: when both day fields are restricted, a day matching either one counts
+        dayOfMonthRestricted: fields[2] !== '*',
+        dayOfWeekRestricted: fields[4] !== '*'
+    };
+}
+
+function matchesDay(schedule, date) {
+    const domMatch = schedule.daysOfMonth.has(date.getDate());
+    const dowMatch = schedule.daysOfWeek.has(date.getDay());
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+/**
+ * Finds the next time a cron expression fires strictly after a given date
+ * @param {string|object} expression - Cron expression or the result of parseCronExpression
+ * @param {Date} [after=new Date()] - Reference time
+ * @returns {Date|null} The next run time, or null if the expression never matches
+ */
+function getNextRunTime(expression, after = new Date()) {
+    const schedule = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+    const candidate = new Date(after.getTime());
+    candidate.setSeconds(0, 0);
+    candidate.setMinutes(candidate.getMinutes() + 1);
+
+    const limit = new Date(after.getTime());
+    limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+    // Skip whole months, days and hours that cannot match rather than walking minute by minute
+    while (candidate <= limit) {
+        if (!schedule.months.has(candidate.getMonth() + 1)) {
+            candidate.setMonth(candidate.getMonth() + 1, 1);
+            candidate.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!matchesDay(schedule, candidate)) {
+            candidate.setDate(candidate.getDate() + 1);
+            candidate.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!schedule.hours.has(candidate.getHours())) {
+            candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!schedule.minutes.has(candidate.getMinutes())) {
+            candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return candidate;
+    }
+    return null;
+}
+
+/**
+ * Lists the next few run times of a cron expression
+ * @param {string} expression - Cron expression
+ * @param {number} count - How many run times to return
+ * @param {Date} [after=new Date()] - Reference time
+ * @returns {Array<Date>} Upcoming run times, in order
+ */
+function getUpcomingRunTimes(expression, count, after = new Date()) {
+    const schedule = parseCronExpression(expression);
+    const runTimes = [];
+    let cursor = after;
+    while (runTimes.length < count) {
+        const next = getNextRunTime(schedule, cursor);
+        if (!next) break;
+        runTimes.push(next);
+        cursor = next;
+    }
+    return runTimes;
+}
+
+module.exports = {
+    parseCronExpression,
+    getNextRunTime,
+    getUpcomingRunTimes
+};
@@ -9,6 +9,10 @@ const path = require('path');
 const fs = require('fs');
 const Database = require('better-sqlite3');
 
+// Statuses the jobs table CHECK constraint must allow; keep in sync with JOB_STATUSES in jobQueueHelpers.js
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'failed', 'cancelled', 'expired', 'held'];
+const STATUS_CHECK = `CHECK (status IN (${JOB_STATUSES.map(status => `'${status}'`).join(', ')}))`;
+
 /**
  * Runs the database migration to ensure schema is up to date
  * @param {Object} options - Migration options
@@ -24,7 +28,7 @@ function runMigration(options = {}) {
     // --- Database Setup ---
     // Determine the project's root directory more reliably
     const projectRootDir = path.join(__dirname, '..');
-    const dataDir = path.join(projectRootDir, 'data');
+    const dataDir = process.env.DATABASE_DIR || path.join(projectRootDir, 'data');
 
     // Ensure data directory exists
     if (!fs.existsSync(dataDir)) {
@@ -79,7 +83,7 @@ function runMigration(options = {}) {
             db.exec(`
                 CREATE TABLE jobs (
                     mobilesd_job_id TEXT PRIMARY KEY,
-                    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'cancelled')),
+                    status TEXT NOT NULL DEFAULT 'pending' ${STATUS_CHECK},
                     creation_timestamp TEXT NOT NULL,
                     last_updated_timestamp TEXT NOT NULL,
                     completion_timestamp TEXT,
@@ -137,7 +141,8 @@ function runMigration(options = {}) {
                     is_active BOOLEAN DEFAULT 1,
                     permissions TEXT,
                     rate_limit_tier TEXT DEFAULT 'default',
-                    custom_rate_limits TEXT
+                    custom_rate_limits TEXT,
+                    quota_limits TEXT
                 );
                 
                 CREATE INDEX idx_api_keys_key ON api_keys (key);
@@ -160,9 +165,156 @@ function runMigration(options = {}) {
             } else {
                 log('custom_rate_limits column already exists, skipping');
             }
+            
+            if (!columnExists('api_keys', 'quota_limits')) {
+                log('Adding quota_limits column to api_keys table...');
+                db.exec('ALTER TABLE api_keys ADD COLUMN quota_limits TEXT');
+                log('quota_limits column added successfully');
+            } else {
+                log('quota_limits column already exists, skipping');
+            }
+        }
+        
+        // 5. Add priority column so urgent jobs can be dispatched ahead of older ones
+        if (!columnExists('jobs', 'priority')) {
+            log('Adding priority column to jobs table...');
+            db.exec('ALTER TABLE jobs ADD COLUMN priority INTEGER DEFAULT 5');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_status_priority ON jobs (status, priority DESC, creation_timestamp)');
+            log('priority column added successfully');
+        } else {
+            log('priority column already exists, skipping');
+        }
+        
+        // 6. Add target_pool column for jobs submitted to a server pool or the auto target
+        if (!columnExists('jobs', 'target_pool')) {
+            log('Adding target_pool column to jobs table...');
+            db.exec('ALTER TABLE jobs ADD COLUMN target_pool TEXT');
+            log('target_pool column added successfully');
+        } else {
+            log('target_pool column already exists, skipping');
+        }
+        
+        // 7. Add retry policy override, run_after (retry backoff and scheduled runs) and schedule_id columns
+        for (const column of ['retry_policy_json', 'run_after', 'schedule_id']) {
+            if (!columnExists('jobs', column)) {
+                log(`Adding ${column} column to jobs table...`);
+                db.exec(`ALTER TABLE jobs ADD COLUMN ${column} TEXT`);
+                log(`${column} column added successfully`);
+            } else {
+                log(`${column} column already exists, skipping`);
+            }
+        }
+        
+        // 8. Add expires_at column for per-job expiry deadlines
+        if (!columnExists('jobs', 'expires_at')) {
+            log('Adding expires_at column to jobs table...');
+            db.exec('ALTER TABLE jobs ADD COLUMN expires_at TEXT');
+            log('expires_at column added successfully');
+        } else {
+            log('expires_at column already exists, skipping');
+        }
+        
+        // 9. Rebuild the jobs table when its status CHECK constraint predates newer statuses.
+        // SQLite cannot alter a constraint, so copy into a table created from the patched definition.
+        const jobsTableSql = db.prepare(`SELECT sql FROM sqlite_master WHERE type='table' AND name='jobs'`).get().sql;
+        if (!JOB_STATUSES.every(status => jobsTableSql.includes(`'${status}'`))) {
+            log('Rebuilding jobs table to update the status CHECK constraint...');
+            // Indexes and the prompt search triggers are dropped with the table, so recreate them afterwards
+            const indexSqls = db.prepare(`SELECT sql FROM sqlite_master WHERE type IN ('index', 'trigger') AND tbl_name='jobs' AND sql IS NOT NULL`)
+                .all()
+                .map(row => row.sql);
+            const rebuiltTableSql = jobsTableSql
+                .replace(/CHECK\s*\(\s*status\s+IN\s*\([^)]*\)\s*\)/i, STATUS_CHECK)
+                .replace(/^CREATE TABLE\s+("?jobs"?|IF NOT EXISTS\s+"?jobs"?)/i, 'CREATE TABLE jobs_rebuild');
+            db.exec(rebuiltTableSql);
+            db.exec('INSERT INTO jobs_rebuild SELECT * FROM jobs');
+            db.exec('DROP TABLE jobs');
+            db.exec('ALTER TABLE jobs_rebuild RENAME TO jobs');
+            indexSqls.forEach(indexSql => db.exec(indexSql));
+            log('jobs table rebuilt successfully');
+        } else {
+            log('jobs status CHECK constraint is up to date, skipping');
+        }
+        
+        // 10. Add sort_position column for manual queue ordering, starting from each job's creation time
+        if (!columnExists('jobs', 'sort_position')) {
+            log('Adding sort_position column to jobs table...');
+            db.exec('ALTER TABLE jobs ADD COLUMN sort_position REAL');
+            log('sort_position column added successfully');
+        } else {
+            log('sort_position column already exists, skipping');
+        }
+        db.exec(`UPDATE jobs SET sort_position = (julianday(creation_timestamp) - 2440587.5) * 86400000 WHERE sort_position IS NULL`);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_status_sort ON jobs (status, priority DESC, sort_position)');
+        
+        // 11. Add bulk_job_id column linking jobs from one bulk submission
+        if (!columnExists('jobs', 'bulk_job_id')) {
+            log('Adding bulk_job_id column to jobs table...');
+            db.exec('ALTER TABLE jobs ADD COLUMN bulk_job_id TEXT');
+            log('bulk_job_id column added successfully');
+        } else {
+            log('bulk_job_id column already exists, skipping');
+        }
+        db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_bulk ON jobs (bulk_job_id)');
+        
+        // 12. Add dispatch lease columns used to recover jobs left 'processing' by a dispatcher that died
+        for (const column of ['lease_owner', 'lease_expires_at', 'heartbeat_at']) {
+            if (!columnExists('jobs', column)) {
+                log(`Adding ${column} column to jobs table...`);
+                db.exec(`ALTER TABLE jobs ADD COLUMN ${column} TEXT`);
+                log(`${column} column added successfully`);
+            } else {
+                log(`${column} column already exists, skipping`);
+            }
+        }
+        
+        // 13. Add cloned_from column linking a re-run to the job it was cloned from
+        if (!columnExists('jobs', 'cloned_from')) {
+            log('Adding cloned_from column to jobs table...');
+            db.exec('ALTER TABLE jobs ADD COLUMN cloned_from TEXT');
+            log('cloned_from column added successfully');
+        } else {
+            log('cloned_from column already exists, skipping');
+        }
+        
+        // 14. Add project column naming the project a job belongs to (its tags live in job_tags)
+        if (!columnExists('jobs', 'project')) {
+            log('Adding project column to jobs table...');
+            db.exec('ALTER TABLE jobs ADD COLUMN project TEXT');
+            log('project column added successfully');
+        } else {
+            log('project column already exists, skipping');
+        }
+        db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_project ON jobs (project COLLATE NOCASE, creation_timestamp)');
+        
+        // 15. Add processing_started_at column recording when a job was handed to its server
+        if (!columnExists('jobs', 'processing_started_at')) {
+            log('Adding processing_started_at column to jobs table...');
+            db.exec('ALTER TABLE jobs ADD COLUMN processing_started_at TEXT');
+            log('processing_started_at column added successfully');
+        } else {
+            log('processing_started_at column already exists, skipping');
+        }
+        
+        // 16. Add mode column naming the Forge endpoint a job is sent to (txt2img or img2img)
+        if (!columnExists('jobs', 'mode')) {
+            log('Adding mode column to jobs table...');
+            db.exec('ALTER TABLE jobs ADD COLUMN mode TEXT DEFAULT "txt2img"');
+            log('mode column added successfully');
+        } else {
+            log('mode column already exists, skipping');
+        }
+        
+        // 17. Add queued_at column recording when a job last joined the queue, which the pending job TTL counts from
+        if (!columnExists('jobs', 'queued_at')) {
+            log('Adding queued_at column to jobs table...');
+            db.exec('ALTER TABLE jobs ADD COLUMN queued_at TEXT');
+            log('queued_at column added successfully');
+        } else {
+            log('queued_at column already exists, skipping');
         }
         
-        // 5. Update existing 'ui' jobs with source_info
+        // 18. Update existing 'ui' jobs with source_info
         log('Updating existing jobs with source_info = "ui"...');
         db.exec(`UPDATE jobs SET source_info = 'ui' WHERE source_info IS NULL`);
         log('Existing jobs updated successfully');
@@ -0,0 +1,104 @@
+/**
+ * Learned generation speed of each server.
+ * Measures how long recently completed jobs took per megapixel-step (width x height x steps over every image,
+ * see getJobCost) so queue estimates follow the real hardware rather than a fixed guess.
+ */
+
+const jobQueue = require('./jobQueueHelpers');
+const { getJobCost } = require('./apiKeyQuotas');
+
+// Completed jobs per server the speed is learned from
+const SPEED_SAMPLE_SIZE = 50;
+
+// Fewer samples than this and a server borrows the speed of the whole fleet
+const MIN_SPEED_SAMPLES = 3;
+
+// Speeds are relearned at most this often
+const SPEED_CACHE_TTL_MS = 60000;
+
+// Used before any job has completed: 1.5 seconds per step of a 512x512 image
+const DEFAULT_SECONDS_PER_MEGAPIXEL_STEP = 1.5 / (512 * 512 / 1e6);
+
+let cachedSpeeds = null;
+let cachedAt = 0;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function describeSpeed(samples) {
+    return {
+        seconds_per_megapixel_step: samples.length > 0 ? median(samples) : null,
+        samples: samples.length
+    };
+}
+
+/**
+ * Learns each server's speed from its most recent completed jobs
+ * @returns {{servers: object, fleet: {seconds_per_megapixel_step: number|null, samples: number}}} Speeds keyed by
+ *          server alias, and the speed over every sample
+ */
+function getServerSpeeds() {
+    if (cachedSpeeds && Date.now() - cachedAt < SPEED_CACHE_TTL_MS) {
+        return cachedSpeeds;
+    }
+
+    const samplesByServer = new Map();
+    const allSamples = [];
+    for (const timing of jobQueue.getRecentJobTimings(SPEED_SAMPLE_SIZE)) {
+        const seconds = (new Date(timing.completion_timestamp).getTime() - new Date(timing.processing_started_at).getTime()) / 1000;
+        const megapixelSteps = getJobCost(timing.generation_params).pixel_steps / 1e6;
+        if (!(seconds > 0) || !(megapixelSteps > 0)) {
+            continue;
+        }
+        const sample = seconds / megapixelSteps;
+        if (!samplesByServer.has(timing.target_server_alias)) {
+            samplesByServer.set(timing.target_server_alias, []);
+        }
+        samplesByServer.get(timing.target_server_alias).push(sample);
+        allSamples.push(sample);
+    }
+
+    const servers = {};
+    samplesByServer.forEach((samples, alias) => {
+        servers[alias] = describeSpeed(samples);
+    });
+    cachedSpeeds = { servers, fleet: describeSpeed(allSamples) };
+    cachedAt = Date.now();
+    return cachedSpeeds;
+}
+
+/**
+ * Seconds a server takes per megapixel-step, falling back to the fleet and then to the built-in default
+ * @param {string} [alias] - Server the job runs on; a pool or unknown alias uses the fleet speed
+ * @returns {number}
+ */
+function getSecondsPerMegapixelStep(alias) {
+    const { servers, fleet } = getServerSpeeds();
+    if (servers[alias] && servers[alias].samples >= MIN_SPEED_SAMPLES) {
+        return servers[alias].seconds_per_megapixel_step;
+    }
+    if (fleet.samples >= MIN_SPEED_SAMPLES) {
+        return fleet.seconds_per_megapixel_step;
+    }
+    return DEFAULT_SECONDS_PER_MEGAPIXEL_STEP;
+}
+
+/**
+ * Expected run time of a job on a server
+ * @param {object} params - The job's generation parameters
+ * @param {string} [alias] - Server the job runs on
+ * @returns {number} Seconds
+ */
+function estimateJobSeconds(params = {}, alias) {
+    return getJobCost(params).pixel_steps / 1e6 * getSecondsPerMegapixelStep(alias);
+}
+
+module.exports = {
+    getServerSpeeds,
+    getSecondsPerMegapixelStep,
+    estimateJobSeconds,
+    MIN_SPEED_SAMPLES
+};
@@ -0,0 +1,169 @@
+/**
+ * Pre-submission checks of generation parameters.
+ * Problems Forge would fail a job for are errors; settings that are legal but likely mistakes are warnings.
+ * Every problem names the field it is about, relative to the request body.
+ */
+
+const { checkModelAvailability, extractModelHash } = require('./modelDatabase');
+
+// Bounds of numeric parameters. Values outside min/max are errors, above warnAbove or off multipleOf warnings.
+// Missing values are left to Forge's defaults.
+const NUMERIC_RULES = [
+    { field: 'width', integer: true, min: 64, max: 4096, warnAbove: 2048, multipleOf: 8 },
+    { field: 'height', integer: true, min: 64, max: 4096, warnAbove: 2048, multipleOf: 8 },
+    { field: 'steps', integer: true, min: 1, max: 1000, warnAbove: 150 },
+    { field: 'cfg_scale', min: 0, max: 100, warnAbove: 30 },
+    { field: 'batch_size', integer: true, min: 1, max: 64, warnAbove: 8 },
+    { field: 'n_iter', integer: true, min: 1, max: 1000, warnAbove: 100 },
+    { field: 'seed', integer: true, min: -1 },
+    { field: 'denoising_strength', min: 0, max: 1 },
+    { field: 'hr_scale', min: 1, max: 8, warnAbove: 4 },
+    { field: 'hr_second_pass_steps', integer: true, min: 0, max: 1000, warnAbove: 150 }
+];
+
+// Named resources checked against what the target's servers list; the first field present is the one checked
+const NAME_RULES = [
+    { kind: 'samplers', label: 'Sampler', fields: ['sampler_name', 'sampler'] },
+    { kind: 'schedulers', label: 'Scheduler', fields: ['scheduler'] },
+    { kind: 'checkpoints', label: 'Checkpoint', fields: ['checkpoint_name', 'sd_checkpoint', 'override_settings.sd_model_checkpoint'] },
+    { kind: 'vaes', label: 'VAE', fields: ['sd_vae', 'override_settings.sd_vae'], builtIn: ['automatic', 'none'] }
+];
+
+// LoRAs are applied through prompt tags such as <lora:name:0.8>
+const LORA_TAG_PATTERN = /<lora:([^:>]+)(?::[^>]*)?>/gi;
+const PROMPT_FIELDS = ['prompt', 'negative_prompt'];
+
+const MODEL_FILE_EXTENSION_PATTERN = /\.(safetensors|ckpt|pt|pth|bin)$/;
+
+function getField(params, path) {
+    return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), params);
+}
+
+// Lowercased, forward slashes, without a " [hash]" suffix or file extension
+function canonicalName(name) {
+    return String(name).trim().replace(/\\/g, '/').toLowerCase()
+        .replace(/\s*\[[0-9a-f]+\]$/, '')
+        .replace(MODEL_FILE_EXTENSION_PATTERN, '');
+}
+
+// A requested name matches a listed one exactly, or as the end of its path
+function isListed(names, requested) {
+    const wanted = canonicalName(requested);
+    return names.some(name => {
+        const listed = canonicalName(name);
+        return listed === wanted || listed.endsWith(`/${wanted}`);
+    });
+}
+
+function checkNumbers(params, issues) {
+    for (const rule of NUMERIC_RULES) {
+        const raw = params[rule.field];
+        if (raw === undefined || raw === null || raw === '') {
+            continue;
+        }
+        const field = `generation_params.${rule.field}`;
+        const value = Number(raw);
+        if (!Number.isFinite(value) || (rule.integer && !Number.isInteger(value))) {
+            issues.errors.push({ field, message: `${rule.field} must be ${rule.integer ? 'an integer' : 'a number'}` });
+        } else if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+            const range = rule.max !== undefined ? `between ${rule.min} and ${rule.max}` : `at least ${rule.min}`;
+            issues.errors.push({ field, message: `${rule.field} must be ${range}` });
+        } else if (rule.multipleOf && value % rule.multipleOf !== 0) {
+            issues.warnings.push({ field, message: `${rule.field} is not a multiple of ${rule.multipleOf}, so Forge rounds it down` });
+        } else if (rule.warnAbove !== undefined && value > rule.warnAbove) {
+            issues.warnings.push({ field, message: `${rule.field} of ${value} is above the usual maximum of ${rule.warnAbove}` });
+        }
+    }
+}
+
+/**
+ * Checks one name against every target server that listed its kind
+ * @returns {boolean|null} Whether some server has it, or null when no server could be asked
+ */
+function checkName(capabilitiesList, kind, label, name, field, issues) {
+    const checked = capabilitiesList.filter(capabilities => Array.isArray(capabilities[kind]));
+    if (checked.length === 0) {
+        return null;
+    }
+    const missing = checked.filter(capabilities => !isListed(capabilities[kind], name)).map(capabilities => capabilities.alias);
+    if (missing.length === checked.length) {
+        const message = `${label} '${name}' is not available on ${missing.map(alias => `'${alias}'`).join(', ')}`;
+        // Servers that could not be asked might still have it
+        if (checked.length < capabilitiesList.length) {
+            issues.warnings.push({ field, message: `${message}, and the other servers could not be checked` });
+        } else {
+            issues.errors.push({ field, message });
+        }
+        return false;
+    }
+    if (missing.length > 0) {
+        issues.warnings.push({ field, message: `${label} '${name}' is not available on pool members ${missing.map(alias => `'${alias}'`).join(', ')}; the job fails if it is routed there` });
+    }
+    return true;
+}
+
+function checkParams(params, capabilitiesList, issues) {
+    checkNumbers(params, issues);
+
+    let checkpointListed = null;
+    for (const rule of NAME_RULES) {
+        const path = rule.fields.find(candidate => getField(params, candidate));
+        const name = path && getField(params, path);
+        if (typeof name !== 'string' || (rule.builtIn && rule.builtIn.includes(name.trim().toLowerCase()))) {
+            continue;
+        }
+        const listed = checkName(capabilitiesList, rule.kind, rule.label, name, `generation_params.${path}`, issues);
+        if (rule.kind === 'checkpoints') {
+            checkpointListed = listed;
+        }
+    }
+
+    for (const promptField of PROMPT_FIELDS) {
+        const prompt = params[promptField];
+        if (typeof prompt !== 'string') {
+            continue;
+        }
+        for (const [, loraName] of prompt.matchAll(LORA_TAG_PATTERN)) {
+            checkName(capabilitiesList, 'loras', 'LoRA', loraName.trim(), `generation_params.${promptField}`, issues);
+        }
+    }
+
+    // A hash the model database does not know is only fatal when the checkpoint name did not resolve either
+    const { hash, source } = extractModelHash(params);
+    if (hash) {
+        const availability = checkModelAvailability(hash, 'checkpoint');
+        if (!availability.available) {
+            const field = source.endsWith(' field') ? `generation_params.${source.replace(/ field$/, '')}` : 'generation_info_raw';
+            (checkpointListed ? issues.warnings : issues.errors).push({ field, message: `Model hash '${hash}' is not in the model database` });
+        }
+    }
+}
+
+/**
+ * Validates the parameter sets of a submission against Forge's bounds and the capabilities of its target
+ * @param {Array<object>} paramsList - Parameter sets of the jobs the submission would queue
+ * @param {Array<object>} capabilitiesList - getServerCapabilities of each server the jobs may run on
+ * @returns {{errors: Array<{field: string, message: string}>, warnings: Array<{field: string, message: string}>}}
+ *          Problems found, each reported once even when several parameter sets share it
+ */
+function validateGenerationParams(paramsList, capabilitiesList) {
+    const issues = { errors: [], warnings: [] };
+
+    capabilitiesList.filter(capabilities => !capabilities.reachable).forEach(capabilities => {
+        issues.warnings.push({
+            field: 'target_server_alias',
+            message: `Could not read the capabilities of server '${capabilities.alias}' (${capabilities.error}), so names were not checked against it`
+        });
+    });
+
+    paramsList.forEach(params => checkParams(params, capabilitiesList, issues));
+
+    const unique = list => list.filter((issue, index) =>
+        list.findIndex(other => other.field === issue.field && other.message === issue.message) === index);
+    return { errors: unique(issues.errors), warnings: unique(issues.warnings) };
+}
+
+module.exports = {
+    validateGenerationParams,
+    NUMERIC_RULES
+};
@@ -0,0 +1,285 @@
+/**
+ * img2img job helpers: validation of a job's mode and inpainting options, and the storage of the images it starts from.
+ * Images sent with a job are saved under the source images directory and replaced in its parameters by a
+ * "source://<file>" reference, so job rows and listings stay small. The dispatcher swaps each reference back
+ * for base64 data when it sends the job, as it does for job:// references to upstream outputs.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseJobOutputReference } = require('./jobQueueHelpers');
+
+// Forge endpoint a job is sent to
+const JOB_MODES = ['txt2img', 'img2img'];
+
+// Files are named after a hash of their content, so resubmitting an image reuses the stored copy
+const SOURCE_IMAGES_PATH = process.env.SOURCE_IMAGES_PATH || path.join(__dirname, '..', 'data', 'source-images');
+const SOURCE_IMAGE_REFERENCE_PATTERN = /^source:\/\/([0-9a-f]{64}\.(?:png|jpg|webp))$/;
+
+// Decoded size limit of one image
+const MAX_SOURCE_IMAGE_BYTES = 20 * 1024 * 1024;
+
+// Parameters holding images: the init images, and the mask of an inpainting job
+const IMAGE_FIELDS = ['init_images', 'mask'];
+
+// Forge's resize modes: just resize, crop and resize, resize and fill, just resize (latent upscale)
+const RESIZE_MODES = [0, 1, 2, 3];
+
+// Forge's masked content options (inpainting_fill): fill, original, latent noise, latent nothing
+const INPAINTING_FILL_MODES = [0, 1, 2, 3];
+
+// Bounds of the inpainting options, matching the sliders of Forge's img2img tab
+const INPAINT_RULES = [
+    { field: 'mask_blur', min: 0, max: 64 },
+    { field: 'inpaint_full_res_padding', min: 0, max: 256 }
+];
+// Flags Forge takes as a boolean or as 0/1: inpaint area (whole picture or only masked) and mask mode
+const INPAINT_FLAGS = ['inpaint_full_res', 'inpainting_mask_invert'];
+
+const DATA_URI_PATTERN = /^data:image\/[a-z0-9.+-]+;base64,/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// File type by magic number; anything else is refused before it reaches Forge
+function detectImageType(buffer) {
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+        return 'png';
+    }
+    if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        return 'jpg';
+    }
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'webp';
+    }
+    return null;
+}
+
+/**
+ * Decodes a base64 image, with or without a data: URI prefix
+ * @param {string} value
+ * @returns {{buffer: Buffer, extension: string}|{error: string}}
+ */
+function decodeImage(value) {
+    const base64 = value.replace(DATA_URI_PATTERN, '').replace(/\s+/g, '');
+    if (!base64 || !BASE64_PATTERN.test(base64)) {
+        return { error: 'is not base64 image data, a source:// reference or a job:// output reference' };
+    }
+    const buffer = Buffer.from(base64, 'base64');
+    if (buffer.length > MAX_SOURCE_IMAGE_BYTES) {
+        return { error: `is larger than ${MAX_SOURCE_IMAGE_BYTES / 1024 / 1024} MB` };
+    }
+    const extension = detectImageType(buffer);
+    if (!extension) {
+        return { error: 'is not a PNG, JPEG or WebP image' };
+    }
+    return { buffer, extension };
+}
+
+// A PNG with an alpha channel or a transparent palette entry, read from its header chunks
+function pngHasAlpha(buffer) {
+    const colorType = buffer[25];
+    if (colorType === 4 || colorType === 6) {
+        return true;
+    }
+    const imageData = buffer.indexOf('IDAT', 8, 'ascii');
+    const transparency = buffer.indexOf('tRNS', 8, 'ascii');
+    return colorType === 3 && transparency !== -1 && (imageData === -1 || transparency < imageData);
+}
+
+// Whether an init image that passed checkImageValue is a PNG with transparency. A job output is only
+// known at dispatch, so it cannot be relied on.
+function hasTransparency(value) {
+    let buffer = null;
+    const filename = parseSourceImageReference(value);
+    if (filename) {
+        buffer = fs.readFileSync(path.join(SOURCE_IMAGES_PATH, filename));
+    } else if (!parseJobOutputReference(value)) {
+        buffer = decodeImage(value).buffer;
+    }
+    return Boolean(buffer) && detectImageType(buffer) === 'png' && pngHasAlpha(buffer);
+}
+
+/**
+ * Parses a reference to a stored source image.
+ * @param {*} value - Any generation parameter value
+ * @returns {string|null} The file name, or null if the value is not a reference
+ */
+function parseSourceImageReference(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const match = SOURCE_IMAGE_REFERENCE_PATTERN.exec(value);
+    return match ? match[1] : null;
+}
+
+// Checks one image parameter value; references are taken as they are, other values must decode
+function checkImageValue(value, field) {
+    if (typeof value !== 'string' || !value) {
+        return { field, error: `${field} must be a base64 image` };
+    }
+    if (parseJobOutputReference(value)) {
+        return null;
+    }
+    const filename = parseSourceImageReference(value);
+    if (filename) {
+        return fs.existsSync(path.join(SOURCE_IMAGES_PATH, filename)) ? null : { field, error: `${field} refers to a source image that no longer exists` };
+    }
+    const decoded = decodeImage(value);
+    return decoded.error ? { field, error: `${field} ${decoded.error}` } : null;
+}
+
+/**
+ * Validates a job's mode against its parameters. Without a mode, a job with init_images is img2img.
+ * img2img jobs need at least one init image; a single image may be given as init_image or as a string.
+ * @param {*} mode - 'txt2img', 'img2img' or undefined
+ * @param {object} params - Generation parameters
+ * @returns {{mode: string, generation_params: object}|{field: string, error: string}} The mode and the parameters
+ *          with init_images as an array, or the field that is invalid
+ */
+function normalizeJobMode(mode, params) {
+    let generationParams = params;
+    if (generationParams.init_image !== undefined && generationParams.init_images === undefined) {
+        const { init_image, ...rest } = generationParams;
+        generationParams = { ...rest, init_images: [init_image] };
+    } else if (typeof generationParams.init_images === 'string') {
+        generationParams = { ...generationParams, init_images: [generationParams.init_images] };
+    }
+    const hasInitImages = generationParams.init_images !== undefined && generationParams.init_images !== null;
+
+    const jobMode = mode === undefined || mode === null ? (hasInitImages ? 'img2img' : 'txt2img') : mode;
+    if (!JOB_MODES.includes(jobMode)) {
+        return { field: 'mode', error: `mode must be one of ${JOB_MODES.map(name => `'${name}'`).join(', ')}` };
+    }
+
+    if (jobMode === 'txt2img') {
+        const imageField = IMAGE_FIELDS.find(field => generationParams[field] !== undefined && generationParams[field] !== null);
+        if (imageField) {
+            return { field: `generation_params.${imageField}`, error: `${imageField} is only used by img2img jobs` };
+        }
+        return { mode: jobMode, generation_params: generationParams };
+    }
+
+    const initImages = generationParams.init_images;
+    if (!Array.isArray(initImages) || initImages.length === 0) {
+        return { field: 'generation_params.init_images', error: 'img2img jobs need init_images, an array of at least one base64 image' };
+    }
+    for (const [index, image] of initImages.entries()) {
+        const problem = checkImageValue(image, `generation_params.init_images[${index}]`);
+        if (problem) {
+            return problem;
+        }
+    }
+    if (generationParams.mask !== undefined && generationParams.mask !== null) {
+        const problem = checkImageValue(generationParams.mask, 'generation_params.mask');
+        if (problem) {
+            return problem;
+        }
+    }
+
+    const { denoising_strength, resize_mode } = generationParams;
+    if (denoising_strength !== undefined && !(typeof denoising_strength === 'number' && denoising_strength >= 0 && denoising_strength <= 1)) {
+        return { field: 'generation_params.denoising_strength', error: 'denoising_strength must be a number between 0 and 1' };
+    }
+    if (resize_mode !== undefined && !RESIZE_MODES.includes(resize_mode)) {
+        return { field: 'generation_params.resize_mode', error: `resize_mode must be one of ${RESIZE_MODES.join(', ')}` };
+    }
+
+    const inpaintProblem = checkInpaintOptions(generationParams);
+    if (inpaintProblem) {
+        return inpaintProblem;
+    }
+
+    return { mode: jobMode, generation_params: generationParams };
+}
+
+/**
+ * Checks the inpainting options of an img2img job. The mask is either a separate image, white where the image is
+ * repainted, or taken from the transparency of the first init image with mask_from_alpha.
+ * @returns {{field: string, error: string}|null} The field that is invalid, if any
+ */
+function checkInpaintOptions(params) {
+    const hasMask = params.mask !== undefined && params.mask !== null;
+    if (params.mask_from_alpha !== undefined && typeof params.mask_from_alpha !== 'boolean') {
+        return { field: 'generation_params.mask_from_alpha', error: 'mask_from_alpha must be a boolean' };
+    }
+    if (params.mask_from_alpha) {
+        if (hasMask) {
+            return { field: 'generation_params.mask_from_alpha', error: 'Send either a mask or mask_from_alpha, not both' };
+        }
+        if (!hasTransparency(params.init_images[0])) {
+            return { field: 'generation_params.init_images[0]', error: 'mask_from_alpha needs the first init image to be an uploaded PNG with transparency' };
+        }
+    }
+
+    for (const rule of INPAINT_RULES) {
+        const value = params[rule.field];
+        if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= rule.min && value <= rule.max)) {
+            return { field: `generation_params.${rule.field}`, error: `${rule.field} must be an integer between ${rule.min} and ${rule.max}` };
+        }
+    }
+    for (const field of INPAINT_FLAGS) {
+        const value = params[field];
+        if (value !== undefined && value !== null && ![true, false, 0, 1].includes(value)) {
+            return { field: `generation_params.${field}`, error: `${field} must be true, false, 0 or 1` };
+        }
+    }
+    if (params.inpainting_fill !== undefined && params.inpainting_fill !== null && !INPAINTING_FILL_MODES.includes(params.inpainting_fill)) {
+        return { field: 'generation_params.inpainting_fill', error: `inpainting_fill must be one of ${INPAINTING_FILL_MODES.join(', ')}` };
+    }
+    return null;
+}
+
+// Saves one image and returns its reference; references pass through untouched
+function storeImageValue(value) {
+    if (parseJobOutputReference(value) || parseSourceImageReference(value)) {
+        return value;
+    }
+    const { buffer, extension } = decodeImage(value);
+    const filename = `${crypto.createHash('sha256').update(buffer).digest('hex')}.${extension}`;
+    const filePath = path.join(SOURCE_IMAGES_PATH, filename);
+    if (!fs.existsSync(filePath)) {
+        fs.mkdirSync(SOURCE_IMAGES_PATH, { recursive: true });
+        fs.writeFileSync(filePath, buffer);
+    }
+    return `source://${filename}`;
+}
+
+/**
+ * Saves the images of parameters that passed normalizeJobMode and replaces them with source:// references.
+ * @param {object} params - Generation parameters
+ * @returns {object} A copy of the parameters with references in place of image data
+ */
+function storeSourceImages(params) {
+    const stored = { ...params };
+    if (Array.isArray(stored.init_images)) {
+        stored.init_images = stored.init_images.map(storeImageValue);
+    }
+    if (typeof stored.mask === 'string') {
+        stored.mask = storeImageValue(stored.mask);
+    }
+    return stored;
+}
+
+/**
+ * Reads a stored source image for sending to Forge.
+ * @param {string} filename - From parseSourceImageReference
+ * @returns {string} The image as base64
+ */
+function readSourceImage(filename) {
+    const filePath = path.join(SOURCE_IMAGES_PATH, filename);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Source image ${filename} no longer exists.`);
+    }
+    return fs.readFileSync(filePath).toString('base64');
+}
+
+module.exports = {
+    JOB_MODES,
+    RESIZE_MODES,
+    INPAINTING_FILL_MODES,
+    SOURCE_IMAGES_PATH,
+    normalizeJobMode,
+    storeSourceImages,
+    parseSourceImageReference,
+    readSourceImage
+};
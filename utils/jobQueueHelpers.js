@@ -6,11 +6,51 @@ const Database = require('better-sqlite3');
 
 const JOB_QUEUE_FILENAME = 'job_queue.json';
 
+// Job priority scale: higher numbers are dispatched first
+const MIN_JOB_PRIORITY = 1;
+const MAX_JOB_PRIORITY = 10;
+const DEFAULT_JOB_PRIORITY = 5;
+
+// Every status a job can have; the jobs table CHECK constraint is built from this list
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'failed', 'cancelled', 'expired', 'held'];
+
+// Parent statuses that mean a dependent job can never run
+const FAILED_DEPENDENCY_STATUSES = ['failed', 'cancelled', 'expired'];
+
+// Pending jobs without their own expires_at expire this long after they became due (0 disables); see getJobExpiry
+const configuredTtlHours = parseFloat(process.env.DISPATCHER_PENDING_JOB_TTL_HOURS);
+const DEFAULT_PENDING_JOB_TTL_MS = (Number.isFinite(configuredTtlHours) && configuredTtlHours >= 0 ? configuredTtlHours : 24) * 60 * 60 * 1000;
+
+// Finished statuses the retention policy can archive or delete
+const RETENTION_STATUSES = ['completed', 'failed', 'cancelled', 'expired'];
+
+// Page size limit of job queries
+const DEFAULT_JOB_QUERY_LIMIT = 50;
+const MAX_JOB_QUERY_LIMIT = 500;
+
+// Archived parameters drop embedded images and other blobs longer than this
+const MAX_ARCHIVED_PARAM_LENGTH = 8192;
+
+// Limits on the free-form labels of a job
+const MAX_JOB_TAGS = 20;
+const MAX_JOB_TAG_LENGTH = 50;
+const MAX_PROJECT_NAME_LENGTH = 100;
+
+// Reference to an upstream job's output image inside generation params, e.g. "job://<jobId>/images/0"
+const JOB_OUTPUT_REFERENCE_PATTERN = /^job:\/\/([0-9a-f-]{36})\/images\/(\d+)$/i;
+
+// Progress percentages recorded in a job's event history when a run passes them
+const PROGRESS_MILESTONES = [25, 50, 75];
+
+// The web UI as the actor of a job event
+const UI_ACTOR = Object.freeze({ type: 'ui', id: null });
+
 // --- Database Setup ---
 // Determine the project's root directory more reliably
 // Assuming this file is in /utils, so '..' goes up to the project root.
 const projectRootDir = path.join(__dirname, '..'); 
-const dataDir = path.join(projectRootDir, 'data');
+// DATABASE_DIR moves the SQLite files elsewhere, e.g. to a scratch directory for tests
+const dataDir = process.env.DATABASE_DIR || path.join(projectRootDir, 'data');
 
 if (!fs.existsSync(dataDir)) {
     fs.mkdirSync(dataDir, { recursive: true });
@@ -22,7 +62,7 @@ const db = new Database(dbPath /*, { verbose: console.log } */); // Uncomment ve
 const schema = `
 CREATE TABLE IF NOT EXISTS jobs (
     mobilesd_job_id TEXT PRIMARY KEY,
-    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'cancelled')),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN (${JOB_STATUSES.map(status => `'${status}'`).join(', ')})),
     creation_timestamp TEXT NOT NULL,
     last_updated_timestamp TEXT NOT NULL,
     completion_timestamp TEXT,
@@ -34,6 +74,121 @@ CREATE TABLE IF NOT EXISTS jobs (
 );
 
 CREATE INDEX IF NOT EXISTS idx_jobs_status_creation ON jobs (status, creation_timestamp);
+
+-- Edges of the job dependency graph: job_id waits until depends_on_job_id has completed
+CREATE TABLE IF NOT EXISTS job_dependencies (
+    job_id TEXT NOT NULL,
+    depends_on_job_id TEXT NOT NULL,
+    PRIMARY KEY (job_id, depends_on_job_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_dependencies_parent ON job_dependencies (depends_on_job_id);
+
+-- Free-form labels attached to jobs; a job's tags are unique regardless of case
+CREATE TABLE IF NOT EXISTS job_tags (
+    job_id TEXT NOT NULL,
+    tag TEXT NOT NULL COLLATE NOCASE,
+    PRIMARY KEY (job_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_tags_tag ON job_tags (tag);
+
+-- Recurring job templates; the dispatcher turns each due run into a pending job
+CREATE TABLE IF NOT EXISTS job_schedules (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    cron_expression TEXT NOT NULL,
+    target_server_alias TEXT NOT NULL,
+    generation_params_json TEXT NOT NULL,
+    prompt_expansion_json TEXT,
+    app_type TEXT DEFAULT 'forge',
+    priority INTEGER DEFAULT 5,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    next_run_at TEXT,
+    last_run_at TEXT,
+    last_job_id TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_schedules_next_run ON job_schedules (enabled, next_run_at);
+
+-- X/Y/Z parameter sweeps; their jobs share bulk_job_id and the grid is assembled once all have finished
+CREATE TABLE IF NOT EXISTS job_sweeps (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    status TEXT NOT NULL DEFAULT 'running',
+    target_server_alias TEXT NOT NULL,
+    generation_params_json TEXT NOT NULL,
+    axes_json TEXT NOT NULL,
+    cells_json TEXT NOT NULL,
+    bulk_job_id TEXT NOT NULL,
+    grid_filename TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    completed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_sweeps_status ON job_sweeps (status);
+
+-- Compact copies of finished jobs the retention policy moved out of the jobs table
+CREATE TABLE IF NOT EXISTS jobs_archive (
+    mobilesd_job_id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    app_type TEXT,
+    source_info TEXT,
+    target_server_alias TEXT,
+    api_key_id TEXT,
+    bulk_job_id TEXT,
+    positive_prompt TEXT,
+    negative_prompt TEXT,
+    checkpoint_name TEXT,
+    generation_params_json TEXT NOT NULL,
+    images_json TEXT,
+    images_deleted INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    project TEXT,
+    tags_json TEXT,
+    creation_timestamp TEXT NOT NULL,
+    completion_timestamp TEXT,
+    archived_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_archive_creation ON jobs_archive (creation_timestamp);
+CREATE INDEX IF NOT EXISTS idx_jobs_archive_status ON jobs_archive (status, creation_timestamp);
+
+-- Responses to job submissions sent with an Idempotency-Key header, so a retried request gets the original answer.
+-- scope is the submitting API key, or '' for v1 requests; response_json stays NULL while the first request runs
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    scope TEXT NOT NULL,
+    idempotency_key TEXT NOT NULL,
+    request_fingerprint TEXT NOT NULL,
+    status_code INTEGER,
+    response_json TEXT,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    PRIMARY KEY (scope, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expiry ON idempotency_keys (expires_at);
+
+-- Append-only history of each job: status changes, dispatch attempts, progress milestones and user actions.
+-- actor_type is 'ui', 'api_key' (actor_id is the key's ID) or 'system' (actor_id names the component, if known)
+CREATE TABLE IF NOT EXISTS job_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    from_status TEXT,
+    to_status TEXT,
+    actor_type TEXT NOT NULL,
+    actor_id TEXT,
+    message TEXT,
+    details_json TEXT,
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_events_job ON job_events (job_id, id);
 `;
 db.exec(schema);
 
@@ -48,7 +203,23 @@ const requiredColumns = [
     { name: 'forge_internal_task_id', type: 'TEXT' },
     { name: 'app_type', type: 'TEXT', default: '"forge"' },
     { name: 'source_info', type: 'TEXT' },
-    { name: 'api_key_id', type: 'TEXT' }
+    { name: 'api_key_id', type: 'TEXT' },
+    { name: 'priority', type: 'INTEGER', default: DEFAULT_JOB_PRIORITY },
+    { name: 'target_pool', type: 'TEXT' },
+    { name: 'retry_policy_json', type: 'TEXT' },
+    { name: 'run_after', type: 'TEXT' },
+    { name: 'schedule_id', type: 'TEXT' },
+    { name: 'expires_at', type: 'TEXT' },
+    { name: 'sort_position', type: 'REAL' },
+    { name: 'bulk_job_id', type: 'TEXT' },
+    { name: 'lease_owner', type: 'TEXT' },
+    { name: 'lease_expires_at', type: 'TEXT' },
+    { name: 'heartbeat_at', type: 'TEXT' },
+    { name: 'cloned_from', type: 'TEXT' },
+    { name: 'project', type: 'TEXT' },
+    { name: 'processing_started_at', type: 'TEXT' },
+    { name: 'mode', type: 'TEXT', default: '"txt2img"' },
+    { name: 'queued_at', type: 'TEXT' }
 ];
 
 for (const column of requiredColumns) {
@@ -67,8 +238,250 @@ for (const column of requiredColumns) {
     }
 }
 
+db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_status_priority ON jobs (status, priority DESC, creation_timestamp)');
+db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_status_sort ON jobs (status, priority DESC, sort_position)');
+db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_bulk ON jobs (bulk_job_id)');
+db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_api_key ON jobs (api_key_id, creation_timestamp)');
+db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_creation ON jobs (creation_timestamp, mobilesd_job_id)');
+db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_project ON jobs (project COLLATE NOCASE, creation_timestamp)');
+
+// Archives created before jobs had tags and projects
+for (const column of ['project', 'tags_json']) {
+    if (!columnExists('jobs_archive', column)) {
+        db.exec(`ALTER TABLE jobs_archive ADD COLUMN ${column} TEXT`);
+        console.log(`Added ${column} column to jobs_archive table`);
+    }
+}
+
+// Schedules created before prompt expansion could be set on them
+if (!columnExists('job_schedules', 'prompt_expansion_json')) {
+    db.exec('ALTER TABLE job_schedules ADD COLUMN prompt_expansion_json TEXT');
+    console.log('Added prompt_expansion_json column to job_schedules table');
+}
+
+// --- Prompt Search Index ---
+// Full-text index over the prompts inside generation_params_json, kept in step with the jobs table by triggers.
+// Rows are keyed by the job ID column rather than rowid, which a VACUUM or table rebuild may renumber.
+const promptColumnSql = (row) => `CASE WHEN json_valid(${row}.generation_params_json) THEN COALESCE(
+    json_extract(${row}.generation_params_json, '$.positive_prompt'),
+    json_extract(${row}.generation_params_json, '$.prompt'),
+    json_extract(${row}.generation_params_json, '$.raw_generation_info')) END`;
+const negativePromptColumnSql = (row) => `CASE WHEN json_valid(${row}.generation_params_json)
+    THEN json_extract(${row}.generation_params_json, '$.negative_prompt') END`;
+const ftsRowMatchSql = (row) => `'mobilesd_job_id : "' || ${row}.mobilesd_job_id || '"'`;
+
+const promptIndexExists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'jobs_fts'").get();
+db.exec(`
+CREATE VIRTUAL TABLE IF NOT EXISTS jobs_fts USING fts5(mobilesd_job_id, positive_prompt, negative_prompt);
+
+CREATE TRIGGER IF NOT EXISTS jobs_fts_after_insert AFTER INSERT ON jobs BEGIN
+    INSERT INTO jobs_fts (mobilesd_job_id, positive_prompt, negative_prompt)
+    VALUES (new.mobilesd_job_id, ${promptColumnSql('new')}, ${negativePromptColumnSql('new')});
+END;
+
+CREATE TRIGGER IF NOT EXISTS jobs_fts_after_delete AFTER DELETE ON jobs BEGIN
+    DELETE FROM jobs_fts WHERE jobs_fts MATCH ${ftsRowMatchSql('old')};
+END;
+
+CREATE TRIGGER IF NOT EXISTS jobs_fts_after_update AFTER UPDATE OF generation_params_json ON jobs BEGIN
+    DELETE FROM jobs_fts WHERE jobs_fts MATCH ${ftsRowMatchSql('old')};
+    INSERT INTO jobs_fts (mobilesd_job_id, positive_prompt, negative_prompt)
+    VALUES (new.mobilesd_job_id, ${promptColumnSql('new')}, ${negativePromptColumnSql('new')});
+END;
+`);
+if (!promptIndexExists) {
+    const indexed = db.prepare(`
+        INSERT INTO jobs_fts (mobilesd_job_id, positive_prompt, negative_prompt)
+        SELECT mobilesd_job_id, ${promptColumnSql('jobs')}, ${negativePromptColumnSql('jobs')} FROM jobs
+    `).run().changes;
+    console.log(`Created prompt search index for ${indexed} existing jobs`);
+}
+
 // --- Helper Functions ---
 
+// Escapes \, % and _ so user text matches literally in LIKE ... ESCAPE '\'
+function escapeLikePattern(text) {
+    return text.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * Normalizes a job priority value to an integer within the supported range.
+ * @param {*} priority - Raw priority value (number or numeric string)
+ * @returns {number|null} The normalized priority, or null if the value is not a valid integer
+ */
+function normalizePriority(priority) {
+    if (priority === undefined || priority === null || priority === '') {
+        return DEFAULT_JOB_PRIORITY;
+    }
+    const parsed = Number(priority);
+    if (!Number.isInteger(parsed) || parsed < MIN_JOB_PRIORITY || parsed > MAX_JOB_PRIORITY) {
+        return null;
+    }
+    return parsed;
+}
+
+/**
+ * Normalizes a requested run_after time for a job that should not start before then.
+ * @param {*} runAfter - ISO 8601 date string or epoch milliseconds
+ * @returns {string|undefined|null} ISO timestamp, undefined when not given, or null if the value is not a valid date
+ */
+function normalizeRunAfter(runAfter) {
+    if (runAfter === undefined || runAfter === null || runAfter === '') {
+        return undefined;
+    }
+    if (typeof runAfter !== 'string' && typeof runAfter !== 'number') {
+        return null;
+    }
+    const date = new Date(runAfter);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Works out a job's expiry deadline from an absolute expires_at or a relative ttl_seconds (not both).
+ * @param {*} expiresAt - ISO 8601 date string or epoch milliseconds
+ * @param {*} ttlSeconds - Positive integer, counted from run_after (or now)
+ * @param {string} [runAfter] - Normalized run_after of the job, if any
+ * @returns {string|undefined|null} ISO timestamp, undefined when neither is given, or null if invalid
+ */
+function normalizeExpiresAt(expiresAt, ttlSeconds, runAfter) {
+    const hasExpiresAt = expiresAt !== undefined && expiresAt !== null && expiresAt !== '';
+    const hasTtl = ttlSeconds !== undefined && ttlSeconds !== null && ttlSeconds !== '';
+    if (!hasExpiresAt && !hasTtl) {
+        return undefined;
+    }
+    if (hasExpiresAt && hasTtl) {
+        return null;
+    }
+
+    const startsAt = runAfter ? new Date(runAfter).getTime() : Date.now();
+    let deadline;
+    if (hasTtl) {
+        const ttl = Number(ttlSeconds);
+        if (!Number.isInteger(ttl) || ttl <= 0) {
+            return null;
+        }
+        deadline = startsAt + ttl * 1000;
+    } else {
+        const normalized = normalizeRunAfter(expiresAt);
+        if (!normalized) {
+            return null;
+        }
+        deadline = new Date(normalized).getTime();
+    }
+    // A deadline before the job may even start would expire it straight away
+    return deadline > startsAt ? new Date(deadline).toISOString() : null;
+}
+
+/**
+ * Validates the tags and project name given for a job. Tags are free-form labels compared without
+ * regard to case, so "Client-A" and "client-a" are the same tag; a job belongs to at most one project.
+ * @param {object} body - Request body with optional tags (array or comma-separated string) and project
+ * @returns {{labels: {tags?: Array<string>, project?: string|null}}|{field: string, error: string}}
+ *          The labels that were given, or the field that is invalid
+ */
+function normalizeJobLabels(body = {}) {
+    const labels = {};
+
+    if (body.tags !== undefined) {
+        const rawTags = body.tags === null ? [] : (typeof body.tags === 'string' ? body.tags.split(',') : body.tags);
+        if (!Array.isArray(rawTags) || rawTags.some(tag => typeof tag !== 'string')) {
+            return { field: 'tags', error: 'tags must be an array of strings' };
+        }
+        const tags = [];
+        for (const rawTag of rawTags) {
+            const tag = rawTag.trim().replace(/\s+/g, ' ');
+            if (!tag) continue;
+            if (tag.includes(',')) {
+                return { field: 'tags', error: `Tags cannot contain commas: "${tag}"` };
+            }
+            if (tag.length > MAX_JOB_TAG_LENGTH) {
+                return { field: 'tags', error: `Tags must be at most ${MAX_JOB_TAG_LENGTH} characters long: "${tag}"` };
+            }
+            if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+                tags.push(tag);
+            }
+        }
+        if (tags.length > MAX_JOB_TAGS) {
+            return { field: 'tags', error: `A job can have at most ${MAX_JOB_TAGS} tags` };
+        }
+        labels.tags = tags;
+    }
+
+    if (body.project !== undefined) {
+        if (body.project !== null && typeof body.project !== 'string') {
+            return { field: 'project', error: 'project must be a string or null' };
+        }
+        const project = body.project === null ? '' : body.project.trim().replace(/\s+/g, ' ');
+        if (project.length > MAX_PROJECT_NAME_LENGTH) {
+            return { field: 'project', error: `project must be at most ${MAX_PROJECT_NAME_LENGTH} characters long` };
+        }
+        labels.project = project || null;
+    }
+
+    return { labels };
+}
+
+// SQL for when a job became due: when it last joined the queue, or its run_after if that is later.
+// Jobs queued before queued_at existed count from their creation.
+const JOB_DUE_AT_SQL = "MAX(COALESCE(queued_at, creation_timestamp), COALESCE(run_after, ''))";
+
+/**
+ * Effective expiry of a pending job: its own expires_at, otherwise the global TTL counted from when it became due.
+ * A job becomes due when it last joined the queue (on submission, a retry, a release or a requeue), or at its
+ * run_after if that is later.
+ * @param {object} job - Job record
+ * @returns {string|null} ISO timestamp, or null if the job never expires
+ */
+function getJobExpiry(job) {
+    if (job.expires_at) {
+        return job.expires_at;
+    }
+    if (!DEFAULT_PENDING_JOB_TTL_MS) {
+        return null;
+    }
+    const queuedAt = new Date(job.queued_at || job.creation_timestamp).getTime();
+    const dueAt = job.run_after ? Math.max(queuedAt, new Date(job.run_after).getTime()) : queuedAt;
+    return new Date(dueAt + DEFAULT_PENDING_JOB_TTL_MS).toISOString();
+}
+
+/**
+ * Moves pending jobs past their expiry to 'expired' so they are reported instead of silently skipped.
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Array<object>} The jobs that were expired
+ */
+function expireStaleJobs(now = new Date()) {
+    const nowIso = now.toISOString();
+    const ttlCutoffIso = new Date(now.getTime() - DEFAULT_PENDING_JOB_TTL_MS).toISOString();
+    const rows = db.prepare(`
+        SELECT * FROM jobs
+        WHERE status = 'pending'
+          AND ((expires_at IS NOT NULL AND expires_at <= ?)
+            OR (expires_at IS NULL AND ? AND ${JOB_DUE_AT_SQL} <= ?))
+    `).all(nowIso, DEFAULT_PENDING_JOB_TTL_MS > 0 ? 1 : 0, ttlCutoffIso);
+
+    const expired = [];
+    for (const row of rows) {
+        const expiresAt = getJobExpiry(row);
+        const previousDetails = row.result_details_json ? JSON.parse(row.result_details_json) : {};
+        const updatedJob = updateJob(row.mobilesd_job_id, {
+            status: 'expired',
+            completion_timestamp: nowIso,
+            result_details: {
+                ...previousDetails,
+                error: row.expires_at
+                    ? `Job expired at ${expiresAt} before it could be dispatched.`
+                    : `Job expired at ${expiresAt} after waiting longer than the pending job TTL without being dispatched.`,
+                expired_at: nowIso,
+                expires_at: expiresAt
+            }
+        }, { actor: systemActor('expiry') });
+        if (updatedJob) {
+            expired.push(updatedJob);
+        }
+    }
+    return expired;
+}
+
 /**
  * Adds a new job to the queue.
  * @param {object} jobData - Contains target_server_alias, generation_params, and optional fields.
@@ -76,9 +489,15 @@ for (const column of requiredColumns) {
  *                             target_server_alias: "forge1", 
  *                             generation_params: { prompt: "A cat" },
  *                             app_type: "forge",
+ *                             mode: "txt2img",
  *                             source_info: "ui",
- *                             api_key_id: "abc123"
+ *                             api_key_id: "abc123",
+ *                             depends_on: ["<parent job id>"],
+ *                             tags: ["client-a"],
+ *                             project: "Spring campaign"
  *                           }
+ *                           An optional actor is recorded as who queued the job; it defaults to the API key,
+ *                           the schedule or else the UI.
  * @returns {object} The full job object as constructed for DB insertion.
  */
 function addJob(jobData) {
@@ -91,6 +510,8 @@ function addJob(jobData) {
         creation_timestamp: now,
         last_updated_timestamp: now,
         completion_timestamp: null,
+        // When the job last joined the queue; the pending job TTL counts from here (see getJobExpiry)
+        queued_at: now,
         target_server_alias: jobData.target_server_alias,
         forge_session_hash: null,
         generation_params_json: JSON.stringify(jobData.generation_params || {}),
@@ -98,8 +519,29 @@ function addJob(jobData) {
         retry_count: 0,
         // Include new fields with defaults if not provided
         app_type: jobData.app_type || 'forge',
+        // Forge endpoint the job is sent to: 'txt2img' or 'img2img'
+        mode: jobData.mode || 'txt2img',
         source_info: jobData.source_info || 'ui',
-        api_key_id: jobData.api_key_id || null
+        api_key_id: jobData.api_key_id || null,
+        priority: normalizePriority(jobData.priority) ?? DEFAULT_JOB_PRIORITY,
+        // Pool (or 'auto') the job was submitted to; target_server_alias holds the same name until a server is picked
+        target_pool: jobData.target_pool || null,
+        // Per-job retry policy override; the server config and dispatcher defaults apply otherwise
+        retry_policy_json: jobData.retry_policy ? JSON.stringify(jobData.retry_policy) : null,
+        // Not dispatched before this time; also used for retry backoff
+        run_after: jobData.run_after || null,
+        // Recurring schedule that created the job, if any
+        schedule_id: jobData.schedule_id || null,
+        // Deadline for starting the job; the global pending TTL applies when not set
+        expires_at: jobData.expires_at || null,
+        // Order within a priority level; starts as the submission time and changes when the job is moved
+        sort_position: jobData.sort_position ?? Date.now(),
+        // Group of jobs submitted together by a bulk request, if any
+        bulk_job_id: jobData.bulk_job_id || null,
+        // Job this one was cloned from (re-run), if any
+        cloned_from: jobData.cloned_from || null,
+        // Free-form project name the job belongs to, if any (tags live in job_tags)
+        project: jobData.project || null
     };
 
     // Check if forge_internal_task_id column exists
@@ -113,16 +555,386 @@ function addJob(jobData) {
     
     const insertSql = `INSERT INTO jobs (${columnNames}) VALUES (${placeholders})`;
     
+    // Parents named explicitly plus any job whose output image the params reference
+    const parentIds = [...new Set([
+        ...(jobData.depends_on || []),
+        ...findJobOutputReferences(jobData.generation_params).map(ref => ref.jobId)
+    ])];
+    const tags = jobData.tags || [];
+
     try {
-        const stmt = db.prepare(insertSql);
-        stmt.run(jobRecord);
-        return jobRecord;
+        const insertJob = db.transaction(() => {
+            db.prepare(insertSql).run(jobRecord);
+            addJobDependencies(newJobId, parentIds);
+            replaceJobTags(newJobId, tags);
+            recordJobEvent(newJobId, 'created', {
+                actor: jobData.actor || getCreationActor(jobData),
+                to_status: 'pending',
+                message: jobRecord.cloned_from ? `Re-run of job ${jobRecord.cloned_from}` : null,
+                details: {
+                    source_info: jobRecord.source_info,
+                    mode: jobRecord.mode,
+                    target_server_alias: jobRecord.target_server_alias,
+                    priority: jobRecord.priority,
+                    ...(jobRecord.bulk_job_id ? { bulk_job_id: jobRecord.bulk_job_id } : {}),
+                    ...(jobRecord.schedule_id ? { schedule_id: jobRecord.schedule_id } : {}),
+                    ...(parentIds.length > 0 ? { depends_on: parentIds } : {})
+                },
+                created_at: now
+            });
+        });
+        insertJob();
+        return { ...jobRecord, tags, depends_on: parentIds };
     } catch (error) {
         console.error("Error adding job to database:", error);
         throw error;
     }
 }
 
+/**
+ * Adds a group of jobs from one bulk request, all or nothing, linked by a new bulk_job_id.
+ * @param {Array<object>} jobDataList - One addJob() payload per job, in queue order
+ * @returns {{bulk_job_id: string, jobs: Array<object>}} The bulk ID and the created job objects
+ */
+function addBulkJobs(jobDataList) {
+    const bulkJobId = uuidv4();
+    // Jobs share a submission millisecond; fractional positions keep them in order and ahead of later submissions
+    const basePosition = Date.now();
+    const insertAll = db.transaction(() => jobDataList.map((jobData, index) => addJob({
+        ...jobData,
+        bulk_job_id: bulkJobId,
+        sort_position: basePosition + index / jobDataList.length
+    })));
+    return { bulk_job_id: bulkJobId, jobs: insertAll() };
+}
+
+/**
+ * Gets every job of a bulk submission in queue order.
+ * @param {string} bulkJobId - The bulk_job_id returned when the jobs were submitted
+ * @returns {Array<object>} Job objects with parsed JSON fields (empty if the ID is unknown)
+ */
+function getJobsByBulkId(bulkJobId) {
+    const rows = db.prepare('SELECT * FROM jobs WHERE bulk_job_id = ? ORDER BY sort_position ASC, creation_timestamp ASC').all(bulkJobId);
+    const tagMap = getJobTagMap(rows.map(row => row.mobilesd_job_id));
+    return rows.map(row => ({
+        ...row,
+        generation_params: JSON.parse(row.generation_params_json || '{}'),
+        result_details: row.result_details_json ? JSON.parse(row.result_details_json) : null,
+        tags: tagMap.get(row.mobilesd_job_id) || []
+    }));
+}
+
+// Generation parameters a clone override must give as a positive integer
+const POSITIVE_INTEGER_OVERRIDES = ['steps', 'width', 'height', 'batch_size', 'n_iter'];
+
+/**
+ * Validates the overrides for cloning a job. target_server_alias and priority change where and how
+ * urgently the clone runs; every other key replaces the generation parameter of the same name.
+ * @param {*} overrides - Overrides object from the request body
+ * @returns {{overrides: object}|{field: string, error: string}} The split overrides, or the field that is invalid
+ */
+function normalizeCloneOverrides(overrides) {
+    if (overrides === undefined || overrides === null) {
+        return { overrides: { generation_params: {} } };
+    }
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { field: 'overrides', error: 'overrides must be an object' };
+    }
+
+    const { target_server_alias, priority, ...generationParams } = overrides;
+    if (target_server_alias !== undefined && (typeof target_server_alias !== 'string' || !target_server_alias.trim())) {
+        return { field: 'overrides.target_server_alias', error: 'target_server_alias must be a non-empty string' };
+    }
+    if (priority !== undefined && normalizePriority(priority) === null) {
+        return { field: 'overrides.priority', error: `priority must be an integer between ${MIN_JOB_PRIORITY} and ${MAX_JOB_PRIORITY}` };
+    }
+    if (generationParams.seed !== undefined && !(Number.isInteger(generationParams.seed) && generationParams.seed >= -1)) {
+        return { field: 'overrides.seed', error: 'seed must be -1 (random) or a non-negative integer' };
+    }
+    const invalidField = POSITIVE_INTEGER_OVERRIDES.find(field =>
+        generationParams[field] !== undefined && !(Number.isInteger(generationParams[field]) && generationParams[field] > 0));
+    if (invalidField) {
+        return { field: `overrides.${invalidField}`, error: `${invalidField} must be a positive integer` };
+    }
+
+    return {
+        overrides: {
+            target_server_alias: target_server_alias !== undefined ? target_server_alias.trim() : undefined,
+            priority: priority !== undefined ? normalizePriority(priority) : undefined,
+            generation_params: generationParams
+        }
+    };
+}
+
+/**
+ * Queues a new pending job from an existing job's parameters, linked back to it by cloned_from.
+ * The source job's app type, source, priority, retry policy, tags and project carry over unless given.
+ * @param {string} mobilesdJobId - The job to clone
+ * @param {object} cloneData - target_server_alias and target_pool for the clone, plus optional priority,
+ *                             source_info, api_key_id, tags, project, generation_params (defaults to the
+ *                             source job's), generation_overrides applied on top of them and the actor
+ *                             re-running the job
+ * @returns {object|null} The new job object, or null if the source job does not exist
+ */
+function cloneJob(mobilesdJobId, cloneData) {
+    const sourceJob = getJobById(mobilesdJobId);
+    if (!sourceJob) {
+        return null;
+    }
+
+    const overrides = cloneData.generation_overrides || {};
+    const generationParams = { ...(cloneData.generation_params || sourceJob.generation_params), ...overrides };
+    // The dispatcher prefers positive_prompt over prompt, so a new prompt has to replace both
+    if (overrides.prompt !== undefined && generationParams.positive_prompt !== undefined) {
+        generationParams.positive_prompt = overrides.prompt;
+    }
+
+    const clonedJob = addJob({
+        target_server_alias: cloneData.target_server_alias,
+        target_pool: cloneData.target_pool,
+        generation_params: generationParams,
+        app_type: sourceJob.app_type,
+        mode: sourceJob.mode,
+        source_info: cloneData.source_info || sourceJob.source_info,
+        api_key_id: cloneData.api_key_id || sourceJob.api_key_id,
+        priority: cloneData.priority ?? sourceJob.priority,
+        retry_policy: sourceJob.retry_policy_json ? JSON.parse(sourceJob.retry_policy_json) : null,
+        tags: cloneData.tags ?? sourceJob.tags,
+        project: cloneData.project !== undefined ? cloneData.project : sourceJob.project,
+        cloned_from: sourceJob.mobilesd_job_id,
+        actor: cloneData.actor
+    });
+    recordJobEvent(sourceJob.mobilesd_job_id, 'cloned', {
+        actor: cloneData.actor,
+        message: `Re-run as job ${clonedJob.mobilesd_job_id}`,
+        details: { clone_job_id: clonedJob.mobilesd_job_id },
+        created_at: clonedJob.creation_timestamp
+    });
+    return clonedJob;
+}
+
+/**
+ * Parses a reference to an upstream job's output image.
+ * @param {*} value - Any generation parameter value
+ * @returns {{jobId: string, imageIndex: number}|null} The reference, or null if the value is not one
+ */
+function parseJobOutputReference(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const match = value.match(JOB_OUTPUT_REFERENCE_PATTERN);
+    return match ? { jobId: match[1], imageIndex: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * Collects every upstream output reference found anywhere in a generation params object.
+ * @param {*} params - Generation params (objects and arrays are searched recursively)
+ * @returns {Array<{jobId: string, imageIndex: number}>}
+ */
+function findJobOutputReferences(params) {
+    const references = [];
+    const visit = (value) => {
+        const reference = parseJobOutputReference(value);
+        if (reference) {
+            references.push(reference);
+        } else if (Array.isArray(value)) {
+            value.forEach(visit);
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(visit);
+        }
+    };
+    visit(params);
+    return references;
+}
+
+/**
+ * Records that a job must wait for each of the given parent jobs.
+ * @param {string} jobId - The dependent job
+ * @param {Array<string>} parentIds - Jobs that must complete first
+ */
+function addJobDependencies(jobId, parentIds) {
+    const stmt = db.prepare('INSERT OR IGNORE INTO job_dependencies (job_id, depends_on_job_id) VALUES (?, ?)');
+    for (const parentId of parentIds) {
+        stmt.run(jobId, parentId);
+    }
+}
+
+/**
+ * Checks that a proposed set of parent jobs can be depended on.
+ * @param {Array<string>} parentIds - Candidate parent job IDs
+ * @returns {string|null} An error message, or null if every parent exists and has not failed
+ */
+function validateJobDependencies(parentIds) {
+    const stmt = db.prepare('SELECT status FROM jobs WHERE mobilesd_job_id = ?');
+    for (const parentId of parentIds) {
+        const parent = stmt.get(parentId);
+        if (!parent) {
+            return `Dependency job ${parentId} not found.`;
+        }
+        if (FAILED_DEPENDENCY_STATUSES.includes(parent.status)) {
+            return `Dependency job ${parentId} is ${parent.status} and will never complete.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Looks up the parents of a set of jobs along with each parent's current status.
+ * @param {Array<string>} jobIds - Jobs to look up
+ * @returns {Map<string, Array<{job_id: string, status: string|null}>>} Parents keyed by dependent job ID
+ */
+function getJobDependencyMap(jobIds) {
+    const dependencyMap = new Map();
+    if (jobIds.length === 0) {
+        return dependencyMap;
+    }
+    // Chunk to stay well under SQLite's bound parameter limit
+    for (let i = 0; i < jobIds.length; i += 500) {
+        const chunk = jobIds.slice(i, i + 500);
+        const rows = db.prepare(`
+            SELECT d.job_id, d.depends_on_job_id, p.status AS parent_status
+            FROM job_dependencies d
+            LEFT JOIN jobs p ON p.mobilesd_job_id = d.depends_on_job_id
+            WHERE d.job_id IN (${chunk.map(() => '?').join(', ')})
+        `).all(...chunk);
+        for (const row of rows) {
+            if (!dependencyMap.has(row.job_id)) {
+                dependencyMap.set(row.job_id, []);
+            }
+            dependencyMap.get(row.job_id).push({ job_id: row.depends_on_job_id, status: row.parent_status });
+        }
+    }
+    return dependencyMap;
+}
+
+/**
+ * Describes a job's place in the dependency graph.
+ * @param {Array<{job_id: string, status: string|null}>} parents - The job's parents
+ * @returns {{depends_on: Array<string>, blocked_by: Array<string>}} All parents, and those not yet completed
+ */
+function describeDependencies(parents = []) {
+    return {
+        depends_on: parents.map(parent => parent.job_id),
+        blocked_by: parents.filter(parent => parent.status !== 'completed').map(parent => parent.job_id)
+    };
+}
+
+/**
+ * Replaces the tags of a job.
+ * @param {string} jobId
+ * @param {Array<string>} tags - Tags from normalizeJobLabels
+ */
+function replaceJobTags(jobId, tags) {
+    db.prepare('DELETE FROM job_tags WHERE job_id = ?').run(jobId);
+    const stmt = db.prepare('INSERT OR IGNORE INTO job_tags (job_id, tag) VALUES (?, ?)');
+    for (const tag of tags) {
+        stmt.run(jobId, tag);
+    }
+}
+
+/**
+ * Looks up the tags of a set of jobs.
+ * @param {Array<string>} jobIds - Jobs to look up
+ * @returns {Map<string, Array<string>>} Tags in the order they were given, keyed by job ID (jobs without tags are absent)
+ */
+function getJobTagMap(jobIds) {
+    const tagMap = new Map();
+    // Chunk to stay well under SQLite's bound parameter limit
+    for (let i = 0; i < jobIds.length; i += 500) {
+        const chunk = jobIds.slice(i, i + 500);
+        const rows = db.prepare(`
+            SELECT job_id, tag FROM job_tags
+            WHERE job_id IN (${chunk.map(() => '?').join(', ')})
+            ORDER BY rowid
+        `).all(...chunk);
+        for (const row of rows) {
+            if (!tagMap.has(row.job_id)) {
+                tagMap.set(row.job_id, []);
+            }
+            tagMap.get(row.job_id).push(row.tag);
+        }
+    }
+    return tagMap;
+}
+
+/**
+ * Changes the tags and/or project of a job. Labels can be edited whatever the job's status.
+ * @param {string} mobilesdJobId - The ID of the job to update
+ * @param {object} labels - From normalizeJobLabels; tags replace the existing ones
+ * @param {object} [actor] - Who changed them, for the job's event history
+ * @returns {object|null} The updated job object or null if the job was not found
+ */
+function setJobLabels(mobilesdJobId, labels, actor) {
+    const apply = db.transaction(() => {
+        if (!db.prepare('SELECT 1 FROM jobs WHERE mobilesd_job_id = ?').get(mobilesdJobId)) {
+            return null;
+        }
+        if (labels.tags !== undefined) {
+            replaceJobTags(mobilesdJobId, labels.tags);
+        }
+        const updatedJob = updateJob(mobilesdJobId, labels.project !== undefined ? { project: labels.project } : {});
+        recordJobEvent(mobilesdJobId, 'labels_changed', {
+            actor,
+            details: { tags: updatedJob.tags, project: updatedJob.project }
+        });
+        return updatedJob;
+    });
+    return apply();
+}
+
+/**
+ * Lists the jobs that directly depend on a job.
+ * @param {string} jobId - The parent job
+ * @returns {Array<string>} IDs of dependent jobs
+ */
+function getDependentJobIds(jobId) {
+    return db.prepare('SELECT job_id FROM job_dependencies WHERE depends_on_job_id = ?')
+        .all(jobId)
+        .map(row => row.job_id);
+}
+
+/**
+ * Ends pending or held jobs whose parents failed, were cancelled, expired or were deleted, following the chain
+ * down to grandchildren. A cancelled or expired parent passes its status on; anything else fails them.
+ * @returns {Array<object>} The jobs that were updated
+ */
+function settleJobsWithFailedDependencies() {
+    const findBroken = db.prepare(`
+        SELECT d.job_id, d.depends_on_job_id, p.status AS parent_status
+        FROM job_dependencies d
+        JOIN jobs c ON c.mobilesd_job_id = d.job_id
+        LEFT JOIN jobs p ON p.mobilesd_job_id = d.depends_on_job_id
+        WHERE c.status IN ('pending', 'held')
+          AND (p.mobilesd_job_id IS NULL OR p.status IN (${FAILED_DEPENDENCY_STATUSES.map(() => '?').join(', ')}))
+    `);
+
+    const settled = [];
+    let broken = findBroken.all(...FAILED_DEPENDENCY_STATUSES);
+    while (broken.length > 0) {
+        const handled = new Set();
+        for (const row of broken) {
+            if (handled.has(row.job_id)) continue;
+            handled.add(row.job_id);
+
+            const parentState = row.parent_status || 'was deleted';
+            const updatedJob = updateJob(row.job_id, {
+                status: ['cancelled', 'expired'].includes(row.parent_status) ? row.parent_status : 'failed',
+                completion_timestamp: new Date().toISOString(),
+                result_details: {
+                    error: `Dependency job ${row.depends_on_job_id} ${parentState}.`,
+                    failed_dependency: row.depends_on_job_id
+                }
+            }, { actor: systemActor('dependencies') });
+            if (updatedJob) {
+                settled.push(updatedJob);
+            }
+        }
+        // Children of the jobs just settled may now be broken too
+        broken = findBroken.all(...FAILED_DEPENDENCY_STATUSES);
+    }
+    return settled;
+}
+
 /**
  * Retrieves a job by its ID.
  * @param {string} mobilesdJobId
@@ -167,20 +979,28 @@ function getJobById(mobilesdJobId) {
             retry_count: row.retry_count,
             // Include new fields with fallbacks
             app_type: row.app_type || 'forge',
+            mode: row.mode || 'txt2img',
             source_info: row.source_info || 'ui',
-            api_key_id: row.api_key_id || null
+            api_key_id: row.api_key_id || null,
+            priority: row.priority ?? DEFAULT_JOB_PRIORITY,
+            target_pool: row.target_pool || null,
+            project: row.project || null,
+            tags: getJobTagMap([row.mobilesd_job_id]).get(row.mobilesd_job_id) || [],
+            ...describeDependencies(getJobDependencyMap([row.mobilesd_job_id]).get(row.mobilesd_job_id))
         };
     }
     return null;
 }
 
 /**
- * Updates an existing job.
+ * Updates an existing job. A status change, or progress passing a milestone, is added to the job's event history.
  * @param {string} mobilesdJobId
  * @param {object} updates - Object containing fields to update.
+ * @param {object} [event] - Optional actor (defaults to the system), message (defaults to the error or message
+ *                           of the new result_details) and details for the status change event
  * @returns {object|null} The updated job object fetched from DB or null if not found/not updated.
  */
-function updateJob(mobilesdJobId, updates) {
+function updateJob(mobilesdJobId, updates, event = {}) {
     const jobExists = getJobById(mobilesdJobId); // Check if job exists first
     if (!jobExists) {
         console.warn("Attempted to update non-existent job:", mobilesdJobId);
@@ -223,7 +1043,8 @@ function updateJob(mobilesdJobId, updates) {
     const allowedColumns = [
         'status', 'last_updated_timestamp', 'completion_timestamp', 
         'forge_session_hash', 'generation_params_json', 'result_details_json', 
-        'retry_count'
+        'retry_count', 'priority', 'target_server_alias', 'target_pool', 'run_after', 'expires_at', 'sort_position',
+        'lease_owner', 'lease_expires_at', 'heartbeat_at', 'project', 'processing_started_at', 'queued_at'
     ];
     
     // Only include forge_internal_task_id in allowed columns if it exists
@@ -260,36 +1081,98 @@ function updateJob(mobilesdJobId, updates) {
     
     try {
         const result = stmt.run(values);
-        if (result.changes > 0) {
+        if (result.changes === 0) {
+            // If changes is 0, but the job exists, it might mean the values were the same.
+            // Return the current state of the job.
             return getJobById(mobilesdJobId);
         }
-        // If changes is 0, but the job exists, it might mean the values were the same.
-        // Return the current state of the job.
-        return getJobById(mobilesdJobId);
+        const updatedJob = getJobById(mobilesdJobId);
+        recordJobUpdateEvents(jobExists, updatedJob, values.result_details_json !== undefined, event);
+        return updatedJob;
     } catch (error) {
         console.error("Error updating job in database:", error, "SQL:", sql, "Values:", values);
         throw error;
     }
 }
 
+// Adds the status change and progress milestone an update made, if any, to the job's event history
+function recordJobUpdateEvents(previousJob, updatedJob, resultDetailsChanged, event) {
+    const resultDetails = updatedJob.result_details || {};
+    if (updatedJob.status !== previousJob.status) {
+        recordJobEvent(updatedJob.mobilesd_job_id, 'status_changed', {
+            actor: event.actor,
+            from_status: previousJob.status,
+            to_status: updatedJob.status,
+            message: event.message || (resultDetailsChanged ? resultDetails.error || resultDetails.message : null),
+            details: event.details,
+            created_at: updatedJob.last_updated_timestamp
+        });
+    }
+    const milestone = getPassedProgressMilestone((previousJob.result_details || {}).progress_percentage, resultDetails.progress_percentage);
+    if (milestone !== null && updatedJob.status === 'processing') {
+        recordJobEvent(updatedJob.mobilesd_job_id, 'progress', {
+            actor: event.actor,
+            message: `Reached ${milestone}%`,
+            details: { progress_percentage: resultDetails.progress_percentage },
+            created_at: updatedJob.last_updated_timestamp
+        });
+    }
+}
+
 /**
- * Finds pending jobs, oldest first.
+ * Finds pending jobs, highest priority first and oldest first within the same priority.
  * @param {number} limit - Optional max number of jobs to return
- * @param {string} minCreationTimestamp - Optional ISO timestamp, only jobs created after this time will be returned
+ * @param {string} minCreationTimestamp - Optional ISO timestamp, only jobs created (or scheduled to run) after this time will be returned
+ * @param {object} filters - Optional filters
+ * @param {string} filters.target_server_alias - Only return jobs aimed at this server
+ * @param {Array<string>} filters.target_server_aliases - Only return jobs aimed at any of these servers or pools
+ * @param {Array<string>} filters.exclude_server_aliases - Skip jobs aimed at any of these servers
+ * @param {boolean} filters.ready_only - Skip jobs whose run_after (e.g. retry backoff) is still in the future
+ *                                        or whose parent jobs have not all completed
  * @returns {Array<object>} Array of pending job objects with parsed JSON.
  */
-function findPendingJobs(limit = 0, minCreationTimestamp = null) {
+function findPendingJobs(limit = 0, minCreationTimestamp = null, filters = {}) {
     let sql = "SELECT * FROM jobs WHERE status = 'pending'";
     const params = [];
     
     // Add timestamp filter if provided
     if (minCreationTimestamp) {
-        sql += " AND creation_timestamp >= ?";
+        // Jobs scheduled ahead count from their run time rather than when they were submitted
+        sql += " AND COALESCE(run_after, creation_timestamp) >= ?";
         params.push(minCreationTimestamp);
     }
     
+    if (filters.target_server_alias) {
+        sql += " AND target_server_alias = ?";
+        params.push(filters.target_server_alias);
+    }
+    
+    if (Array.isArray(filters.target_server_aliases)) {
+        if (filters.target_server_aliases.length === 0) {
+            return [];
+        }
+        sql += ` AND target_server_alias IN (${filters.target_server_aliases.map(() => '?').join(', ')})`;
+        params.push(...filters.target_server_aliases);
+    }
+    
+    if (Array.isArray(filters.exclude_server_aliases) && filters.exclude_server_aliases.length > 0) {
+        sql += ` AND target_server_alias NOT IN (${filters.exclude_server_aliases.map(() => '?').join(', ')})`;
+        params.push(...filters.exclude_server_aliases);
+    }
+    
+    if (filters.ready_only) {
+        sql += " AND (run_after IS NULL OR run_after <= ?)";
+        params.push(new Date().toISOString());
+        // Hold back jobs until every parent in the dependency graph has completed
+        sql += ` AND NOT EXISTS (
+            SELECT 1 FROM job_dependencies d
+            LEFT JOIN jobs p ON p.mobilesd_job_id = d.depends_on_job_id
+            WHERE d.job_id = jobs.mobilesd_job_id AND (p.status IS NULL OR p.status != 'completed')
+        )`;
+    }
+    
     // Add order by
-    sql += " ORDER BY creation_timestamp ASC";
+    sql += " ORDER BY priority DESC, sort_position ASC, creation_timestamp ASC";
     
     // Add limit if provided
     if (limit > 0) {
@@ -452,6 +1335,9 @@ function getAllJobs(options = {}) {
         rows = stmt.all();
     }
     
+    const dependencyMap = getJobDependencyMap(rows.map(row => row.mobilesd_job_id));
+    const tagMap = getJobTagMap(rows.map(row => row.mobilesd_job_id));
+    
     return rows.map(row => ({
         ...row,
         generation_params: JSON.parse(row.generation_params_json || '{}'),
@@ -461,8 +1347,14 @@ function getAllJobs(options = {}) {
         result_details_json: row.result_details_json,
         // Include new fields with fallbacks
         app_type: row.app_type || 'forge',
+        mode: row.mode || 'txt2img',
         source_info: row.source_info || 'ui',
-        api_key_id: row.api_key_id || null
+        api_key_id: row.api_key_id || null,
+        priority: row.priority ?? DEFAULT_JOB_PRIORITY,
+        target_pool: row.target_pool || null,
+        project: row.project || null,
+        tags: tagMap.get(row.mobilesd_job_id) || [],
+        ...describeDependencies(dependencyMap.get(row.mobilesd_job_id))
     }));
 }
 
@@ -474,36 +1366,514 @@ function getAllJobs(options = {}) {
 function deleteJob(mobilesdJobId) {
     const stmt = db.prepare('DELETE FROM jobs WHERE mobilesd_job_id = ?');
     const result = stmt.run(mobilesdJobId);
+    // Edges pointing at this job stay behind so its dependents are failed rather than left waiting
+    db.prepare('DELETE FROM job_dependencies WHERE job_id = ?').run(mobilesdJobId);
+    db.prepare('DELETE FROM job_tags WHERE job_id = ?').run(mobilesdJobId);
+    db.prepare('DELETE FROM job_events WHERE job_id = ?').run(mobilesdJobId);
     return result.changes > 0;
 }
 
 /**
  * Marks a job as cancelled.
  * @param {string} mobilesdJobId - The ID of the job to cancel
+ * @param {object} [actor] - Who cancelled it, for the job's event history
  * @returns {object|null} The updated job object or null if the job was not found
  */
-function cancelJob(mobilesdJobId) {
+function cancelJob(mobilesdJobId, actor) {
     return updateJob(mobilesdJobId, {
         status: 'cancelled',
         completion_timestamp: new Date().toISOString(),
         result_details: { cancelled: true, message: 'Job cancelled by user' }
-    });
+    }, { actor });
 }
 
 /**
- * Updates only the result_details field for a job.
- * @param {string} mobilesdJobId - The ID of the job to update
- * @param {object} resultDetails - Object to merge with existing result_details
+ * Cancels the jobs of a bulk submission that have not started yet. Jobs already running are left to finish,
+ * since the dispatcher would record their outcome over the cancellation anyway.
+ * @param {string} bulkJobId - The bulk submission to cancel
+ * @param {object} [actor] - Who cancelled them, for the jobs' event history
+ * @returns {Array<object>} The jobs that were cancelled
+ */
+function cancelBulkJobs(bulkJobId, actor) {
+    const cancelRemaining = db.transaction(() => db.prepare(`
+        SELECT mobilesd_job_id FROM jobs
+        WHERE bulk_job_id = ? AND status IN ('pending', 'held')
+        ORDER BY sort_position ASC
+    `).all(bulkJobId)
+        .map(row => cancelJob(row.mobilesd_job_id, actor))
+        .filter(Boolean));
+    return cancelRemaining();
+}
+
+/**
+ * Parks a pending job. The dispatcher skips held jobs until they are released; the job keeps its
+ * priority and queue position so it goes back to the same place.
+ * @param {string} mobilesdJobId - The ID of the job to hold
+ * @param {object} [actor] - Who held it, for the job's event history
  * @returns {object|null} The updated job object or null if the job was not found
  */
-function updateJobResult(mobilesdJobId, resultDetails) {
-    // Get the current job to access its existing result_details
-    const currentJob = getJobById(mobilesdJobId);
-    if (!currentJob) {
-        console.warn(`Cannot update result details for non-existent job: ${mobilesdJobId}`);
-        return null;
-    }
-    
+function holdJob(mobilesdJobId, actor) {
+    return updateJob(mobilesdJobId, { status: 'held' }, { actor, message: 'Job held' });
+}
+
+/**
+ * Returns a held job to the pending queue. The pending job TTL starts again from the release, so a job
+ * held for longer than the TTL does not expire as soon as it is released.
+ * @param {string} mobilesdJobId - The ID of the job to release
+ * @param {object} [actor] - Who released it, for the job's event history
+ * @returns {object|null} The updated job object or null if the job was not found
+ */
+function releaseJob(mobilesdJobId, actor) {
+    return updateJob(mobilesdJobId, { status: 'pending', queued_at: new Date().toISOString() }, { actor, message: 'Job released' });
+}
+
+/**
+ * Parses a tag filter: one tag, a comma-separated list or an array of them. Jobs must have every tag.
+ * @param {*} value
+ * @returns {{tags: Array<string>}|{error: string}}
+ */
+function parseTagFilter(value) {
+    const result = normalizeJobLabels({ tags: Array.isArray(value) ? value : String(value) });
+    if (result.error) {
+        return { error: result.error };
+    }
+    if (result.labels.tags.length === 0) {
+        return { error: 'tag must name at least one tag' };
+    }
+    return { tags: result.labels.tags };
+}
+
+/**
+ * Validates the filters of a bulk hold or release request.
+ * @param {object} body - Request body with target_server_alias, api_key_id, tag and/or project
+ * @returns {{filters: object}|{field: string, error: string}} The filters, or the field that is invalid
+ */
+function normalizeBulkJobFilters(body = {}) {
+    const filters = {};
+    for (const field of ['target_server_alias', 'api_key_id', 'project']) {
+        if (body[field] === undefined) continue;
+        if (typeof body[field] !== 'string' || !body[field].trim()) {
+            return { field, error: `${field} must be a non-empty string` };
+        }
+        filters[field] = body[field].trim();
+    }
+    if (body.tag !== undefined) {
+        const tagFilter = parseTagFilter(body.tag);
+        if (tagFilter.error) {
+            return { field: 'tag', error: tagFilter.error };
+        }
+        filters.tags = tagFilter.tags;
+    }
+    if (Object.keys(filters).length === 0) {
+        return { field: 'filters', error: 'At least one filter is required: target_server_alias, api_key_id, tag or project' };
+    }
+    return { filters };
+}
+
+/**
+ * Turns free text into an FTS5 query over the prompt columns. Words must all appear (in either prompt);
+ * "quoted phrases" must appear as written, a trailing * matches a prefix and a leading - excludes a word.
+ * @param {string} text
+ * @returns {string|null} The MATCH expression, or null if the text has no word to look for
+ */
+function buildPromptSearchQuery(text) {
+    const included = [];
+    const excluded = [];
+    for (const [, phrase, word] of text.matchAll(/(-?"[^"]*"\*?)|([^\s"]+)/g)) {
+        const term = phrase || word;
+        const exclude = term.startsWith('-');
+        const prefix = term.endsWith('*');
+        const body = term.replace(/^-/, '').replace(/\*$/, '').replace(/"/g, '').trim();
+        if (!body) continue;
+        (exclude ? excluded : included).push(`"${body}"${prefix ? ' *' : ''}`);
+    }
+    if (included.length === 0) {
+        return null;
+    }
+    let query = included.join(' AND ');
+    if (excluded.length > 0) {
+        query = `(${query}) NOT (${excluded.join(' OR ')})`;
+    }
+    return `{positive_prompt negative_prompt} : (${query})`;
+}
+
+// Opaque position of a job in creation order, for keyset pagination
+function encodeJobCursor(job, order) {
+    return Buffer.from(JSON.stringify({ t: job.creation_timestamp, id: job.mobilesd_job_id, o: order })).toString('base64url');
+}
+
+function decodeJobCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof decoded.t === 'string' && typeof decoded.id === 'string' && ['ASC', 'DESC'].includes(decoded.o)) {
+            return decoded;
+        }
+    } catch (error) {
+        // Falls through to the invalid cursor result
+    }
+    return null;
+}
+
+/**
+ * Validates the query string of a job list request.
+ * @param {object} query - status (one or comma-separated), app_type, server, api_key_id, checkpoint, search,
+ *                         tag (one or comma-separated), project, created_after, created_before, limit, cursor,
+ *                         offset and order
+ * @returns {{query: object}|{field: string, error: string}} The query for queryJobs, or the field that is invalid
+ */
+function normalizeJobQuery(query = {}) {
+    const normalized = { order: String(query.order || '').toLowerCase() === 'asc' ? 'ASC' : 'DESC' };
+
+    if (query.status !== undefined && query.status !== '') {
+        const statuses = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+        const unknown = statuses.find(status => !JOB_STATUSES.includes(status));
+        if (unknown || statuses.length === 0) {
+            return { field: 'status', error: `status must be one or more of: ${JOB_STATUSES.join(', ')}` };
+        }
+        normalized.statuses = statuses;
+    }
+
+    for (const field of ['app_type', 'server', 'api_key_id', 'checkpoint', 'search', 'project']) {
+        if (query[field] === undefined || query[field] === '') continue;
+        if (typeof query[field] !== 'string' || !query[field].trim()) {
+            return { field, error: `${field} must be a non-empty string` };
+        }
+        normalized[field] = query[field].trim();
+    }
+    if (normalized.search) {
+        normalized.search_query = buildPromptSearchQuery(normalized.search);
+        if (!normalized.search_query) {
+            return { field: 'search', error: 'search must contain at least one word to look for' };
+        }
+    }
+    if (query.tag !== undefined && query.tag !== '') {
+        const tagFilter = parseTagFilter(query.tag);
+        if (tagFilter.error) {
+            return { field: 'tag', error: tagFilter.error };
+        }
+        normalized.tags = tagFilter.tags;
+    }
+
+    for (const field of ['created_after', 'created_before']) {
+        if (query[field] === undefined || query[field] === '') continue;
+        const date = new Date(/^\d+$/.test(query[field]) ? Number(query[field]) : query[field]);
+        if (isNaN(date.getTime())) {
+            return { field, error: `${field} must be an ISO 8601 date or epoch milliseconds` };
+        }
+        normalized[field] = date.toISOString();
+    }
+
+    if (query.limit !== undefined && query.limit !== '') {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_JOB_QUERY_LIMIT) {
+            return { field: 'limit', error: `limit must be an integer between 1 and ${MAX_JOB_QUERY_LIMIT}` };
+        }
+        normalized.limit = limit;
+    }
+
+    if (query.cursor !== undefined && query.cursor !== '') {
+        const cursor = decodeJobCursor(String(query.cursor));
+        if (!cursor) {
+            return { field: 'cursor', error: 'cursor is invalid' };
+        }
+        if (cursor.o !== normalized.order) {
+            return { field: 'cursor', error: 'cursor belongs to a listing in the other order' };
+        }
+        if (query.offset !== undefined && query.offset !== '') {
+            return { field: 'offset', error: 'offset cannot be combined with cursor' };
+        }
+        normalized.cursor = cursor;
+        normalized.limit = normalized.limit || DEFAULT_JOB_QUERY_LIMIT;
+    } else if (query.offset !== undefined && query.offset !== '') {
+        const offset = Number(query.offset);
+        if (!Number.isInteger(offset) || offset < 0) {
+            return { field: 'offset', error: 'offset must be a non-negative integer' };
+        }
+        normalized.offset = offset;
+    }
+
+    return { query: normalized };
+}
+
+/**
+ * Lists jobs in creation order, filtered and one page at a time. Pages follow on from a cursor, so they
+ * stay stable while new jobs are queued.
+ * @param {object} query - From normalizeJobQuery; without a limit every matching job is returned
+ * @returns {{jobs: Array<object>, next_cursor: string|null}} Jobs with parsed JSON fields, and the cursor of
+ *          the next page, or null on the last page
+ */
+function queryJobs(query = {}) {
+    const order = query.order === 'ASC' ? 'ASC' : 'DESC';
+    const conditions = [];
+    const values = {};
+
+    if (query.statuses) {
+        conditions.push(`status IN (${query.statuses.map((status, index) => {
+            values[`status${index}`] = status;
+            return `@status${index}`;
+        }).join(', ')})`);
+    }
+    if (query.app_type) {
+        conditions.push('app_type = @app_type');
+        values.app_type = query.app_type;
+    }
+    if (query.server) {
+        // Pool jobs match by pool name as well as by the server they were routed to
+        conditions.push('(target_server_alias = @server OR target_pool = @server)');
+        values.server = query.server;
+    }
+    if (query.api_key_id) {
+        conditions.push('api_key_id = @api_key_id');
+        values.api_key_id = query.api_key_id;
+    }
+    if (query.checkpoint) {
+        conditions.push(`LOWER(COALESCE(json_extract(generation_params_json, '$.checkpoint_name'),
+            json_extract(generation_params_json, '$.sd_checkpoint'), '')) LIKE @checkpoint ESCAPE '\\'`);
+        values.checkpoint = `%${escapeLikePattern(query.checkpoint.toLowerCase())}%`;
+    }
+    if (query.search_query) {
+        conditions.push('mobilesd_job_id IN (SELECT mobilesd_job_id FROM jobs_fts WHERE jobs_fts MATCH @search_query)');
+        values.search_query = query.search_query;
+    }
+    if (query.tags) {
+        conditions.push(`mobilesd_job_id IN (SELECT job_id FROM job_tags WHERE tag IN (${query.tags.map((tag, index) => {
+            values[`tag${index}`] = tag;
+            return `@tag${index}`;
+        }).join(', ')}) GROUP BY job_id HAVING COUNT(*) = @tag_count)`);
+        values.tag_count = query.tags.length;
+    }
+    if (query.project) {
+        conditions.push('project = @project COLLATE NOCASE');
+        values.project = query.project;
+    }
+    if (query.created_after) {
+        conditions.push('creation_timestamp >= @created_after');
+        values.created_after = query.created_after;
+    }
+    if (query.created_before) {
+        conditions.push('creation_timestamp < @created_before');
+        values.created_before = query.created_before;
+    }
+    if (query.cursor) {
+        const comparison = order === 'ASC' ? '>' : '<';
+        conditions.push(`(creation_timestamp ${comparison} @cursor_t OR (creation_timestamp = @cursor_t AND mobilesd_job_id ${comparison} @cursor_id))`);
+        values.cursor_t = query.cursor.t;
+        values.cursor_id = query.cursor.id;
+    }
+
+    let sql = 'SELECT * FROM jobs';
+    if (conditions.length > 0) {
+        sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ` ORDER BY creation_timestamp ${order}, mobilesd_job_id ${order}`;
+    if (query.limit) {
+        // One extra row tells whether there is a next page
+        sql += ' LIMIT @limit';
+        values.limit = query.limit + 1;
+        if (query.offset) {
+            sql += ' OFFSET @offset';
+            values.offset = query.offset;
+        }
+    }
+
+    const rows = db.prepare(sql).all(values);
+    const hasMore = Boolean(query.limit) && rows.length > query.limit;
+    const pageRows = hasMore ? rows.slice(0, query.limit) : rows;
+    const dependencyMap = getJobDependencyMap(pageRows.map(row => row.mobilesd_job_id));
+    const tagMap = getJobTagMap(pageRows.map(row => row.mobilesd_job_id));
+    const jobs = pageRows.map(row => ({
+        ...row,
+        generation_params: JSON.parse(row.generation_params_json || '{}'),
+        result_details: row.result_details_json ? JSON.parse(row.result_details_json) : null,
+        app_type: row.app_type || 'forge',
+        mode: row.mode || 'txt2img',
+        source_info: row.source_info || 'ui',
+        api_key_id: row.api_key_id || null,
+        priority: row.priority ?? DEFAULT_JOB_PRIORITY,
+        target_pool: row.target_pool || null,
+        project: row.project || null,
+        tags: tagMap.get(row.mobilesd_job_id) || [],
+        ...describeDependencies(dependencyMap.get(row.mobilesd_job_id))
+    }));
+    return {
+        jobs,
+        next_cursor: hasMore ? encodeJobCursor(jobs[jobs.length - 1], order) : null
+    };
+}
+
+// Applies updates (at least the new status) to every job in fromStatus that matches the filters
+function setStatusOfMatchingJobs(fromStatus, updates, filters, event) {
+    let sql = 'SELECT mobilesd_job_id FROM jobs WHERE status = ?';
+    const params = [fromStatus];
+    if (filters.target_server_alias) {
+        // Pool jobs match by pool name as well as by the server they were routed to
+        sql += ' AND (target_server_alias = ? OR target_pool = ?)';
+        params.push(filters.target_server_alias, filters.target_server_alias);
+    }
+    if (filters.api_key_id) {
+        sql += ' AND api_key_id = ?';
+        params.push(filters.api_key_id);
+    }
+    if (filters.tags) {
+        sql += ` AND mobilesd_job_id IN (SELECT job_id FROM job_tags WHERE tag IN (${filters.tags.map(() => '?').join(', ')})
+            GROUP BY job_id HAVING COUNT(*) = ?)`;
+        params.push(...filters.tags, filters.tags.length);
+    }
+    if (filters.project) {
+        sql += ' AND project = ? COLLATE NOCASE';
+        params.push(filters.project);
+    }
+    sql += ' ORDER BY priority DESC, sort_position ASC, creation_timestamp ASC';
+
+    const update = db.transaction(() => db.prepare(sql).all(...params)
+        .map(row => updateJob(row.mobilesd_job_id, updates, event))
+        .filter(Boolean));
+    return update();
+}
+
+/**
+ * Holds every pending job matching the filters.
+ * @param {object} filters - From normalizeBulkJobFilters
+ * @param {object} [actor] - Who held them, for the jobs' event history
+ * @returns {Array<object>} The jobs that were held
+ */
+function holdJobs(filters, actor) {
+    return setStatusOfMatchingJobs('pending', { status: 'held' }, filters, { actor, message: 'Job held by a bulk hold', details: { filters } });
+}
+
+/**
+ * Releases every held job matching the filters, restarting their pending job TTL as releaseJob does.
+ * @param {object} filters - From normalizeBulkJobFilters
+ * @param {object} [actor] - Who released them, for the jobs' event history
+ * @returns {Array<object>} The jobs that were released
+ */
+function releaseJobs(filters, actor) {
+    const updates = { status: 'pending', queued_at: new Date().toISOString() };
+    return setStatusOfMatchingJobs('held', updates, filters, { actor, message: 'Job released by a bulk release', details: { filters } });
+}
+
+/**
+ * Changes the priority of a pending job.
+ * @param {string} mobilesdJobId - The ID of the job to update
+ * @param {number} priority - New priority (already normalized)
+ * @param {object} [actor] - Who changed it, for the job's event history
+ * @returns {object|null} The updated job object or null if the job was not found
+ */
+function setJobPriority(mobilesdJobId, priority, actor) {
+    const previous = db.prepare('SELECT priority FROM jobs WHERE mobilesd_job_id = ?').get(mobilesdJobId);
+    const updatedJob = updateJob(mobilesdJobId, { priority });
+    if (updatedJob && previous.priority !== priority) {
+        recordJobEvent(mobilesdJobId, 'priority_changed', {
+            actor,
+            message: `Priority changed from ${previous.priority} to ${priority}`,
+            details: { from: previous.priority, to: priority }
+        });
+    }
+    return updatedJob;
+}
+
+/**
+ * Lists pending job IDs in dispatch order (priority first, then queue position).
+ * @returns {Array<{mobilesd_job_id: string, priority: number, sort_position: number}>}
+ */
+function getPendingQueueOrder() {
+    return db.prepare(`
+        SELECT mobilesd_job_id, priority, sort_position FROM jobs
+        WHERE status = 'pending'
+        ORDER BY priority DESC, sort_position ASC, creation_timestamp ASC
+    `).all();
+}
+
+/**
+ * Moves a pending job within the queue. Priority still comes first in dispatch order, so a job moved
+ * next to another job takes that job's priority, and a job moved to the top (or bottom) is raised
+ * (or lowered) to the priority of the job currently there.
+ * @param {string} mobilesdJobId - The pending job to move
+ * @param {string} position - 'top', 'bottom', 'before' or 'after'
+ * @param {string} [relativeJobId] - The pending job to move next to, for 'before' and 'after'
+ * @param {object} [actor] - Who moved it, for the job's event history
+ * @returns {object|null} The updated job object or null if the job was not found
+ */
+function moveJob(mobilesdJobId, position, relativeJobId = null, actor) {
+    const move = db.transaction(() => {
+        const job = db.prepare('SELECT mobilesd_job_id, priority, sort_position FROM jobs WHERE mobilesd_job_id = ?').get(mobilesdJobId);
+        if (!job) {
+            return null;
+        }
+        let queue = getPendingQueueOrder().filter(entry => entry.mobilesd_job_id !== mobilesdJobId);
+
+        let index;
+        if (position === 'top') {
+            index = 0;
+        } else if (position === 'bottom') {
+            index = queue.length;
+        } else {
+            const relativeIndex = queue.findIndex(entry => entry.mobilesd_job_id === relativeJobId);
+            index = position === 'before' ? relativeIndex : relativeIndex + 1;
+        }
+
+        let priority = job.priority;
+        if (position === 'top' && queue.length > 0) {
+            priority = Math.max(job.priority, queue[0].priority);
+        } else if (position === 'bottom' && queue.length > 0) {
+            priority = Math.min(job.priority, queue[queue.length - 1].priority);
+        } else if (position === 'before' || position === 'after') {
+            priority = queue.find(entry => entry.mobilesd_job_id === relativeJobId).priority;
+        }
+
+        // Only neighbours at the same priority constrain the new position
+        let previous = queue[index - 1] && queue[index - 1].priority === priority ? queue[index - 1] : null;
+        let next = queue[index] && queue[index].priority === priority ? queue[index] : null;
+
+        // Positions are halved on every move between the same two jobs; respace the queue once they run out of room
+        if (previous && next && !(previous.sort_position < (previous.sort_position + next.sort_position) / 2
+            && (previous.sort_position + next.sort_position) / 2 < next.sort_position)) {
+            const respace = db.prepare('UPDATE jobs SET sort_position = ? WHERE mobilesd_job_id = ?');
+            const base = Date.now() - queue.length;
+            queue.forEach((entry, i) => {
+                entry.sort_position = base + i;
+                respace.run(entry.sort_position, entry.mobilesd_job_id);
+            });
+        }
+
+        let sortPosition = job.sort_position;
+        if (previous && next) {
+            sortPosition = (previous.sort_position + next.sort_position) / 2;
+        } else if (previous) {
+            sortPosition = previous.sort_position + 1;
+        } else if (next) {
+            sortPosition = next.sort_position - 1;
+        }
+
+        const updatedJob = updateJob(mobilesdJobId, { priority, sort_position: sortPosition });
+        recordJobEvent(mobilesdJobId, 'moved', {
+            actor,
+            message: position === 'top' || position === 'bottom' ? `Moved to the ${position} of the queue` : `Moved ${position} job ${relativeJobId}`,
+            details: {
+                position,
+                ...(relativeJobId ? { relative_to: relativeJobId } : {}),
+                ...(priority !== job.priority ? { priority_from: job.priority, priority_to: priority } : {})
+            }
+        });
+        return updatedJob;
+    });
+    return move();
+}
+
+/**
+ * Updates only the result_details field for a job.
+ * @param {string} mobilesdJobId - The ID of the job to update
+ * @param {object} resultDetails - Object to merge with existing result_details
+ * @returns {object|null} The updated job object or null if the job was not found
+ */
+function updateJobResult(mobilesdJobId, resultDetails) {
+    // Get the current job to access its existing result_details
+    const currentJob = getJobById(mobilesdJobId);
+    if (!currentJob) {
+        console.warn(`Cannot update result details for non-existent job: ${mobilesdJobId}`);
+        return null;
+    }
+    
     // Merge the new result details with existing ones
     const updatedResultDetails = {
         ...(currentJob.result_details || {}),
@@ -517,8 +1887,687 @@ function updateJobResult(mobilesdJobId, resultDetails) {
     });
 }
 
+// --- Job Events ---
+
+/**
+ * An API key as the actor of a job event.
+ * @param {string} apiKeyId
+ * @returns {{type: string, id: string|null}}
+ */
+function apiKeyActor(apiKeyId) {
+    return { type: 'api_key', id: apiKeyId || null };
+}
+
+/**
+ * The system as the actor of a job event.
+ * @param {string} [component] - The part of the system acting, e.g. 'dispatcher'
+ * @returns {{type: string, id: string|null}}
+ */
+function systemActor(component = null) {
+    return { type: 'system', id: component };
+}
+
+// Who queued a job when the caller does not say: its API key, its schedule, or otherwise the UI
+function getCreationActor(jobData) {
+    if (jobData.api_key_id) {
+        return apiKeyActor(jobData.api_key_id);
+    }
+    return jobData.schedule_id ? systemActor('scheduler') : UI_ACTOR;
+}
+
+/**
+ * Appends an entry to a job's event history. A failure is logged rather than thrown, so the history
+ * never blocks the change it describes.
+ * @param {string} jobId
+ * @param {string} eventType - 'created', 'status_changed', 'dispatch_attempt', 'dispatch_failed', 'progress',
+ *                             'priority_changed', 'moved', 'labels_changed' or 'cloned'
+ * @param {object} [event] - Optional actor (defaults to the system), message, details object,
+ *                           from_status, to_status and created_at
+ */
+function recordJobEvent(jobId, eventType, event = {}) {
+    const actor = event.actor || systemActor();
+    try {
+        db.prepare(`
+            INSERT INTO job_events (job_id, event_type, from_status, to_status, actor_type, actor_id, message, details_json, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            jobId,
+            eventType,
+            event.from_status || null,
+            event.to_status || null,
+            actor.type,
+            actor.id || null,
+            event.message || null,
+            event.details ? JSON.stringify(event.details) : null,
+            event.created_at || new Date().toISOString()
+        );
+    } catch (error) {
+        console.error(`Error recording '${eventType}' event for job ${jobId}:`, error);
+    }
+}
+
+/**
+ * Lists a job's event history, oldest first.
+ * @param {string} jobId
+ * @returns {Array<object>} Events with the actor as { type, id } and parsed details
+ */
+function getJobEvents(jobId) {
+    return db.prepare('SELECT * FROM job_events WHERE job_id = ? ORDER BY id ASC').all(jobId)
+        .map(({ job_id, actor_type, actor_id, details_json, ...event }) => ({
+            ...event,
+            actor: { type: actor_type, id: actor_id },
+            details: details_json ? JSON.parse(details_json) : null
+        }));
+}
+
+// Highest progress milestone a run passed between two reported percentages, if any
+function getPassedProgressMilestone(previousPercentage, percentage) {
+    if (typeof percentage !== 'number') {
+        return null;
+    }
+    const previous = typeof previousPercentage === 'number' ? previousPercentage : 0;
+    const passed = PROGRESS_MILESTONES.filter(milestone => previous < milestone && milestone <= percentage);
+    return passed.length > 0 ? passed[passed.length - 1] : null;
+}
+
+// --- Job Schedules ---
+
+function parseScheduleRow(row) {
+    if (!row) {
+        return null;
+    }
+    const { generation_params_json, prompt_expansion_json, ...schedule } = row;
+    return {
+        ...schedule,
+        enabled: Boolean(row.enabled),
+        generation_params: JSON.parse(generation_params_json || '{}'),
+        prompt_expansion: prompt_expansion_json ? JSON.parse(prompt_expansion_json) : null
+    };
+}
+
+/**
+ * Creates a recurring job schedule.
+ * @param {object} scheduleData - name, cron_expression, target_server_alias, generation_params,
+ *                                optional prompt_expansion, app_type, priority, enabled, and the precomputed next_run_at
+ * @returns {object} The stored schedule
+ */
+function createSchedule(scheduleData) {
+    const now = new Date().toISOString();
+    const record = {
+        id: uuidv4(),
+        name: scheduleData.name,
+        cron_expression: scheduleData.cron_expression,
+        target_server_alias: scheduleData.target_server_alias,
+        generation_params_json: JSON.stringify(scheduleData.generation_params || {}),
+        prompt_expansion_json: scheduleData.prompt_expansion ? JSON.stringify(scheduleData.prompt_expansion) : null,
+        app_type: scheduleData.app_type || 'forge',
+        priority: normalizePriority(scheduleData.priority) ?? DEFAULT_JOB_PRIORITY,
+        enabled: scheduleData.enabled === false ? 0 : 1,
+        next_run_at: scheduleData.next_run_at || null,
+        last_run_at: null,
+        last_job_id: null,
+        created_at: now,
+        updated_at: now
+    };
+    const columns = Object.keys(record);
+    db.prepare(`INSERT INTO job_schedules (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`).run(record);
+    return getScheduleById(record.id);
+}
+
+/**
+ * Retrieves a schedule by its ID.
+ * @param {string} scheduleId
+ * @returns {object|null} The schedule with parsed generation_params, or null if not found
+ */
+function getScheduleById(scheduleId) {
+    return parseScheduleRow(db.prepare('SELECT * FROM job_schedules WHERE id = ?').get(scheduleId));
+}
+
+/**
+ * Lists all schedules, soonest next run first (disabled schedules last).
+ * @returns {Array<object>}
+ */
+function getAllSchedules() {
+    return db.prepare('SELECT * FROM job_schedules ORDER BY enabled DESC, next_run_at IS NULL, next_run_at ASC')
+        .all()
+        .map(parseScheduleRow);
+}
+
+/**
+ * Updates a schedule.
+ * @param {string} scheduleId
+ * @param {object} updates - Any of name, cron_expression, target_server_alias, generation_params,
+ *                           prompt_expansion, app_type, priority, enabled, next_run_at, last_run_at, last_job_id
+ * @returns {object|null} The updated schedule or null if not found
+ */
+function updateSchedule(scheduleId, updates) {
+    const allowedColumns = [
+        'name', 'cron_expression', 'target_server_alias', 'generation_params_json', 'prompt_expansion_json',
+        'app_type', 'priority', 'enabled', 'next_run_at', 'last_run_at', 'last_job_id'
+    ];
+    const fields = { ...updates };
+    if (fields.hasOwnProperty('generation_params')) {
+        fields.generation_params_json = JSON.stringify(fields.generation_params);
+        delete fields.generation_params;
+    }
+    if (fields.hasOwnProperty('prompt_expansion')) {
+        fields.prompt_expansion_json = fields.prompt_expansion ? JSON.stringify(fields.prompt_expansion) : null;
+        delete fields.prompt_expansion;
+    }
+    if (fields.hasOwnProperty('enabled')) {
+        fields.enabled = fields.enabled ? 1 : 0;
+    }
+
+    const setClauses = ['updated_at = @updated_at'];
+    const values = { id: scheduleId, updated_at: new Date().toISOString() };
+    for (const key of Object.keys(fields)) {
+        if (allowedColumns.includes(key)) {
+            setClauses.push(`${key} = @${key}`);
+            values[key] = fields[key];
+        }
+    }
+
+    const result = db.prepare(`UPDATE job_schedules SET ${setClauses.join(', ')} WHERE id = @id`).run(values);
+    return result.changes > 0 ? getScheduleById(scheduleId) : null;
+}
+
+/**
+ * Deletes a schedule. Jobs it already created are kept.
+ * @param {string} scheduleId
+ * @returns {boolean} True if the schedule was deleted
+ */
+function deleteSchedule(scheduleId) {
+    return db.prepare('DELETE FROM job_schedules WHERE id = ?').run(scheduleId).changes > 0;
+}
+
+/**
+ * Finds enabled schedules whose next run time has arrived.
+ * @param {string} nowIso - Current time as an ISO timestamp
+ * @returns {Array<object>}
+ */
+function findDueSchedules(nowIso = new Date().toISOString()) {
+    return db.prepare('SELECT * FROM job_schedules WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ? ORDER BY next_run_at ASC')
+        .all(nowIso)
+        .map(parseScheduleRow);
+}
+
+/**
+ * Lists pending jobs that are waiting for a future run_after time (one-off scheduled jobs and retries).
+ * @returns {Array<object>} Jobs with parsed JSON, soonest first
+ */
+function getDeferredJobs() {
+    return db.prepare("SELECT * FROM jobs WHERE status = 'pending' AND run_after > ? ORDER BY run_after ASC")
+        .all(new Date().toISOString())
+        .map(row => ({
+            ...row,
+            generation_params: JSON.parse(row.generation_params_json || '{}'),
+            result_details: row.result_details_json ? JSON.parse(row.result_details_json) : null
+        }));
+}
+
+/**
+ * Gathers what an API key's quotas are measured against.
+ * @param {string} apiKeyId
+ * @param {string} sinceIso - Start of the daily budget window
+ * @returns {{pending_jobs: number, recent_generation_params: Array<object>}} How many of the key's jobs are
+ *          pending, held or processing, and the parameters of jobs it queued since sinceIso that were not
+ *          cancelled or expired before running
+ */
+function getApiKeyJobUsage(apiKeyId, sinceIso) {
+    const { count } = db.prepare(`
+        SELECT COUNT(*) AS count FROM jobs
+        WHERE api_key_id = ? AND status IN ('pending', 'held', 'processing')
+    `).get(apiKeyId);
+    const recentRows = db.prepare(`
+        SELECT generation_params_json FROM jobs
+        WHERE api_key_id = ? AND creation_timestamp >= ? AND status NOT IN ('cancelled', 'expired')
+    `).all(apiKeyId, sinceIso);
+    return {
+        pending_jobs: count,
+        recent_generation_params: recentRows.map(row => JSON.parse(row.generation_params_json || '{}'))
+    };
+}
+
+/**
+ * Fetches how long recently completed jobs took, as samples for learning each server's generation speed.
+ * @param {number} limitPerServer - Most recent completions to return for each server
+ * @returns {Array<{target_server_alias: string, processing_started_at: string, completion_timestamp: string,
+ *          generation_params: object}>} Completed jobs whose start and finish are both recorded
+ */
+function getRecentJobTimings(limitPerServer) {
+    const rows = db.prepare(`
+        SELECT target_server_alias, processing_started_at, completion_timestamp, generation_params_json FROM (
+            SELECT target_server_alias, processing_started_at, completion_timestamp, generation_params_json,
+                   ROW_NUMBER() OVER (PARTITION BY target_server_alias ORDER BY completion_timestamp DESC) AS recency
+            FROM jobs
+            WHERE status = 'completed' AND processing_started_at IS NOT NULL AND completion_timestamp IS NOT NULL
+        ) WHERE recency <= ?
+    `).all(limitPerServer);
+    return rows.map(({ generation_params_json, ...row }) => ({
+        ...row,
+        generation_params: JSON.parse(generation_params_json || '{}')
+    }));
+}
+
+// --- Idempotency Keys ---
+
+/**
+ * Claims an idempotency key for a request that is about to run. Expired keys are purged first, and so is a claim
+ * whose request never finished (the process stopped mid-request).
+ * @param {string} scope - API key ID, or '' for requests without one
+ * @param {string} key - The Idempotency-Key header
+ * @param {string} fingerprint - Hash identifying the request
+ * @param {number} ttlMs - How long the key and its response are kept
+ * @param {number} staleClaimMs - Age after which an unfinished claim is abandoned
+ * @returns {{claimed: boolean, record: object|null}} Whether this request may run, and otherwise the key's record
+ *          (request_fingerprint, status_code, and the parsed response, null while the first request still runs)
+ */
+function claimIdempotencyKey(scope, key, fingerprint, ttlMs, staleClaimMs) {
+    return db.transaction(() => {
+        const now = Date.now();
+        db.prepare('DELETE FROM idempotency_keys WHERE expires_at <= ?').run(new Date(now).toISOString());
+        db.prepare(`
+            DELETE FROM idempotency_keys
+            WHERE scope = ? AND idempotency_key = ? AND response_json IS NULL AND created_at <= ?
+        `).run(scope, key, new Date(now - staleClaimMs).toISOString());
+
+        const inserted = db.prepare(`
+            INSERT OR IGNORE INTO idempotency_keys (scope, idempotency_key, request_fingerprint, created_at, expires_at)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(scope, key, fingerprint, new Date(now).toISOString(), new Date(now + ttlMs).toISOString());
+        if (inserted.changes > 0) {
+            return { claimed: true, record: null };
+        }
+
+        const { response_json, ...record } = db.prepare(`
+            SELECT request_fingerprint, status_code, response_json, created_at, expires_at
+            FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?
+        `).get(scope, key);
+        return { claimed: false, record: { ...record, response: response_json ? JSON.parse(response_json) : null } };
+    })();
+}
+
+/**
+ * Stores the response of a request that claimed an idempotency key, for replaying to retries
+ */
+function saveIdempotentResponse(scope, key, statusCode, response) {
+    db.prepare(`
+        UPDATE idempotency_keys SET status_code = ?, response_json = ? WHERE scope = ? AND idempotency_key = ?
+    `).run(statusCode, JSON.stringify(response), scope, key);
+}
+
+/**
+ * Gives up an unfinished claim so the key can be used again, e.g. after the request was rejected
+ */
+function releaseIdempotencyKey(scope, key) {
+    db.prepare('DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ? AND response_json IS NULL').run(scope, key);
+}
+
+// --- Parameter Sweeps ---
+
+function parseSweepRow(row) {
+    if (!row) {
+        return null;
+    }
+    const { generation_params_json, axes_json, cells_json, ...sweep } = row;
+    return {
+        ...sweep,
+        generation_params: JSON.parse(generation_params_json || '{}'),
+        axes: JSON.parse(axes_json || '[]'),
+        cells: JSON.parse(cells_json || '[]')
+    };
+}
+
+/**
+ * Records a parameter sweep whose jobs have been queued.
+ * @param {object} sweepData - name, target_server_alias, generation_params (the base set), axes,
+ *                             cells ({ mobilesd_job_id, x, y, z } per job) and the jobs' bulk_job_id
+ * @returns {object} The stored sweep
+ */
+function createSweep(sweepData) {
+    const now = new Date().toISOString();
+    const record = {
+        id: uuidv4(),
+        name: sweepData.name || null,
+        status: 'running',
+        target_server_alias: sweepData.target_server_alias,
+        generation_params_json: JSON.stringify(sweepData.generation_params || {}),
+        axes_json: JSON.stringify(sweepData.axes || []),
+        cells_json: JSON.stringify(sweepData.cells || []),
+        bulk_job_id: sweepData.bulk_job_id,
+        grid_filename: null,
+        error: null,
+        created_at: now,
+        updated_at: now,
+        completed_at: null
+    };
+    const columns = Object.keys(record);
+    db.prepare(`INSERT INTO job_sweeps (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`).run(record);
+    return getSweepById(record.id);
+}
+
+/**
+ * Retrieves a sweep by its ID.
+ * @param {string} sweepId
+ * @returns {object|null} The sweep with parsed generation_params, axes and cells, or null if not found
+ */
+function getSweepById(sweepId) {
+    return parseSweepRow(db.prepare('SELECT * FROM job_sweeps WHERE id = ?').get(sweepId));
+}
+
+/**
+ * Lists sweeps, newest first, optionally only those with a given status.
+ * @param {string} [status] - 'running', 'assembling', 'completed' or 'failed'
+ * @returns {Array<object>}
+ */
+function getAllSweeps(status) {
+    const rows = status
+        ? db.prepare('SELECT * FROM job_sweeps WHERE status = ? ORDER BY created_at DESC').all(status)
+        : db.prepare('SELECT * FROM job_sweeps ORDER BY created_at DESC').all();
+    return rows.map(parseSweepRow);
+}
+
+/**
+ * Updates the progress of a sweep.
+ * @param {string} sweepId
+ * @param {object} updates - Any of status, grid_filename, error, completed_at
+ * @returns {object|null} The updated sweep or null if not found
+ */
+function updateSweep(sweepId, updates) {
+    const allowedColumns = ['status', 'grid_filename', 'error', 'completed_at'];
+    const setClauses = ['updated_at = @updated_at'];
+    const values = { id: sweepId, updated_at: new Date().toISOString() };
+    for (const key of Object.keys(updates)) {
+        if (allowedColumns.includes(key)) {
+            setClauses.push(`${key} = @${key}`);
+            values[key] = updates[key];
+        }
+    }
+
+    const result = db.prepare(`UPDATE job_sweeps SET ${setClauses.join(', ')} WHERE id = @id`).run(values);
+    return result.changes > 0 ? getSweepById(sweepId) : null;
+}
+
+// --- Retention and Archive ---
+
+/**
+ * Finds finished jobs a retention rule applies to. Jobs that unfinished dependents still wait on,
+ * or that belong to a sweep whose grid has not been assembled yet, are left alone.
+ * @param {string} status - One of RETENTION_STATUSES
+ * @param {string} finishedBeforeIso - Only jobs that finished before this time
+ * @returns {Array<object>} Jobs with parsed JSON, oldest first
+ */
+function findRetentionCandidates(status, finishedBeforeIso) {
+    return db.prepare(`
+        SELECT * FROM jobs j
+        WHERE j.status = ? AND COALESCE(j.completion_timestamp, j.last_updated_timestamp) < ?
+          AND NOT EXISTS (
+              SELECT 1 FROM job_dependencies d JOIN jobs dependent ON dependent.mobilesd_job_id = d.job_id
+              WHERE d.depends_on_job_id = j.mobilesd_job_id AND dependent.status IN ('pending', 'held', 'processing')
+          )
+          AND (j.bulk_job_id IS NULL OR j.bulk_job_id NOT IN (
+              SELECT bulk_job_id FROM job_sweeps WHERE status IN ('running', 'assembling')
+          ))
+        ORDER BY COALESCE(j.completion_timestamp, j.last_updated_timestamp) ASC
+    `).all(status, finishedBeforeIso).map(row => ({
+        ...row,
+        generation_params: JSON.parse(row.generation_params_json || '{}'),
+        result_details: row.result_details_json ? JSON.parse(row.result_details_json) : null
+    }));
+}
+
+/**
+ * Image files a job wrote to the outputs directory, including its last preview.
+ * @param {object} job - Job with parsed result_details
+ * @returns {Array<string>} Filenames
+ */
+function getJobImageFilenames(job) {
+    const details = job.result_details || {};
+    const filenames = [...(details.saved_filenames || details.images || [])];
+    if (typeof details.preview_image === 'string' && !details.preview_image.startsWith('data:')) {
+        filenames.push(details.preview_image);
+    }
+    return filenames.filter(filename => typeof filename === 'string' && filename);
+}
+
+// Keeps the searchable parameters of a job without embedded images
+function compactGenerationParams(params) {
+    const compact = {};
+    for (const [key, value] of Object.entries(params || {})) {
+        const isBlob = item => typeof item === 'string' && (item.startsWith('data:') || item.length > MAX_ARCHIVED_PARAM_LENGTH);
+        if (isBlob(value) || (Array.isArray(value) && value.some(isBlob))) {
+            continue;
+        }
+        compact[key] = value;
+    }
+    return compact;
+}
+
+function toArchiveRecord(job, imagesDeleted, archivedAt) {
+    const params = job.generation_params || {};
+    // Jobs sent as raw generation info only carry the prompts inside that text
+    const rawLines = typeof params.raw_generation_info === 'string' ? params.raw_generation_info.trim().split('\n') : [];
+    const rawNegative = rawLines.find(line => line.trim().startsWith('Negative prompt:'));
+    return {
+        mobilesd_job_id: job.mobilesd_job_id,
+        status: job.status,
+        app_type: job.app_type || 'forge',
+        source_info: job.source_info || null,
+        target_server_alias: job.target_server_alias,
+        api_key_id: job.api_key_id || null,
+        bulk_job_id: job.bulk_job_id || null,
+        positive_prompt: params.positive_prompt || params.prompt || (rawLines[0] ? rawLines[0].trim() : null),
+        negative_prompt: params.negative_prompt || (rawNegative ? rawNegative.trim().substring(16).trim() : null),
+        checkpoint_name: params.checkpoint_name || params.sd_checkpoint || null,
+        generation_params_json: JSON.stringify(compactGenerationParams(params)),
+        images_json: JSON.stringify(getJobImageFilenames(job)),
+        images_deleted: imagesDeleted ? 1 : 0,
+        error: job.result_details?.error || null,
+        project: job.project || null,
+        tags_json: JSON.stringify(job.tags || []),
+        creation_timestamp: job.creation_timestamp,
+        completion_timestamp: job.completion_timestamp || null,
+        archived_at: archivedAt
+    };
+}
+
+/**
+ * Moves jobs into the archive table in one transaction.
+ * @param {Array<object>} jobs - Jobs from findRetentionCandidates
+ * @param {boolean} imagesDeleted - Whether their image files are being deleted along with them
+ * @returns {number} How many jobs were archived
+ */
+function archiveJobs(jobs, imagesDeleted = false) {
+    const archivedAt = new Date().toISOString();
+    const insert = db.prepare(`
+        INSERT OR REPLACE INTO jobs_archive (
+            mobilesd_job_id, status, app_type, source_info, target_server_alias, api_key_id, bulk_job_id,
+            positive_prompt, negative_prompt, checkpoint_name, generation_params_json, images_json,
+            images_deleted, error, project, tags_json, creation_timestamp, completion_timestamp, archived_at
+        ) VALUES (
+            @mobilesd_job_id, @status, @app_type, @source_info, @target_server_alias, @api_key_id, @bulk_job_id,
+            @positive_prompt, @negative_prompt, @checkpoint_name, @generation_params_json, @images_json,
+            @images_deleted, @error, @project, @tags_json, @creation_timestamp, @completion_timestamp, @archived_at
+        )
+    `);
+    const tagMap = getJobTagMap(jobs.map(job => job.mobilesd_job_id));
+    const archive = db.transaction(() => {
+        for (const job of jobs) {
+            insert.run(toArchiveRecord({ ...job, tags: tagMap.get(job.mobilesd_job_id) || [] }, imagesDeleted, archivedAt));
+            deleteJob(job.mobilesd_job_id);
+        }
+    });
+    archive();
+    return jobs.length;
+}
+
+/**
+ * Deletes jobs for good in one transaction.
+ * @param {Array<string>} jobIds
+ * @returns {number} How many jobs were deleted
+ */
+function purgeJobs(jobIds) {
+    const purge = db.transaction(() => jobIds.filter(jobId => deleteJob(jobId)).length);
+    return purge();
+}
+
+function parseArchiveRow(row) {
+    if (!row) {
+        return null;
+    }
+    const { generation_params_json, images_json, tags_json, ...archivedJob } = row;
+    return {
+        ...archivedJob,
+        images_deleted: row.images_deleted === 1,
+        generation_params: JSON.parse(generation_params_json || '{}'),
+        images: JSON.parse(images_json || '[]'),
+        tags: JSON.parse(tags_json || '[]')
+    };
+}
+
+/**
+ * Searches the archive, newest first.
+ * @param {object} options
+ * @param {string} [options.search] - Text to find in the prompts, checkpoint name or job ID
+ * @param {string} [options.status] - Only archived jobs with this status
+ * @param {string} [options.target_server_alias] - Only jobs that ran on this server or pool
+ * @param {string} [options.tag] - Only jobs with this tag
+ * @param {string} [options.project] - Only jobs of this project
+ * @param {number} [options.limit=50]
+ * @param {number} [options.offset=0]
+ * @returns {{jobs: Array<object>, total: number}} One page of archived jobs and how many match in total
+ */
+function getArchivedJobs(options = {}) {
+    const { search, status, target_server_alias, tag, project, limit = 50, offset = 0 } = options;
+    const conditions = [];
+    if (search) {
+        conditions.push(`(positive_prompt LIKE @search ESCAPE '\\' OR negative_prompt LIKE @search ESCAPE '\\'
+            OR checkpoint_name LIKE @search ESCAPE '\\' OR mobilesd_job_id LIKE @search ESCAPE '\\')`);
+    }
+    if (status) {
+        conditions.push('status = @status');
+    }
+    if (target_server_alias) {
+        conditions.push('target_server_alias = @target_server_alias');
+    }
+    if (tag) {
+        conditions.push('EXISTS (SELECT 1 FROM json_each(jobs_archive.tags_json) WHERE value = @tag COLLATE NOCASE)');
+    }
+    if (project) {
+        conditions.push('project = @project COLLATE NOCASE');
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const values = {
+        search: search ? `%${escapeLikePattern(search)}%` : null,
+        status: status || null,
+        target_server_alias: target_server_alias || null,
+        tag: tag || null,
+        project: project || null
+    };
+
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM jobs_archive ${where}`).get(values);
+    const rows = db.prepare(`SELECT * FROM jobs_archive ${where} ORDER BY creation_timestamp DESC LIMIT @limit OFFSET @offset`)
+        .all({ ...values, limit, offset });
+    return { jobs: rows.map(parseArchiveRow), total };
+}
+
+/**
+ * Finds the jobs (live or archived) that image files belong to. Output filenames start with the first
+ * 8 characters of their job's ID; a prefix shared by more than one job is left unresolved.
+ * @param {Array<string>} prefixes - Job ID prefixes taken from image filenames
+ * @returns {Map<string, {job_id: string, tags: Array<string>, project: string|null}>} Labels keyed by prefix
+ */
+function getJobLabelsByIdPrefix(prefixes) {
+    const matches = new Map();
+    const uniquePrefixes = [...new Set(prefixes)];
+    // Chunk to stay well under SQLite's bound parameter limit
+    for (let i = 0; i < uniquePrefixes.length; i += 500) {
+        const chunk = uniquePrefixes.slice(i, i + 500);
+        const placeholders = chunk.map(() => '?').join(', ');
+        const rows = db.prepare(`
+            SELECT mobilesd_job_id, project, 0 AS archived, NULL AS tags_json FROM jobs WHERE substr(mobilesd_job_id, 1, 8) IN (${placeholders})
+            UNION ALL
+            SELECT mobilesd_job_id, project, 1 AS archived, tags_json FROM jobs_archive WHERE substr(mobilesd_job_id, 1, 8) IN (${placeholders})
+        `).all(...chunk, ...chunk);
+        for (const row of rows) {
+            const prefix = row.mobilesd_job_id.substring(0, 8);
+            matches.set(prefix, matches.has(prefix) ? null : row);
+        }
+    }
+
+    const labels = new Map();
+    const resolved = [...matches.entries()].filter(([, row]) => row);
+    const tagMap = getJobTagMap(resolved.filter(([, row]) => !row.archived).map(([, row]) => row.mobilesd_job_id));
+    for (const [prefix, row] of resolved) {
+        labels.set(prefix, {
+            job_id: row.mobilesd_job_id,
+            tags: row.archived ? JSON.parse(row.tags_json || '[]') : (tagMap.get(row.mobilesd_job_id) || []),
+            project: row.project || null
+        });
+    }
+    return labels;
+}
+
+/**
+ * Retrieves an archived job by its ID.
+ * @param {string} mobilesdJobId
+ * @returns {object|null} The archived job with parsed generation_params and images, or null if not found
+ */
+function getArchivedJobById(mobilesdJobId) {
+    return parseArchiveRow(db.prepare('SELECT * FROM jobs_archive WHERE mobilesd_job_id = ?').get(mobilesdJobId));
+}
+
+/**
+ * Extends the dispatch leases a dispatcher instance holds on its running jobs.
+ * @param {Array<string>} jobIds - Jobs the instance is running
+ * @param {string} owner - Dispatcher instance ID the leases belong to
+ * @param {string} leaseExpiresAt - ISO timestamp the leases now run until
+ * @returns {number} How many leases were renewed
+ */
+function renewJobLeases(jobIds, owner, leaseExpiresAt) {
+    if (jobIds.length === 0) {
+        return 0;
+    }
+    const placeholders = jobIds.map(() => '?').join(', ');
+    return db.prepare(`
+        UPDATE jobs SET heartbeat_at = ?, lease_expires_at = ?
+        WHERE status = 'processing' AND lease_owner = ? AND mobilesd_job_id IN (${placeholders})
+    `).run(new Date().toISOString(), leaseExpiresAt, owner, ...jobIds).changes;
+}
+
+/**
+ * Drops a dispatcher instance's lease on a job once it stops running it. The last heartbeat is kept.
+ * @param {string} mobilesdJobId
+ * @param {string} owner - Dispatcher instance ID; leases held by anyone else are left alone
+ */
+function clearJobLease(mobilesdJobId, owner) {
+    db.prepare('UPDATE jobs SET lease_owner = NULL, lease_expires_at = NULL WHERE mobilesd_job_id = ? AND lease_owner = ?')
+        .run(mobilesdJobId, owner);
+}
+
+/**
+ * Finds REST jobs left 'processing' by a dispatcher that stopped heartbeating: their lease has run out,
+ * or they predate leases. Jobs with a Forge session hash are left to the job monitor to reattach.
+ * @param {string} owner - The current dispatcher instance ID, whose own jobs are never orphaned
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Array<object>} Orphaned jobs with parsed JSON
+ */
+function findOrphanedJobs(owner, now = new Date()) {
+    return db.prepare(`
+        SELECT mobilesd_job_id FROM jobs
+        WHERE status = 'processing' AND forge_session_hash IS NULL
+          AND (lease_owner IS NULL OR lease_owner != ?)
+          AND (lease_expires_at IS NULL OR lease_expires_at <= ?)
+        ORDER BY last_updated_timestamp ASC
+    `).all(owner, now.toISOString()).map(row => getJobById(row.mobilesd_job_id));
+}
+
 module.exports = {
     addJob,
+    addBulkJobs,
+    getJobsByBulkId,
+    normalizeCloneOverrides,
+    cloneJob,
     getJobById,
     updateJob,
     updateJobResult,
@@ -530,8 +2579,69 @@ module.exports = {
     getJobQueuePath,
     updateJobInQueue,
     getAllJobs,
+    normalizeJobQuery,
+    queryJobs,
     deleteJob,
+    findRetentionCandidates,
+    getJobImageFilenames,
+    archiveJobs,
+    purgeJobs,
+    getArchivedJobs,
+    getArchivedJobById,
+    getJobLabelsByIdPrefix,
+    RETENTION_STATUSES,
+    MAX_JOB_QUERY_LIMIT,
     cancelJob,
+    cancelBulkJobs,
+    holdJob,
+    releaseJob,
+    holdJobs,
+    releaseJobs,
+    normalizeBulkJobFilters,
+    setJobPriority,
+    normalizeJobLabels,
+    setJobLabels,
+    getPendingQueueOrder,
+    moveJob,
+    normalizePriority,
+    normalizeRunAfter,
+    normalizeExpiresAt,
+    getJobExpiry,
+    expireStaleJobs,
+    parseJobOutputReference,
+    findJobOutputReferences,
+    validateJobDependencies,
+    getJobDependencyMap,
+    getDependentJobIds,
+    settleJobsWithFailedDependencies,
+    recordJobEvent,
+    getJobEvents,
+    apiKeyActor,
+    systemActor,
+    UI_ACTOR,
+    createSchedule,
+    getScheduleById,
+    getAllSchedules,
+    updateSchedule,
+    deleteSchedule,
+    findDueSchedules,
+    getDeferredJobs,
+    getApiKeyJobUsage,
+    getRecentJobTimings,
+    claimIdempotencyKey,
+    saveIdempotentResponse,
+    releaseIdempotencyKey,
+    createSweep,
+    getSweepById,
+    getAllSweeps,
+    updateSweep,
+    renewJobLeases,
+    clearJobLease,
+    findOrphanedJobs,
+    JOB_STATUSES,
+    MIN_JOB_PRIORITY,
+    MAX_JOB_PRIORITY,
+    DEFAULT_JOB_PRIORITY,
     columnExists, // Export this utility function
     closeDB: () => db.close() // Add a function to close the database connection
 }; 
\ No newline at end of file
@@ -11,7 +11,7 @@ const Database = require('better-sqlite3');
 // --- Database Setup ---
 // Use the same data directory as the job queue
 const projectRootDir = path.join(__dirname, '..'); 
-const dataDir = path.join(projectRootDir, 'data');
+const dataDir = process.env.DATABASE_DIR || path.join(projectRootDir, 'data');
 
 if (!fs.existsSync(dataDir)) {
     fs.mkdirSync(dataDir, { recursive: true });
@@ -610,6 +610,50 @@ function extractModelHash(generationParams) {
     return { hash: null, source: 'No model hash found in any field' };
 }
 
+/**
+ * Adds model_availability to each job of a list. Jobs usually share a handful of checkpoints,
+ * so each distinct hash is looked up once.
+ * @param {Array<Object>} jobs - Jobs with parsed generation_params
+ * @returns {Array<Object>} Copies of the jobs with model_availability
+ */
+function addModelAvailability(jobs) {
+    const availabilityByHash = new Map();
+    return jobs.map(job => {
+        const { hash, source } = extractModelHash(job.generation_params);
+        if (!hash) {
+            return {
+                ...job,
+                model_availability: {
+                    available: false,
+                    reason: source,
+                    civitai_model_id: null,
+                    hash: null,
+                    match_type: null,
+                    checked_field: 'N/A',
+                    model_identifier: null
+                }
+            };
+        }
+
+        if (!availabilityByHash.has(hash)) {
+            availabilityByHash.set(hash, checkModelAvailability(hash, 'checkpoint'));
+        }
+        const availability = availabilityByHash.get(hash);
+        return {
+            ...job,
+            model_availability: {
+                available: availability.available,
+                reason: availability.reason || null,
+                civitai_model_id: availability.civitai_model_id || null,
+                hash: availability.hash || hash,
+                match_type: availability.match_type || null,
+                checked_field: source,
+                model_identifier: hash
+            }
+        };
+    });
+}
+
 /**
  * Validate if a string looks like a valid model hash
  * @param {string} hash - Hash to validate
@@ -689,6 +733,65 @@ function getModelServers(modelId) {
     }
 }
 
+/**
+ * Find the checkpoint a job asks for, by model hash first and then by checkpoint filename
+ * @param {Object} generationParams - Job generation parameters
+ * @returns {Object|null} The matched checkpoint model or null if not found
+ */
+function findCheckpointForParams(generationParams) {
+    try {
+        const { hash } = extractModelHash(generationParams);
+        if (hash) {
+            const availability = checkModelAvailability(hash, 'checkpoint');
+            if (availability.available) {
+                return availability.model;
+            }
+        }
+
+        const checkpointName = generationParams && (generationParams.checkpoint_name || generationParams.sd_checkpoint);
+        if (!checkpointName || typeof checkpointName !== 'string') {
+            return null;
+        }
+
+        // Forge titles look like "sub/dir/model.safetensors [hash]"
+        const filename = path.basename(checkpointName.replace(/\\/g, '/').replace(/\s*\[[^\]]*\]\s*$/, ''));
+        const stmt = db.prepare("SELECT * FROM models WHERE type = 'checkpoint' AND filename = ? LIMIT 1");
+        return stmt.get(filename) || null;
+    } catch (error) {
+        console.error('[ModelDB] Error finding checkpoint for generation params:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the servers that have a checkpoint, split by whether it is the one they last used
+ * @param {number} modelId - ID of the checkpoint model
+ * @returns {Object} { loaded: [serverIds], available: [serverIds] }
+ */
+function getCheckpointServerStatus(modelId) {
+    try {
+        const stmt = db.prepare(`
+            SELECT a.server_id,
+                   a.last_seen = (
+                       SELECT MAX(a2.last_seen)
+                       FROM model_server_availability a2
+                       JOIN models m2 ON m2.id = a2.model_id
+                       WHERE a2.server_id = a.server_id AND m2.type = 'checkpoint'
+                   ) AS is_loaded
+            FROM model_server_availability a
+            WHERE a.model_id = ?
+        `);
+        const rows = stmt.all(modelId);
+        return {
+            loaded: rows.filter(row => row.is_loaded).map(row => row.server_id),
+            available: rows.map(row => row.server_id)
+        };
+    } catch (error) {
+        console.error('[ModelDB] Error getting checkpoint server status:', error);
+        return { loaded: [], available: [] };
+    }
+}
+
 /**
  * Update model metadata status
  * @param {number} modelId - ID of the model
@@ -889,9 +992,12 @@ module.exports = {
     importModelsFromForge,
     checkModelAvailability,
     extractModelHash,
+    addModelAvailability,
     updateModelServerAvailability,
     removeModelServerAvailability,
     getModelServers,
+    findCheckpointForParams,
+    getCheckpointServerStatus,
     updateModelMetadataStatus,
     findModelsByHash,
     resetDatabase,
@@ -0,0 +1,144 @@
+/**
+ * X/Y/Z parameter sweep helpers.
+ * Validates the sweep axes and builds one parameter set per combination of axis values.
+ */
+
+const path = require('path');
+const { MAX_BULK_QUANTITY } = require('./seedVariation');
+
+// Axes in grid order: x runs along the columns, y down the rows, z across separate panels
+const SWEEP_AXIS_NAMES = ['x', 'y', 'z'];
+
+// Every combination becomes a job, so a sweep shares the bulk submission limit
+const MAX_SWEEP_JOBS = MAX_BULK_QUANTITY;
+
+// 'lora:<name>' axes sweep the weight of a LoRA in the prompt rather than a generation parameter
+const LORA_AXIS_PREFIX = 'lora:';
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validates the axes of a sweep request
+ * @param {*} axes - Array of 1-3 { param, values, label } objects, in x, y, z order
+ * @returns {{axes: Array<object>}|{field: string, error: string}} The axes, or the field that is invalid
+ */
+function normalizeSweepAxes(axes) {
+    if (!Array.isArray(axes) || axes.length === 0 || axes.length > SWEEP_AXIS_NAMES.length) {
+        return { field: 'axes', error: `axes must be a list of 1-${SWEEP_AXIS_NAMES.length} axes` };
+    }
+
+    const normalized = [];
+    for (const [index, axis] of axes.entries()) {
+        const field = `axes[${index}]`;
+        if (!axis || typeof axis !== 'object' || Array.isArray(axis)) {
+            return { field, error: `${field} must be an object with param and values` };
+        }
+        const param = typeof axis.param === 'string' ? axis.param.trim() : '';
+        if (!param || (param.startsWith(LORA_AXIS_PREFIX) && !param.slice(LORA_AXIS_PREFIX.length).trim())) {
+            return { field: `${field}.param`, error: `${field}.param must name a generation parameter or 'lora:<name>'` };
+        }
+        if (normalized.some(other => other.param === param)) {
+            return { field: `${field}.param`, error: `'${param}' is swept by more than one axis` };
+        }
+        const values = axis.values;
+        if (!Array.isArray(values) || values.length === 0 ||
+            !values.every(value => ['string', 'number', 'boolean'].includes(typeof value))) {
+            return { field: `${field}.values`, error: `${field}.values must be a non-empty list of strings, numbers or booleans` };
+        }
+        if (new Set(values).size !== values.length) {
+            return { field: `${field}.values`, error: `${field}.values must not repeat a value` };
+        }
+        if (param.startsWith(LORA_AXIS_PREFIX) && !values.every(value => typeof value === 'number')) {
+            return { field: `${field}.values`, error: `${field}.values must be numbers (LoRA weights)` };
+        }
+        if (axis.label !== undefined && typeof axis.label !== 'string') {
+            return { field: `${field}.label`, error: `${field}.label must be a string` };
+        }
+        normalized.push({
+            name: SWEEP_AXIS_NAMES[index],
+            param,
+            label: axis.label?.trim() || param,
+            values
+        });
+    }
+
+    const total = normalized.reduce((count, axis) => count * axis.values.length, 1);
+    if (total > MAX_SWEEP_JOBS) {
+        return { field: 'axes', error: `The axes make ${total} combinations; a sweep can create at most ${MAX_SWEEP_JOBS} jobs` };
+    }
+    return { axes: normalized };
+}
+
+// Sets a LoRA's weight in whichever prompt fields the parameters use, adding the LoRA if it is not there yet
+function setLoraWeight(params, loraName, weight) {
+    const tag = `<lora:${loraName}:${weight}>`;
+    const pattern = new RegExp(`<lora:${escapeRegExp(loraName)}(:[^>]*)?>`, 'g');
+    const fields = ['prompt', 'positive_prompt'].filter(field => typeof params[field] === 'string');
+    if (fields.length === 0) {
+        fields.push('prompt');
+    }
+    for (const field of fields) {
+        const prompt = params[field] || '';
+        params[field] = pattern.test(prompt)
+            ? prompt.replace(pattern, tag)
+            : (prompt ? `${prompt}, ${tag}` : tag);
+        pattern.lastIndex = 0;
+    }
+}
+
+/**
+ * Applies one axis value to a copy of the parameters
+ * @param {object} params - Parameters to start from
+ * @param {object} axis - A normalized axis
+ * @param {*} value - One of the axis values
+ * @returns {object} The new parameters
+ */
+function applyAxisValue(params, axis, value) {
+    const updated = { ...params };
+    if (axis.param.startsWith(LORA_AXIS_PREFIX)) {
+        setLoraWeight(updated, axis.param.slice(LORA_AXIS_PREFIX.length).trim(), value);
+    } else {
+        updated[axis.param] = value;
+    }
+    return updated;
+}
+
+/**
+ * Builds every combination of axis values, x changing fastest, then y, then z
+ * @param {object} baseParams - Parameters shared by every job
+ * @param {Array<object>} axes - Axes from normalizeSweepAxes
+ * @returns {Array<{x: number, y: number, z: number, generation_params: object}>} One cell per job,
+ *          with the index of its value on each axis (0 for axes the sweep does not have)
+ */
+function buildSweepCells(baseParams, axes) {
+    let cells = [{ x: 0, y: 0, z: 0, generation_params: { ...baseParams } }];
+    // Expanding the last axis first leaves the first axis varying fastest
+    for (const axis of [...axes].reverse()) {
+        cells = cells.flatMap(cell => axis.values.map((value, index) => ({
+            ...cell,
+            [axis.name]: index,
+            generation_params: applyAxisValue(cell.generation_params, axis, value)
+        })));
+    }
+    return cells;
+}
+
+/**
+ * Text used for an axis value in the grid labels; checkpoint paths are shortened to the model name
+ */
+function formatAxisValue(axis, value) {
+    if (typeof value === 'string' && /checkpoint|model/i.test(axis.param)) {
+        return path.basename(value.replace(/\\/g, '/')).replace(/\.(safetensors|ckpt|pt)$/i, '');
+    }
+    return String(value);
+}
+
+module.exports = {
+    normalizeSweepAxes,
+    buildSweepCells,
+    formatAxisValue,
+    SWEEP_AXIS_NAMES,
+    MAX_SWEEP_JOBS
+};
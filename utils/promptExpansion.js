@@ -0,0 +1,211 @@
+/**
+ * Dynamic prompt helpers for job submission.
+ * Expands __wildcard__ tokens from the wildcards directory and {red|green|blue} alternations,
+ * either picking one option per token or fanning out into every combination.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { MAX_BULK_QUANTITY, MAX_SEED } = require('./seedVariation');
+
+// One text file per wildcard, one option per line: __colors__ reads colors.txt, __styles/film__ reads styles/film.txt
+const WILDCARDS_PATH = process.env.WILDCARDS_PATH || path.join(__dirname, '..', 'data', 'wildcards');
+
+// 'random': one seeded pick per token, 'combinatorial': one job per combination, 'none': leave the prompt as is
+const EXPANSION_MODES = ['random', 'combinatorial', 'none'];
+
+// Combinatorial fan-out creates jobs, so it shares the bulk submission limit
+const MAX_COMBINATIONS = MAX_BULK_QUANTITY;
+
+// Guards against wildcards that (indirectly) include themselves
+const MAX_EXPANSION_DEPTH = 50;
+
+const WILDCARD_PATTERN = /__([A-Za-z0-9_\-/]+?)__/;
+// Innermost braces holding at least one '|'; braces without one are left alone
+const ALTERNATION_PATTERN = /\{([^{}]*\|[^{}]*)\}/;
+
+class PromptExpansionError extends Error {}
+
+/**
+ * Small deterministic PRNG (mulberry32) so the same seed always expands the same way.
+ * The seed is hashed first; consecutive seeds would otherwise start out with near-identical picks.
+ */
+function createRandom(seed) {
+    let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function readWildcard(name, cache) {
+    if (cache.has(name)) {
+        return cache.get(name);
+    }
+    const root = path.resolve(WILDCARDS_PATH);
+    const filePath = path.resolve(root, `${name}.txt`);
+    if (!filePath.startsWith(root + path.sep) || !fs.existsSync(filePath)) {
+        throw new PromptExpansionError(`Wildcard '__${name}__' not found in the wildcards directory`);
+    }
+    const options = fs.readFileSync(filePath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+    if (options.length === 0) {
+        throw new PromptExpansionError(`Wildcard '__${name}__' has no options`);
+    }
+    cache.set(name, options);
+    return options;
+}
+
+/**
+ * Finds the first wildcard or innermost alternation in a prompt, with the options it can expand to
+ */
+function findNextToken(text, cache) {
+    const candidates = [WILDCARD_PATTERN.exec(text), ALTERNATION_PATTERN.exec(text)].filter(Boolean);
+    if (candidates.length === 0) {
+        return null;
+    }
+    const match = candidates.sort((a, b) => a.index - b.index)[0];
+    const options = match[0].startsWith('{')
+        ? match[1].split('|').map(option => option.trim())
+        : readWildcard(match[1].trim(), cache);
+    return { start: match.index, end: match.index + match[0].length, options };
+}
+
+function hasTokens(text) {
+    return typeof text === 'string' && (WILDCARD_PATTERN.test(text) || ALTERNATION_PATTERN.test(text));
+}
+
+function expandRandom(text, random, cache) {
+    let result = text;
+    for (let depth = 0; ; depth++) {
+        const token = findNextToken(result, cache);
+        if (!token) {
+            return result;
+        }
+        if (depth >= MAX_EXPANSION_DEPTH) {
+            throw new PromptExpansionError(`Prompt still has wildcards after ${MAX_EXPANSION_DEPTH} expansions; check for wildcards that include themselves`);
+        }
+        const choice = token.options[Math.floor(random() * token.options.length)];
+        result = result.slice(0, token.start) + choice + result.slice(token.end);
+    }
+}
+
+function expandCombinations(text, cache, depth = 0) {
+    const token = findNextToken(text, cache);
+    if (!token) {
+        return [text];
+    }
+    if (depth >= MAX_EXPANSION_DEPTH) {
+        throw new PromptExpansionError(`Prompt still has wildcards after ${MAX_EXPANSION_DEPTH} expansions; check for wildcards that include themselves`);
+    }
+    const results = [];
+    for (const option of token.options) {
+        const expanded = expandCombinations(text.slice(0, token.start) + option + text.slice(token.end), cache, depth + 1);
+        for (const prompt of expanded) {
+            // Nested alternations can reach the same prompt along different paths
+            if (results.includes(prompt)) {
+                continue;
+            }
+            results.push(prompt);
+            if (results.length > MAX_COMBINATIONS) {
+                throw new PromptExpansionError(`Prompt expands to more than ${MAX_COMBINATIONS} combinations`);
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * Validates the prompt_expansion option of a submission
+ * @param {*} option - A mode name, or an object with mode and seed (mode defaults to random there)
+ * @returns {{options: {mode: string, seed: (number|undefined)}}|{field: string, error: string}} The options, or the field that is invalid
+ */
+function normalizePromptExpansion(option) {
+    // Expansion is opt-in: clients that predate it send prompts with literal braces and underscores
+    if (option === undefined || option === null) {
+        return { options: { mode: 'none', seed: undefined } };
+    }
+    if (typeof option !== 'string' && (typeof option !== 'object' || Array.isArray(option))) {
+        return { field: 'prompt_expansion', error: 'prompt_expansion must be a mode name or an object with mode and seed' };
+    }
+    const { mode = 'random', seed } = typeof option === 'string' ? { mode: option } : option;
+    if (!EXPANSION_MODES.includes(mode)) {
+        return { field: 'prompt_expansion.mode', error: `prompt_expansion mode must be one of ${EXPANSION_MODES.join(', ')}` };
+    }
+    if (seed !== undefined && !(Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED)) {
+        return { field: 'prompt_expansion.seed', error: `prompt_expansion seed must be an integer between 0 and ${MAX_SEED}` };
+    }
+    return { options: { mode, seed } };
+}
+
+/**
+ * Expands the dynamic prompt syntax in a job's prompt and negative prompt. The resolved prompts replace
+ * the originals, which are kept as prompt_template and negative_prompt_template together with the mode
+ * and seed used, so the expansion can be reproduced.
+ * @param {object} generationParams - Parameters of the job being submitted
+ * @param {object} options - Options from normalizePromptExpansion
+ * @returns {{paramsList: Array<object>}|{field: string, error: string}} One parameter set per job to queue, or the reason expansion failed
+ */
+function expandGenerationParams(generationParams, options) {
+    const template = generationParams.prompt ?? generationParams.positive_prompt;
+    const negativeTemplate = generationParams.negative_prompt;
+    // Raw generation info is only parsed at dispatch, so there is no prompt to expand yet
+    if (options.mode === 'none' || generationParams.raw_generation_info || (!hasTokens(template) && !hasTokens(negativeTemplate))) {
+        return { paramsList: [generationParams] };
+    }
+
+    // The image seed doubles as the expansion seed, so a fixed-seed job always gets the same prompt
+    let seed = options.seed;
+    if (seed === undefined) {
+        seed = Number.isInteger(generationParams.seed) && generationParams.seed >= 0 ? generationParams.seed : crypto.randomInt(0, MAX_SEED);
+    }
+
+    try {
+        const cache = new Map();
+        const random = createRandom(seed);
+        const prompts = !hasTokens(template)
+            ? [template]
+            : options.mode === 'combinatorial' ? expandCombinations(template, cache) : [expandRandom(template, random, cache)];
+        // Combinations cover the prompt; the negative prompt gets one seeded pick shared by every job
+        const negativePrompt = hasTokens(negativeTemplate) ? expandRandom(negativeTemplate, random, cache) : negativeTemplate;
+
+        return {
+            paramsList: prompts.map(prompt => {
+                const params = { ...generationParams, prompt_expansion: { mode: options.mode, seed } };
+                if (hasTokens(template)) {
+                    params.prompt_template = template;
+                    if (generationParams.prompt !== undefined) {
+                        params.prompt = prompt;
+                    }
+                    if (generationParams.positive_prompt !== undefined) {
+                        params.positive_prompt = prompt;
+                    }
+                }
+                if (hasTokens(negativeTemplate)) {
+                    params.negative_prompt_template = negativeTemplate;
+                    params.negative_prompt = negativePrompt;
+                }
+                return params;
+            })
+        };
+    } catch (error) {
+        if (error instanceof PromptExpansionError) {
+            return { field: 'generation_params.prompt', error: error.message };
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    normalizePromptExpansion,
+    expandGenerationParams,
+    WILDCARDS_PATH,
+    EXPANSION_MODES,
+    MAX_COMBINATIONS
+};
@@ -45,7 +45,7 @@ try {
     const schema = `
     CREATE TABLE IF NOT EXISTS jobs (
         mobilesd_job_id TEXT PRIMARY KEY,
-        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'cancelled')),
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'cancelled', 'expired', 'held')),
         creation_timestamp TEXT NOT NULL,
         last_updated_timestamp TEXT NOT NULL,
         completion_timestamp TEXT,
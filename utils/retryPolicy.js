@@ -0,0 +1,165 @@
+/**
+ * Retry policy helpers for the job dispatcher.
+ * Classifies dispatch errors as transient or permanent and works out when a failed job runs again.
+ */
+
+// Hard ceiling so a per-job override can't keep a job bouncing forever
+const MAX_RETRY_ATTEMPTS = 10;
+
+// Defaults used when neither the server config nor the job sets a policy
+const DEFAULT_RETRY_POLICY = {
+    max_attempts: parseInt(process.env.DISPATCHER_RETRY_MAX_ATTEMPTS, 10) || 3,
+    base_delay_ms: parseInt(process.env.DISPATCHER_RETRY_BASE_DELAY_MS, 10) || 5000,
+    max_delay_ms: parseInt(process.env.DISPATCHER_RETRY_MAX_DELAY_MS, 10) || 300000
+};
+
+// Policy fields as used on jobs (snake_case) and in servers.json (camelCase)
+const POLICY_FIELDS = [
+    { field: 'max_attempts', serverField: 'maxRetryAttempts', min: 1, max: MAX_RETRY_ATTEMPTS },
+    { field: 'base_delay_ms', serverField: 'retryBaseDelayMs', min: 0 },
+    { field: 'max_delay_ms', serverField: 'retryMaxDelayMs', min: 0 }
+];
+
+// Network failures where the server never answered; worth another try
+const RETRYABLE_ERROR_CODES = [
+    'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED',
+    'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN', 'EPIPE'
+];
+
+// HTTP statuses that mean "not right now" rather than "never"
+const RETRYABLE_STATUS_CATEGORIES = {
+    408: 'timeout',
+    429: 'rate_limited',
+    502: 'server_unavailable',
+    503: 'server_unavailable',
+    504: 'timeout'
+};
+
+/**
+ * Validates a per-job retry policy from an API request
+ * @param {*} policy - Object with any of max_attempts, base_delay_ms, max_delay_ms
+ * @returns {object|undefined|null} The normalized policy, undefined when not given, or null when invalid
+ */
+function normalizeRetryPolicy(policy) {
+    if (policy === undefined || policy === null) {
+        return undefined;
+    }
+    if (typeof policy !== 'object' || Array.isArray(policy)) {
+        return null;
+    }
+
+    const normalized = {};
+    for (const { field, min, max } of POLICY_FIELDS) {
+        const value = policy[field];
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+        const parsed = Number(value);
+        if (!Number.isInteger(parsed) || parsed < min || (max !== undefined && parsed > max)) {
+            return null;
+        }
+        normalized[field] = parsed;
+    }
+    return normalized;
+}
+
+/**
+ * Validates the retry fields of a server config entry
+ * @param {object} serverFields - Request body holding maxRetryAttempts, retryBaseDelayMs, retryMaxDelayMs
+ * @returns {object|null} The fields that were set (camelCase), or null when any is invalid
+ */
+function parseServerRetryFields(serverFields) {
+    const parsed = {};
+    for (const { serverField, min, max } of POLICY_FIELDS) {
+        const value = serverFields[serverField];
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || (max !== undefined && number > max)) {
+            return null;
+        }
+        parsed[serverField] = number;
+    }
+    return parsed;
+}
+
+/**
+ * Works out the effective policy for a job: job override, then server config, then defaults
+ * @param {object} job - Job record (retry_policy_json holds the per-job override)
+ * @param {object} serverDetails - Server config entry the job ran on
+ * @returns {object} { max_attempts, base_delay_ms, max_delay_ms }
+ */
+function resolveRetryPolicy(job, serverDetails = {}) {
+    const policy = { ...DEFAULT_RETRY_POLICY };
+
+    for (const { field, serverField } of POLICY_FIELDS) {
+        if (serverDetails && Number.isInteger(serverDetails[serverField])) {
+            policy[field] = serverDetails[serverField];
+        }
+    }
+
+    let jobPolicy = {};
+    if (job && job.retry_policy_json) {
+        try {
+            jobPolicy = normalizeRetryPolicy(JSON.parse(job.retry_policy_json)) || {};
+        } catch (error) {
+            console.warn(`[RetryPolicy] Ignoring unreadable retry policy on job ${job.mobilesd_job_id}: ${error.message}`);
+        }
+    }
+
+    return { ...policy, ...jobPolicy };
+}
+
+/**
+ * Decides whether a dispatch error is worth retrying
+ * @param {Error} error - Error thrown by the axios call to the Forge server
+ * @returns {object} { retryable, category, status_code, code }
+ */
+function classifyDispatchError(error) {
+    const statusCode = error && error.response ? error.response.status : null;
+    const code = (error && error.code) || null;
+
+    if (statusCode) {
+        if (RETRYABLE_STATUS_CATEGORIES[statusCode]) {
+            return { retryable: true, category: RETRYABLE_STATUS_CATEGORIES[statusCode], status_code: statusCode, code };
+        }
+        // Anything else the server answered with (bad params, missing model, generation error) will fail again
+        return {
+            retryable: false,
+            category: statusCode < 500 ? 'bad_request' : 'server_error',
+            status_code: statusCode,
+            code
+        };
+    }
+
+    if (code === 'ECONNABORTED' || code === 'ETIMEDOUT' || /timeout/i.test((error && error.message) || '')) {
+        return { retryable: true, category: 'timeout', status_code: null, code };
+    }
+    if (RETRYABLE_ERROR_CODES.includes(code)) {
+        return { retryable: true, category: 'connection', status_code: null, code };
+    }
+
+    return { retryable: false, category: 'unknown', status_code: null, code };
+}
+
+/**
+ * Exponential backoff delay before the next attempt
+ * @param {object} policy - Effective retry policy
+ * @param {number} failedAttempt - The attempt that just failed (1 for the first run)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelayMs(policy, failedAttempt) {
+    const delay = policy.base_delay_ms * Math.pow(2, Math.max(0, failedAttempt - 1));
+    return Math.min(delay, policy.max_delay_ms);
+}
+
+module.exports = {
+    DEFAULT_RETRY_POLICY,
+    MAX_RETRY_ATTEMPTS,
+    normalizeRetryPolicy,
+    parseServerRetryFields,
+    resolveRetryPolicy,
+    classifyDispatchError,
+    getRetryDelayMs
+};
@@ -0,0 +1,76 @@
+/**
+ * Seed helpers for bulk job submission.
+ * Works out one seed per job from the requested variation method.
+ */
+
+const crypto = require('crypto');
+
+// Upper bound on jobs created by a single bulk request
+const MAX_BULK_QUANTITY = 100;
+
+// Forge and A1111 accept unsigned 32-bit seeds; -1 asks the server for a random one
+const MAX_SEED = 4294967295;
+
+// 'random': a fresh seed per job, 'incremental': base_seed, base_seed + 1, ..., 'list': the seeds given
+const SEED_VARIATIONS = ['random', 'incremental', 'list'];
+
+function isValidSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+function randomSeed() {
+    return crypto.randomInt(0, MAX_SEED);
+}
+
+/**
+ * Works out the seeds for a bulk request
+ * @param {object} options - bulk_quantity, seed_variation, base_seed and seeds from the request body
+ * @param {object} generationParams - The shared parameters; their seed is the default base_seed
+ * @returns {{seeds: Array<number>}|{field: string, error: string}} One seed per job, or the field that is invalid
+ */
+function buildBulkSeeds(options, generationParams = {}) {
+    const variation = options.seed_variation ?? 'random';
+    if (!SEED_VARIATIONS.includes(variation)) {
+        return { field: 'seed_variation', error: `seed_variation must be one of ${SEED_VARIATIONS.join(', ')}` };
+    }
+
+    if (variation === 'list') {
+        const seeds = options.seeds;
+        if (!Array.isArray(seeds) || seeds.length === 0 || seeds.length > MAX_BULK_QUANTITY || !seeds.every(isValidSeed)) {
+            return { field: 'seeds', error: `seeds must be a list of 1-${MAX_BULK_QUANTITY} integers between 0 and ${MAX_SEED}` };
+        }
+        // The list sets the job count; bulk_quantity is optional but must agree if given
+        if (options.bulk_quantity !== undefined && Number(options.bulk_quantity) !== seeds.length) {
+            return { field: 'bulk_quantity', error: 'bulk_quantity must match the number of seeds' };
+        }
+        return { seeds: [...seeds] };
+    }
+
+    const quantity = Number(options.bulk_quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_BULK_QUANTITY) {
+        return { field: 'bulk_quantity', error: `bulk_quantity must be an integer between 1 and ${MAX_BULK_QUANTITY}` };
+    }
+
+    if (variation === 'random') {
+        return { seeds: Array.from({ length: quantity }, randomSeed) };
+    }
+
+    // Incremental: start from base_seed, else the parameters' own seed, else a random one
+    let baseSeed = options.base_seed ?? generationParams.seed ?? -1;
+    baseSeed = Number(baseSeed);
+    if (baseSeed === -1) {
+        baseSeed = randomSeed();
+    }
+    if (!isValidSeed(baseSeed)) {
+        return { field: 'base_seed', error: `base_seed must be -1 (random) or an integer between 0 and ${MAX_SEED}` };
+    }
+    // Wrap around rather than step past the largest seed
+    return { seeds: Array.from({ length: quantity }, (_, i) => (baseSeed + i) % (MAX_SEED + 1)) };
+}
+
+module.exports = {
+    buildBulkSeeds,
+    MAX_BULK_QUANTITY,
+    MAX_SEED,
+    SEED_VARIATIONS
+};